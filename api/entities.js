@@ -67,10 +67,28 @@ export const LeaveAccrualEntry = base44.entities.LeaveAccrualEntry;
 
 export const EmployeeLeaveBalance = base44.entities.EmployeeLeaveBalance;
 
+export const LeaveCashOutRequest = base44.entities.LeaveCashOutRequest;
+
+export const LeaveApprovalChain = base44.entities.LeaveApprovalChain;
+
+export const LeaveApprovalDelegation = base44.entities.LeaveApprovalDelegation;
+
+export const TimesheetEntry = base44.entities.TimesheetEntry;
+
+export const CalendarFeedToken = base44.entities.CalendarFeedToken;
+export const LeaveBlackoutPeriod = base44.entities.LeaveBlackoutPeriod;
+export const LeaveEvidence = base44.entities.LeaveEvidence;
+export const LeaveBulkBatch = base44.entities.LeaveBulkBatch;
+export const LeaveAccrualRun = base44.entities.LeaveAccrualRun;
+
 export const EmployeeOnboarding = base44.entities.EmployeeOnboarding;
 
 export const EmployeeOnboardingTask = base44.entities.EmployeeOnboardingTask;
 
+export const OnboardingFormSubmission = base44.entities.OnboardingFormSubmission;
+
+export const EmployeeSecureDetail = base44.entities.EmployeeSecureDetail;
+
 export const OffboardingTaskTemplate = base44.entities.OffboardingTaskTemplate;
 
 export const EmployeeOffboarding = base44.entities.EmployeeOffboarding;
@@ -85,8 +103,12 @@ export const NotificationPreference = base44.entities.NotificationPreference;
 
 export const DocumentTemplate = base44.entities.DocumentTemplate;
 
+export const DocumentTemplateVersion = base44.entities.DocumentTemplateVersion;
+
 export const DocumentVersion = base44.entities.DocumentVersion;
 
+export const SignatureRequest = base44.entities.SignatureRequest;
+
 export const AuditEvent = base44.entities.AuditEvent;
 
 export const GoogleWorkspaceConnection = base44.entities.GoogleWorkspaceConnection;
@@ -0,0 +1,43 @@
+import { getAccessToken } from '@base44/sdk';
+import { base44 } from './base44Client';
+
+/**
+ * Backend functions (functions/*.ts), served by the Base44 API.
+ */
+
+/**
+ * Public URL of a backend function, e.g. for a calendar feed.
+ *
+ * @param {string} name - Function name (file name without extension)
+ * @returns {string}
+ */
+export function getFunctionUrl(name) {
+  const { serverUrl, appId } = base44.getConfig();
+  return `${serverUrl}/api/apps/${appId}/functions/${name}`;
+}
+
+/**
+ * Call a backend function as the signed-in user.
+ *
+ * @param {string} name - Function name
+ * @param {Object} [data] - JSON body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With the function's `error` message on a non-2xx response
+ */
+export async function invokeFunction(name, data = {}) {
+  const token = getAccessToken();
+  const response = await fetch(getFunctionUrl(name), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(data),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `${name} failed (${response.status})`);
+  }
+  return body;
+}
@@ -1,6 +1,8 @@
 import { base44 } from '@/api/base44Client';
 import { recalcAllLeaveForEmployee } from '@/components/utils/LeaveEngine';
 import { updateUserProfileForEmployee } from '@/components/utils/googleWorkspace';
+import { syncConditionalOnboardingTasks } from '@/components/onboarding/onboardingEngine';
+import { CONDITION_PROFILE_FIELDS } from '@/components/onboarding/taskConditions';
 
 const Employee = base44.entities.Employee;
 const HRTask = base44.entities.HRTask;
@@ -193,11 +195,23 @@ export async function onProfileChange(employeeId, previousData, newData) {
     googleSyncResult = await syncEmployeeToGoogle(employeeId, newData);
   }
 
+  // Conditional onboarding tasks (e.g. "only if part-time") may now apply, or no longer
+  const onboardingFieldsChanged = CONDITION_PROFILE_FIELDS.some(field => changes[field]);
+  let onboardingTaskChanges = null;
+  if (onboardingFieldsChanged) {
+    try {
+      onboardingTaskChanges = await syncConditionalOnboardingTasks({ ...newData, id: employeeId });
+    } catch (e) {
+      console.error('Failed to update onboarding tasks after profile change:', e);
+    }
+  }
+
   return {
     tasksCreated: tasks.length,
     changes,
     leaveRecalcTriggered: leaveFieldsChanged,
     googleSyncResult,
+    onboardingTaskChanges,
   };
 }
 
@@ -217,6 +231,7 @@ function detectChanges(previousData, newData) {
     'start_date',
     'service_start_date',
     'hours_per_week',
+    'visa_required',
   ];
 
   const changes = {};
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, FileText, AlertTriangle } from 'lucide-react';
+import { toast } from 'sonner';
+import { getLegalName } from '@/components/utils/displayName';
+import {
+  MERGE_FIELDS,
+  isMergeableTemplate,
+  getCurrentTemplateVersion,
+  buildMergeData,
+  renderHtmlTemplate,
+  generateDocumentFromTemplate,
+} from '@/components/utils/documentGeneration';
+
+const DocumentTemplate = base44.entities.DocumentTemplate;
+
+const FIELD_LABELS = Object.fromEntries(MERGE_FIELDS.map(f => [f.key, f.label]));
+
+/**
+ * Pick a template, check its merge fields against the employee and
+ * generate the document onto their profile.
+ */
+export default function GenerateDocumentDialog({
+  open,
+  onClose,
+  employee,
+  currentUser,
+  startDate = null,
+  onboardingTaskId = null,
+  defaultTemplateId = null,
+  onGenerated,
+}) {
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  useEffect(() => {
+    if (!open || !employee) return;
+    setPreview(null);
+    DocumentTemplate.list()
+      .then(list => {
+        const available = list.filter(t =>
+          isMergeableTemplate(t) && (!t.entity_id || t.entity_id === employee.entity_id)
+        );
+        setTemplates(available);
+        const initial = available.find(t => t.id === defaultTemplateId) || null;
+        setTemplateId(initial?.id || '');
+      })
+      .catch(error => console.error('Error loading document templates:', error));
+  }, [open, employee?.id, defaultTemplateId]);
+
+  const template = templates.find(t => t.id === templateId);
+
+  useEffect(() => {
+    if (!open || !template || !employee) return;
+    setFileName(`${template.name} - ${getLegalName(employee)}`);
+    setIsLoading(true);
+    Promise.all([getCurrentTemplateVersion(template), buildMergeData(employee, { startDate })])
+      .then(([version, { values }]) => {
+        const used = version?.merge_fields || [];
+        setPreview({
+          version,
+          values,
+          used,
+          missing: used.filter(key => !values[key]),
+          html: version?.format === 'html' ? renderHtmlTemplate(version.body_html, values) : null,
+        });
+      })
+      .catch(error => console.error('Error previewing document:', error))
+      .finally(() => setIsLoading(false));
+  }, [open, templateId, employee?.id, startDate]);
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const result = await generateDocumentFromTemplate({
+        template,
+        employee,
+        currentUser,
+        fileName,
+        startDate,
+        onboardingTaskId,
+      });
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success(`${result.document.file_name} added to documents.`);
+      onGenerated?.(result.document);
+      onClose();
+    } catch (error) {
+      console.error('Error generating document:', error);
+      toast.error('Failed to generate document.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Generate Document</DialogTitle>
+          {employee && <DialogDescription>For {getLegalName(employee)}</DialogDescription>}
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Template</Label>
+            <Select value={templateId} onValueChange={setTemplateId}>
+              <SelectTrigger>
+                <SelectValue placeholder={templates.length === 0 ? 'No HTML or DOCX templates' : 'Select template'} />
+              </SelectTrigger>
+              <SelectContent>
+                {templates.map(t => (
+                  <SelectItem key={t.id} value={t.id}>
+                    {t.name} (v{t.current_version_number})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
+            </div>
+          ) : preview && (
+            <>
+              {preview.missing.length > 0 && (
+                <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800 flex gap-2">
+                  <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span>
+                    No value for {preview.missing.map(key => FIELD_LABELS[key] || key).join(', ')}.
+                    These will be left blank; update the profile first to fill them in.
+                  </span>
+                </div>
+              )}
+
+              {preview.used.length > 0 && (
+                <dl className="divide-y rounded-lg border text-sm">
+                  {preview.used.map(key => (
+                    <div key={key} className="flex justify-between gap-4 px-3 py-1.5">
+                      <dt className="text-gray-500">{FIELD_LABELS[key] || key}</dt>
+                      <dd className={preview.values[key] ? 'text-gray-900' : 'text-amber-600'}>
+                        {preview.values[key] || 'Blank'}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              )}
+
+              {preview.html !== null && (
+                <iframe
+                  title="Document preview"
+                  srcDoc={preview.html}
+                  sandbox=""
+                  className="w-full h-64 rounded-lg border bg-white"
+                />
+              )}
+
+              <div className="space-y-2">
+                <Label>File Name</Label>
+                <Input value={fileName} onChange={(e) => setFileName(e.target.value)} />
+              </div>
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleGenerate} disabled={!template || !preview || !fileName.trim() || isGenerating}>
+            {isGenerating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <FileText className="h-4 w-4 mr-2" />}
+            Generate
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, PenLine } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  SIGNER_ROLES,
+  getAvailableSigners,
+  createSignatureRequest,
+} from '@/components/utils/documentSigning';
+
+const ROLE_HINTS = {
+  manager: 'No manager is set on the employee profile',
+  signatory: 'No authorised signatory is set on the entity',
+};
+
+/**
+ * Choose who signs a document, in order, and send it.
+ */
+export default function RequestSignatureDialog({ open, onClose, document, employee, currentUser, onRequested }) {
+  const [available, setAvailable] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open || !employee) return;
+    setAvailable(null);
+    setMessage('');
+    getAvailableSigners(employee)
+      .then(signers => {
+        setAvailable(signers);
+        setRoles(Object.keys(SIGNER_ROLES).filter(role => signers[role]));
+      })
+      .catch(error => console.error('Error loading signers:', error));
+  }, [open, employee?.id]);
+
+  const toggleRole = (role, checked) => {
+    setRoles(checked ? [...roles, role] : roles.filter(r => r !== role));
+  };
+
+  const handleSend = async () => {
+    setIsSubmitting(true);
+    try {
+      const result = await createSignatureRequest({ document, employee, roles, message, currentUser });
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Sent for signature');
+      onRequested?.(result.request);
+      onClose();
+    } catch (error) {
+      console.error('Error requesting signatures:', error);
+      toast.error('Failed to send for signature');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Request Signatures</DialogTitle>
+          {document && <DialogDescription>{document.file_name}</DialogDescription>}
+        </DialogHeader>
+
+        {!available ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Signers, in order</Label>
+              {Object.entries(SIGNER_ROLES).map(([role, label]) => {
+                const signer = available[role];
+                return (
+                  <label key={role} className="flex items-start gap-3 p-3 rounded-lg border">
+                    <Checkbox
+                      checked={roles.includes(role)}
+                      onCheckedChange={(checked) => toggleRole(role, checked)}
+                      disabled={!signer}
+                      className="mt-0.5"
+                    />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{label}</p>
+                      <p className="text-xs text-gray-500">
+                        {signer ? `${signer.name}${signer.email ? ` · ${signer.email}` : ''}` : ROLE_HINTS[role]}
+                      </p>
+                    </div>
+                  </label>
+                );
+              })}
+              <p className="text-xs text-gray-500">
+                Each signer is asked once the one before them has signed.
+              </p>
+            </div>
+
+            <p className="text-xs text-gray-500 bg-gray-50 rounded-lg p-3">
+              The signed PDF contains the document&apos;s text, headings and lists with the signatures and a
+              certificate. Tables and other formatting are not carried over; the original file is kept as the
+              previous version.
+            </p>
+
+            <div className="space-y-2">
+              <Label>Message (optional)</Label>
+              <Textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                placeholder="Shown to each signer"
+                rows={3}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSend} disabled={!available || roles.length === 0 || isSubmitting}>
+            {isSubmitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <PenLine className="h-4 w-4 mr-2" />}
+            Send for Signature
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
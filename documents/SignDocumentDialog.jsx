@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, ExternalLink, PenLine } from 'lucide-react';
+import { toast } from 'sonner';
+import SignaturePad from './SignaturePad';
+import {
+  SIGNER_ROLES,
+  ESIGN_CONSENT,
+  recordSignatureView,
+  signDocument,
+  declineSignatureRequest,
+} from '@/components/utils/documentSigning';
+
+/**
+ * Review a document and sign or decline it as the current signer.
+ */
+export default function SignDocumentDialog({ request, open, onClose, employee, onSigned }) {
+  const [signature, setSignature] = useState(null);
+  const [consent, setConsent] = useState(false);
+  const [isDeclining, setIsDeclining] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open || !request || !employee) return;
+    setSignature(null);
+    setConsent(false);
+    setIsDeclining(false);
+    setDeclineReason('');
+    recordSignatureView(request, employee.id)
+      .catch(error => console.error('Error recording document view:', error));
+  }, [open, request?.id]);
+
+  if (!request) return null;
+  const signer = request.signers[request.current_signer];
+  const isHtml = /\.html?$/i.test(request.document_file_name || '');
+
+  const handleSign = async () => {
+    setIsSubmitting(true);
+    try {
+      const result = await signDocument(request.id, {
+        employeeId: employee.id,
+        method: signature.method,
+        image: signature.image,
+        typedName: signature.typedName,
+        consent,
+      });
+      if (!result.success && !result.request) {
+        toast.error(result.error);
+        return;
+      }
+      if (result.error) toast.error(result.error);
+      else toast.success(result.completed ? 'Signed. The document is now complete.' : 'Signed');
+      onSigned?.();
+      onClose();
+    } catch (error) {
+      console.error('Error signing document:', error);
+      toast.error('Failed to sign the document');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setIsSubmitting(true);
+    try {
+      const result = await declineSignatureRequest(request.id, { employeeId: employee.id, reason: declineReason });
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Declined');
+      onSigned?.();
+      onClose();
+    } catch (error) {
+      console.error('Error declining signature:', error);
+      toast.error('Failed to decline');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Sign Document</DialogTitle>
+          <DialogDescription>
+            {request.document_file_name}
+            {signer && ` · signing as ${SIGNER_ROLES[signer.role].toLowerCase()}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {request.message && (
+            <p className="p-3 rounded-lg bg-gray-50 text-sm text-gray-700 whitespace-pre-wrap">{request.message}</p>
+          )}
+
+          {isHtml && (
+            <iframe
+              title="Document"
+              src={request.document_file_url}
+              sandbox=""
+              className="w-full h-72 rounded-lg border bg-white"
+            />
+          )}
+          <a
+            href={request.document_file_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline"
+          >
+            <ExternalLink className="h-4 w-4" />
+            Open document
+          </a>
+
+          {isDeclining ? (
+            <div className="space-y-2">
+              <Label>Reason for declining</Label>
+              <Textarea
+                value={declineReason}
+                onChange={(e) => setDeclineReason(e.target.value)}
+                placeholder="Let HR know what needs to change"
+                rows={3}
+              />
+            </div>
+          ) : (
+            <>
+              <div className="space-y-2">
+                <Label>Your signature</Label>
+                <SignaturePad onChange={setSignature} defaultName={signer?.name || ''} />
+              </div>
+              <label className="flex items-start gap-3 text-sm text-gray-700">
+                <Checkbox checked={consent} onCheckedChange={(checked) => setConsent(checked === true)} className="mt-0.5" />
+                {ESIGN_CONSENT}
+              </label>
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          {isDeclining ? (
+            <>
+              <Button variant="outline" onClick={() => setIsDeclining(false)}>Back</Button>
+              <Button variant="destructive" onClick={handleDecline} disabled={!declineReason.trim() || isSubmitting}>
+                {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Decline to Sign
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" className="text-red-600" onClick={() => { setSignature(null); setIsDeclining(true); }}>Decline</Button>
+              <Button onClick={handleSign} disabled={!signature || !consent || isSubmitting}>
+                {isSubmitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <PenLine className="h-4 w-4 mr-2" />}
+                Sign
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
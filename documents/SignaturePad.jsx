@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Eraser } from 'lucide-react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const TYPED_FONT = 'italic 56px "Segoe Script", "Brush Script MT", "Snell Roundhand", cursive';
+
+function clearCanvas(canvas) {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  return ctx;
+}
+
+function toJpeg(canvas) {
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+}
+
+/**
+ * Draw or type a signature. Calls `onChange` with
+ * { method: 'drawn' | 'typed', image: Blob (JPEG), typedName } or null
+ * while there is nothing to sign with.
+ */
+export default function SignaturePad({ onChange, defaultName = '' }) {
+  const [method, setMethod] = useState('drawn');
+  const [typedName, setTypedName] = useState(defaultName);
+  const [hasStrokes, setHasStrokes] = useState(false);
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+
+  useEffect(() => {
+    if (canvasRef.current) clearCanvas(canvasRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (method === 'typed') emitTyped(typedName);
+    else if (hasStrokes) toJpeg(canvasRef.current).then(image => onChange({ method: 'drawn', image, typedName: null }));
+    else onChange(null);
+  }, [method]);
+
+  const emitTyped = async (name) => {
+    if (!name.trim()) {
+      onChange(null);
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = clearCanvas(canvas);
+    ctx.fillStyle = '#111827';
+    ctx.font = TYPED_FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name.trim(), WIDTH / 2, HEIGHT / 2, WIDTH - 40);
+    onChange({ method: 'typed', image: await toJpeg(canvas), typedName: name.trim() });
+  };
+
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * WIDTH,
+      y: ((e.clientY - rect.top) / rect.height) * HEIGHT,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const handlePointerUp = async () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    setHasStrokes(true);
+    onChange({ method: 'drawn', image: await toJpeg(canvasRef.current), typedName: null });
+  };
+
+  const handleClear = () => {
+    clearCanvas(canvasRef.current);
+    setHasStrokes(false);
+    onChange(null);
+  };
+
+  return (
+    <Tabs value={method} onValueChange={setMethod}>
+      <TabsList>
+        <TabsTrigger value="drawn">Draw</TabsTrigger>
+        <TabsTrigger value="typed">Type</TabsTrigger>
+      </TabsList>
+
+      <TabsContent value="drawn" forceMount className={method === 'drawn' ? 'mt-3' : 'hidden'}>
+        <div className="relative">
+          <canvas
+            ref={canvasRef}
+            width={WIDTH}
+            height={HEIGHT}
+            className="w-full h-40 rounded-lg border border-dashed border-gray-300 bg-white touch-none cursor-crosshair"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          />
+          {!hasStrokes && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-400 pointer-events-none">
+              Sign here
+            </p>
+          )}
+        </div>
+        <Button variant="ghost" size="sm" className="mt-1" onClick={handleClear} disabled={!hasStrokes}>
+          <Eraser className="h-4 w-4 mr-1" />
+          Clear
+        </Button>
+      </TabsContent>
+
+      <TabsContent value="typed" className="mt-3 space-y-3">
+        <Input
+          value={typedName}
+          onChange={(e) => {
+            setTypedName(e.target.value);
+            emitTyped(e.target.value);
+          }}
+          placeholder="Type your full name"
+        />
+        <div
+          className="h-24 rounded-lg border bg-white flex items-center justify-center text-gray-900 overflow-hidden"
+          style={{ font: TYPED_FONT.replace('56px', '40px') }}
+        >
+          {typedName.trim()}
+        </div>
+      </TabsContent>
+    </Tabs>
+  );
+}
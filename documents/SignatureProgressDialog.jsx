@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, CheckCircle2, Clock, XCircle, Download } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import {
+  SIGNER_ROLES,
+  SIGNER_STATUSES,
+  SIGNATURE_REQUEST_STATUSES,
+  SIGNATURE_EVENT_LABELS,
+  getSignatureRequestForDocument,
+  cancelSignatureRequest,
+  isReadyToSeal,
+  sealSignatureRequest,
+} from '@/components/utils/documentSigning';
+
+const STATUS_COLORS = {
+  pending: 'bg-amber-100 text-amber-700',
+  completed: 'bg-green-100 text-green-700',
+  declined: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+const SIGNER_ICONS = {
+  signed: <CheckCircle2 className="h-4 w-4 text-green-600" />,
+  declined: <XCircle className="h-4 w-4 text-red-600" />,
+  pending: <Clock className="h-4 w-4 text-amber-500" />,
+  waiting: <Clock className="h-4 w-4 text-gray-300" />,
+};
+
+const formatTime = (iso) => (iso ? format(new Date(iso), 'd MMM yyyy, h:mm a') : '');
+
+/**
+ * Signers and audit trail of a document's signature request. Admins can
+ * cancel a pending request or retry sealing after a failure.
+ */
+export default function SignatureProgressDialog({ open, onClose, document, isAdmin = false, currentUser, onChanged }) {
+  const [request, setRequest] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!open || !document) return;
+    setIsLoading(true);
+    getSignatureRequestForDocument(document.id)
+      .then(setRequest)
+      .catch(error => console.error('Error loading signature request:', error))
+      .finally(() => setIsLoading(false));
+  }, [open, document?.id]);
+
+  const handleCancel = async () => {
+    if (!confirm('Cancel this signature request? Signatures collected so far will be discarded.')) return;
+    setIsWorking(true);
+    try {
+      const result = await cancelSignatureRequest(request, currentUser);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Signature request cancelled');
+      onChanged?.();
+      onClose();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleSeal = async () => {
+    setIsWorking(true);
+    try {
+      const result = await sealSignatureRequest(request);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Signed PDF saved');
+      setRequest(result.request);
+      onChanged?.();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Signatures</DialogTitle>
+          {document && <DialogDescription>{request?.document_file_name || document.file_name}</DialogDescription>}
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
+          </div>
+        ) : !request ? (
+          <p className="text-sm text-gray-500 text-center py-6">This document has not been sent for signature</p>
+        ) : (
+          <div className="space-y-5">
+            <div className="flex items-center justify-between">
+              <Badge className={STATUS_COLORS[request.status]}>
+                {SIGNATURE_REQUEST_STATUSES[request.status] || request.status}
+              </Badge>
+              {request.signed_file_url && (
+                <a href={request.signed_file_url} target="_blank" rel="noopener noreferrer" className="text-sm text-indigo-600 hover:underline flex items-center gap-1">
+                  <Download className="h-4 w-4" />
+                  Signed PDF
+                </a>
+              )}
+            </div>
+
+            <ol className="space-y-2">
+              {request.signers.map((signer, i) => (
+                <li key={i} className="flex items-start gap-3 p-3 rounded-lg border">
+                  <div className="mt-0.5">{SIGNER_ICONS[signer.status]}</div>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {signer.name}
+                      <span className="font-normal text-gray-500"> · {SIGNER_ROLES[signer.role]}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {SIGNER_STATUSES[signer.status]}
+                      {signer.signed_at && ` ${formatTime(signer.signed_at)}`}
+                      {signer.ip_address && ` from ${signer.ip_address}`}
+                    </p>
+                    {signer.decline_reason && (
+                      <p className="text-xs text-red-600 mt-1">{signer.decline_reason}</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            <div>
+              <p className="text-sm font-medium text-gray-900 mb-2">History</p>
+              <ul className="space-y-1.5">
+                {(request.events || []).map((event, i) => (
+                  <li key={i} className="text-xs text-gray-600">
+                    <span className="text-gray-400">{formatTime(event.at)}</span>
+                    {' · '}
+                    {SIGNATURE_EVENT_LABELS[event.type] || event.type}
+                    {event.name && ` by ${event.name}`}
+                    {event.ip_address && ` (${event.ip_address})`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          {isAdmin && isReadyToSeal(request) && (
+            <Button onClick={handleSeal} disabled={isWorking}>
+              {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Create Signed PDF
+            </Button>
+          )}
+          {isAdmin && request?.status === 'pending' && !isReadyToSeal(request) && (
+            <Button variant="outline" className="text-red-600" onClick={handleCancel} disabled={isWorking}>
+              Cancel Request
+            </Button>
+          )}
+          <Button variant="outline" onClick={onClose}>Close</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Download, Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { getTemplateVersions, MERGEABLE_FORMATS } from '@/components/utils/documentGeneration';
+
+const Employee = base44.entities.Employee;
+
+/**
+ * Saved versions of a document template, newest first.
+ */
+export default function TemplateVersionHistory({ template }) {
+  const [versions, setVersions] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadVersions();
+  }, [template.id]);
+
+  const loadVersions = async () => {
+    setIsLoading(true);
+    try {
+      const [vers, emps] = await Promise.all([
+        getTemplateVersions(template.id),
+        Employee.list(),
+      ]);
+      setVersions(vers);
+      setEmployees(emps);
+    } catch (error) {
+      console.error('Error loading template versions:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getAuthorName = (userId) => {
+    const emp = employees.find(e => e.user_id === userId || e.id === userId);
+    return emp ? `${emp.first_name} ${emp.last_name}` : 'Unknown';
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-6">No versions saved yet</p>;
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Version</TableHead>
+          <TableHead>Format</TableHead>
+          <TableHead>Merge Fields</TableHead>
+          <TableHead>Saved</TableHead>
+          <TableHead className="w-12"></TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {versions.map(version => (
+          <TableRow key={version.id}>
+            <TableCell>
+              <div className="flex items-center gap-2">
+                <span className="font-medium">v{version.version_number}</span>
+                {version.id === template.current_version_id && (
+                  <Badge className="bg-green-100 text-green-700 text-xs">Current</Badge>
+                )}
+              </div>
+              {version.notes && <p className="text-xs text-gray-500 mt-0.5">{version.notes}</p>}
+            </TableCell>
+            <TableCell className="text-sm">{MERGEABLE_FORMATS[version.format] || 'File'}</TableCell>
+            <TableCell className="text-sm text-gray-600">{(version.merge_fields || []).length}</TableCell>
+            <TableCell className="text-sm text-gray-500">
+              {version.created_date && format(new Date(version.created_date), 'MMM d, yyyy')}
+              <p className="text-xs">{getAuthorName(version.created_by_id)}</p>
+            </TableCell>
+            <TableCell>
+              {version.file_url && (
+                <Button variant="ghost" size="icon" className="h-8 w-8" asChild>
+                  <a href={version.file_url} target="_blank" rel="noopener noreferrer">
+                    <Download className="h-4 w-4" />
+                  </a>
+                </Button>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
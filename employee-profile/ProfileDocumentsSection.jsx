@@ -31,11 +31,17 @@ import {
   History,
   Eye,
   EyeOff,
-  Filter
+  Filter,
+  FileSignature,
+  PenLine
 } from 'lucide-react';
 import { format, isPast, addDays } from 'date-fns';
 import DocumentUploader from '@/components/documents/DocumentUploader';
 import DocumentVersionUploader from '@/components/documents/DocumentVersionUploader';
+import GenerateDocumentDialog from '@/components/documents/GenerateDocumentDialog';
+import RequestSignatureDialog from '@/components/documents/RequestSignatureDialog';
+import SignatureProgressDialog from '@/components/documents/SignatureProgressDialog';
+import { SIGNATURE_REQUEST_STATUSES, canRequestSignature } from '@/components/utils/documentSigning';
 
 const Document = base44.entities.Document;
 const Employee = base44.entities.Employee;
@@ -51,6 +57,12 @@ const CATEGORIES = [
   { value: 'other', label: 'Other' },
 ];
 
+const SIGNATURE_STATUS_COLORS = {
+  pending: 'bg-amber-100 text-amber-700',
+  signed: 'bg-green-100 text-green-700',
+  declined: 'bg-red-100 text-red-700',
+};
+
 const VISIBILITY_LABELS = {
   employee: 'Employee',
   manager: 'Manager',
@@ -70,6 +82,9 @@ export default function ProfileDocumentsSection({
   const [isLoading, setIsLoading] = useState(true);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [showVersionModal, setShowVersionModal] = useState(false);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [signatureDocument, setSignatureDocument] = useState(null);
+  const [progressDocument, setProgressDocument] = useState(null);
   const [selectedDocument, setSelectedDocument] = useState(null);
   
   // Filters
@@ -189,12 +204,20 @@ export default function ProfileDocumentsSection({
           <h2 className="text-lg font-semibold text-gray-900">
             Documents {documentCount > 0 && `(${documentCount})`}
           </h2>
-          {canUpload() && (
-            <Button size="sm" onClick={() => setShowUploadModal(true)}>
-              <Plus className="h-4 w-4 mr-1" />
-              Upload Document
-            </Button>
-          )}
+          <div className="flex items-center gap-2">
+            {isAdmin && (
+              <Button size="sm" variant="outline" onClick={() => setShowGenerateModal(true)}>
+                <FileSignature className="h-4 w-4 mr-1" />
+                Generate from Template
+              </Button>
+            )}
+            {canUpload() && (
+              <Button size="sm" onClick={() => setShowUploadModal(true)}>
+                <Plus className="h-4 w-4 mr-1" />
+                Upload Document
+              </Button>
+            )}
+          </div>
         </div>
 
         {/* Filters */}
@@ -272,6 +295,13 @@ export default function ProfileDocumentsSection({
                       <div className="flex items-center gap-2">
                         <FileText className="h-4 w-4 text-gray-400" />
                         <span className="font-medium truncate max-w-[200px]">{doc.file_name}</span>
+                        {doc.signature_status && (
+                          <button type="button" onClick={() => setProgressDocument(doc)}>
+                            <Badge className={`text-xs ${SIGNATURE_STATUS_COLORS[doc.signature_status] || ''}`}>
+                              {doc.signature_status === 'signed' ? 'Signed' : SIGNATURE_REQUEST_STATUSES[doc.signature_status]}
+                            </Badge>
+                          </button>
+                        )}
                       </div>
                     </TableCell>
                     <TableCell className="text-gray-500 text-sm">
@@ -315,6 +345,17 @@ export default function ProfileDocumentsSection({
                             <Download className="h-4 w-4" />
                           </Button>
                         </a>
+                        {isAdmin && canRequestSignature(doc) && !['pending', 'signed'].includes(doc.signature_status) && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8"
+                            onClick={() => setSignatureDocument(doc)}
+                            title="Request signatures"
+                          >
+                            <PenLine className="h-4 w-4" />
+                          </Button>
+                        )}
                         {canEditDocument(doc) && (
                           <>
                             <Button 
@@ -363,6 +404,40 @@ export default function ProfileDocumentsSection({
           </DialogContent>
         </Dialog>
 
+        {/* Generate Modal */}
+        {isAdmin && (
+          <GenerateDocumentDialog
+            open={showGenerateModal}
+            onClose={() => setShowGenerateModal(false)}
+            employee={employee}
+            currentUser={currentUser}
+            onGenerated={(doc) => {
+              loadDocuments();
+              setSignatureDocument(doc);
+            }}
+          />
+        )}
+
+        {/* Signature Modals */}
+        {isAdmin && (
+          <RequestSignatureDialog
+            open={!!signatureDocument}
+            onClose={() => setSignatureDocument(null)}
+            document={signatureDocument}
+            employee={employee}
+            currentUser={currentUser}
+            onRequested={loadDocuments}
+          />
+        )}
+        <SignatureProgressDialog
+          open={!!progressDocument}
+          onClose={() => setProgressDocument(null)}
+          document={progressDocument}
+          isAdmin={isAdmin}
+          currentUser={currentUser}
+          onChanged={loadDocuments}
+        />
+
         {/* Version Upload Modal */}
         <Dialog open={showVersionModal} onOpenChange={setShowVersionModal}>
           <DialogContent className="max-w-lg">
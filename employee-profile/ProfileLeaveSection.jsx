@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { base44 } from '@/api/base44Client';
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { Clock, Calendar, Loader2 } from 'lucide-react';
+import { Clock, Calendar, Loader2, ListOrdered } from 'lucide-react';
 import { format, parseISO, isBefore, startOfToday } from 'date-fns';
 import LeaveBalanceTiles from '@/components/leave/LeaveBalanceTiles';
+import LeaveBalanceStatement from '@/components/leave/LeaveBalanceStatement';
+import LongServiceLeaveSummary from '@/components/leave/LongServiceLeaveSummary';
 import { subscribeToLeaveCache, getLeaveEngineCacheVersion } from '@/components/utils/leaveEngineCache';
 
 const LeaveRequest = base44.entities.LeaveRequest;
@@ -89,6 +91,20 @@ export default function ProfileLeaveSection({ employee }) {
             <h3 className="text-lg font-semibold text-gray-900">Leave Balances</h3>
           </div>
           <LeaveBalanceTiles employeeId={employee.id} refreshKey={balanceRefreshKey} />
+          <div className="mt-4">
+            <LongServiceLeaveSummary employee={employee} />
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Balance statement from the leave ledger */}
+      <Card>
+        <CardContent className="p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <ListOrdered className="h-5 w-5 text-gray-400" />
+            <h3 className="text-lg font-semibold text-gray-900">Balance Statement</h3>
+          </div>
+          <LeaveBalanceStatement employeeId={employee.id} refreshKey={balanceRefreshKey} />
         </CardContent>
       </Card>
 
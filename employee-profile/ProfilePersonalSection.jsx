@@ -29,6 +29,9 @@ export default function ProfilePersonalSection({ employee, canEdit, onUpdate })
       state: employee.state || '',
       postcode: employee.postcode || '',
       country: employee.country || '',
+      emergency_contact_name: employee.emergency_contact_name || '',
+      emergency_contact_relationship: employee.emergency_contact_relationship || '',
+      emergency_contact_phone: employee.emergency_contact_phone || '',
     });
     setIsEditing(true);
   };
@@ -169,6 +172,15 @@ export default function ProfilePersonalSection({ employee, canEdit, onUpdate })
           <Field label="Country" value={employee.country} field="country" />
         </div>
 
+        <hr className="my-6" />
+
+        <h3 className="font-medium text-gray-900 mb-4">Emergency Contact</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          <Field label="Name" value={employee.emergency_contact_name} field="emergency_contact_name" />
+          <Field label="Relationship" value={employee.emergency_contact_relationship} field="emergency_contact_relationship" />
+          <Field label="Phone" value={employee.emergency_contact_phone} field="emergency_contact_phone" />
+        </div>
+
         {canEdit === 'self' && (
           <p className="text-xs text-gray-400 mt-6">
             You can edit: {SELF_EDITABLE_FIELDS.join(', ')}
@@ -14,6 +14,9 @@ import { format } from 'date-fns';
 import { updateEmployeeWithTracking } from '@/components/automation/profileChangeEngine';
 import { getValidManagerOptions, validateManagerAssignment } from '@/components/utils/managerValidation';
 import { recalculateAllBalancesForEmployee } from '@/components/utils/leaveAccrual';
+import { hasCustomWorkPattern, getWorkPattern, describeWorkPattern, validateWorkPattern } from '@/components/utils/workPattern';
+import { parseSkills } from '@/components/utils/staffingRules';
+import WorkPatternEditor from './WorkPatternEditor';
 
 const Employee = base44.entities.Employee;
 const Department = base44.entities.Department;
@@ -88,11 +91,15 @@ export default function ProfileWorkSection({ employee, manager, department, canE
   const startEditing = () => {
     setFormData({
       job_title: employee.job_title || '',
+      skills: (Array.isArray(employee.skills) ? employee.skills : []).join(', '),
       department_id: employee.department_id || '',
+      cost_centre: employee.cost_centre || '',
       entity_id: employee.entity_id || '',
       manager_id: employee.manager_id || '',
       employment_type: employee.employment_type || 'full_time',
+      visa_required: employee.visa_required === true,
       hours_per_week: employee.hours_per_week || '',
+      work_pattern: hasCustomWorkPattern(employee) ? employee.work_pattern : null,
       employment_agreement_id: employee.employment_agreement_id || '',
       service_start_date: employee.service_start_date || employee.start_date || '',
       entity_start_date: employee.entity_start_date || employee.start_date || '',
@@ -183,6 +190,14 @@ export default function ProfileWorkSection({ employee, manager, department, canE
       setSaveError(validation.error);
       return;
     }
+
+    if (formData.work_pattern) {
+      const patternErrors = validateWorkPattern(formData.work_pattern);
+      if (patternErrors.length > 0) {
+        setSaveError(patternErrors[0]);
+        return;
+      }
+    }
     
     setIsSaving(true);
     try {
@@ -191,7 +206,8 @@ export default function ProfileWorkSection({ employee, manager, department, canE
       const newStartDate = formData.service_start_date;
       const startDateChanged = oldStartDate !== newStartDate && newStartDate;
       
-      await updateEmployeeWithTracking(employee.id, formData);
+      const updates = { ...formData, skills: parseSkills(formData.skills) };
+      await updateEmployeeWithTracking(employee.id, updates);
       
       // Recalculate leave balances if employment start date changed
       if (startDateChanged) {
@@ -199,7 +215,7 @@ export default function ProfileWorkSection({ employee, manager, department, canE
         await recalculateAllBalancesForEmployee(employee.id);
       }
       
-      await onUpdate(formData);
+      await onUpdate(updates);
       setIsEditing(false);
       setManagerWarning(null);
     } catch (error) {
@@ -293,6 +309,27 @@ export default function ProfileWorkSection({ employee, manager, department, canE
             )}
           </div>
 
+          {/* Skills - used by staffing rules */}
+          <div>
+            <Label className="text-xs text-gray-500">Skills</Label>
+            {isEditing ? (
+              <Input
+                value={formData.skills}
+                onChange={(e) => setFormData({ ...formData, skills: e.target.value })}
+                placeholder="e.g. First Aid, Forklift"
+                className="mt-1"
+              />
+            ) : Array.isArray(employee.skills) && employee.skills.length > 0 ? (
+              <div className="flex flex-wrap gap-1 mt-1">
+                {employee.skills.map(skill => (
+                  <Badge key={skill} variant="outline">{skill}</Badge>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-900 mt-1">—</p>
+            )}
+          </div>
+
           {/* Entity */}
           <div>
             <Label className="text-xs text-gray-500">Company Entity</Label>
@@ -339,6 +376,21 @@ export default function ProfileWorkSection({ employee, manager, department, canE
             )}
           </div>
 
+          {/* Cost Centre - used by the leave liability report */}
+          <div>
+            <Label className="text-xs text-gray-500">Cost Centre</Label>
+            {isEditing ? (
+              <Input
+                value={formData.cost_centre}
+                onChange={(e) => setFormData({ ...formData, cost_centre: e.target.value })}
+                placeholder="e.g. 4100"
+                className="mt-1"
+              />
+            ) : (
+              <p className="text-gray-900 mt-1">{employee.cost_centre || '—'}</p>
+            )}
+          </div>
+
           {/* Manager - Smart Dropdown */}
           <div>
             <Label className="text-xs text-gray-500">Reports To</Label>
@@ -423,6 +475,27 @@ export default function ProfileWorkSection({ employee, manager, department, canE
             )}
           </div>
 
+          {/* Visa Required - used by conditional onboarding tasks */}
+          <div>
+            <Label className="text-xs text-gray-500">Visa Required</Label>
+            {isEditing ? (
+              <Select
+                value={formData.visa_required ? 'yes' : 'no'}
+                onValueChange={(v) => setFormData({ ...formData, visa_required: v === 'yes' })}
+              >
+                <SelectTrigger className="mt-1">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="no">No</SelectItem>
+                  <SelectItem value="yes">Yes</SelectItem>
+                </SelectContent>
+              </Select>
+            ) : (
+              <p className="text-gray-900 mt-1">{employee.visa_required ? 'Yes' : 'No'}</p>
+            )}
+          </div>
+
           {/* Hours per Week */}
           <div>
             <Label className="text-xs text-gray-500">Hours per Week</Label>
@@ -563,6 +636,24 @@ export default function ProfileWorkSection({ employee, manager, department, canE
           )}
         </div>
 
+        {/* Work Pattern */}
+        <div className="mt-6 pt-6 border-t">
+          <Label className="text-xs text-gray-500 mb-3 block">Work Pattern</Label>
+          {isEditing ? (
+            <WorkPatternEditor
+              value={formData.work_pattern}
+              hoursPerWeek={formData.hours_per_week || undefined}
+              onChange={(pattern) => setFormData(prev => ({ ...prev, work_pattern: pattern }))}
+            />
+          ) : (
+            <p className="text-gray-900 text-sm">
+              {hasCustomWorkPattern(employee)
+                ? describeWorkPattern(getWorkPattern(employee))
+                : 'Standard Monday–Friday'}
+            </p>
+          )}
+        </div>
+
         {/* Leadership Flags (only in edit mode) */}
         {isEditing && (
           <div className="mt-6 pt-6 border-t">
@@ -0,0 +1,123 @@
+import React from 'react';
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  WEEKDAY_ORDER,
+  DAY_LABELS,
+  buildDefaultWorkPattern,
+  getPatternWeeklyHours,
+} from '@/components/utils/workPattern';
+import { formatHours } from '@/components/utils/numberUtils';
+
+const EMPTY_WEEK = { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0, sat: 0, sun: 0 };
+
+/**
+ * Editor for an employee's weekly (or fortnightly) work pattern.
+ * A null value means "standard Monday–Friday" based on hours per week.
+ */
+export default function WorkPatternEditor({ value, hoursPerWeek, onChange }) {
+  const isCustom = !!value;
+  const pattern = value || buildDefaultWorkPattern(hoursPerWeek);
+  const cycleWeeks = pattern.cycle_weeks || pattern.weeks.length || 1;
+
+  const enableCustom = () => {
+    const base = buildDefaultWorkPattern(hoursPerWeek);
+    onChange({ cycle_weeks: 1, anchor_date: null, weeks: base.weeks });
+  };
+
+  const setCycleWeeks = (weeks) => {
+    const count = parseInt(weeks, 10);
+    const nextWeeks = [...pattern.weeks];
+    while (nextWeeks.length < count) nextWeeks.push({ ...(pattern.weeks[0] || EMPTY_WEEK) });
+    onChange({
+      ...pattern,
+      cycle_weeks: count,
+      weeks: nextWeeks.slice(0, count),
+    });
+  };
+
+  const setHours = (weekIndex, dayKey, hours) => {
+    const nextWeeks = pattern.weeks.map((week, i) =>
+      i === weekIndex ? { ...week, [dayKey]: hours === '' ? 0 : parseFloat(hours) } : week
+    );
+    onChange({ ...pattern, weeks: nextWeeks });
+  };
+
+  if (!isCustom) {
+    return (
+      <div className="text-sm text-gray-600">
+        Standard Monday–Friday week.{' '}
+        <button type="button" onClick={enableCustom} className="text-blue-600 hover:underline">
+          Set a custom work pattern
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <Label className="text-xs text-gray-500">Rotation</Label>
+          <Select value={String(cycleWeeks)} onValueChange={setCycleWeeks}>
+            <SelectTrigger className="mt-1 w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="1">Weekly</SelectItem>
+              <SelectItem value="2">Fortnightly</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        {cycleWeeks > 1 && (
+          <div>
+            <Label className="text-xs text-gray-500">Week 1 starts</Label>
+            <Input
+              type="date"
+              value={pattern.anchor_date || ''}
+              onChange={(e) => onChange({ ...pattern, anchor_date: e.target.value || null })}
+              className="mt-1"
+            />
+          </div>
+        )}
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="text-sm text-gray-500 hover:underline pb-2"
+        >
+          Revert to standard week
+        </button>
+      </div>
+
+      {pattern.weeks.slice(0, cycleWeeks).map((week, weekIndex) => (
+        <div key={weekIndex}>
+          {cycleWeeks > 1 && (
+            <p className="text-xs font-medium text-gray-500 mb-1">Week {weekIndex + 1}</p>
+          )}
+          <div className="grid grid-cols-7 gap-2">
+            {WEEKDAY_ORDER.map(dayKey => (
+              <div key={dayKey}>
+                <Label className="text-xs text-gray-500">{DAY_LABELS[dayKey]}</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="0.25"
+                  value={week[dayKey] || ''}
+                  placeholder="0"
+                  onChange={(e) => setHours(weekIndex, dayKey, e.target.value)}
+                  className="mt-1"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-500">
+        Average {formatHours(getPatternWeeklyHours(pattern))} hrs/wk. Leave is only charged on days with rostered hours, for the hours rostered on that day.
+      </p>
+    </div>
+  );
+}
@@ -146,7 +146,7 @@ export function EmployeeLeave({ employeeId, employee, user }) {
       });
 
       if (!result.success) {
-        setError(result.error || 'Failed to submit request');
+        setError(result.error === 'BLACKOUT_PERIOD' ? result.message : result.error || 'Failed to submit request');
         setIsSubmitting(false);
         return;
       }
@@ -298,7 +298,7 @@ export function EmployeeLeave({ employeeId, employee, user }) {
       )}
 
       {/* Leave balances */}
-      <LeaveBalancePanel balances={balances} policies={policies} />
+      <LeaveBalancePanel balances={balances} policies={policies} leaveTypes={leaveTypes} />
 
       {/* Leave history */}
       <Card>
@@ -0,0 +1,150 @@
+/**
+ * Escalate Leave Approvals (scheduled backend function)
+ *
+ * Runs daily as a scheduled automation. Pending approval steps that have
+ * waited longer than their chain's escalate_after_days pass to the
+ * approver's own manager, or to HR at the top. Step shapes match
+ * components/utils/leaveApprovalChain; the escalated approver (and anyone
+ * acting for them) is notified as notifyStepApprover does.
+ *
+ * Safe to run more than once a day: a step is only escalated once it is
+ * overdue, and the new step starts its own clock.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk';
+import { differenceInCalendarDays, format, parseISO } from 'npm:date-fns@3';
+
+const APP_BASE_URL = 'https://app.founderscrew.com';
+
+function newStep(approverType, approverId, extra = {}) {
+  return {
+    approver_type: approverType,
+    approver_id: approverId,
+    status: 'waiting',
+    started_at: null,
+    acted_by_id: null,
+    acted_at: null,
+    comment: null,
+    delegated_from_id: null,
+    escalated_from_id: null,
+    ...extra,
+  };
+}
+
+async function notifyEscalatedApprover(db, step, request, employee, employeeMap) {
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const delegations = await db.entities.LeaveApprovalDelegation.filter({ delegator_id: step.approver_id });
+  const delegateIds = delegations
+    .filter((d) => d.is_active !== false && d.start_date <= today && d.end_date >= today)
+    .map((d) => d.delegate_id);
+
+  const employeeName = `${employee?.preferred_name || employee?.first_name || 'An employee'} ${employee?.last_name || ''}`.trim();
+  const title = 'Leave request escalated to you';
+  const message = `${employeeName}'s leave request from ${request.start_date} to ${request.end_date} needs your approval`;
+
+  for (const id of [step.approver_id, ...delegateIds]) {
+    const userId = employeeMap.get(id)?.user_id;
+    if (!userId) continue;
+
+    await db.entities.Notification.create({
+      user_id: userId,
+      type: 'leave_submitted',
+      title,
+      message,
+      link: '/LeaveApprovals',
+      is_read: false,
+      created_at: new Date().toISOString(),
+      related_employee_id: request.employee_id,
+      related_request_id: request.id,
+    });
+
+    // Email unless the recipient has turned off leave request emails
+    const [prefs] = await db.entities.UserNotificationPreferences.filter({ user_id: userId });
+    if (prefs?.email_leave_requests === false) continue;
+    const [user] = await db.entities.User.filter({ id: userId });
+    if (!user?.email) continue;
+    try {
+      await db.integrations.Core.SendEmail({
+        to: user.email,
+        subject: title,
+        body: `${message}\n\nView in FoundersCreW: ${APP_BASE_URL}/LeaveApprovals`,
+      });
+    } catch (error) {
+      console.error('Error emailing escalated approver:', error);
+    }
+  }
+}
+
+Deno.serve(async (req) => {
+  const base44 = createClientFromRequest(req);
+
+  // The scheduler calls without a user; people may only run it as admins
+  const user = await base44.auth.me().catch(() => null);
+  if (user && user.role !== 'admin') {
+    return Response.json({ error: 'Forbidden' }, { status: 403 });
+  }
+
+  const db = base44.asServiceRole;
+  const pending = await db.entities.LeaveRequest.filter({ status: 'pending' });
+  const candidates = pending.filter((r) =>
+    Number(r.escalate_after_days) > 0 &&
+    Array.isArray(r.approval_steps) &&
+    r.approval_steps[r.current_step || 0]
+  );
+  if (candidates.length === 0) {
+    return Response.json({ checked: 0, escalated: 0 });
+  }
+
+  const employees = await db.entities.Employee.list();
+  const employeeMap = new Map(employees.map((e) => [e.id, e]));
+  const now = new Date();
+  let escalated = 0;
+
+  for (const request of candidates) {
+    const index = request.current_step || 0;
+    const step = request.approval_steps[index];
+    if (step.status !== 'pending' || step.approver_type === 'hr' || !step.started_at) continue;
+
+    const waited = differenceInCalendarDays(now, parseISO(step.started_at));
+    if (waited < request.escalate_after_days) continue;
+
+    const nextApproverId = employeeMap.get(step.approver_id)?.manager_id || null;
+    const escalatedStep = newStep(nextApproverId ? 'manager' : 'hr', nextApproverId, {
+      status: 'pending',
+      started_at: now.toISOString(),
+      escalated_from_id: step.approver_id,
+    });
+
+    const steps = [...request.approval_steps];
+    steps[index] = { ...step, status: 'escalated', acted_at: now.toISOString() };
+    steps.splice(index + 1, 0, escalatedStep);
+
+    await db.entities.LeaveRequest.update(request.id, {
+      approval_steps: steps,
+      current_step: index + 1,
+    });
+
+    if (nextApproverId) {
+      try {
+        await notifyEscalatedApprover(db, escalatedStep, request, employeeMap.get(request.employee_id), employeeMap);
+      } catch (error) {
+        console.error('Error notifying escalated approver:', error);
+      }
+    }
+
+    await db.entities.AuditEvent.create({
+      actor_user_id: null,
+      event_type: 'leave_approval_escalated',
+      entity_type: 'LeaveRequest',
+      entity_id: request.id,
+      related_employee_id: request.employee_id,
+      description: `Escalated leave approval after ${waited} days pending (scheduled)`,
+      metadata: { fromApproverId: step.approver_id, toApproverId: nextApproverId },
+      created_at: now.toISOString(),
+    });
+
+    escalated++;
+  }
+
+  return Response.json({ checked: candidates.length, escalated });
+});
@@ -0,0 +1,225 @@
+/**
+ * Leave Calendar Feed (public backend function)
+ *
+ * GET ?token=<CalendarFeedToken.token> returns the token owner's leave
+ * calendar as text/calendar, for calendar clients to subscribe to. Calendar
+ * clients cannot sign in, so the token is the only credential: it is looked
+ * up with the service role, and the owner's current access is re-checked on
+ * every fetch so revoked access or a reset link stops the feed.
+ *
+ * The calendar matches buildLeaveCalendarIcs in components/utils/leaveIcs
+ * (same window, events and UIDs); team visibility follows canViewTeamTimeOff
+ * and getVisibleEmployeeIdsForLeave in components/utils/permissions.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk';
+import { format, addDays, addMonths, subMonths, parseISO } from 'npm:date-fns@3';
+
+const SCOPE_NAMES = {
+  personal: 'My leave',
+  team: 'Team leave',
+};
+
+const FEED_MONTHS_BACK = 3;
+const FEED_MONTHS_AHEAD = 12;
+
+const PRODID = '-//HR Platform//Leave Calendar//EN';
+
+// ============================================
+// RFC 5545 formatting
+// ============================================
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatIcsDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function buildIcsCalendar({ name, events }) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  for (const event of events) {
+    // DTEND is exclusive for all-day events
+    const endExclusive = format(addDays(parseISO(event.endDate), 1), 'yyyy-MM-dd');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(endExclusive)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    lines.push('STATUS:CONFIRMED', 'TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function partialDayLabel(partialDayType) {
+  if (partialDayType === 'half_am') return ' (AM)';
+  if (partialDayType === 'half_pm') return ' (PM)';
+  if (partialDayType === 'hours') return ' (part day)';
+  return '';
+}
+
+// ============================================
+// Access
+// ============================================
+
+function hasAdminPowers(user, preferences) {
+  return ['admin', 'owner'].includes(user.role) && (preferences?.acting_mode || 'admin') === 'admin';
+}
+
+function canViewTeamTimeOff(user, employee, preferences, hasDirectReports) {
+  if (hasAdminPowers(user, preferences)) return true;
+  if ((preferences?.acting_mode || 'admin') !== 'admin') return false;
+  return user.role === 'manager' || employee.is_manager === true || hasDirectReports;
+}
+
+function getVisibleEmployeeIds(user, employee, preferences, activeEmployees) {
+  if (hasAdminPowers(user, preferences)) {
+    return new Set(activeEmployees.map((e) => e.id));
+  }
+  const visible = new Set([employee.id]);
+  if (employee.is_manager) {
+    activeEmployees.filter((e) => e.manager_id === employee.id).forEach((e) => visible.add(e.id));
+  }
+  return visible;
+}
+
+function notFound() {
+  return new Response('Calendar feed not found', { status: 404 });
+}
+
+Deno.serve(async (req) => {
+  const token = new URL(req.url).searchParams.get('token');
+  if (!token) return notFound();
+
+  const db = createClientFromRequest(req).asServiceRole;
+
+  const [feed] = await db.entities.CalendarFeedToken.filter({ token, is_active: true });
+  if (!feed || !SCOPE_NAMES[feed.scope]) return notFound();
+
+  const [[user], [employee], [preferences], activeEmployees] = await Promise.all([
+    db.entities.User.filter({ id: feed.user_id }),
+    db.entities.Employee.filter({ id: feed.employee_id }),
+    db.entities.UserPreferences.filter({ user_id: feed.user_id }),
+    db.entities.Employee.filter({ status: 'active' }),
+  ]);
+  if (!user || !employee || employee.status === 'terminated') return notFound();
+
+  const hasDirectReports = activeEmployees.some((e) => e.manager_id === employee.id);
+  if (feed.scope === 'team' && !canViewTeamTimeOff(user, employee, preferences, hasDirectReports)) {
+    return notFound();
+  }
+
+  const now = new Date();
+  const startDate = format(subMonths(now, FEED_MONTHS_BACK), 'yyyy-MM-dd');
+  const endDate = format(addMonths(now, FEED_MONTHS_AHEAD), 'yyyy-MM-dd');
+  const inWindow = (r) => r.status === 'approved' && r.end_date >= startDate && r.start_date <= endDate;
+
+  const leaveTypes = await db.entities.LeaveType.list();
+  const leaveTypeName = (id) => leaveTypes.find((t) => t.id === id)?.name || 'Leave';
+
+  const events = [];
+  if (feed.scope === 'team') {
+    const visibleIds = getVisibleEmployeeIds(user, employee, preferences, activeEmployees);
+    const employeeMap = new Map(activeEmployees.map((e) => [e.id, e]));
+    const departments = await db.entities.Department.list();
+    const requests = (await db.entities.LeaveRequest.list())
+      .filter((r) => visibleIds.has(r.employee_id) && inWindow(r));
+
+    for (const r of requests) {
+      const emp = employeeMap.get(r.employee_id);
+      events.push({
+        uid: `leave-${r.id}@leave-calendar`,
+        startDate: r.start_date,
+        endDate: r.end_date,
+        summary: `${emp ? `${emp.preferred_name || emp.first_name} ${emp.last_name}` : 'Unknown'} – ${leaveTypeName(r.leave_type_id)}${partialDayLabel(r.partial_day_type)}`,
+        description: departments.find((d) => d.id === emp?.department_id)?.name || null,
+      });
+    }
+  } else {
+    const requests = (await db.entities.LeaveRequest.filter({ employee_id: employee.id })).filter(inWindow);
+    for (const r of requests) {
+      events.push({
+        uid: `leave-${r.id}@leave-calendar`,
+        startDate: r.start_date,
+        endDate: r.end_date,
+        summary: `${leaveTypeName(r.leave_type_id)}${partialDayLabel(r.partial_day_type)}`,
+        // Reasons are private to the employee
+        description: r.reason,
+      });
+    }
+  }
+
+  // Global holidays plus the employee's entity's
+  const holidays = (await db.entities.PublicHoliday.filter({ is_active: true })).filter((h) =>
+    h.date >= startDate && h.date <= endDate &&
+    (!h.entity_id || h.entity_id === employee.entity_id)
+  );
+  for (const h of holidays) {
+    events.push({
+      uid: `holiday-${h.id}@leave-calendar`,
+      startDate: h.date,
+      endDate: h.date,
+      summary: `Public holiday: ${h.name}`,
+      description: h.state_region || null,
+    });
+  }
+
+  events.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  await db.entities.CalendarFeedToken.update(feed.id, { last_accessed_at: now.toISOString() });
+
+  return new Response(buildIcsCalendar({ name: SCOPE_NAMES[feed.scope], events }), {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'private, max-age=900',
+    },
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Record Signature Event (backend function)
+ *
+ * POST { request_id, event_type, event_at } after the browser appends an
+ * event to a SignatureRequest. Stamps that event with the caller's IP
+ * address and user agent as seen by the server, and for 'signed' and
+ * 'declined' events copies them onto the signer too, so the certificate of
+ * completion shows where each signature came from. Only the person the
+ * event belongs to can stamp it, and a stamped event is never changed.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk';
+
+const SIGNER_EVENT_TYPES = ['viewed', 'signed', 'declined'];
+
+function getCallerIp(req) {
+  const forwarded = req.headers.get('x-forwarded-for');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.headers.get('cf-connecting-ip') || req.headers.get('x-real-ip') || null;
+}
+
+Deno.serve(async (req) => {
+  const base44 = createClientFromRequest(req);
+  const user = await base44.auth.me().catch(() => null);
+  if (!user) {
+    return Response.json({ error: 'Sign in to record signature events' }, { status: 401 });
+  }
+
+  const { request_id: requestId, event_type: eventType, event_at: eventAt } = await req.json().catch(() => ({}));
+  if (!requestId || !eventType || !eventAt) {
+    return Response.json({ error: 'request_id, event_type and event_at are required' }, { status: 400 });
+  }
+
+  const db = base44.asServiceRole;
+  const [request] = await db.entities.SignatureRequest.filter({ id: requestId });
+  if (!request) {
+    return Response.json({ error: 'Signature request not found' }, { status: 404 });
+  }
+
+  const events = [...(request.events || [])];
+  const index = events.findIndex(e => e.type === eventType && e.at === eventAt);
+  if (index < 0) {
+    return Response.json({ error: 'Event not found' }, { status: 404 });
+  }
+  const event = events[index];
+  if (event.ip_address) {
+    return Response.json({ ip_address: event.ip_address });
+  }
+
+  // Signer events belong to the signer; sending and cancelling to HR
+  if (SIGNER_EVENT_TYPES.includes(event.type)) {
+    const signer = request.signers?.[event.signer_index];
+    const [employee] = signer ? await db.entities.Employee.filter({ id: signer.employee_id }) : [];
+    if (!signer || (signer.user_id !== user.id && employee?.user_id !== user.id)) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 });
+    }
+  } else if (!['admin', 'owner'].includes(user.role) && request.requested_by_id !== user.id) {
+    return Response.json({ error: 'Forbidden' }, { status: 403 });
+  }
+
+  const stamp = {
+    ip_address: getCallerIp(req),
+    user_agent: req.headers.get('user-agent') || null,
+  };
+  events[index] = { ...event, ...stamp };
+
+  const update = { events };
+  if (event.type === 'signed' || event.type === 'declined') {
+    update.signers = request.signers.map((s, i) => (i === event.signer_index ? { ...s, ...stamp } : s));
+  }
+  await db.entities.SignatureRequest.update(request.id, update);
+
+  return Response.json({ ip_address: stamp.ip_address });
+});
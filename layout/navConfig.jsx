@@ -19,6 +19,7 @@ export const navSections = [
     icon: Home,
     items: [
       { label: 'Home', page: 'Home' },
+      { label: 'Documents to Sign', page: 'SignDocuments' },
     ],
   },
   {
@@ -43,6 +44,7 @@ export const navSections = [
       { label: 'Leave Calendar', page: 'LeaveCalendar' },
       { label: 'Leave Summary', page: 'LeaveSummary', managerOrAdmin: true },
       { label: 'Leave Policies', page: 'LeavePolicies', adminOnly: true },
+      { label: 'Bulk Leave', page: 'BulkLeave', adminOnly: true },
     ],
   },
   {
@@ -71,6 +73,7 @@ export const navSections = [
     items: [
       { label: 'Standard Reports', page: 'ReportingOverview', managerOrAdmin: true, childPages: ['PeopleSummary', 'Demographics', 'PolicyAcknowledgementsReport'] },
       { label: 'Leave Summary', page: 'LeaveSummaryReport', adminOnly: true },
+      { label: 'Leave Liability', page: 'LeaveLiabilityReport', adminOnly: true },
       { label: 'Custom Reports', page: 'CustomReports', managerOrAdmin: true },
     ],
   },
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { UserCheck, X, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { createApprovalDelegation, cancelApprovalDelegation } from '@/components/utils/leaveApprovalChain';
+import { getDisplayName } from '@/components/utils/displayName';
+
+const LeaveApprovalDelegation = base44.entities.LeaveApprovalDelegation;
+
+/**
+ * Approval delegation
+ * Lets an approver hand their leave approvals to a colleague while they are
+ * away, and lists delegations given to or held by the current employee.
+ */
+export default function ApprovalDelegationCard({ currentEmployee, employees = [] }) {
+  const [given, setGiven] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [delegateId, setDelegateId] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [cancellingId, setCancellingId] = useState(null);
+
+  useEffect(() => {
+    if (currentEmployee?.id) {
+      loadDelegations();
+    }
+  }, [currentEmployee?.id]);
+
+  const loadDelegations = async () => {
+    try {
+      const today = format(new Date(), 'yyyy-MM-dd');
+      const [mine, toMe] = await Promise.all([
+        LeaveApprovalDelegation.filter({ delegator_id: currentEmployee.id }),
+        LeaveApprovalDelegation.filter({ delegate_id: currentEmployee.id }),
+      ]);
+      const isCurrent = (d) => d.is_active !== false && d.end_date >= today;
+      setGiven(mine.filter(isCurrent).sort((a, b) => a.start_date.localeCompare(b.start_date)));
+      setReceived(toMe.filter(isCurrent).sort((a, b) => a.start_date.localeCompare(b.start_date)));
+    } catch (error) {
+      console.error('Error loading approval delegations:', error);
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsSaving(true);
+    try {
+      const result = await createApprovalDelegation({
+        delegator: currentEmployee,
+        delegateId,
+        startDate,
+        endDate,
+        reason,
+      });
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Approvals delegated');
+      setDelegateId('');
+      setStartDate('');
+      setEndDate('');
+      setReason('');
+      await loadDelegations();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCancel = async (delegation) => {
+    setCancellingId(delegation.id);
+    try {
+      const result = await cancelApprovalDelegation(delegation);
+      if (!result.success) {
+        toast.error(result.error || 'Failed to cancel delegation');
+        return;
+      }
+      toast.success('Delegation cancelled');
+      await loadDelegations();
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  const nameFor = (id) => {
+    const emp = employees.find(e => e.id === id);
+    return emp ? getDisplayName(emp) : 'Unknown employee';
+  };
+
+  const formatRange = (d) =>
+    `${format(parseISO(d.start_date), 'dd MMM')} – ${format(parseISO(d.end_date), 'dd MMM yyyy')}`;
+
+  const candidates = employees
+    .filter(e => e.id !== currentEmployee?.id && e.status !== 'terminated')
+    .sort((a, b) => getDisplayName(a).localeCompare(getDisplayName(b)));
+
+  return (
+    <Card className="mb-6">
+      <CardContent className="p-4 space-y-4">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+            <UserCheck className="h-4 w-4 text-gray-400" />
+            Delegate approvals
+          </h2>
+          <p className="text-xs text-gray-500 mt-1">
+            Going away? Choose someone to approve leave on your behalf between two dates.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end">
+          <div className="sm:col-span-2">
+            <Label className="text-xs">Delegate to</Label>
+            <Select value={delegateId} onValueChange={setDelegateId}>
+              <SelectTrigger className="mt-1">
+                <SelectValue placeholder="Select employee" />
+              </SelectTrigger>
+              <SelectContent>
+                {candidates.map(emp => (
+                  <SelectItem key={emp.id} value={emp.id}>{getDisplayName(emp)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label htmlFor="delegation-start" className="text-xs">From</Label>
+            <Input id="delegation-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="mt-1" />
+          </div>
+          <div>
+            <Label htmlFor="delegation-end" className="text-xs">To</Label>
+            <Input id="delegation-end" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="mt-1" />
+          </div>
+          <Button onClick={handleCreate} disabled={isSaving || !delegateId || !startDate || !endDate}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Delegate
+          </Button>
+        </div>
+        <Input
+          placeholder="Reason (optional)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+
+        {(given.length > 0 || received.length > 0) && (
+          <div className="divide-y divide-gray-100 border rounded-lg text-sm">
+            {given.map(d => (
+              <div key={d.id} className="px-3 py-2 flex items-center justify-between gap-3">
+                <span>
+                  <span className="font-medium text-gray-900">{nameFor(d.delegate_id)}</span>
+                  <span className="text-gray-500"> approves for you · {formatRange(d)}</span>
+                </span>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleCancel(d)}
+                  disabled={cancellingId === d.id}
+                >
+                  {cancellingId === d.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <X className="h-4 w-4" />}
+                </Button>
+              </div>
+            ))}
+            {received.map(d => (
+              <div key={d.id} className="px-3 py-2 flex items-center justify-between gap-3">
+                <span>
+                  <span className="text-gray-500">You approve for </span>
+                  <span className="font-medium text-gray-900">{nameFor(d.delegator_id)}</span>
+                  <span className="text-gray-500"> · {formatRange(d)}</span>
+                </span>
+                <Badge variant="outline">Delegate</Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
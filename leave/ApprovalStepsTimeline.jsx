@@ -0,0 +1,55 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { Check, X, Clock, ArrowUpRight, ChevronRight } from 'lucide-react';
+import { APPROVER_TYPES, APPROVAL_STEP_STATUSES } from '@/components/utils/leaveApprovalChain';
+import { getDisplayName } from '@/components/utils/displayName';
+
+const STEP_STYLES = {
+  approved: { icon: Check, className: 'bg-green-50 text-green-700 border-green-200' },
+  declined: { icon: X, className: 'bg-red-50 text-red-700 border-red-200' },
+  escalated: { icon: ArrowUpRight, className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  pending: { icon: Clock, className: 'bg-blue-50 text-blue-700 border-blue-200' },
+  waiting: { icon: Clock, className: 'bg-gray-50 text-gray-500 border-gray-200' },
+};
+
+/**
+ * Compact approval chain for a leave request: one chip per step showing the
+ * approver, the step status and who acted (including delegates).
+ */
+export default function ApprovalStepsTimeline({ steps = [], employeesMap = {} }) {
+  if (!Array.isArray(steps) || steps.length === 0) return null;
+
+  const nameFor = (id) => (employeesMap[id] ? getDisplayName(employeesMap[id]) : null);
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      {steps.map((step, index) => {
+        const style = STEP_STYLES[step.status] || STEP_STYLES.waiting;
+        const Icon = style.icon;
+        const approverName = step.approver_type === 'hr'
+          ? APPROVER_TYPES.hr
+          : nameFor(step.approver_id) || APPROVER_TYPES[step.approver_type] || 'Approver';
+        const actedByDelegate = step.acted_by_id && step.acted_by_id !== step.approver_id && step.approver_type !== 'hr';
+
+        const details = [APPROVAL_STEP_STATUSES[step.status] || step.status];
+        if (step.acted_at) details.push(format(parseISO(step.acted_at), 'dd MMM'));
+        if (actedByDelegate && nameFor(step.acted_by_id)) details.push(`by ${nameFor(step.acted_by_id)} (delegate)`);
+        if (step.escalated_from_id) details.push('escalated');
+        if (step.comment) details.push(step.comment);
+
+        return (
+          <React.Fragment key={index}>
+            {index > 0 && <ChevronRight className="h-3 w-3 text-gray-300" />}
+            <span
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs ${style.className}`}
+              title={details.join(' · ')}
+            >
+              <Icon className="h-3 w-3" />
+              {approverName}
+            </span>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+}
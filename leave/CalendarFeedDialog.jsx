@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { CalendarPlus, Download, Copy, RefreshCw, Link2, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  CALENDAR_FEED_SCOPES,
+  downloadLeaveCalendarIcs,
+  getOrCreateCalendarFeed,
+  regenerateCalendarFeed,
+  getCalendarFeedUrl,
+} from '@/components/utils/leaveIcs';
+
+/**
+ * Export leave to a calendar app: download an .ics file or subscribe to a
+ * private feed URL. Team leave is offered only to users who can see it.
+ */
+export default function CalendarFeedDialog({ userContext }) {
+  const [open, setOpen] = useState(false);
+  const [feeds, setFeeds] = useState({});
+  const [busy, setBusy] = useState(null);
+
+  const scopes = userContext?.permissions?.canViewTeamTimeOff ? ['personal', 'team'] : ['personal'];
+
+  const run = async (key, action) => {
+    setBusy(key);
+    try {
+      await action();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDownload = (scope) => run(`download-${scope}`, async () => {
+    const result = await downloadLeaveCalendarIcs(userContext, scope);
+    if (!result.success) toast.error(result.error);
+  });
+
+  const handleGetLink = (scope) => run(`link-${scope}`, async () => {
+    const result = await getOrCreateCalendarFeed(userContext, scope);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setFeeds(prev => ({ ...prev, [scope]: result.feed }));
+  });
+
+  const handleReset = (scope) => run(`link-${scope}`, async () => {
+    const result = await regenerateCalendarFeed(userContext, feeds[scope]);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setFeeds(prev => ({ ...prev, [scope]: result.feed }));
+    toast.success('New link created. The old link no longer works.');
+  });
+
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Could not copy link');
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outline" size="sm" onClick={() => setOpen(true)}>
+        <CalendarPlus className="h-4 w-4 mr-1.5" />
+        Add to calendar
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Add leave to your calendar</DialogTitle>
+            <DialogDescription>
+              Approved leave and public holidays, for Outlook, Google Calendar or Apple Calendar.
+              Subscribed calendars update automatically; keep the link private.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-5">
+            {scopes.map(scope => {
+              const feed = feeds[scope];
+              const url = feed ? getCalendarFeedUrl(feed.token) : null;
+              return (
+                <div key={scope} className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-sm font-medium text-gray-900">{CALENDAR_FEED_SCOPES[scope]}</h3>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleDownload(scope)}
+                        disabled={busy === `download-${scope}`}
+                      >
+                        {busy === `download-${scope}`
+                          ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                          : <Download className="h-4 w-4 mr-1" />}
+                        .ics
+                      </Button>
+                      {!feed && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleGetLink(scope)}
+                          disabled={busy === `link-${scope}`}
+                        >
+                          {busy === `link-${scope}`
+                            ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                            : <Link2 className="h-4 w-4 mr-1" />}
+                          Subscribe
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                  {url && (
+                    <div className="flex gap-2">
+                      <Input value={url} readOnly className="text-xs font-mono" onFocus={(e) => e.target.select()} />
+                      <Button size="icon" variant="outline" onClick={() => handleCopy(url)} title="Copy link">
+                        <Copy className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        size="icon"
+                        variant="outline"
+                        onClick={() => handleReset(scope)}
+                        disabled={busy === `link-${scope}`}
+                        title="Reset link"
+                      >
+                        <RefreshCw className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -3,7 +3,7 @@ import React from 'react';
 /**
  * Calendar Legend component showing color meanings
  */
-export default function CalendarLegend({ showHalfDay = true }) {
+export default function CalendarLegend({ showHalfDay = true, showBlackouts = true }) {
   return (
     <div className="flex flex-wrap gap-x-5 gap-y-2 text-xs">
       <div className="flex items-center gap-1.5">
@@ -20,6 +20,22 @@ export default function CalendarLegend({ showHalfDay = true }) {
         </div>
         <span className="text-gray-600">Public holiday</span>
       </div>
+      {showBlackouts && (
+        <>
+          <div className="flex items-center gap-1.5">
+            <div className="w-3.5 h-3.5 rounded bg-orange-50 relative">
+              <div className="absolute bottom-0.5 left-0.5 right-0.5 h-0.5 bg-orange-400 rounded-full" />
+            </div>
+            <span className="text-gray-600">Leave discouraged</span>
+          </div>
+          <div className="flex items-center gap-1.5">
+            <div className="w-3.5 h-3.5 rounded bg-slate-200 relative">
+              <div className="absolute bottom-0.5 left-0.5 right-0.5 h-0.5 bg-slate-500 rounded-full" />
+            </div>
+            <span className="text-gray-600">Leave blocked</span>
+          </div>
+        </>
+      )}
       <div className="flex items-center gap-1.5">
         <div className="w-3.5 h-3.5 rounded ring-2 ring-indigo-500 ring-offset-1 bg-white" />
         <span className="text-gray-600">Today</span>
@@ -41,7 +41,19 @@ export function calculateFTE(employee, policy = null) {
     };
   }
   
-  // Casual or no hours set
+  // Casuals have no ongoing hours and no pro-rata paid leave
+  if (employee?.employment_type === 'casual') {
+    return {
+      fte: null,
+      ftePercent: null,
+      hoursPerWeek: employee.hours_per_week || null,
+      fullTimeHours,
+      isProRata: false,
+      isCasual: true,
+    };
+  }
+
+  // Contractor or no hours set
   return {
     fte: employee.hours_per_week ? (employee.hours_per_week / fullTimeHours) : null,
     ftePercent: employee.hours_per_week ? Math.round((employee.hours_per_week / fullTimeHours) * 100) : null,
@@ -105,7 +117,25 @@ export default function FTEEntitlementPanel({
   // Don't show for full-time if compact mode
   if (compact && !fteData.isProRata) return null;
   
-  // Don't show for casual/contractor without hours
+  // Casuals: explain why there is no paid leave entitlement
+  if (fteData.isCasual) {
+    if (compact) return null;
+
+    return (
+      <div className={`bg-gray-50 rounded-lg p-4 ${className}`}>
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <Clock className="h-4 w-4" />
+          <span>Employment type: {EMPLOYMENT_TYPE_LABELS.casual}</span>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Casual employees do not accrue paid annual or personal leave. Unpaid and community
+          service leave are available, and long service leave accrues on hours worked.
+        </p>
+      </div>
+    );
+  }
+
+  // Don't show for contractors without hours
   if (!fteData.hoursPerWeek && employee.employment_type !== 'full_time') {
     if (compact) return null;
     
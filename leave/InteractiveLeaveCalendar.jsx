@@ -14,6 +14,7 @@ import {
   getYear,
 } from 'date-fns';
 import { getPublicHolidaysInRange } from '@/components/utils/publicHolidays';
+import { getBlackoutPeriodsInRange, buildBlackoutDateMap } from '@/components/utils/leaveBlackouts';
 import { getLeaveHistoryForEmployee } from '@/components/utils/LeaveEngine';
 import { subscribeToLeaveCache } from '@/components/utils/leaveEngineCache';
 import CalendarLegend from './CalendarLegend';
@@ -40,6 +41,7 @@ export default function InteractiveLeaveCalendar({
   const [year, setYear] = useState(new Date().getFullYear());
   const [leaveRequests, setLeaveRequests] = useState([]);
   const [publicHolidays, setPublicHolidays] = useState([]);
+  const [blackoutPeriods, setBlackoutPeriods] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedDay, setSelectedDay] = useState(null);
   
@@ -102,6 +104,15 @@ export default function InteractiveLeaveCalendar({
         { stateRegion: stateRegion || employee?.state },
       );
       setPublicHolidays(holidays);
+
+      // Blackout periods: the employee's own on the personal calendar,
+      // everything for the entity on the team calendar
+      const blackouts = await getBlackoutPeriodsInRange(
+        yearStart,
+        yearEnd,
+        isTeamCalendar ? { entityId: effEntityId } : { employee },
+      );
+      setBlackoutPeriods(blackouts);
     } catch (error) {
       console.error('Error loading calendar data:', error);
     } finally {
@@ -116,6 +127,8 @@ export default function InteractiveLeaveCalendar({
     return map;
   }, [publicHolidays]);
 
+  const blackoutMap = useMemo(() => buildBlackoutDateMap(blackoutPeriods), [blackoutPeriods]);
+
   // Filter leave requests based on current filters
   const filteredLeaveRequests = useMemo(() => {
     return leaveRequests.filter(req => {
@@ -276,6 +289,7 @@ export default function InteractiveLeaveCalendar({
             monthName={monthName}
             leaveDateMap={leaveDateMap}
             holidayMap={holidayMap}
+            blackoutMap={blackoutMap}
             onDayClick={handleDayClick}
             selectedDay={selectedDay}
             isTeamCalendar={isTeamCalendar}
@@ -296,6 +310,7 @@ const MonthGrid = React.memo(function MonthGrid({
   monthName,
   leaveDateMap,
   holidayMap,
+  blackoutMap,
   onDayClick,
   selectedDay,
   isTeamCalendar,
@@ -335,6 +350,8 @@ const MonthGrid = React.memo(function MonthGrid({
             const dateStr = format(day, 'yyyy-MM-dd');
             const leaves = leaveDateMap[dateStr] || [];
             const holiday = holidayMap[dateStr];
+            const blackouts = blackoutMap[dateStr] || [];
+            const isBlocked = blackouts[0]?.enforcement === 'block';
             const dayOfWeek = getDay(day);
             const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
             const isTodayDate = isToday(day);
@@ -369,6 +386,9 @@ const MonthGrid = React.memo(function MonthGrid({
             } else if (holiday) {
               bgClass = 'bg-red-50';
               textClass = 'text-red-700';
+            } else if (blackouts.length > 0) {
+              bgClass = isBlocked ? 'bg-slate-200' : 'bg-orange-50';
+              textClass = isBlocked ? 'text-slate-600' : 'text-orange-800';
             } else if (isWeekend) {
               textClass = 'text-gray-400';
             }
@@ -383,6 +403,10 @@ const MonthGrid = React.memo(function MonthGrid({
             } else if (holiday) {
               tooltipText = holiday.name;
             }
+            if (blackouts.length > 0) {
+              const blackoutText = `${blackouts.map(b => b.name).join(', ')} (leave ${isBlocked ? 'blocked' : 'discouraged'})`;
+              tooltipText = tooltipText ? `${tooltipText} · ${blackoutText}` : blackoutText;
+            }
 
             return (
               <Popover
@@ -414,6 +438,11 @@ const MonthGrid = React.memo(function MonthGrid({
                       <div className={`absolute top-0.5 right-0.5 w-1.5 h-1.5 bg-red-500 rounded-full ${(hasApprovedLeave || hasPendingLeave) ? 'ring-1 ring-white' : ''}`} />
                     )}
                     
+                    {/* Blackout period bar */}
+                    {blackouts.length > 0 && (
+                      <div className={`absolute bottom-0.5 left-1 right-1 h-0.5 rounded-full pointer-events-none ${isBlocked ? 'bg-slate-500' : 'bg-orange-400'}`} />
+                    )}
+
                     {/* Team calendar: count badge */}
                     {isTeamCalendar && leaveCount > 1 && (
                       <div className="absolute -bottom-0.5 -right-0.5 min-w-[14px] h-3.5 bg-gray-800 text-white text-[9px] rounded-full flex items-center justify-center px-1 font-medium">
@@ -427,6 +456,7 @@ const MonthGrid = React.memo(function MonthGrid({
                     dateStr={dateStr}
                     leaves={leaves}
                     holiday={holiday}
+                    blackouts={blackouts}
                     isTeamCalendar={isTeamCalendar}
                     employees={employeesMap}
                     onClose={onClosePopover}
@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Progress } from "@/components/ui/progress";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CalendarCheck, Loader2, CheckCircle, Eye, Undo2, AlertTriangle } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'sonner';
+import {
+  previewAccrualRun,
+  commitAccrualRun,
+  reverseAccrualRun,
+  getAccrualRuns,
+  getNextPeriodEnd,
+  ACCRUAL_RUN_STATUSES,
+  ACCRUAL_ANOMALIES,
+  PAY_CYCLES,
+} from '@/components/utils/leaveAccrualRuns';
+import { formatHours } from '@/components/utils/numberUtils';
+
+const STATUS_STYLES = {
+  running: 'bg-blue-50 text-blue-700 border-blue-200',
+  committed: 'bg-green-50 text-green-700 border-green-200',
+  reversed: 'bg-gray-50 text-gray-500 border-gray-200',
+};
+
+/**
+ * Pay-period accrual runs
+ * Dry-runs accrual for an entity up to a period end, flags anomalies per
+ * employee, then commits the run as one reversible unit.
+ */
+export default function LeaveAccrualRunPanel({ entities = [], entityId = null, currentEmployee = null }) {
+  const [runEntityId, setRunEntityId] = useState(entityId);
+  const [payCycle, setPayCycle] = useState('fortnightly');
+  const [periodEnd, setPeriodEnd] = useState('');
+  const [runs, setRuns] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [skipAnomalies, setSkipAnomalies] = useState(true);
+  const [progress, setProgress] = useState({ processed: 0, total: 0 });
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isCommitting, setIsCommitting] = useState(false);
+  const [reversingId, setReversingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setRunEntityId(entityId);
+  }, [entityId]);
+
+  const loadRuns = async () => {
+    try {
+      const data = await getAccrualRuns(runEntityId);
+      setRuns(data);
+      const lastCommitted = data.find(r => r.status === 'committed');
+      if (lastCommitted?.pay_cycle) setPayCycle(lastCommitted.pay_cycle);
+      setPeriodEnd(getNextPeriodEnd(lastCommitted, lastCommitted?.pay_cycle || payCycle));
+    } catch (err) {
+      console.error('Error loading accrual runs:', err);
+    }
+  };
+
+  useEffect(() => {
+    setPreview(null);
+    loadRuns();
+  }, [runEntityId]);
+
+  const handlePayCycleChange = (value) => {
+    setPayCycle(value);
+    setPreview(null);
+    setPeriodEnd(getNextPeriodEnd(runs.find(r => r.status === 'committed'), value));
+  };
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setError('');
+    setProgress({ processed: 0, total: 0 });
+    try {
+      const res = await previewAccrualRun({ entityId: runEntityId, periodEnd, onProgress: setProgress });
+      if (res.success) {
+        setPreview(res);
+      } else {
+        setPreview(null);
+        setError(res.error);
+      }
+    } catch (err) {
+      console.error('Error previewing accrual run:', err);
+      setError(err.message || 'Failed to preview accrual run');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const anomalyEmployeeIds = [...new Set(
+    (preview?.lines || []).filter(l => l.anomalies.length > 0).map(l => l.employee_id)
+  )];
+
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    setError('');
+    setProgress({ processed: 0, total: 0 });
+    try {
+      const res = await commitAccrualRun({
+        entityId: runEntityId,
+        periodEnd,
+        payCycle,
+        excludeEmployeeIds: skipAnomalies ? anomalyEmployeeIds : [],
+        currentEmployee,
+        onProgress: setProgress,
+      });
+      if (res.run) {
+        toast.success(`Accrued ${formatHours(res.run.total_hours)}h for ${res.run.employee_count} employees`);
+        if (res.errors?.length > 0) {
+          toast.warning(`${res.errors.length} employee${res.errors.length === 1 ? '' : 's'} failed to accrue`);
+        }
+        setPreview(null);
+        await loadRuns();
+      } else {
+        setError(res.error);
+      }
+    } catch (err) {
+      console.error('Error committing accrual run:', err);
+      setError(err.message || 'Failed to commit accrual run');
+    } finally {
+      setIsCommitting(false);
+    }
+  };
+
+  const handleReverse = async (run) => {
+    if (!confirm(`Reverse the accrual run to ${format(parseISO(run.period_end), 'dd MMM yyyy')}? ${formatHours(run.total_hours)}h will be taken back off balances.`)) return;
+
+    setReversingId(run.id);
+    const res = await reverseAccrualRun(run);
+    setReversingId(null);
+    if (res.success) {
+      toast.success('Accrual run reversed');
+      setPreview(null);
+      await loadRuns();
+    } else {
+      toast.error(res.error || 'Failed to reverse accrual run');
+      await loadRuns();
+    }
+  };
+
+  const previewLines = (preview?.lines || []).filter(l => l.accrued > 0 || l.anomalies.length > 0);
+  const isBusy = isPreviewing || isCommitting;
+
+  return (
+    <Card>
+      <CardContent className="p-6">
+        <div>
+          <h3 className="font-medium text-gray-900 flex items-center gap-2">
+            <CalendarCheck className="h-5 w-5 text-gray-400" />
+            Pay-period Accrual Runs
+          </h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Accrue leave for an entity up to the end of a pay period. Do a dry run to check balances and anomalies before committing. A committed run can be reversed as a whole.
+          </p>
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-end gap-4">
+          {entities.length > 1 && (
+            <div className="w-48">
+              <Label className="text-sm text-gray-500">Entity</Label>
+              <Select value={runEntityId} onValueChange={setRunEntityId}>
+                <SelectTrigger className="mt-1">
+                  <SelectValue placeholder="All entities" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={null}>All Entities</SelectItem>
+                  {entities.map(e => (
+                    <SelectItem key={e.id} value={e.id}>
+                      {e.abbreviation || e.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          <div className="w-40">
+            <Label className="text-sm text-gray-500">Pay cycle</Label>
+            <Select value={payCycle} onValueChange={handlePayCycleChange}>
+              <SelectTrigger className="mt-1">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(PAY_CYCLES).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="w-44">
+            <Label htmlFor="accrual-period-end" className="text-sm text-gray-500">Period end</Label>
+            <Input
+              id="accrual-period-end"
+              type="date"
+              value={periodEnd}
+              onChange={(e) => { setPeriodEnd(e.target.value); setPreview(null); }}
+              className="mt-1"
+            />
+          </div>
+          <Button variant="outline" onClick={handlePreview} disabled={!periodEnd || isBusy}>
+            {isPreviewing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+            Dry Run
+          </Button>
+        </div>
+
+        {isBusy && progress.total > 0 && (
+          <div className="mt-4">
+            <Progress value={(progress.processed / progress.total) * 100} className="h-2" />
+            <p className="text-xs text-gray-500 mt-1">
+              Processing {progress.processed} of {progress.total} employees...
+            </p>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+        {preview && (
+          <div className="mt-4 space-y-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              <Badge variant="outline">{preview.summary.employeeCount} employees</Badge>
+              <Badge variant="outline">{formatHours(preview.summary.totalHours)}h total</Badge>
+              {Object.entries(preview.summary.totalsByLeaveType).map(([leaveType, hours]) => (
+                <Badge key={leaveType} variant="outline" className="capitalize">
+                  {leaveType.replace(/_/g, ' ')}: {formatHours(hours)}h
+                </Badge>
+              ))}
+              {preview.summary.anomalyCount > 0 && (
+                <Badge variant="outline" className="bg-amber-50 text-amber-700 border-amber-200">
+                  {preview.summary.anomalyCount} with anomalies
+                </Badge>
+              )}
+            </div>
+
+            {previewLines.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Nothing to accrue up to {format(parseISO(periodEnd), 'dd MMM yyyy')}.
+              </p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+                    <tr>
+                      <th className="text-left font-medium px-3 py-2">Employee</th>
+                      <th className="text-left font-medium px-3 py-2">Leave type</th>
+                      <th className="text-right font-medium px-3 py-2">Before</th>
+                      <th className="text-right font-medium px-3 py-2">Accrued</th>
+                      <th className="text-right font-medium px-3 py-2">After</th>
+                      <th className="text-left font-medium px-3 py-2">Anomalies</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {previewLines.map(line => (
+                      <tr key={`${line.employee_id}-${line.leave_type || 'none'}`}>
+                        <td className="px-3 py-2">{line.employee_name}</td>
+                        <td className="px-3 py-2 text-gray-600 capitalize">
+                          {line.leave_type ? line.leave_type.replace(/_/g, ' ') : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-right">{line.before === null ? '—' : `${formatHours(line.before)}h`}</td>
+                        <td className="px-3 py-2 text-right text-green-600">
+                          {line.accrued > 0 ? `+${formatHours(line.accrued)}h` : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-right">{line.after === null ? '—' : `${formatHours(line.after)}h`}</td>
+                        <td className="px-3 py-2">
+                          <div className="flex flex-wrap gap-1">
+                            {line.anomalies.map(anomaly => (
+                              <Badge
+                                key={anomaly}
+                                variant="outline"
+                                className="text-xs bg-amber-50 text-amber-700 border-amber-200"
+                                title={anomaly === 'error' ? line.message || undefined : undefined}
+                              >
+                                {ACCRUAL_ANOMALIES[anomaly] || anomaly}
+                              </Badge>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between gap-4">
+              {anomalyEmployeeIds.length > 0 ? (
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <Checkbox checked={skipAnomalies} onCheckedChange={(v) => setSkipAnomalies(v === true)} />
+                  Skip {anomalyEmployeeIds.length} employee{anomalyEmployeeIds.length === 1 ? '' : 's'} with anomalies
+                </label>
+              ) : <span />}
+              <Button onClick={handleCommit} disabled={isBusy || previewLines.length === 0}>
+                {isCommitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Commit Run
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {runs.length > 0 && (
+          <div className="mt-6">
+            <p className="text-sm font-medium text-gray-700 mb-2">Previous runs</p>
+            <div className="border rounded-lg divide-y divide-gray-100">
+              {runs.map((run, index) => {
+                const isLatestCommitted = run.status === 'committed' && runs.findIndex(r => r.status === 'committed') === index;
+                return (
+                  <div key={run.id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-medium text-gray-900">
+                        {format(parseISO(run.period_end), 'dd MMM yyyy')}
+                      </span>
+                      {run.pay_cycle && <span className="text-gray-500">{PAY_CYCLES[run.pay_cycle] || run.pay_cycle}</span>}
+                      <Badge variant="outline" className={`text-xs ${STATUS_STYLES[run.status] || ''}`}>
+                        {ACCRUAL_RUN_STATUSES[run.status] || run.status}
+                      </Badge>
+                      <span className="text-gray-600">
+                        {run.employee_count || 0} employees · {formatHours(run.total_hours || 0)}h
+                      </span>
+                      {run.anomaly_count > 0 && (
+                        <span className="flex items-center gap-1 text-amber-600">
+                          <AlertTriangle className="h-3.5 w-3.5" />
+                          {run.anomaly_count}
+                        </span>
+                      )}
+                    </div>
+                    {isLatestCommitted && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleReverse(run)}
+                        disabled={isBusy || reversingId === run.id}
+                      >
+                        {reversingId === run.id
+                          ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                          : <Undo2 className="h-4 w-4 mr-1" />}
+                        Reverse
+                      </Button>
+                    )}
+                    {run.status === 'committed' && !isLatestCommitted && (
+                      <CheckCircle className="h-4 w-4 text-green-500" />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, ArrowRight } from 'lucide-react';
+import { toast } from 'sonner';
+import { amendLeaveRequest } from '@/components/utils/leaveHelpers';
+import { calculateChargeableLeave } from '@/components/utils/LeaveEngine';
+import { describeBlackoutPeriod } from '@/components/utils/leaveBlackouts';
+import { describeRevision } from '@/components/utils/leaveAmendments';
+import { formatHours, safeNumber } from '@/components/utils/numberUtils';
+
+const overrideHours = (request, date) => {
+  const hours = request.day_overrides?.[date]?.hours;
+  return Number.isFinite(hours) ? String(hours) : '';
+};
+
+/**
+ * Propose new dates or hours for a submitted leave request. The change goes
+ * back through approval; approved leave stays in place until it is decided.
+ */
+export default function LeaveAmendDialog({ request, employee, leaveTypeName, userContext, onClose, onAmended }) {
+  const [form, setForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!request) {
+      setForm(null);
+      return;
+    }
+    setError('');
+    setForm({
+      start_date: request.start_date,
+      end_date: request.end_date,
+      partial_day_type: request.partial_day_type || 'full',
+      first_day_hours: overrideHours(request, request.start_date),
+      last_day_hours: overrideHours(request, request.end_date),
+      reason: '',
+    });
+  }, [request?.id]);
+
+  const buildDayOverrides = () => {
+    if (form?.partial_day_type !== 'hours') return null;
+    const overrides = {};
+    if (form.first_day_hours !== '') {
+      overrides[form.start_date] = { hours: parseFloat(form.first_day_hours) };
+    }
+    if (form.last_day_hours !== '' && form.end_date !== form.start_date) {
+      overrides[form.end_date] = { hours: parseFloat(form.last_day_hours) };
+    }
+    return Object.keys(overrides).length > 0 ? overrides : null;
+  };
+  const dayOverrides = buildDayOverrides();
+  const dayOverridesKey = JSON.stringify(dayOverrides);
+
+  // Recompute chargeable days and hours for the proposed version
+  useEffect(() => {
+    if (!form || !employee || !form.start_date || !form.end_date || form.end_date < form.start_date) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    calculateChargeableLeave({
+      start_date: form.start_date,
+      end_date: form.end_date,
+      employee_id: employee.id,
+      partial_day_type: form.partial_day_type,
+      day_overrides: dayOverrides,
+    }).then(breakdown => {
+      if (!cancelled) setPreview(breakdown);
+    }).catch(() => {
+      if (!cancelled) setPreview(null);
+    });
+    return () => { cancelled = true; };
+  }, [form?.start_date, form?.end_date, form?.partial_day_type, dayOverridesKey, employee?.id]);
+
+  const handleSubmit = async () => {
+    setError('');
+    setIsSaving(true);
+    const result = await amendLeaveRequest({
+      request,
+      employee,
+      startDate: form.start_date,
+      endDate: form.end_date,
+      partialDayType: form.partial_day_type,
+      dayOverrides,
+      reason: form.reason.trim(),
+      currentUser: userContext?.user,
+      currentEmployee: userContext?.employee,
+      preferences: userContext?.preferences,
+    });
+    setIsSaving(false);
+
+    if (!result.success) {
+      if (result.error === 'OVERLAPPING_LEAVE') {
+        setError('These dates overlap other leave you have booked.');
+      } else {
+        setError(result.message || result.error || 'Failed to change leave request');
+      }
+      return;
+    }
+
+    toast.success(result.autoApproved ? 'Leave updated' : 'Change submitted for approval');
+    if (result.blackoutWarnings?.length > 0) {
+      toast.warning(`The new dates fall in ${result.blackoutWarnings.map(describeBlackoutPeriod).join(', ')}. Your approver will see this.`);
+    }
+    onAmended?.();
+  };
+
+  const isSingleDay = form && form.start_date === form.end_date;
+  const currentHours = safeNumber(request?.total_hours, 0);
+  const proposedHours = preview ? safeNumber(preview.hoursDeducted, 0) : null;
+
+  return (
+    <Dialog open={!!request} onOpenChange={(open) => !open && onClose()}>
+      {request && form && (
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Change {leaveTypeName || 'leave'}</DialogTitle>
+            <DialogDescription>
+              {request.status === 'approved'
+                ? 'The change goes to your approver. Your current leave stays approved until they decide.'
+                : 'The updated request goes back to your approver.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="py-2 px-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+              Currently: {describeRevision(request)}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label htmlFor="amend-start">From</Label>
+                <Input
+                  id="amend-start"
+                  type="date"
+                  value={form.start_date}
+                  onChange={(e) => setForm(prev => ({ ...prev, start_date: e.target.value }))}
+                  className="mt-1"
+                />
+              </div>
+              <div>
+                <Label htmlFor="amend-end">To</Label>
+                <Input
+                  id="amend-end"
+                  type="date"
+                  value={form.end_date}
+                  onChange={(e) => setForm(prev => ({ ...prev, end_date: e.target.value }))}
+                  className="mt-1"
+                />
+              </div>
+            </div>
+
+            <div>
+              <Label>Duration</Label>
+              <Select
+                value={form.partial_day_type}
+                onValueChange={(v) => setForm(prev => ({ ...prev, partial_day_type: v }))}
+              >
+                <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="full">Full days</SelectItem>
+                  {isSingleDay && <SelectItem value="half_am">Half day (AM)</SelectItem>}
+                  {isSingleDay && <SelectItem value="half_pm">Half day (PM)</SelectItem>}
+                  <SelectItem value="hours">Partial hours</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {form.partial_day_type === 'hours' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label htmlFor="amend-first-hours">{isSingleDay ? 'Hours' : 'Hours on first day'}</Label>
+                  <Input
+                    id="amend-first-hours"
+                    type="number"
+                    min="0"
+                    max="24"
+                    step="0.25"
+                    placeholder="Full day"
+                    value={form.first_day_hours}
+                    onChange={(e) => setForm(prev => ({ ...prev, first_day_hours: e.target.value }))}
+                    className="mt-1"
+                  />
+                </div>
+                {!isSingleDay && (
+                  <div>
+                    <Label htmlFor="amend-last-hours">Hours on last day</Label>
+                    <Input
+                      id="amend-last-hours"
+                      type="number"
+                      min="0"
+                      max="24"
+                      step="0.25"
+                      placeholder="Full day"
+                      value={form.last_day_hours}
+                      onChange={(e) => setForm(prev => ({ ...prev, last_day_hours: e.target.value }))}
+                      className="mt-1"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {preview && (
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <span>{formatHours(currentHours)}h</span>
+                <ArrowRight className="h-3.5 w-3.5 text-gray-400" />
+                <span className="font-medium">
+                  {safeNumber(preview.chargeableDays, 0)} {preview.chargeableDays === 1 ? 'day' : 'days'} · {formatHours(proposedHours)}h
+                </span>
+                {proposedHours !== currentHours && (
+                  <span className={proposedHours > currentHours ? 'text-amber-600' : 'text-green-600'}>
+                    ({proposedHours > currentHours ? '+' : '−'}{formatHours(Math.abs(proposedHours - currentHours))}h)
+                  </span>
+                )}
+              </div>
+            )}
+
+            <div>
+              <Label htmlFor="amend-reason">Reason for the change (optional)</Label>
+              <Textarea
+                id="amend-reason"
+                value={form.reason}
+                onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                rows={2}
+                className="mt-1"
+              />
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={onClose} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button onClick={handleSubmit} disabled={isSaving || !form.start_date || !form.end_date}>
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Submit Change
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      )}
+    </Dialog>
+  );
+}
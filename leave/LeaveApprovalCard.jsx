@@ -4,12 +4,16 @@ import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Avatar } from '@/components/ui/Avatar';
-import { Check, X, Clock, Building2, AlertTriangle } from 'lucide-react';
+import { Check, X, Clock, Building2, AlertTriangle, Pencil } from 'lucide-react';
 import LeaveStatusChip from './LeaveStatusChip';
 import StaffingConflictWarning from './StaffingConflictWarning';
+import ApprovalStepsTimeline from './ApprovalStepsTimeline';
+import LeaveEvidencePanel from './LeaveEvidencePanel';
+import LeaveRevisionHistory from './LeaveRevisionHistory';
 import { getDisplayName } from '@/components/utils/displayName';
-import { formatDays, safeNumber } from '@/components/utils/numberUtils';
+import { formatDays, formatHours, safeNumber } from '@/components/utils/numberUtils';
 import { balanceHoursToDays } from '@/components/utils/leaveBalanceService';
+import { getRestorableRevision, describeRevision } from '@/components/utils/leaveAmendments';
 
 /**
  * Individual leave request card for the approvals page
@@ -30,8 +34,13 @@ export default function LeaveApprovalCard({
   canAction,
   permissionReason,
   leaveStarted,
+  employeesMap = {},
+  leaveType = null,
+  userContext = null,
 }) {
   const isHalfDay = request.partial_day_type === 'half_am' || request.partial_day_type === 'half_pm';
+  const isPartialHours = request.partial_day_type === 'hours';
+  const approvedVersion = request.amendment_pending ? getRestorableRevision(request) : null;
 
   return (
     <Card className="hover:shadow-md transition-shadow">
@@ -76,11 +85,27 @@ export default function LeaveApprovalCard({
                   {request.partial_day_type === 'half_am' ? 'AM' : 'PM'}
                 </span>
               )}
+              {isPartialHours && (
+                <span className="ml-1 inline-flex items-center gap-0.5 text-[10px] text-indigo-600 font-medium">
+                  <Clock className="h-2.5 w-2.5" />
+                  Partial
+                </span>
+              )}
             </div>
             <div>
               <span className="text-gray-500 block text-xs mb-0.5">Days</span>
               <span className="font-medium text-gray-900">
                 {breakdown?.chargeableDays ?? request.total_days ?? '–'}
+                {request.in_advance && (
+                  <span className="ml-1 text-[10px] text-amber-600 font-medium">
+                    In advance{request.advance_approver === 'hr' ? ' · HR approval' : ''}
+                  </span>
+                )}
+                {isPartialHours && Number.isFinite(breakdown?.hoursDeducted ?? request.total_hours) && (
+                  <span className="text-gray-400 text-xs ml-1">
+                    ({formatHours(breakdown?.hoursDeducted ?? request.total_hours)}h)
+                  </span>
+                )}
                 {breakdown?.holidayCount > 0 && (
                   <span className="text-gray-400 text-xs ml-1">
                     (excl. {breakdown.holidayCount} PH)
@@ -98,6 +123,43 @@ export default function LeaveApprovalCard({
             </div>
           </div>
 
+          {approvedVersion && (
+            <div className="mt-3 pt-3 border-t border-gray-200 flex items-start gap-1.5 text-xs text-blue-700">
+              <Pencil className="h-3.5 w-3.5 mt-0.5 flex-shrink-0" />
+              <span>
+                Change to approved leave ({describeRevision(approvedVersion)}). Only the difference in hours
+                is taken from the balance; declining keeps the approved leave.
+              </span>
+            </div>
+          )}
+
+          {request.blackout_warnings?.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-gray-200 flex items-start gap-1.5 text-xs text-orange-700">
+              <AlertTriangle className="h-3.5 w-3.5 mt-0.5 flex-shrink-0" />
+              <span>Requested during a blackout period: {request.blackout_warnings.join(', ')}</span>
+            </div>
+          )}
+
+          {request.approval_steps?.length > 1 && (
+            <div className="mt-3 pt-3 border-t border-gray-200">
+              <span className="text-gray-500 text-xs block mb-1">Approval chain</span>
+              <ApprovalStepsTimeline steps={request.approval_steps} employeesMap={employeesMap} />
+            </div>
+          )}
+
+          {request.revisions?.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-gray-200">
+              <LeaveRevisionHistory request={request} employeesMap={employeesMap} />
+            </div>
+          )}
+
+          {(request.evidence_required || request.evidence_status) && userContext && (
+            <div className="mt-3 pt-3 border-t border-gray-200">
+              <span className="text-gray-500 text-xs block mb-1">Supporting evidence</span>
+              <LeaveEvidencePanel request={request} leaveType={leaveType} userContext={userContext} />
+            </div>
+          )}
+
           {request.reason && (
             <div className="mt-3 pt-3 border-t border-gray-200">
               <span className="text-gray-500 text-xs">Reason:</span>
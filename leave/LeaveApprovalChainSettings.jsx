@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { GitBranch, Plus, Trash2, Pencil, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { APPROVER_TYPES } from '@/components/utils/leaveApprovalChain';
+
+const LeaveApprovalChain = base44.entities.LeaveApprovalChain;
+const LeaveType = base44.entities.LeaveType;
+
+const ANY = '__any__';
+
+const EMPTY_CHAIN = {
+  name: '',
+  leave_type_id: null,
+  entity_id: null,
+  steps: [{ approver: 'manager', min_days: null }],
+  escalate_after_days: null,
+  is_active: true,
+};
+
+const parseOptionalNumber = (value) => (value === '' ? null : parseFloat(value));
+
+/**
+ * Leave approval chains
+ * Admins configure multi-step approval (e.g. manager, then HR for requests
+ * over 10 days) per leave type and/or entity, plus auto-escalation.
+ */
+export default function LeaveApprovalChainSettings({ entities = [] }) {
+  const [chains, setChains] = useState([]);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setIsLoading(true);
+    try {
+      const [chainList, types] = await Promise.all([LeaveApprovalChain.list(), LeaveType.list()]);
+      setChains(chainList.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      setLeaveTypes(types.filter(t => t.is_active !== false));
+    } catch (error) {
+      console.error('Error loading approval chains:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const updateStep = (index, changes) => {
+    setEditing(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      toast.error('Give the chain a name');
+      return;
+    }
+    if (editing.steps.length === 0) {
+      toast.error('Add at least one approval step');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const { id, ...data } = editing;
+      const payload = {
+        ...data,
+        name: data.name.trim(),
+        steps: data.steps.map(step => ({
+          approver: step.approver,
+          min_days: Number.isFinite(step.min_days) ? step.min_days : null,
+        })),
+        escalate_after_days: Number.isFinite(data.escalate_after_days) ? data.escalate_after_days : null,
+      };
+      if (id) {
+        await LeaveApprovalChain.update(id, payload);
+      } else {
+        await LeaveApprovalChain.create(payload);
+      }
+      toast.success('Approval chain saved');
+      setEditing(null);
+      await loadData();
+    } catch (error) {
+      console.error('Error saving approval chain:', error);
+      toast.error('Failed to save approval chain');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (chain) => {
+    if (!confirm(`Delete the "${chain.name}" approval chain? Existing requests keep their steps.`)) return;
+    try {
+      await LeaveApprovalChain.delete(chain.id);
+      toast.success('Approval chain deleted');
+      await loadData();
+    } catch (error) {
+      console.error('Error deleting approval chain:', error);
+      toast.error('Failed to delete approval chain');
+    }
+  };
+
+  const describeSteps = (chain) =>
+    (chain.steps || [])
+      .map(step => `${APPROVER_TYPES[step.approver] || step.approver}${Number.isFinite(step.min_days) ? ` (over ${step.min_days} days)` : ''}`)
+      .join(' → ');
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <GitBranch className="h-5 w-5" />
+              Approval Chains
+            </CardTitle>
+            <CardDescription>
+              Route requests through more than one approver. The most specific chain for the
+              leave type and entity applies; without one, requests go to the employee&apos;s manager.
+            </CardDescription>
+          </div>
+          <Button variant="outline" onClick={() => setEditing({ ...EMPTY_CHAIN })}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Chain
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : chains.length === 0 ? (
+          <p className="text-sm text-gray-500">No approval chains configured.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border rounded-lg">
+            {chains.map(chain => (
+              <div key={chain.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{chain.name}</span>
+                    {chain.is_active === false && <Badge variant="outline">Inactive</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-600">{describeSteps(chain)}</p>
+                  <p className="text-xs text-gray-500">
+                    {leaveTypes.find(t => t.id === chain.leave_type_id)?.name || 'All leave types'}
+                    {' · '}
+                    {entities.find(e => e.id === chain.entity_id)?.name || 'All entities'}
+                    {Number.isFinite(chain.escalate_after_days) && ` · Escalates after ${chain.escalate_after_days} days`}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" onClick={() => setEditing({ ...EMPTY_CHAIN, ...chain })}>
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDelete(chain)}>
+                    <Trash2 className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        {editing && (
+          <DialogContent className="max-w-lg">
+            <DialogHeader>
+              <DialogTitle>{editing.id ? 'Edit approval chain' : 'New approval chain'}</DialogTitle>
+              <DialogDescription>
+                Steps run in order. A step with a minimum only applies to longer requests.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4">
+              <div>
+                <Label htmlFor="chain-name">Name</Label>
+                <Input
+                  id="chain-name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  className="mt-1"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label>Leave type</Label>
+                  <Select
+                    value={editing.leave_type_id || ANY}
+                    onValueChange={(v) => setEditing(prev => ({ ...prev, leave_type_id: v === ANY ? null : v }))}
+                  >
+                    <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ANY}>All leave types</SelectItem>
+                      {leaveTypes.map(t => (
+                        <SelectItem key={t.id} value={t.id}>{t.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label>Entity</Label>
+                  <Select
+                    value={editing.entity_id || ANY}
+                    onValueChange={(v) => setEditing(prev => ({ ...prev, entity_id: v === ANY ? null : v }))}
+                  >
+                    <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ANY}>All entities</SelectItem>
+                      {entities.map(e => (
+                        <SelectItem key={e.id} value={e.id}>{e.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label>Steps</Label>
+                {editing.steps.map((step, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500 w-4">{index + 1}.</span>
+                    <Select value={step.approver} onValueChange={(v) => updateStep(index, { approver: v })}>
+                      <SelectTrigger className="flex-1"><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(APPROVER_TYPES).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      min="0"
+                      placeholder="Over N days"
+                      value={step.min_days ?? ''}
+                      onChange={(e) => updateStep(index, { min_days: parseOptionalNumber(e.target.value) })}
+                      className="w-32"
+                    />
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setEditing(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }))}
+                    >
+                      <Trash2 className="h-4 w-4 text-gray-400" />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setEditing(prev => ({ ...prev, steps: [...prev.steps, { approver: 'hr', min_days: null }] }))}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add step
+                </Button>
+              </div>
+
+              <div>
+                <Label htmlFor="chain-escalate">Escalate after (days pending)</Label>
+                <Input
+                  id="chain-escalate"
+                  type="number"
+                  min="1"
+                  placeholder="Never"
+                  value={editing.escalate_after_days ?? ''}
+                  onChange={(e) => setEditing(prev => ({ ...prev, escalate_after_days: parseOptionalNumber(e.target.value) }))}
+                  className="mt-1"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  A step left undecided this long moves to the approver&apos;s manager, or to HR. Checked once a day.
+                </p>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <Label htmlFor="chain-active">Active</Label>
+                <Switch
+                  id="chain-active"
+                  checked={editing.is_active !== false}
+                  onCheckedChange={(checked) => setEditing(prev => ({ ...prev, is_active: checked }))}
+                />
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Chain
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </Card>
+  );
+}
@@ -6,15 +6,11 @@ import { hoursToDays } from '@/components/utils/leaveAccrual';
 import { formatDays, formatHours, safeNumber } from '@/components/utils/numberUtils';
 import { format, addYears, parseISO } from 'date-fns';
 import { calculateFTE, calculateProRataEntitlement } from './FTEEntitlementPanel';
+import { BALANCE_BUCKET_LABELS, getLeaveTypesForBucket } from '@/components/utils/leaveBalanceBuckets';
 
 const LEAVE_TYPE_LABELS = {
-  annual: 'Annual Leave',
-  personal: 'Personal/Carer\'s',
+  ...BALANCE_BUCKET_LABELS,
   sick: 'Sick Leave',
-  long_service: 'Long Service',
-  parental: 'Parental Leave',
-  compassionate: 'Compassionate',
-  other: 'Other Leave',
 };
 
 const LEAVE_TYPE_COLORS = {
@@ -41,10 +37,12 @@ const LEAVE_TYPE_ICON_COLORS = {
  * Display leave balances for an employee
  * Shows available hours/days, accrued, and any adjustments
  * For Long Service Leave, shows eligibility status if not yet eligible
+ * When leaveTypes are passed, each balance lists the leave types that draw from it
  */
 export default function LeaveBalancePanel({ 
   balances = [], 
   policies = [],
+  leaveTypes = [],
   employee = null,
   compact = false,
   showFTEInfo = true,
@@ -206,6 +204,7 @@ export default function LeaveBalancePanel({
             const takenDays = formatHoursAsDays(bal.taken_hours || 0, bal.leave_type);
             const adjustedDays = formatHoursAsDays(bal.adjusted_hours || 0, bal.leave_type);
             const openingDays = formatHoursAsDays(bal.opening_balance_hours || 0, bal.leave_type);
+            const coveredTypes = getLeaveTypesForBucket(bal.leave_type, leaveTypes);
 
             return (
               <div 
@@ -228,6 +227,11 @@ export default function LeaveBalancePanel({
                   <p className="text-xs text-gray-500">
                     {formatHours(safeNumber(bal.available_hours, 0))} hours available
                   </p>
+                  {coveredTypes.length > 0 && (
+                    <p className="text-xs text-gray-400 mt-1">
+                      Covers: {coveredTypes.map(lt => lt.name).join(', ')}
+                    </p>
+                  )}
                 </div>
 
                 {/* Breakdown */}
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { getLedgerEntries, buildLedgerStatement, LEDGER_ENTRY_TYPES } from '@/components/utils/leaveLedger';
+import { BALANCE_BUCKET_LABELS } from '@/components/utils/leaveBalanceBuckets';
+import { formatHours } from '@/components/utils/numberUtils';
+
+const ENTRY_TYPE_COLORS = {
+  opening: 'bg-gray-100 text-gray-700',
+  accrual: 'bg-green-100 text-green-700',
+  leave_taken: 'bg-blue-100 text-blue-700',
+  reversal: 'bg-amber-100 text-amber-700',
+  adjustment: 'bg-purple-100 text-purple-700',
+  carryover: 'bg-indigo-100 text-indigo-700',
+  payout: 'bg-red-100 text-red-700',
+};
+
+/**
+ * Leave Balance Statement
+ * Lists every ledger entry for a balance with a running total,
+ * so employees can see how their balance got to where it is.
+ */
+export default function LeaveBalanceStatement({ employeeId, refreshKey = 0 }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [bucket, setBucket] = useState('annual');
+
+  useEffect(() => {
+    if (employeeId) {
+      loadEntries();
+    }
+  }, [employeeId, refreshKey]);
+
+  const loadEntries = async () => {
+    setIsLoading(true);
+    try {
+      setEntries(await getLedgerEntries(employeeId));
+    } catch (error) {
+      console.error('Error loading leave ledger:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const buckets = useMemo(() => {
+    const used = new Set(['annual', 'personal', ...entries.map(e => e.leave_type)]);
+    return [...used];
+  }, [entries]);
+
+  const statement = useMemo(
+    () => buildLedgerStatement(entries.filter(e => e.leave_type === bucket)).reverse(),
+    [entries, bucket]
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <Select value={bucket} onValueChange={setBucket}>
+        <SelectTrigger className="w-64">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {buckets.map(key => (
+            <SelectItem key={key} value={key}>{BALANCE_BUCKET_LABELS[key] || key}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {statement.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">No transactions recorded for this balance yet</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+              <tr>
+                <th className="text-left font-medium px-3 py-2">Date</th>
+                <th className="text-left font-medium px-3 py-2">Description</th>
+                <th className="text-right font-medium px-3 py-2">Change</th>
+                <th className="text-right font-medium px-3 py-2">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {statement.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                    {entry.effective_date ? format(parseISO(entry.effective_date), 'dd MMM yyyy') : '—'}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center gap-2">
+                      <Badge className={ENTRY_TYPE_COLORS[entry.entry_type] || 'bg-gray-100 text-gray-700'}>
+                        {LEDGER_ENTRY_TYPES[entry.entry_type] || entry.entry_type}
+                      </Badge>
+                      <span className="text-gray-700">{entry.description}</span>
+                    </div>
+                  </td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${entry.hours < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {entry.hours > 0 ? '+' : '−'}{formatHours(Math.abs(entry.hours))}h
+                  </td>
+                  <td className="px-3 py-2 text-right font-medium text-gray-900 whitespace-nowrap">
+                    {formatHours(entry.running_balance)}h
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { Card, CardContent } from "@/components/ui/card";
 import { Clock, Info, Loader2 } from 'lucide-react';
 import { getLeaveBalancesForEmployee } from '@/components/utils/leaveBalanceService';
 import { formatDays, formatHours, safeNumber } from '@/components/utils/numberUtils';
+import { BALANCE_BUCKET_LABELS, DEFAULT_BALANCE_BUCKETS } from '@/components/utils/leaveBalanceBuckets';
 
 /**
  * Leave Balance Tiles Component
@@ -74,11 +75,10 @@ export default function LeaveBalanceTiles({
     return null;
   }
 
-  const categories = [
-    { key: 'annual', title: 'Annual Leave' },
-    { key: 'personal', title: 'Personal/Sick Leave' },
-    ...(showLongService ? [{ key: 'long_service', title: 'Long Service Leave' }] : []),
-  ];
+  // One tile per balance bucket the organisation's leave types draw from
+  const categories = (balances.categories || DEFAULT_BALANCE_BUCKETS)
+    .filter(key => showLongService || key !== 'long_service')
+    .map(key => ({ key, title: BALANCE_BUCKET_LABELS[key] || key }));
 
   if (compact) {
     return (
@@ -176,6 +176,11 @@ function LeaveBalanceTile({ title, balance }) {
         
         <p className="text-2xl font-bold text-gray-900">{formatDays(availableDays)} days</p>
         <p className="text-sm text-gray-500 mb-3">{formatHours(balance.available)} hours available</p>
+        {balance.leaveTypeNames?.length > 1 && (
+          <p className="text-xs text-gray-400 -mt-2 mb-3">
+            Covers: {balance.leaveTypeNames.join(', ')}
+          </p>
+        )}
         
         {/* Breakdown */}
         <div className="border-t pt-3 space-y-1.5 text-xs">
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Ban, Plus, Trash2, Pencil, Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'sonner';
+import { BLACKOUT_ENFORCEMENT } from '@/components/utils/leaveBlackouts';
+
+const LeaveBlackoutPeriod = base44.entities.LeaveBlackoutPeriod;
+const Department = base44.entities.Department;
+const Location = base44.entities.Location;
+
+const ANY = '__any__';
+
+const EMPTY_PERIOD = {
+  name: '',
+  start_date: '',
+  end_date: '',
+  entity_id: null,
+  department_id: null,
+  location_id: null,
+  enforcement: 'warn',
+  message: '',
+  is_active: true,
+};
+
+/**
+ * Leave blackout periods
+ * Admins mark periods (stocktake, EOFY) when leave is discouraged or blocked,
+ * company-wide or for an entity, department or location.
+ */
+export default function LeaveBlackoutSettings({ entities = [] }) {
+  const [periods, setPeriods] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setIsLoading(true);
+    try {
+      const [periodList, depts, locs] = await Promise.all([
+        LeaveBlackoutPeriod.list(),
+        Department.list(),
+        Location.list(),
+      ]);
+      setPeriods(periodList.sort((a, b) => (b.start_date || '').localeCompare(a.start_date || '')));
+      setDepartments(depts);
+      setLocations(locs);
+    } catch (error) {
+      console.error('Error loading blackout periods:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      toast.error('Give the period a name');
+      return;
+    }
+    if (!editing.start_date || !editing.end_date || editing.end_date < editing.start_date) {
+      toast.error('Choose a start date and an end date on or after it');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const { id, ...data } = editing;
+      const payload = { ...data, name: data.name.trim(), message: data.message.trim() || null };
+      if (id) {
+        await LeaveBlackoutPeriod.update(id, payload);
+      } else {
+        await LeaveBlackoutPeriod.create(payload);
+      }
+      toast.success('Blackout period saved');
+      setEditing(null);
+      await loadData();
+    } catch (error) {
+      console.error('Error saving blackout period:', error);
+      toast.error('Failed to save blackout period');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (period) => {
+    if (!confirm(`Delete the "${period.name}" blackout period?`)) return;
+    try {
+      await LeaveBlackoutPeriod.delete(period.id);
+      toast.success('Blackout period deleted');
+      await loadData();
+    } catch (error) {
+      console.error('Error deleting blackout period:', error);
+      toast.error('Failed to delete blackout period');
+    }
+  };
+
+  const describeScope = (period) => {
+    const parts = [
+      period.entity_id && entities.find(e => e.id === period.entity_id)?.name,
+      period.department_id && departments.find(d => d.id === period.department_id)?.name,
+      period.location_id && locations.find(l => l.id === period.location_id)?.name,
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(' · ') : 'Everyone';
+  };
+
+  const scopeSelect = (field, label, options, allLabel) => (
+    <div>
+      <Label>{label}</Label>
+      <Select
+        value={editing[field] || ANY}
+        onValueChange={(v) => setEditing(prev => ({ ...prev, [field]: v === ANY ? null : v }))}
+      >
+        <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ANY}>{allLabel}</SelectItem>
+          {options.map(o => (
+            <SelectItem key={o.id} value={o.id}>{o.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Ban className="h-5 w-5" />
+              Blackout Periods
+            </CardTitle>
+            <CardDescription>
+              Periods when leave is discouraged or not allowed. They are shaded on the leave
+              calendar and checked when leave is requested.
+            </CardDescription>
+          </div>
+          <Button variant="outline" onClick={() => setEditing({ ...EMPTY_PERIOD })}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Period
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : periods.length === 0 ? (
+          <p className="text-sm text-gray-500">No blackout periods configured.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border rounded-lg">
+            {periods.map(period => (
+              <div key={period.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{period.name}</span>
+                    <Badge
+                      variant="outline"
+                      className={period.enforcement === 'block' ? 'border-slate-400 text-slate-700' : 'border-orange-300 text-orange-700'}
+                    >
+                      {BLACKOUT_ENFORCEMENT[period.enforcement] || period.enforcement}
+                    </Badge>
+                    {period.is_active === false && <Badge variant="outline">Inactive</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {format(parseISO(period.start_date), 'dd MMM yyyy')} – {format(parseISO(period.end_date), 'dd MMM yyyy')}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeScope(period)}</p>
+                </div>
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" onClick={() => setEditing({ ...EMPTY_PERIOD, ...period, message: period.message || '' })}>
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDelete(period)}>
+                    <Trash2 className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        {editing && (
+          <DialogContent className="max-w-lg">
+            <DialogHeader>
+              <DialogTitle>{editing.id ? 'Edit blackout period' : 'New blackout period'}</DialogTitle>
+              <DialogDescription>
+                Leave the scope blank to apply the period to everyone.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4">
+              <div>
+                <Label htmlFor="blackout-name">Name</Label>
+                <Input
+                  id="blackout-name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. Stocktake week"
+                  className="mt-1"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label htmlFor="blackout-start">From</Label>
+                  <Input
+                    id="blackout-start"
+                    type="date"
+                    value={editing.start_date}
+                    onChange={(e) => setEditing(prev => ({ ...prev, start_date: e.target.value }))}
+                    className="mt-1"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="blackout-end">To</Label>
+                  <Input
+                    id="blackout-end"
+                    type="date"
+                    value={editing.end_date}
+                    onChange={(e) => setEditing(prev => ({ ...prev, end_date: e.target.value }))}
+                    className="mt-1"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <Label>Enforcement</Label>
+                <Select
+                  value={editing.enforcement}
+                  onValueChange={(v) => setEditing(prev => ({ ...prev, enforcement: v }))}
+                >
+                  <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="warn">Discouraged – warn, but allow requests</SelectItem>
+                    <SelectItem value="block">Blocked – reject new requests</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                {scopeSelect('entity_id', 'Entity', entities, 'All entities')}
+                {scopeSelect('department_id', 'Department', departments, 'All departments')}
+                {scopeSelect('location_id', 'Location', locations, 'All locations')}
+              </div>
+
+              <div>
+                <Label htmlFor="blackout-message">Message to employees</Label>
+                <Textarea
+                  id="blackout-message"
+                  value={editing.message}
+                  onChange={(e) => setEditing(prev => ({ ...prev, message: e.target.value }))}
+                  placeholder="e.g. All hands needed for stocktake. Talk to your manager about exceptions."
+                  rows={2}
+                  className="mt-1"
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <Label htmlFor="blackout-active">Active</Label>
+                <Switch
+                  id="blackout-active"
+                  checked={editing.is_active !== false}
+                  onCheckedChange={(checked) => setEditing(prev => ({ ...prev, is_active: checked }))}
+                />
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Period
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </Card>
+  );
+}
@@ -2,7 +2,7 @@ import React from 'react';
 import { format, parseISO } from 'date-fns';
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { X, Plus, ExternalLink, CalendarDays, Clock } from 'lucide-react';
+import { X, Plus, ExternalLink, CalendarDays, Clock, Ban } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 import { getDisplayName } from '@/components/utils/displayName';
@@ -13,6 +13,7 @@ import { getDisplayName } from '@/components/utils/displayName';
  * @param {string} props.dateStr - The date string (YYYY-MM-DD)
  * @param {Array}  props.leaves - Leave entries for this day
  * @param {Object} props.holiday - Public holiday object if present
+ * @param {Array}  [props.blackouts] - Blackout periods covering this day
  * @param {boolean} props.isTeamCalendar - Whether this is the team calendar (shows employee names)
  * @param {Object} props.employees - Map of employee_id -> employee object (for team calendar)
  * @param {Function} props.onClose - Close the popover
@@ -22,6 +23,7 @@ export default function LeaveCalendarDayPopover({
   dateStr,
   leaves = [],
   holiday,
+  blackouts = [],
   isTeamCalendar = false,
   employees = {},
   onClose,
@@ -44,6 +46,16 @@ export default function LeaveCalendarDayPopover({
               {holiday.name}
             </p>
           )}
+          {blackouts.map(period => (
+            <p
+              key={period.id}
+              className={`text-sm flex items-center gap-1 mt-0.5 ${period.enforcement === 'block' ? 'text-slate-600' : 'text-orange-600'}`}
+              title={period.message || undefined}
+            >
+              <Ban className="h-3 w-3" />
+              {period.name} · leave {period.enforcement === 'block' ? 'blocked' : 'discouraged'}
+            </p>
+          ))}
         </div>
         <Button
           variant="ghost"
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Banknote, Check, X, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { approveCashOutRequest, declineCashOutRequest, formatCurrency } from '@/components/utils/leavePayout';
+import { BALANCE_BUCKET_LABELS } from '@/components/utils/leaveBalanceBuckets';
+import { getDisplayName } from '@/components/utils/displayName';
+import { formatHours } from '@/components/utils/numberUtils';
+
+const LeaveCashOutRequest = base44.entities.LeaveCashOutRequest;
+
+/**
+ * Pending leave cash-out requests for HR/admin approval.
+ * Renders nothing when there is nothing to action.
+ */
+export default function LeaveCashOutApprovals({ userContext, employeesMap = {}, onProcessed }) {
+  const [requests, setRequests] = useState([]);
+  const [comments, setComments] = useState({});
+  const [processingId, setProcessingId] = useState(null);
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  const loadRequests = async () => {
+    try {
+      const pending = await LeaveCashOutRequest.filter({ status: 'pending' });
+      setRequests(pending.sort((a, b) => (a.requested_at || '').localeCompare(b.requested_at || '')));
+    } catch (error) {
+      console.error('Error loading cash-out requests:', error);
+    }
+  };
+
+  const handleAction = async (request, action) => {
+    setProcessingId(request.id);
+    try {
+      const params = {
+        currentUser: userContext?.user,
+        currentEmployee: userContext?.employee,
+        preferences: userContext?.preferences,
+        comment: comments[request.id] || '',
+      };
+      const result = action === 'approve'
+        ? await approveCashOutRequest(request, params)
+        : await declineCashOutRequest(request, params);
+
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success(action === 'approve' ? 'Cash-out approved.' : 'Cash-out declined.');
+      setRequests(prev => prev.filter(r => r.id !== request.id));
+      onProcessed?.();
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-3">
+      <h2 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+        <Banknote className="h-4 w-4 text-gray-400" />
+        Cash-out requests ({requests.length})
+      </h2>
+      {requests.map(req => {
+        const emp = employeesMap[req.employee_id];
+        const isProcessing = processingId === req.id;
+        return (
+          <Card key={req.id}>
+            <CardContent className="p-4 flex flex-col sm:flex-row sm:items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900">{emp ? getDisplayName(emp) : 'Unknown employee'}</p>
+                <p className="text-sm text-gray-600">
+                  {formatHours(req.hours)}h of {BALANCE_BUCKET_LABELS[req.leave_type] || req.leave_type}
+                  {req.estimated_amount !== null && req.estimated_amount !== undefined && (
+                    <> · est. {formatCurrency(req.estimated_amount, emp?.salary_currency)}</>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Requested {req.requested_at ? format(parseISO(req.requested_at), 'dd MMM yyyy') : '—'}
+                  {req.reason && ` · ${req.reason}`}
+                </p>
+              </div>
+              <Input
+                placeholder="Comment (optional)"
+                value={comments[req.id] || ''}
+                onChange={(e) => setComments(prev => ({ ...prev, [req.id]: e.target.value }))}
+                className="sm:w-56"
+                disabled={isProcessing}
+              />
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" onClick={() => handleAction(req, 'decline')} disabled={isProcessing}>
+                  <X className="h-4 w-4 mr-1" />
+                  Decline
+                </Button>
+                <Button size="sm" onClick={() => handleAction(req, 'approve')} disabled={isProcessing}>
+                  {isProcessing ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Check className="h-4 w-4 mr-1" />}
+                  Approve
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Banknote, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { getApplicablePolicyForEmployee } from '@/components/utils/leaveAccrual';
+import {
+  createCashOutRequest,
+  calculatePayoutAmount,
+  getHourlyRate,
+  formatCurrency,
+  CASH_OUT_STATUSES,
+} from '@/components/utils/leavePayout';
+import { formatHours, safeNumber } from '@/components/utils/numberUtils';
+
+const LeaveCashOutRequest = base44.entities.LeaveCashOutRequest;
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-green-100 text-green-700',
+  declined: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-700',
+};
+
+/**
+ * Annual leave cash-out
+ * Lets an employee request to cash out annual leave when their policy
+ * allows it, and lists their previous cash-out requests.
+ */
+export default function LeaveCashOutCard({ employee, refreshKey = 0, onSubmitted }) {
+  const [policy, setPolicy] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDialog, setShowDialog] = useState(false);
+  const [hours, setHours] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (employee?.id) {
+      loadData();
+    }
+  }, [employee?.id, refreshKey]);
+
+  const loadData = async () => {
+    setIsLoading(true);
+    try {
+      const [annualPolicy, cashOuts] = await Promise.all([
+        getApplicablePolicyForEmployee(employee.id, 'annual', employee),
+        LeaveCashOutRequest.filter({ employee_id: employee.id }),
+      ]);
+      setPolicy(annualPolicy);
+      setRequests(cashOuts.sort((a, b) => (b.requested_at || '').localeCompare(a.requested_at || '')));
+    } catch (error) {
+      console.error('Error loading cash-out requests:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const result = await createCashOutRequest({
+        employee,
+        leaveType: 'annual',
+        hours: parseFloat(hours),
+        reason,
+      });
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      toast.success('Cash-out request submitted for approval');
+      setShowDialog(false);
+      setHours('');
+      setReason('');
+      await loadData();
+      onSubmitted?.();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || (!policy?.cashout_allowed && requests.length === 0)) {
+    return null;
+  }
+
+  const rate = getHourlyRate(employee);
+  const estimate = rate && safeNumber(parseFloat(hours), 0) > 0
+    ? calculatePayoutAmount({ hours: parseFloat(hours), hourlyRate: rate.hourlyRate, policy })
+    : null;
+
+  return (
+    <Card className="mb-6">
+      <CardContent className="p-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold flex items-center gap-2">
+              <Banknote className="h-5 w-5 text-gray-400" />
+              Cash Out Leave
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Request to be paid for some of your annual leave instead of taking it. Requests need HR approval.
+            </p>
+          </div>
+          {policy?.cashout_allowed && (
+            <Button variant="outline" onClick={() => { setError(''); setShowDialog(true); }}>
+              Request Cash-out
+            </Button>
+          )}
+        </div>
+
+        {requests.length > 0 && (
+          <div className="mt-4 divide-y divide-gray-100 border rounded-lg">
+            {requests.map(req => (
+              <div key={req.id} className="px-4 py-3 flex items-center justify-between text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{formatHours(req.hours)} hours</p>
+                  <p className="text-xs text-gray-500">
+                    {req.requested_at ? format(parseISO(req.requested_at), 'dd MMM yyyy') : '—'}
+                    {req.decision_comment && ` · ${req.decision_comment}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  {(req.approved_amount ?? req.estimated_amount) !== null && (req.approved_amount ?? req.estimated_amount) !== undefined && (
+                    <span className="text-gray-700">
+                      {formatCurrency(req.approved_amount ?? req.estimated_amount, employee.salary_currency)}
+                    </span>
+                  )}
+                  <Badge className={STATUS_COLORS[req.status] || STATUS_COLORS.cancelled}>
+                    {CASH_OUT_STATUSES[req.status] || req.status}
+                  </Badge>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={showDialog} onOpenChange={setShowDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Request annual leave cash-out</DialogTitle>
+            <DialogDescription>
+              At least {formatHours(Number.isFinite(policy?.cashout_min_remaining_hours) ? policy.cashout_min_remaining_hours : 152)} hours of annual leave must remain after the cash-out.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="cashout-hours">Hours</Label>
+              <Input
+                id="cashout-hours"
+                type="number"
+                min="0"
+                step="0.5"
+                value={hours}
+                onChange={(e) => setHours(e.target.value)}
+                className="mt-1"
+              />
+              {estimate && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Estimated {formatCurrency(estimate.totalAmount, employee.salary_currency)} before tax
+                  {estimate.loadingAmount > 0 && ` (includes ${estimate.loadingPercent}% leave loading)`}
+                </p>
+              )}
+            </div>
+            <div>
+              <Label htmlFor="cashout-reason">Reason (optional)</Label>
+              <Textarea
+                id="cashout-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="mt-1"
+                rows={3}
+              />
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowDialog(false)} disabled={isSubmitting}>
+              Cancel
+            </Button>
+            <Button onClick={handleSubmit} disabled={isSubmitting || !hours}>
+              {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Submit Request
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -1,27 +1,41 @@
 import React, { useState, useEffect } from 'react';
 import { Badge } from "@/components/ui/badge";
 import { Calendar, Sun, Flag, Loader2 } from 'lucide-react';
-import { format, eachDayOfInterval, parseISO, isWeekend } from 'date-fns';
+import { format, eachDayOfInterval, parseISO } from 'date-fns';
 import { getPublicHolidaysInRange } from '@/components/utils/publicHolidays';
+import {
+  getWorkPattern,
+  getScheduledHoursForDate,
+  describeWorkPattern,
+} from '@/components/utils/workPattern';
+import { formatHours } from '@/components/utils/numberUtils';
+import { getPartialDayHours } from '@/components/utils/LeaveEngine';
 
 /**
  * Displays a breakdown of leave days showing:
  * - Total days in range
- * - Weekends (non-chargeable)
- * - Public holidays (non-chargeable)
- * - Chargeable leave days
+ * - Non-working days per the employee's work pattern (non-chargeable)
+ * - Public holidays on rostered days (non-chargeable)
+ * - Chargeable leave days and hours
+ *
+ * Without an `employee`, a standard Monday–Friday week is assumed.
+ * `dayOverrides` ('yyyy-MM-dd' -> { hours } | { start_time, end_time })
+ * charges partial hours on individual days.
  */
 export default function LeaveDayBreakdown({ 
   startDate, 
   endDate, 
   entityId, 
   stateRegion,
+  employee,
+  dayOverrides,
   onChargeableDaysChange,
   compact = false 
 }) {
   const [breakdown, setBreakdown] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [holidays, setHolidays] = useState([]);
+  const dayOverridesKey = JSON.stringify(dayOverrides || {});
 
   useEffect(() => {
     if (!startDate || !endDate) {
@@ -31,21 +45,21 @@ export default function LeaveDayBreakdown({
     }
 
     calculateBreakdown();
-  }, [startDate, endDate, entityId, stateRegion]);
+  }, [startDate, endDate, entityId, stateRegion, employee?.work_pattern, employee?.hours_per_week, dayOverridesKey]);
 
   const calculateBreakdown = async () => {
     setIsLoading(true);
     try {
       const start = typeof startDate === 'string' ? parseISO(startDate) : startDate;
       const end = typeof endDate === 'string' ? parseISO(endDate) : endDate;
+      const pattern = getWorkPattern(employee);
 
       // Get all days in range
       const allDays = eachDayOfInterval({ start, end });
       const totalDays = allDays.length;
 
-      // Count weekends
-      const weekendDays = allDays.filter(d => isWeekend(d));
-      const weekendCount = weekendDays.length;
+      // Count days the employee is not rostered to work
+      const nonWorkingCount = allDays.filter(d => getScheduledHoursForDate(pattern, d) <= 0).length;
 
       // Get public holidays for the range
       const publicHolidays = await getPublicHolidaysInRange(entityId, start, end, { stateRegion });
@@ -54,26 +68,47 @@ export default function LeaveDayBreakdown({
       // Create a set of holiday date strings for quick lookup
       const holidayDates = new Set(publicHolidays.map(h => h.date));
 
-      // Count public holidays that fall on weekdays (don't double-count weekend holidays)
-      const weekdayHolidays = allDays.filter(d => {
+      // Count public holidays on rostered days (don't double-count non-working days)
+      const rosteredHolidays = allDays.filter(d => {
         const dateStr = format(d, 'yyyy-MM-dd');
-        return holidayDates.has(dateStr) && !isWeekend(d);
+        return holidayDates.has(dateStr) && getScheduledHoursForDate(pattern, d) > 0;
       });
-      const holidayCount = weekdayHolidays.length;
+      const holidayCount = rosteredHolidays.length;
 
-      // Chargeable days = total - weekends - weekday public holidays
-      const chargeableDays = totalDays - weekendCount - holidayCount;
+      // Chargeable hours = rostered hours (or partial hours) on each chargeable day
+      let chargeableDays = 0;
+      let partialDayCount = 0;
+      const chargeableHours = allDays.reduce((sum, d) => {
+        const dateStr = format(d, 'yyyy-MM-dd');
+        const scheduled = getScheduledHoursForDate(pattern, d);
+        if (scheduled <= 0 || holidayDates.has(dateStr)) return sum;
+
+        const partialHours = getPartialDayHours(dayOverrides?.[dateStr]);
+        if (partialHours !== null && partialHours > 0) {
+          const hours = Math.min(partialHours, scheduled);
+          chargeableDays += hours / scheduled;
+          partialDayCount++;
+          return sum + hours;
+        }
+
+        chargeableDays += 1;
+        return sum + scheduled;
+      }, 0);
+      chargeableDays = Math.round(chargeableDays * 100) / 100;
 
       const result = {
         totalDays,
-        weekendCount,
+        nonWorkingCount,
         holidayCount,
+        partialDayCount,
         chargeableDays,
+        chargeableHours: Math.round(chargeableHours * 100) / 100,
+        patternSummary: pattern.is_default ? null : describeWorkPattern(pattern),
         holidayNames: publicHolidays.map(h => ({ date: h.date, name: h.name })),
       };
 
       setBreakdown(result);
-      if (onChargeableDaysChange) onChargeableDaysChange(chargeableDays);
+      if (onChargeableDaysChange) onChargeableDaysChange(chargeableDays, result.chargeableHours);
     } catch (error) {
       console.error('Error calculating leave breakdown:', error);
       setBreakdown(null);
@@ -99,6 +134,7 @@ export default function LeaveDayBreakdown({
     return (
       <div className="text-sm text-gray-600">
         <span className="font-medium">{breakdown.chargeableDays}</span> chargeable days
+        <span className="text-gray-400 ml-1">({formatHours(breakdown.chargeableHours)}h)</span>
         {breakdown.holidayCount > 0 && (
           <span className="text-gray-400 ml-1">
             (excl. {breakdown.holidayCount} public holiday{breakdown.holidayCount > 1 ? 's' : ''})
@@ -122,9 +158,9 @@ export default function LeaveDayBreakdown({
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600 flex items-center gap-1">
-            <Sun className="h-3 w-3" /> Weekends:
+            <Sun className="h-3 w-3" /> Non-working days:
           </span>
-          <span className="text-gray-500">−{breakdown.weekendCount}</span>
+          <span className="text-gray-500">−{breakdown.nonWorkingCount}</span>
         </div>
         {breakdown.holidayCount > 0 && (
           <div className="flex justify-between col-span-2">
@@ -151,6 +187,19 @@ export default function LeaveDayBreakdown({
         <span className="font-medium text-gray-700">Chargeable leave days:</span>
         <span className="text-lg font-bold text-indigo-600">{breakdown.chargeableDays}</span>
       </div>
+      <div className="flex justify-between items-center text-sm">
+        <span className="text-gray-600">Chargeable hours:</span>
+        <span className="font-medium">{formatHours(breakdown.chargeableHours)}h</span>
+      </div>
+      {breakdown.partialDayCount > 0 && (
+        <p className="text-xs text-gray-500">
+          Includes {breakdown.partialDayCount} partial day{breakdown.partialDayCount > 1 ? 's' : ''}.
+        </p>
+      )}
+
+      {breakdown.patternSummary && (
+        <p className="text-xs text-gray-500">Work pattern: {breakdown.patternSummary}</p>
+      )}
 
       <p className="text-xs text-gray-500">
         Only chargeable days will be deducted from your leave balance.
@@ -160,12 +209,13 @@ export default function LeaveDayBreakdown({
 }
 
 /**
- * Calculate chargeable leave days (excluding weekends and public holidays)
+ * Calculate chargeable leave days (excluding non-working days and public holidays)
  * Utility function for use in helpers
  */
-export async function calculateChargeableDays(startDate, endDate, entityId, stateRegion = null) {
+export async function calculateChargeableDays(startDate, endDate, entityId, stateRegion = null, employee = null) {
   const start = typeof startDate === 'string' ? parseISO(startDate) : startDate;
   const end = typeof endDate === 'string' ? parseISO(endDate) : endDate;
+  const pattern = getWorkPattern(employee);
 
   const allDays = eachDayOfInterval({ start, end });
   
@@ -173,9 +223,9 @@ export async function calculateChargeableDays(startDate, endDate, entityId, stat
   const publicHolidays = await getPublicHolidaysInRange(entityId, start, end, { stateRegion });
   const holidayDates = new Set(publicHolidays.map(h => h.date));
 
-  // Count only weekdays that are not public holidays
+  // Count only rostered days that are not public holidays
   const chargeableDays = allDays.filter(d => {
-    if (isWeekend(d)) return false;
+    if (getScheduledHoursForDate(pattern, d) <= 0) return false;
     const dateStr = format(d, 'yyyy-MM-dd');
     if (holidayDates.has(dateStr)) return false;
     return true;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Badge } from "@/components/ui/badge";
+import { Paperclip, Upload, Lock, Trash2, Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'sonner';
+import { hasAdminPowers } from '@/components/utils/permissions';
+import {
+  EVIDENCE_STATUS_LABELS,
+  getEvidenceStatus,
+  getLeaveEvidenceForRequest,
+  getLeaveEvidenceUrl,
+  uploadLeaveEvidence,
+  deleteLeaveEvidence,
+} from '@/components/utils/leaveEvidence';
+
+const STATUS_STYLES = {
+  outstanding: 'bg-amber-50 text-amber-700 border-amber-200',
+  overdue: 'bg-red-50 text-red-700 border-red-200',
+  provided: 'bg-green-50 text-green-700 border-green-200',
+};
+
+/**
+ * Supporting evidence for a leave request: status, attached files the user
+ * may see, and upload for the employee or HR. Confidential files are listed
+ * to approvers only as a count.
+ */
+export default function LeaveEvidencePanel({ request, leaveType = null, userContext, onChange }) {
+  const [evidence, setEvidence] = useState({ visible: [], hiddenCount: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [confidential, setConfidential] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const isOwner = userContext?.employee?.id === request.employee_id;
+  const isHr = hasAdminPowers(userContext?.user, userContext?.preferences);
+  const canUpload = (isOwner || isHr) && request.status !== 'declined' && request.status !== 'cancelled';
+  const forcedConfidential = leaveType?.evidence_confidential === true;
+  const status = getEvidenceStatus(request);
+
+  useEffect(() => {
+    loadEvidence();
+  }, [request.id, request.evidence_status]);
+
+  const loadEvidence = async () => {
+    setIsLoading(true);
+    try {
+      setEvidence(await getLeaveEvidenceForRequest(request, userContext));
+    } catch (error) {
+      console.error('Error loading leave evidence:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsUploading(true);
+    const result = await uploadLeaveEvidence({
+      request,
+      file,
+      confidential,
+      leaveType,
+      user: userContext?.user,
+    });
+    setIsUploading(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    toast.success('Evidence uploaded');
+    await loadEvidence();
+    onChange?.();
+  };
+
+  const handleOpen = async (item) => {
+    const url = await getLeaveEvidenceUrl(item, request, userContext);
+    if (url) window.open(url, '_blank', 'noopener');
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(`Remove ${item.file_name}?`)) return;
+    const result = await deleteLeaveEvidence(item, request, userContext);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    await loadEvidence();
+    onChange?.();
+  };
+
+  if (status === 'not_required' && !isLoading && evidence.visible.length === 0 && evidence.hiddenCount === 0 && !canUpload) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-1.5 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <Paperclip className="h-3.5 w-3.5 text-gray-400" />
+        {status !== 'not_required' && (
+          <Badge variant="outline" className={`text-xs ${STATUS_STYLES[status] || ''}`}>
+            {EVIDENCE_STATUS_LABELS[status]}
+            {status !== 'provided' && request.evidence_due_date && ` by ${format(parseISO(request.evidence_due_date), 'dd MMM')}`}
+          </Badge>
+        )}
+        {isLoading && <Loader2 className="h-3.5 w-3.5 animate-spin text-gray-400" />}
+        {evidence.visible.map(item => (
+          <span key={item.id} className="inline-flex items-center gap-1">
+            <button type="button" className="text-indigo-600 hover:underline" onClick={() => handleOpen(item)}>
+              {item.file_name || 'Attachment'}
+            </button>
+            {item.is_confidential && <span title="Confidential"><Lock className="h-3 w-3 text-gray-400" /></span>}
+            {(isHr || (isOwner && request.status === 'pending')) && (
+              <button type="button" onClick={() => handleDelete(item)} title="Remove">
+                <Trash2 className="h-3 w-3 text-gray-400 hover:text-red-500" />
+              </button>
+            )}
+          </span>
+        ))}
+        {evidence.hiddenCount > 0 && (
+          <span className="text-xs text-gray-500 inline-flex items-center gap-1">
+            <Lock className="h-3 w-3" />
+            {evidence.hiddenCount} confidential {evidence.hiddenCount === 1 ? 'file' : 'files'} (HR only)
+          </span>
+        )}
+      </div>
+
+      {canUpload && (
+        <div className="flex items-center gap-3">
+          <input ref={fileInputRef} type="file" className="hidden" onChange={handleFile} />
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+          >
+            {isUploading ? <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" /> : <Upload className="h-3.5 w-3.5 mr-1" />}
+            Attach evidence
+          </Button>
+          {!forcedConfidential && (
+            <label className="flex items-center gap-1.5 text-xs text-gray-600">
+              <Checkbox checked={confidential} onCheckedChange={(v) => setConfidential(v === true)} />
+              Confidential (HR only)
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CalendarClock, Loader2, CheckCircle, Eye } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import {
+  previewPeriodClose,
+  commitPeriodClose,
+  hasCarryoverLimit,
+  CARRYOVER_PERIODS,
+  CARRYOVER_EXCESS_ACTIONS,
+} from '@/components/utils/leavePeriodClose';
+import { formatHours } from '@/components/utils/numberUtils';
+
+/**
+ * Year-end carryover panel
+ * Previews capped carryover per employee for a policy, then commits the
+ * forfeiture/payout of the excess to the leave ledger.
+ */
+export default function LeavePeriodClosePanel({ policies = [], entityId = null }) {
+  const eligiblePolicies = policies.filter(p => p.is_active !== false && hasCarryoverLimit(p));
+
+  const [policyId, setPolicyId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isCommitting, setIsCommitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setResult(null);
+    setError('');
+    try {
+      const res = await previewPeriodClose(policyId, { entityId });
+      if (res.success) {
+        setPreview(res);
+      } else {
+        setPreview(null);
+        setError(res.error);
+      }
+    } catch (err) {
+      console.error('Error previewing period close:', err);
+      setError(err.message || 'Failed to preview period close');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    setError('');
+    try {
+      const res = await commitPeriodClose(preview.policy, preview.rows);
+      setResult(res);
+      setPreview(null);
+    } catch (err) {
+      console.error('Error committing period close:', err);
+      setError(err.message || 'Failed to close period');
+    } finally {
+      setIsCommitting(false);
+    }
+  };
+
+  const affectedRows = preview?.rows.filter(r => r.excess > 0) || [];
+  const totalExcess = affectedRows.reduce((sum, r) => sum + r.excess, 0);
+
+  return (
+    <Card>
+      <CardContent className="p-6">
+        <div>
+          <h3 className="font-medium text-gray-900 flex items-center gap-2">
+            <CalendarClock className="h-5 w-5 text-gray-400" />
+            Year-end Carryover
+          </h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Apply a policy&apos;s maximum carryover at the end of its leave year. Balances above the cap are forfeited or paid out as configured on the policy.
+          </p>
+        </div>
+
+        {eligiblePolicies.length === 0 ? (
+          <p className="text-sm text-gray-500 mt-4">
+            No active policies have a carryover limit. Set Max Carryover on a policy to enable period close.
+          </p>
+        ) : (
+          <div className="mt-4 flex items-end gap-4">
+            <div className="flex-1 max-w-sm">
+              <Label className="text-sm text-gray-500">Policy</Label>
+              <Select value={policyId} onValueChange={(v) => { setPolicyId(v); setPreview(null); setResult(null); }}>
+                <SelectTrigger className="mt-1">
+                  <SelectValue placeholder="Select a policy" />
+                </SelectTrigger>
+                <SelectContent>
+                  {eligiblePolicies.map(p => (
+                    <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={handlePreview} disabled={!policyId || isPreviewing}>
+              {isPreviewing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+              Preview
+            </Button>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+        {preview && (
+          <div className="mt-4 space-y-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              <Badge variant="outline">{CARRYOVER_PERIODS[preview.policy.carryover_period || 'calendar']}</Badge>
+              <Badge variant="outline">
+                {CARRYOVER_EXCESS_ACTIONS[preview.policy.carryover_excess_action === 'payout' ? 'payout' : 'forfeit']}
+              </Badge>
+              <Badge variant="outline">
+                Cap: {Number.isFinite(preview.rows[0]?.cap) ? `${formatHours(preview.rows[0].cap)}h` : '—'}
+              </Badge>
+            </div>
+
+            {affectedRows.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No balances exceed the carryover cap for {preview.rows.length} employee{preview.rows.length === 1 ? '' : 's'} on this policy.
+              </p>
+            ) : (
+              <>
+                <div className="max-h-80 overflow-y-auto border rounded-lg">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+                      <tr>
+                        <th className="text-left font-medium px-3 py-2">Employee</th>
+                        <th className="text-left font-medium px-3 py-2">Period end</th>
+                        <th className="text-right font-medium px-3 py-2">Balance</th>
+                        <th className="text-right font-medium px-3 py-2">Carried over</th>
+                        <th className="text-right font-medium px-3 py-2">Excess</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {affectedRows.map(row => (
+                        <tr key={row.employee.id}>
+                          <td className="px-3 py-2">{row.employee.first_name} {row.employee.last_name}</td>
+                          <td className="px-3 py-2 text-gray-600">{format(parseISO(row.periodEnd), 'dd MMM yyyy')}</td>
+                          <td className="px-3 py-2 text-right">{formatHours(row.balance)}h</td>
+                          <td className="px-3 py-2 text-right">{formatHours(row.carriedOver)}h</td>
+                          <td className="px-3 py-2 text-right text-red-600">−{formatHours(row.excess)}h</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-600">
+                    {affectedRows.length} employee{affectedRows.length === 1 ? '' : 's'}, {formatHours(totalExcess)}h to be {preview.policy.carryover_excess_action === 'payout' ? 'paid out' : 'forfeited'}.
+                  </p>
+                  <Button onClick={handleCommit} disabled={isCommitting}>
+                    {isCommitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Commit Period Close
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {result && (
+          <div className={`mt-4 flex items-center gap-2 text-sm ${result.success ? 'text-green-600' : 'text-amber-600'}`}>
+            <CheckCircle className="h-4 w-4" />
+            Closed period for {result.processed} employee{result.processed === 1 ? '' : 's'} ({formatHours(result.totalExcess)}h).
+            {result.errors.length > 0 && ` ${result.errors.length} failed.`}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
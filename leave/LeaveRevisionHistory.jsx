@@ -0,0 +1,61 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { History } from 'lucide-react';
+import ApprovalStepsTimeline from './ApprovalStepsTimeline';
+import { REVISION_STATUSES, getRequestRevisions, describeRevision } from '@/components/utils/leaveAmendments';
+import { getDisplayName } from '@/components/utils/displayName';
+
+const STATUS_STYLES = {
+  submitted: 'text-gray-600',
+  proposed: 'text-blue-700',
+  approved: 'text-green-700',
+  declined: 'text-red-700',
+  superseded: 'text-gray-400',
+};
+
+/**
+ * Every version of an amended leave request, oldest first, with who proposed
+ * it, why, and the approval chain it went through.
+ */
+export default function LeaveRevisionHistory({ request, employeesMap = {} }) {
+  const revisions = getRequestRevisions(request);
+  if (revisions.length === 0) return null;
+
+  const nameFor = (id) => (employeesMap[id] ? getDisplayName(employeesMap[id]) : null);
+
+  return (
+    <div className="space-y-1.5 text-xs">
+      <p className="text-gray-500 flex items-center gap-1">
+        <History className="h-3.5 w-3.5" />
+        Revision history
+      </p>
+      <ol className="space-y-1.5 border-l border-gray-200 pl-3">
+        {revisions.map(revision => (
+          <li key={revision.revision}>
+            <div className="flex items-center gap-2 flex-wrap">
+              <span className="font-medium text-gray-700">
+                {revision.revision === 1 ? 'Original' : `Change ${revision.revision - 1}`}
+              </span>
+              <span className={revision.status === 'superseded' ? 'text-gray-400 line-through' : 'text-gray-700'}>
+                {describeRevision(revision)}
+              </span>
+              <span className={STATUS_STYLES[revision.status] || 'text-gray-600'}>
+                {REVISION_STATUSES[revision.status] || revision.status}
+              </span>
+            </div>
+            <p className="text-gray-500">
+              {revision.proposed_at && format(parseISO(revision.proposed_at), 'dd MMM yyyy')}
+              {nameFor(revision.proposed_by_id) && ` by ${nameFor(revision.proposed_by_id)}`}
+              {revision.reason && ` · ${revision.reason}`}
+            </p>
+            {revision.approval_steps?.length > 0 && (
+              <div className="mt-1">
+                <ApprovalStepsTimeline steps={revision.approval_steps} employeesMap={employeesMap} />
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Loader2, Layers } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  NO_BALANCE,
+  BALANCE_BUCKETS,
+  BALANCE_BUCKET_LABELS,
+  getBalanceBucket,
+} from '@/components/utils/leaveBalanceBuckets';
+
+const LeaveType = base44.entities.LeaveType;
+
+/**
+ * Leave Type → Balance mapping
+ * Lets admins choose which balance each leave type deducts from,
+ * or "No balance" for unpaid / uncapped types.
+ */
+export default function LeaveTypeBalanceMapping() {
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    loadLeaveTypes();
+  }, []);
+
+  const loadLeaveTypes = async () => {
+    setIsLoading(true);
+    try {
+      const types = await LeaveType.list();
+      setLeaveTypes(types.filter(t => t.is_active !== false));
+    } catch (error) {
+      console.error('Error loading leave types:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleChange = async (leaveType, bucket) => {
+    setSavingId(leaveType.id);
+    try {
+      await LeaveType.update(leaveType.id, { balance_bucket: bucket });
+      setLeaveTypes(prev => prev.map(t => t.id === leaveType.id ? { ...t, balance_bucket: bucket } : t));
+      toast.success(`${leaveType.name} now ${bucket === NO_BALANCE ? 'does not draw from a balance' : `draws from ${BALANCE_BUCKET_LABELS[bucket]}`}`);
+    } catch (error) {
+      console.error('Error updating leave type:', error);
+      toast.error('Failed to update leave type');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Layers className="h-5 w-5 text-gray-400" />
+          Leave Type Balances
+        </CardTitle>
+        <CardDescription>
+          Choose which balance each leave type is deducted from. Unpaid and uncapped leave (e.g. compassionate, community service) should use &quot;No balance&quot;.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : leaveTypes.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No active leave types</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {leaveTypes.map(lt => (
+              <div key={lt.id} className="flex items-center justify-between py-3 gap-4">
+                <div className="flex items-center gap-2 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{lt.name}</p>
+                  {!lt.balance_bucket && (
+                    <Badge variant="outline" className="text-xs text-gray-500">Inferred</Badge>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  {savingId === lt.id && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                  <Select
+                    value={getBalanceBucket(lt)}
+                    onValueChange={(bucket) => handleChange(lt, bucket)}
+                    disabled={savingId === lt.id}
+                  >
+                    <SelectTrigger className="w-56">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {BALANCE_BUCKETS.map(bucket => (
+                        <SelectItem key={bucket} value={bucket}>{BALANCE_BUCKET_LABELS[bucket]}</SelectItem>
+                      ))}
+                      <SelectItem value={NO_BALANCE}>No balance</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Paperclip, Pencil, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { describeEvidenceRule } from '@/components/utils/leaveEvidence';
+
+const LeaveType = base44.entities.LeaveType;
+
+const parseOptionalNumber = (value) => (value === '' ? null : parseInt(value, 10));
+
+/**
+ * Leave type evidence rules
+ * Lets admins say when a leave type needs supporting evidence (e.g. a medical
+ * certificate for personal leave over 2 days) and whether it is confidential.
+ */
+export default function LeaveTypeEvidenceSettings() {
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadLeaveTypes();
+  }, []);
+
+  const loadLeaveTypes = async () => {
+    setIsLoading(true);
+    try {
+      const types = await LeaveType.list();
+      setLeaveTypes(types.filter(t => t.is_active !== false));
+    } catch (error) {
+      console.error('Error loading leave types:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openEdit = (leaveType) => {
+    setEditing({
+      id: leaveType.id,
+      name: leaveType.name,
+      evidence_required_after_days: leaveType.evidence_required_after_days ?? null,
+      evidence_due_days: leaveType.evidence_due_days ?? null,
+      evidence_confidential: leaveType.evidence_confidential === true,
+      evidence_description: leaveType.evidence_description || '',
+    });
+  };
+
+  const handleSave = async () => {
+    const { id, name, ...fields } = editing;
+    setIsSaving(true);
+    try {
+      const payload = {
+        ...fields,
+        evidence_required_after_days: Number.isFinite(fields.evidence_required_after_days) ? fields.evidence_required_after_days : null,
+        evidence_due_days: Number.isFinite(fields.evidence_due_days) ? fields.evidence_due_days : null,
+        evidence_description: fields.evidence_description.trim() || null,
+      };
+      await LeaveType.update(id, payload);
+      setLeaveTypes(prev => prev.map(t => (t.id === id ? { ...t, ...payload } : t)));
+      toast.success(`Evidence rules saved for ${name}`);
+      setEditing(null);
+    } catch (error) {
+      console.error('Error saving evidence rules:', error);
+      toast.error('Failed to save evidence rules');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Paperclip className="h-5 w-5 text-gray-400" />
+          Supporting Evidence
+        </CardTitle>
+        <CardDescription>
+          When each leave type needs evidence such as a medical certificate, and whether files are confidential to HR.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : leaveTypes.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No active leave types</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {leaveTypes.map(lt => (
+              <div key={lt.id} className="flex items-center justify-between py-3 gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{lt.name}</p>
+                  <p className="text-xs text-gray-500">{describeEvidenceRule(lt) || 'No evidence required'}</p>
+                </div>
+                <Button size="sm" variant="ghost" onClick={() => openEdit(lt)}>
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        {editing && (
+          <DialogContent className="max-w-md">
+            <DialogHeader>
+              <DialogTitle>Evidence rules: {editing.name}</DialogTitle>
+              <DialogDescription>
+                Leave &quot;Required after&quot; blank if evidence is never required.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label htmlFor="evidence-after">Required after (days)</Label>
+                  <Input
+                    id="evidence-after"
+                    type="number"
+                    min="0"
+                    placeholder="Never"
+                    value={editing.evidence_required_after_days ?? ''}
+                    onChange={(e) => setEditing(prev => ({ ...prev, evidence_required_after_days: parseOptionalNumber(e.target.value) }))}
+                    className="mt-1"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">0 = every request</p>
+                </div>
+                <div>
+                  <Label htmlFor="evidence-due">Due within (days)</Label>
+                  <Input
+                    id="evidence-due"
+                    type="number"
+                    min="0"
+                    placeholder="On request"
+                    value={editing.evidence_due_days ?? ''}
+                    onChange={(e) => setEditing(prev => ({ ...prev, evidence_due_days: parseOptionalNumber(e.target.value) }))}
+                    className="mt-1"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">After the leave ends</p>
+                </div>
+              </div>
+
+              <div>
+                <Label htmlFor="evidence-description">What to provide</Label>
+                <Input
+                  id="evidence-description"
+                  value={editing.evidence_description}
+                  onChange={(e) => setEditing(prev => ({ ...prev, evidence_description: e.target.value }))}
+                  placeholder="e.g. Medical certificate or statutory declaration"
+                  className="mt-1"
+                />
+              </div>
+
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <Label htmlFor="evidence-confidential">Confidential</Label>
+                  <p className="text-xs text-gray-500">
+                    Files are stored privately and only HR and the employee can open them.
+                  </p>
+                </div>
+                <Switch
+                  id="evidence-confidential"
+                  checked={editing.evidence_confidential}
+                  onCheckedChange={(checked) => setEditing(prev => ({ ...prev, evidence_confidential: checked }))}
+                />
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </Card>
+  );
+}
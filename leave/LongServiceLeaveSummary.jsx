@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Badge } from "@/components/ui/badge";
+import { Award, Info, Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { getStateLslForEmployee, getLslExitEntitlement } from '@/components/utils/lslRules';
+import { formatHours } from '@/components/utils/numberUtils';
+
+const formatDate = (value) => format(parseISO(value), 'dd MMM yyyy');
+
+/**
+ * Long service leave under the rules of the employee's work-location state:
+ * continuous service, accrued weeks, and when the leave can be taken or is
+ * paid pro-rata on exit. Pass exitType to show the exit entitlement.
+ */
+export default function LongServiceLeaveSummary({ employee, asOfDate = new Date(), exitType = null }) {
+  const [lsl, setLsl] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const asOf = typeof asOfDate === 'string' ? parseISO(asOfDate) : asOfDate;
+  const asOfKey = format(asOf, 'yyyy-MM-dd');
+
+  useEffect(() => {
+    if (employee?.id) {
+      loadLsl();
+    }
+  }, [employee?.id, asOfKey]);
+
+  const loadLsl = async () => {
+    setIsLoading(true);
+    try {
+      setLsl(await getStateLslForEmployee(employee, asOf));
+    } catch (error) {
+      console.error('Error calculating long service leave:', error);
+      setLsl(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-3">
+        <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!lsl) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-500 p-3 bg-gray-50 rounded-lg border">
+        <Info className="h-4 w-4 text-blue-500" />
+        <span>No state long service leave rules apply. Set a work location with a state to calculate.</span>
+      </div>
+    );
+  }
+
+  const exit = exitType !== null ? getLslExitEntitlement(lsl, exitType) : null;
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg border space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Award className="h-4 w-4 text-gray-500" />
+          <span className="text-sm font-medium text-gray-700">Long Service Leave</span>
+        </div>
+        <Badge variant="outline" className="text-xs" title={lsl.stateLabel}>{lsl.state} rules</Badge>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <div>
+          <p className="text-xs text-gray-500">Continuous service</p>
+          <p className="font-semibold text-gray-900">{lsl.serviceYears.toFixed(1)} years</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Accrued</p>
+          <p className="font-semibold text-gray-900">{lsl.accruedWeeks.toFixed(2)} weeks</p>
+          <p className="text-xs text-gray-500">{formatHours(lsl.accruedHours)}h at {formatHours(lsl.weeklyHours)}h/week</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">{lsl.accessible ? 'Available since' : 'Can be taken from'}</p>
+          <p className="font-semibold text-gray-900">{formatDate(lsl.accessDate)}</p>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {lsl.accessible
+          ? `Full entitlement reached after ${lsl.accessYears} years.`
+          : `Paid pro-rata on exit from ${formatDate(lsl.proRataExitDate)}. ${lsl.exitNote}`}
+        {lsl.unpaidLeaveDays > 0 && ` ${lsl.unpaidLeaveDays} days of unpaid leave do not count as service.`}
+      </p>
+
+      {exit && (
+        <p className={`text-xs font-medium ${exit.payable ? 'text-green-700' : 'text-amber-700'}`}>
+          On exit: {exit.payable ? 'payable' : 'not payable'} — {exit.reason}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -4,7 +4,8 @@ import { AlertTriangle, Users, Calendar } from 'lucide-react';
 import { format, parseISO } from 'date-fns';
 
 /**
- * Displays staffing conflict warnings for leave approval
+ * Displays staffing conflict warnings for leave approval, with the days
+ * each staffing rule would be broken
  */
 export default function StaffingConflictWarning({ 
   conflictResult, 
@@ -13,7 +14,14 @@ export default function StaffingConflictWarning({
 }) {
   if (!conflictResult?.hasConflict) return null;
   
-  const { warnings, stats, overlappingLeave } = conflictResult;
+  const { warnings, stats, breaches = [] } = conflictResult;
+
+  // Group breaches by day for the day-by-day list
+  const breachesByDay = breaches.reduce((acc, breach) => {
+    (acc[breach.date] = acc[breach.date] || []).push(breach);
+    return acc;
+  }, {});
+  const breachDays = Object.keys(breachesByDay).sort();
   
   return (
     <Alert variant="warning" className={`border-amber-300 bg-amber-50 ${className}`}>
@@ -25,18 +33,40 @@ export default function StaffingConflictWarning({
             <p key={idx} className="text-sm">{warning.message}</p>
           ))}
           
+          {breachDays.length > 0 && (
+            <div className="mt-3">
+              <p className="text-xs font-medium mb-1">Days affected:</p>
+              <ul className="text-xs space-y-1">
+                {breachDays.slice(0, 7).map(day => (
+                  <li key={day} className="flex justify-between gap-3">
+                    <span className="whitespace-nowrap">{format(parseISO(day), 'EEE dd MMM')}</span>
+                    <span className="text-amber-600 text-right">
+                      {breachesByDay[day].map(b => (b.type === 'min_headcount'
+                        ? `${b.ruleLabel}: ${b.working} working (min ${b.limit})`
+                        : `${b.ruleLabel}: ${b.onLeave} on leave (max ${b.limit})`
+                      )).join('; ')}
+                    </span>
+                  </li>
+                ))}
+                {breachDays.length > 7 && (
+                  <li className="text-amber-600">+{breachDays.length - 7} more days</li>
+                )}
+              </ul>
+            </div>
+          )}
+
           {stats && (
             <div className="mt-3 p-2 bg-amber-100 rounded text-xs space-y-1">
               <div className="flex items-center gap-2">
                 <Users className="h-3 w-3" />
-                <span>Total in {stats.scopeLabel}: {stats.totalHeadcount}</span>
+                <span>Total ({stats.scopeLabel}): {stats.totalHeadcount}</span>
               </div>
               <div className="flex items-center gap-2">
                 <Calendar className="h-3 w-3" />
-                <span>Already on leave during this period: {stats.concurrentLeaveCount - 1}</span>
+                <span>Already on leave on the busiest day: {stats.concurrentLeaveCount - 1}</span>
               </div>
               <div>
-                <span>Active after approval: {stats.activeAfterApproval}</span>
+                <span>Active after approval (busiest day): {stats.activeAfterApproval}</span>
               </div>
             </div>
           )}
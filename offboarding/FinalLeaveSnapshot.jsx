@@ -6,14 +6,20 @@ import { format } from 'date-fns';
 import { getLeaveContextForEmployee } from '@/components/utils/LeaveEngine';
 import { hoursToDays } from '@/components/utils/leaveAccrual';
 import { formatDays, formatHours, safeNumber } from '@/components/utils/numberUtils';
+import LeavePayoutBreakdown from './LeavePayoutBreakdown';
+import LongServiceLeaveSummary from '@/components/leave/LongServiceLeaveSummary';
 
 /**
  * Displays a read-only snapshot of an employee's final leave balances
  * Used in offboarding flows to show what leave entitlements remain
+ * Pass showPayout (salary viewers only) to include the dollar payout
+ * Pass exitType to show whether state long service leave is paid on exit
  */
 export default function FinalLeaveSnapshot({ 
   employeeId, 
   asOfDate = new Date(),
+  showPayout = false,
+  exitType = null,
   className = '' 
 }) {
   const [leaveContext, setLeaveContext] = useState(null);
@@ -96,6 +102,9 @@ export default function FinalLeaveSnapshot({
     getBalanceDisplay(balances?.personal, policies?.personal, 'Personal/Sick Leave'),
   ].filter(Boolean);
 
+  // State rules apply unless the LSL policy opts out
+  const useStateLsl = lslPolicy?.lsl_use_state_rules !== false;
+
   const lslDisplay = lslBalance && lslEligible
     ? getBalanceDisplay(lslBalance, lslPolicy, 'Long Service Leave')
     : null;
@@ -130,7 +139,10 @@ export default function FinalLeaveSnapshot({
         </div>
 
         {/* Long Service Leave */}
-        {lslPolicy && (
+        {useStateLsl && employee && (
+          <LongServiceLeaveSummary employee={employee} asOfDate={asOfDate} exitType={exitType} />
+        )}
+        {!useStateLsl && lslPolicy && (
           <div className="p-3 bg-gray-50 rounded-lg border">
             <div className="flex items-center gap-2 mb-1">
               <Clock className="h-4 w-4 text-gray-500" />
@@ -150,6 +162,10 @@ export default function FinalLeaveSnapshot({
           </div>
         )}
 
+        {showPayout && (
+          <LeavePayoutBreakdown employeeId={employeeId} asOfDate={asOfDate} exitType={exitType} />
+        )}
+
         <p className="text-xs text-gray-400 flex items-center gap-1">
           <Info className="h-3 w-3" />
           This is a read-only snapshot. Balances may be subject to final payroll adjustments.
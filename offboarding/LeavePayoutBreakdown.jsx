@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { DollarSign, Info, Loader2 } from 'lucide-react';
+import { calculateTerminationPayout, formatCurrency } from '@/components/utils/leavePayout';
+import { formatHours } from '@/components/utils/numberUtils';
+
+/**
+ * Termination payout for the final annual and long service leave balances,
+ * at the employee's ordinary hourly rate plus any policy leave loading.
+ * Long service leave follows the state's pro-rata rules for the exit type.
+ */
+export default function LeavePayoutBreakdown({ employeeId, asOfDate = new Date(), exitType = null }) {
+  const [payout, setPayout] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (employeeId) {
+      loadPayout();
+    }
+  }, [employeeId]);
+
+  const loadPayout = async () => {
+    setIsLoading(true);
+    try {
+      setPayout(await calculateTerminationPayout(employeeId, asOfDate, { exitType }));
+    } catch (error) {
+      console.error('Error calculating leave payout:', error);
+      setPayout({ success: false, error: 'Unable to calculate payout' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-3">
+        <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!payout?.success) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-500 p-3 bg-gray-50 rounded-lg border">
+        <Info className="h-4 w-4 text-blue-500" />
+        <span>Payout not calculated: {payout?.error}</span>
+      </div>
+    );
+  }
+
+  const currency = payout.employee.salary_currency;
+
+  return (
+    <div className="p-3 rounded-lg border border-green-200 bg-green-50 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <DollarSign className="h-4 w-4 text-green-700" />
+          <span className="text-sm font-medium text-green-900">Estimated Leave Payout</span>
+        </div>
+        <span className="text-lg font-bold text-green-900">{formatCurrency(payout.totalAmount, currency)}</span>
+      </div>
+
+      <div className="divide-y divide-green-100 text-sm">
+        {payout.lines.map(line => (
+          <div key={line.bucket} className="py-1.5">
+            <div className="flex justify-between">
+              <span className="text-gray-700">{line.label}</span>
+              <span className="font-medium text-gray-900">{formatCurrency(line.totalAmount, currency)}</span>
+            </div>
+            {line.payable ? (
+              <p className="text-xs text-gray-500">
+                {formatHours(line.hours)}h × {formatCurrency(payout.rate.hourlyRate, currency)}
+                {line.loadingAmount > 0 && ` + ${line.loadingPercent}% loading (${formatCurrency(line.loadingAmount, currency)})`}
+                {line.note && ` — ${line.note}`}
+              </p>
+            ) : (
+              <p className="text-xs text-gray-500">{formatHours(line.balanceHours)}h — {line.reason}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Hourly rate from base salary over {formatHours(payout.rate.weeklyHours)} hours/week
+        {payout.rate.payCycleAmount !== null && ` (${formatCurrency(payout.rate.payCycleAmount, currency)} per ${payout.employee.pay_cycle} pay)`}.
+        Gross amounts before tax.
+      </p>
+    </div>
+  );
+}
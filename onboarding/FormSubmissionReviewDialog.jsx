@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, Lock, CheckCircle2, Undo2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'sonner';
+import { getLatestFormSubmission, approveFormSubmission, rejectFormSubmission } from './onboardingEngine';
+import { getFormFields, formatFormAnswer } from './onboardingForms';
+
+/**
+ * HR review of a submitted onboarding form. Secure answers are only shown
+ * masked. Calls onReviewed(taskId, result) with `approved` and the
+ * completeTask result or `review_notes`.
+ */
+export default function FormSubmissionReviewDialog({ task, open, onClose, onReviewed, reviewer }) {
+  const [submission, setSubmission] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [action, setAction] = useState(null);
+
+  useEffect(() => {
+    if (!open || !task) return;
+    setNotes('');
+    setIsLoading(true);
+    getLatestFormSubmission(task.id)
+      .then(setSubmission)
+      .catch((error) => console.error('Error loading form submission:', error))
+      .finally(() => setIsLoading(false));
+  }, [open, task?.id]);
+
+  if (!task) return null;
+  const fields = getFormFields(task);
+
+  const handleApprove = async () => {
+    setAction('approve');
+    try {
+      const result = await approveFormSubmission(submission.id, reviewer);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Form approved.');
+      onReviewed?.(task.id, { approved: true, ...result });
+      onClose();
+    } catch (error) {
+      console.error('Error approving form:', error);
+      toast.error(error.message || 'Failed to approve form.');
+    } finally {
+      setAction(null);
+    }
+  };
+
+  const handleReject = async () => {
+    setAction('reject');
+    try {
+      const result = await rejectFormSubmission(submission.id, notes, reviewer);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Form returned to the new hire.');
+      onReviewed?.(task.id, { approved: false, review_notes: notes.trim() });
+      onClose();
+    } catch (error) {
+      console.error('Error returning form:', error);
+      toast.error('Failed to return form.');
+    } finally {
+      setAction(null);
+    }
+  };
+
+  const canReview = submission?.status === 'submitted';
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Review: {task.title}</DialogTitle>
+          {submission?.submitted_at && (
+            <DialogDescription>
+              Submitted {format(parseISO(submission.submitted_at), 'MMM d, yyyy h:mm a')}
+            </DialogDescription>
+          )}
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-indigo-600" />
+          </div>
+        ) : !submission ? (
+          <p className="text-gray-500 text-center py-8">Nothing has been submitted yet</p>
+        ) : (
+          <div className="space-y-4 py-2">
+            <dl className="divide-y rounded-lg border">
+              {fields.map(field => (
+                <div key={field.key} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                  <dt className="text-gray-500 flex items-center gap-1">
+                    {field.label}
+                    {field.secure && <Lock className="h-3 w-3 text-gray-400" />}
+                  </dt>
+                  <dd className="text-gray-900 font-medium text-right">
+                    {field.secure
+                      ? submission.masked_answers?.[field.key] || '—'
+                      : formatFormAnswer(field, submission.answers?.[field.key])}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+
+            {canReview ? (
+              <div>
+                <Label>Note to the new hire (required to return the form)</Label>
+                <Textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="e.g. The BSB doesn't match your bank's statement"
+                  rows={2}
+                  className="mt-1"
+                />
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 capitalize">Status: {submission.status}</p>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Close</Button>
+          {canReview && (
+            <>
+              <Button variant="outline" onClick={handleReject} disabled={!!action || !notes.trim()}>
+                {action === 'reject' ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Undo2 className="h-4 w-4 mr-2" />}
+                Return
+              </Button>
+              <Button onClick={handleApprove} disabled={!!action}>
+                {action === 'approve' ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <CheckCircle2 className="h-4 w-4 mr-2" />}
+                Approve
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
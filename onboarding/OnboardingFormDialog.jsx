@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2, Lock, AlertTriangle } from 'lucide-react';
+import { toast } from 'sonner';
+import { submitOnboardingForm } from './onboardingEngine';
+import { getFormFields } from './onboardingForms';
+
+const INPUT_TYPES = { email: 'email', phone: 'tel', date: 'date' };
+
+/**
+ * Lets the new hire fill in a form task and submit it for HR review.
+ */
+export default function OnboardingFormDialog({ task, open, onClose, onSubmitted }) {
+  const [answers, setAnswers] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setAnswers({});
+      setFieldErrors({});
+    }
+  }, [open, task?.id]);
+
+  if (!task) return null;
+  const fields = getFormFields(task);
+
+  const setAnswer = (key, value) => {
+    setAnswers(prev => ({ ...prev, [key]: value }));
+    setFieldErrors(prev => ({ ...prev, [key]: null }));
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      const result = await submitOnboardingForm(task.id, answers);
+      if (!result.success) {
+        setFieldErrors(result.fieldErrors || {});
+        toast.error(result.error);
+        return;
+      }
+      toast.success('Form submitted for review.');
+      onSubmitted?.(task.id);
+      onClose();
+    } catch (error) {
+      console.error('Error submitting onboarding form:', error);
+      toast.error('Failed to submit form.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderInput = (field) => {
+    const value = answers[field.key];
+    if (field.type === 'yes_no') {
+      return (
+        <Select
+          value={value === true ? 'yes' : value === false ? 'no' : ''}
+          onValueChange={(v) => setAnswer(field.key, v === 'yes')}
+        >
+          <SelectTrigger className="mt-1"><SelectValue placeholder="Select" /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="yes">Yes</SelectItem>
+            <SelectItem value="no">No</SelectItem>
+          </SelectContent>
+        </Select>
+      );
+    }
+    if (field.type === 'select') {
+      return (
+        <Select value={value || ''} onValueChange={(v) => setAnswer(field.key, v)}>
+          <SelectTrigger className="mt-1"><SelectValue placeholder="Select" /></SelectTrigger>
+          <SelectContent>
+            {(field.options || []).map(option => (
+              <SelectItem key={option} value={option}>{option}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+    }
+    return (
+      <Input
+        type={INPUT_TYPES[field.type] || 'text'}
+        value={value || ''}
+        onChange={(e) => setAnswer(field.key, e.target.value)}
+        autoComplete={field.secure ? 'off' : undefined}
+        className="mt-1"
+      />
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{task.title}</DialogTitle>
+          {task.description && <DialogDescription>{task.description}</DialogDescription>}
+        </DialogHeader>
+
+        {task.review_notes && (
+          <Alert className="border-amber-200 bg-amber-50">
+            <AlertTriangle className="h-4 w-4 text-amber-600" />
+            <AlertDescription className="text-amber-800">
+              Changes requested: {task.review_notes}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="space-y-4 py-2">
+          {fields.map(field => (
+            <div key={field.key}>
+              <Label className="flex items-center gap-1">
+                {field.label}
+                {field.required && <span className="text-red-500">*</span>}
+                {field.secure && <Lock className="h-3 w-3 text-gray-400 ml-1" />}
+              </Label>
+              {renderInput(field)}
+              {fieldErrors[field.key] && (
+                <p className="text-sm text-red-500 mt-1">{fieldErrors[field.key]}</p>
+              )}
+            </div>
+          ))}
+          {fields.some(f => f.secure) && (
+            <p className="text-xs text-gray-500 flex items-center gap-1">
+              <Lock className="h-3 w-3" />
+              Stored securely and only shown masked after you submit.
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Submit for Review
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,9 +1,10 @@
 import React from 'react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { CheckCircle2, Clock, AlertTriangle, Calendar, ExternalLink, Loader2 } from 'lucide-react';
+import { CheckCircle2, Clock, AlertTriangle, Calendar, ExternalLink, Loader2, Lock, ClipboardPen, Hourglass, FileText } from 'lucide-react';
 import { format, parseISO, isBefore, addDays, startOfToday, isToday } from 'date-fns';
 import { cn } from '@/lib/utils';
+import { isFormTask } from './onboardingForms';
 
 /**
  * Get the urgency status of a task based on due date
@@ -36,18 +37,28 @@ export function getUrgencyColor(urgency) {
 }
 
 /**
- * Task card with urgency indicator
+ * Task card with urgency indicator. Locked tasks list the prerequisites
+ * they are waiting on (`waitingOn`) and can't be completed yet. Form tasks
+ * offer `onFillForm` until submitted, then `onReview`. Tasks linked to a
+ * document template offer `onGenerateDocument` until completed.
  */
 export default function OnboardingTaskCard({ 
   task, 
   onComplete, 
+  onFillForm,
+  onReview,
+  onGenerateDocument,
   isUpdating = false,
   showAssignee = false,
   compact = false,
+  waitingOn = [],
 }) {
   const urgency = getTaskUrgency(task);
   const isCompleted = task.status === 'completed';
+  const isLocked = task.status === 'locked' && waitingOn.length > 0;
   const isOverdue = urgency === 'overdue';
+  const isForm = isFormTask(task);
+  const isSubmitted = task.status === 'submitted';
 
   return (
     <div 
@@ -74,6 +85,8 @@ export default function OnboardingTaskCard({
             {/* Status icon */}
             {isCompleted ? (
               <CheckCircle2 className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
+            ) : isLocked ? (
+              <Lock className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
             ) : isOverdue ? (
               <AlertTriangle className="h-5 w-5 text-red-500 mt-0.5 flex-shrink-0" />
             ) : (
@@ -94,6 +107,12 @@ export default function OnboardingTaskCard({
                     Overdue
                   </span>
                 )}
+                {isSubmitted && (
+                  <span className="text-xs font-medium text-amber-700 bg-amber-100 px-1.5 py-0.5 rounded flex items-center gap-1">
+                    <Hourglass className="h-3 w-3" />
+                    Awaiting review
+                  </span>
+                )}
               </div>
               
               {!compact && task.description && (
@@ -130,11 +149,62 @@ export default function OnboardingTaskCard({
                   </a>
                 )}
               </div>
+
+              {isLocked && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Waiting on {waitingOn.map(t => t.title).join(', ')}
+                </p>
+              )}
+
+              {isForm && !isCompleted && !isSubmitted && task.review_notes && (
+                <p className="text-xs text-amber-700 mt-2">
+                  Changes requested: {task.review_notes}
+                </p>
+              )}
             </div>
           </div>
           
           {/* Action button */}
-          {!isCompleted && onComplete && (
+          {task.document_template_id && !isCompleted && onGenerateDocument && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={(e) => {
+                e.stopPropagation();
+                onGenerateDocument(task);
+              }}
+              className="flex-shrink-0"
+            >
+              <FileText className="h-4 w-4 mr-1" />
+              Generate Document
+            </Button>
+          )}
+          {isForm && !isCompleted && !isLocked && !isSubmitted && onFillForm && (
+            <Button
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                onFillForm(task);
+              }}
+              className="flex-shrink-0"
+            >
+              <ClipboardPen className="h-4 w-4 mr-1" />
+              Fill in Form
+            </Button>
+          )}
+          {isForm && isSubmitted && onReview && (
+            <Button
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                onReview(task);
+              }}
+              className="flex-shrink-0"
+            >
+              Review
+            </Button>
+          )}
+          {!isForm && !isCompleted && !isLocked && onComplete && (
             <Button
               size="sm"
               onClick={(e) => {
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, X } from 'lucide-react';
+import { CONDITION_FIELDS, CONDITION_OPERATORS, OPERATORS_BY_TYPE } from './taskConditions';
+
+/**
+ * Edit the conditions a template task needs before it is added to an
+ * onboarding. All conditions must match.
+ */
+export default function TaskConditionsEditor({ conditions = [], onChange }) {
+  const update = (index, changes) => {
+    onChange(conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  const handleFieldChange = (index, field) => {
+    const type = CONDITION_FIELDS[field].type;
+    update(index, { field, operator: OPERATORS_BY_TYPE[type][0], value: '' });
+  };
+
+  const handleAdd = () => {
+    onChange([...conditions, { field: 'employment_type', operator: 'equals', value: 'part_time' }]);
+  };
+
+  return (
+    <div>
+      <Label>Only add this task when</Label>
+      <p className="text-xs text-gray-500 mt-1">
+        Checked against the new hire&apos;s profile when onboarding starts, and again when it changes.
+      </p>
+      <div className="mt-2 space-y-2">
+        {conditions.map((condition, index) => {
+          const field = CONDITION_FIELDS[condition.field] || CONDITION_FIELDS.job_title;
+          return (
+            <div key={index} className="flex items-center gap-2">
+              <Select value={condition.field} onValueChange={(v) => handleFieldChange(index, v)}>
+                <SelectTrigger className="w-40"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CONDITION_FIELDS).map(([value, f]) => (
+                    <SelectItem key={value} value={value}>{f.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={condition.operator} onValueChange={(v) => update(index, { operator: v })}>
+                <SelectTrigger className="w-28"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {OPERATORS_BY_TYPE[field.type].map(op => (
+                    <SelectItem key={op} value={op}>{CONDITION_OPERATORS[op]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {field.type === 'select' && (
+                <Select value={condition.value} onValueChange={(v) => update(index, { value: v })}>
+                  <SelectTrigger className="flex-1"><SelectValue placeholder="Select" /></SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(field.options).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+              {field.type === 'text' && (
+                <Input
+                  value={condition.value || ''}
+                  onChange={(e) => update(index, { value: e.target.value })}
+                  placeholder={condition.field === 'location_state' ? 'e.g. VIC' : 'e.g. Engineer'}
+                  className="flex-1"
+                />
+              )}
+              {field.type === 'boolean' && <div className="flex-1" />}
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 flex-shrink-0"
+                onClick={() => onChange(conditions.filter((_, i) => i !== index))}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+      <Button type="button" variant="outline" size="sm" className="mt-2" onClick={handleAdd}>
+        <Plus className="h-4 w-4 mr-1" />
+        Add Condition
+      </Button>
+    </div>
+  );
+}
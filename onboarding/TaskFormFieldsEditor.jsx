@@ -0,0 +1,109 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, X, Lock } from 'lucide-react';
+import { FORM_FIELD_TYPES, FORM_PRESETS, addFormPreset } from './onboardingForms';
+
+const toFieldKey = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Edit the form a new hire fills in to complete a template task. Plain
+ * fields are saved to the Employee record under their key; secure fields
+ * are kept out of it.
+ */
+export default function TaskFormFieldsEditor({ fields = [], onChange }) {
+  const update = (index, changes) => {
+    onChange(fields.map((f, i) => (i === index ? { ...f, ...changes } : f)));
+  };
+
+  const handleLabelChange = (index, label) => {
+    const field = fields[index];
+    // Keep the key in step with the label until it's edited by hand
+    const keyFollowsLabel = !field.key || field.key === toFieldKey(field.label || '');
+    update(index, keyFollowsLabel ? { label, key: toFieldKey(label) } : { label });
+  };
+
+  const handleAdd = () => {
+    onChange([...fields, { key: '', label: '', type: 'text', required: true, secure: false }]);
+  };
+
+  return (
+    <div>
+      <Label>Form for the new hire</Label>
+      <p className="text-xs text-gray-500 mt-1">
+        Adding fields makes this a form task: it completes when HR approves the submitted answers.
+      </p>
+      <div className="flex flex-wrap gap-2 mt-2">
+        {Object.entries(FORM_PRESETS).map(([key, preset]) => (
+          <Button key={key} type="button" variant="outline" size="sm" onClick={() => onChange(addFormPreset(fields, key))}>
+            <Plus className="h-3 w-3 mr-1" />
+            {preset.label}
+          </Button>
+        ))}
+      </div>
+      <div className="mt-3 space-y-3">
+        {fields.map((field, index) => (
+          <div key={index} className="rounded-lg border p-3 space-y-2">
+            <div className="flex items-center gap-2">
+              <Input
+                value={field.label}
+                onChange={(e) => handleLabelChange(index, e.target.value)}
+                placeholder="Label"
+                className="flex-1"
+              />
+              <Select value={field.type} onValueChange={(v) => update(index, { type: v })}>
+                <SelectTrigger className="w-40"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {Object.entries(FORM_FIELD_TYPES).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 flex-shrink-0"
+                onClick={() => onChange(fields.filter((_, i) => i !== index))}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <Input
+                value={field.key}
+                onChange={(e) => update(index, { key: e.target.value })}
+                placeholder="field_key"
+                className="w-48 h-8 font-mono text-xs"
+              />
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <Checkbox checked={field.required} onCheckedChange={(v) => update(index, { required: v === true })} />
+                Required
+              </label>
+              <label className="flex items-center gap-1 text-sm cursor-pointer">
+                <Checkbox checked={field.secure} onCheckedChange={(v) => update(index, { secure: v === true })} />
+                <Lock className="h-3 w-3 ml-1 text-gray-400" />
+                Secure
+              </label>
+            </div>
+            {field.type === 'select' && (
+              <Input
+                value={(field.options || []).join(',')}
+                onChange={(e) => update(index, { options: e.target.value.split(',') })}
+                placeholder="Choices, separated by commas"
+                className="h-8 text-sm"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      <Button type="button" variant="outline" size="sm" className="mt-2" onClick={handleAdd}>
+        <Plus className="h-4 w-4 mr-1" />
+        Add Field
+      </Button>
+    </div>
+  );
+}
@@ -4,16 +4,23 @@ import { initializeLeaveBalances } from '@/components/utils/leaveBalanceInit';
 import { sendNotification } from '@/components/utils/notifications';
 import { logForCurrentUser } from '@/components/utils/audit';
 import { provisionUserForEmployee } from '@/components/utils/googleWorkspace';
+import { getTaskDependencies, getUnmetPrerequisites } from './taskDependencies';
+import { getConditionContext, getTaskConditions, taskAppliesTo, CONDITION_PROFILE_FIELDS } from './taskConditions';
+import { getFormFields, isFormTask, validateFormAnswers, maskSecureValue } from './onboardingForms';
 
 const OnboardingTemplate = base44.entities.OnboardingTemplate;
 const OnboardingTaskTemplate = base44.entities.OnboardingTaskTemplate;
 const EmployeeOnboarding = base44.entities.EmployeeOnboarding;
 const EmployeeOnboardingTask = base44.entities.EmployeeOnboardingTask;
 const Employee = base44.entities.Employee;
+const OnboardingFormSubmission = base44.entities.OnboardingFormSubmission;
+const EmployeeSecureDetail = base44.entities.EmployeeSecureDetail;
 
 /**
  * Create an EmployeeOnboarding run from a template
- * Automatically creates all EmployeeOnboardingTask records
+ * Automatically creates an EmployeeOnboardingTask for every template task
+ * whose conditions match the employee. Tasks with prerequisites start
+ * locked until those are completed.
  * 
  * @param {Object} params
  * @param {string} params.employeeId - Employee ID
@@ -40,52 +47,38 @@ export async function createEmployeeOnboarding(params) {
     notes: notes || null,
   });
 
+  const employees = await Employee.filter({ id: employeeId });
+  const employee = employees[0];
+
   // Get all task templates for this template
   const taskTemplates = await OnboardingTaskTemplate.filter({ template_id: templateId });
   
   // Sort by order_index
   taskTemplates.sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
 
-  // Create tasks from templates
-  const startDateObj = new Date(startDate);
-  const tasks = [];
-
-  for (const template of taskTemplates) {
-    // Calculate due date from offset
-    let dueDate = null;
-    if (template.due_offset_days !== undefined && template.due_offset_days !== null) {
-      const dueDateObj = new Date(startDateObj);
-      dueDateObj.setDate(dueDateObj.getDate() + template.due_offset_days);
-      dueDate = dueDateObj.toISOString().split('T')[0];
-    }
+  // Only tasks whose conditions match this hire
+  const context = await getConditionContext(employee);
+  const applicable = taskTemplates.filter(t => taskAppliesTo(t, context));
 
-    tasks.push({
-      onboarding_id: onboarding.id,
-      task_template_id: template.id,
-      title: template.title,
-      description: template.description || null,
-      category: template.category || null,
-      assigned_to_role: template.assigned_to,
-      due_date: dueDate,
-      status: 'not_started',
-      link_url: template.link_url || null,
-      policy_id: template.policy_id || null,
-      system_code: template.system_code || null,
-      required: template.required !== false,
-      order_index: template.order_index || 0,
+  // Create tasks from templates
+  const templateIds = new Set(applicable.map(t => t.id));
+  const tasks = applicable.map(template => {
+    // Prerequisites deleted from the template, or skipped by a condition, don't apply
+    const dependsOn = getTaskDependencies(template).filter(id => templateIds.has(id));
+    return buildTaskFromTemplate(template, onboarding.id, startDate, {
+      dependsOn,
+      status: dependsOn.length > 0 ? 'locked' : 'not_started',
     });
-  }
+  });
 
   // Bulk create tasks
   if (tasks.length > 0) {
     await EmployeeOnboardingTask.bulkCreate(tasks);
   }
 
-  // Send notifications to employee for their assigned tasks
-  const employees = await Employee.filter({ id: employeeId });
-  const employee = employees[0];
+  // Send notifications to employee for their assigned tasks (locked ones notify on unlock)
   if (employee?.user_id) {
-    const employeeTasks = taskTemplates.filter(t => t.assigned_to === 'employee');
+    const employeeTasks = tasks.filter(t => t.assigned_to_role === 'employee' && t.status !== 'locked');
     for (const taskTemplate of employeeTasks) {
       try {
         await sendNotification({
@@ -124,12 +117,115 @@ export async function createEmployeeOnboarding(params) {
   return onboarding;
 }
 
+/**
+ * EmployeeOnboardingTask fields for a template task.
+ */
+function buildTaskFromTemplate(template, onboardingId, startDate, { dependsOn = [], status = 'not_started' } = {}) {
+  // Calculate due date from offset
+  let dueDate = null;
+  if (template.due_offset_days !== undefined && template.due_offset_days !== null) {
+    const dueDateObj = new Date(startDate);
+    dueDateObj.setDate(dueDateObj.getDate() + template.due_offset_days);
+    dueDate = dueDateObj.toISOString().split('T')[0];
+  }
+
+  return {
+    onboarding_id: onboardingId,
+    task_template_id: template.id,
+    title: template.title,
+    description: template.description || null,
+    category: template.category || null,
+    assigned_to_role: template.assigned_to,
+    due_date: dueDate,
+    status,
+    depends_on_task_template_ids: dependsOn,
+    link_url: template.link_url || null,
+    policy_id: template.policy_id || null,
+    system_code: template.system_code || null,
+    form_fields: getFormFields(template),
+    document_template_id: template.document_template_id || null,
+    required: template.required !== false,
+    order_index: template.order_index || 0,
+  };
+}
+
+/**
+ * Re-check conditional template tasks after the employee's profile changed.
+ * Tasks that now apply are added; open tasks that no longer apply are
+ * removed. Completed tasks are kept as a record of what was done.
+ *
+ * @param {Object} employee - Employee record after the change
+ * @returns {Promise<{added: Array<string>, removed: Array<string>}>} Task titles
+ */
+export async function syncConditionalOnboardingTasks(employee) {
+  const added = [];
+  const removed = [];
+
+  const onboardings = await EmployeeOnboarding.filter({ employee_id: employee.id, status: 'in_progress' });
+  if (onboardings.length === 0) return { added, removed };
+
+  const context = await getConditionContext(employee);
+
+  for (const onboarding of onboardings) {
+    if (!onboarding.template_id) continue;
+
+    const taskTemplates = await OnboardingTaskTemplate.filter({ template_id: onboarding.template_id });
+    const conditional = taskTemplates.filter(t => getTaskConditions(t).length > 0);
+    if (conditional.length === 0) continue;
+
+    const existingTasks = await EmployeeOnboardingTask.filter({ onboarding_id: onboarding.id });
+
+    for (const template of conditional) {
+      const existing = existingTasks.find(t => t.task_template_id === template.id);
+      const applies = taskAppliesTo(template, context);
+
+      if (applies && !existing) {
+        const existingTemplateIds = new Set(existingTasks.map(t => t.task_template_id));
+        const dependsOn = getTaskDependencies(template).filter(id => existingTemplateIds.has(id));
+        const task = buildTaskFromTemplate(template, onboarding.id, onboarding.start_date, { dependsOn });
+        task.status = getUnmetPrerequisites(task, existingTasks).length > 0 ? 'locked' : 'not_started';
+        await EmployeeOnboardingTask.create(task);
+        added.push(template.title);
+      } else if (!applies && existing && existing.status !== 'completed') {
+        await EmployeeOnboardingTask.delete(existing.id);
+        removed.push(existing.title);
+      }
+    }
+
+    // Tasks that were only waiting on a removed task can start
+    if (removed.length > 0) {
+      const remaining = await EmployeeOnboardingTask.filter({ onboarding_id: onboarding.id });
+      for (const task of remaining) {
+        if (task.status === 'locked' && getUnmetPrerequisites(task, remaining).length === 0) {
+          await EmployeeOnboardingTask.update(task.id, { status: 'not_started' });
+        }
+      }
+    }
+  }
+
+  if (added.length > 0 || removed.length > 0) {
+    const parts = [];
+    if (added.length > 0) parts.push(`added ${added.map(t => `"${t}"`).join(', ')}`);
+    if (removed.length > 0) parts.push(`removed ${removed.map(t => `"${t}"`).join(', ')}`);
+    await logForCurrentUser({
+      eventType: 'onboarding_tasks_updated',
+      entityType: 'EmployeeOnboarding',
+      entityId: onboardings[0].id,
+      relatedEmployeeId: employee.id,
+      description: `Onboarding tasks for ${employee.first_name || ''} ${employee.last_name || ''} updated after a profile change: ${parts.join('; ')}`,
+    });
+  }
+
+  return { added, removed };
+}
+
 /**
  * Complete a task and check if onboarding is finished
- * Also handles system tasks like Google account provisioning
+ * Also handles system tasks like Google account provisioning, and unlocks
+ * tasks that were waiting on this one
  * 
  * @param {string} taskId - EmployeeOnboardingTask ID
- * @returns {Promise<{task: Object, onboardingCompleted: boolean, systemResult?: Object}>}
+ * @returns {Promise<{task: Object, onboardingCompleted: boolean, systemResult?: Object, unlockedTaskIds: Array<string>}>}
  */
 export async function completeTask(taskId) {
   const tasks = await EmployeeOnboardingTask.filter({ id: taskId });
@@ -146,6 +242,22 @@ export async function completeTask(taskId) {
 
   let systemResult = null;
 
+  if (task.status === 'locked') {
+    const siblings = await EmployeeOnboardingTask.filter({ onboarding_id: task.onboarding_id });
+    const waitingOn = getUnmetPrerequisites(task, siblings);
+    if (waitingOn.length > 0) {
+      throw new Error(`Complete ${waitingOn.map(t => `"${t.title}"`).join(', ')} first`);
+    }
+  }
+
+  // Form tasks complete through approveFormSubmission
+  if (isFormTask(task)) {
+    const approved = await OnboardingFormSubmission.filter({ onboarding_task_id: taskId, status: 'approved' });
+    if (approved.length === 0) {
+      throw new Error(`"${task.title}" is completed when HR approves the submitted form`);
+    }
+  }
+
   // Handle system tasks before marking complete
   if (task.system_code === 'GOOGLE_ACCOUNT_CREATE' && employee) {
     systemResult = await handleGoogleAccountProvisioning(employee, onboarding);
@@ -159,6 +271,7 @@ export async function completeTask(taskId) {
 
   // Check if all required tasks are complete
   const allTasks = await EmployeeOnboardingTask.filter({ onboarding_id: task.onboarding_id });
+  const unlockedTasks = await unlockDependentTasks(task, allTasks, onboarding, employee);
   const requiredTasks = allTasks.filter(t => t.required);
   const allRequiredComplete = requiredTasks.every(t => 
     t.id === taskId ? true : t.status === 'completed'
@@ -197,7 +310,325 @@ export async function completeTask(taskId) {
     });
   }
 
-  return { task, onboardingCompleted, systemResult };
+  return { task, onboardingCompleted, systemResult, unlockedTaskIds: unlockedTasks.map(t => t.id) };
+}
+
+/**
+ * Unlock tasks whose last outstanding prerequisite was `completedTask`,
+ * and let their assignees know.
+ *
+ * @returns {Promise<Array>} The unlocked tasks
+ */
+async function unlockDependentTasks(completedTask, allTasks, onboarding, employee) {
+  // The filter may not reflect the update just made
+  const currentTasks = allTasks.map(t =>
+    t.id === completedTask.id ? { ...t, status: 'completed' } : t
+  );
+  const unlocked = currentTasks.filter(t =>
+    t.status === 'locked' &&
+    getTaskDependencies(t).includes(completedTask.task_template_id) &&
+    getUnmetPrerequisites(t, currentTasks).length === 0
+  );
+
+  for (const task of unlocked) {
+    await EmployeeOnboardingTask.update(task.id, { status: 'not_started' });
+
+    try {
+      const userId = await getTaskAssigneeUserId(task, onboarding, employee);
+      if (userId) {
+        await sendNotification({
+          userId,
+          type: 'onboarding_task_assigned',
+          title: 'Onboarding task ready',
+          message: task.title,
+          link: task.assigned_to_role === 'employee' && !task.assigned_to_employee_id ? '/MyOnboarding' : '/OnboardingManage',
+          relatedEmployeeId: employee?.id,
+        });
+      }
+    } catch (error) {
+      console.error('Error sending onboarding task notification:', error);
+    }
+  }
+
+  return unlocked;
+}
+
+/**
+ * User to notify about a task: the reassigned employee, else the new hire
+ * for employee tasks or their manager for manager tasks. HR and IT tasks
+ * have no single assignee.
+ */
+async function getTaskAssigneeUserId(task, onboarding, employee) {
+  let assigneeId = task.assigned_to_employee_id;
+  if (!assigneeId && task.assigned_to_role === 'employee') return employee?.user_id || null;
+  if (!assigneeId && task.assigned_to_role === 'manager') assigneeId = onboarding?.manager_id || employee?.manager_id;
+  if (!assigneeId) return null;
+
+  const assignees = await Employee.filter({ id: assigneeId });
+  return assignees[0]?.user_id || null;
+}
+
+/**
+ * Submit the new hire's answers to a form task. Answers are validated,
+ * secure values go to EmployeeSecureDetail (pending until approved) and the
+ * task waits for HR review.
+ *
+ * @param {string} taskId - EmployeeOnboardingTask ID
+ * @param {Object} answers - Keyed by form field key
+ * @returns {Promise<{success: boolean, submission?: Object, error?: string, fieldErrors?: Object}>}
+ */
+export async function submitOnboardingForm(taskId, answers) {
+  const tasks = await EmployeeOnboardingTask.filter({ id: taskId });
+  const task = tasks[0];
+  if (!task || !isFormTask(task)) {
+    return { success: false, error: 'Form task not found' };
+  }
+  if (task.status === 'completed' || task.status === 'submitted') {
+    return { success: false, error: 'This form has already been submitted' };
+  }
+  if (task.status === 'locked') {
+    const siblings = await EmployeeOnboardingTask.filter({ onboarding_id: task.onboarding_id });
+    const waitingOn = getUnmetPrerequisites(task, siblings);
+    if (waitingOn.length > 0) {
+      return { success: false, error: `Complete ${waitingOn.map(t => `"${t.title}"`).join(', ')} first` };
+    }
+  }
+
+  const fields = getFormFields(task);
+  const { valid, errors, values } = validateFormAnswers(fields, answers);
+  if (!valid) {
+    return { success: false, error: 'Please fix the highlighted fields', fieldErrors: errors };
+  }
+
+  const onboardings = await EmployeeOnboarding.filter({ id: task.onboarding_id });
+  const onboarding = onboardings[0];
+  if (!onboarding) {
+    return { success: false, error: 'Onboarding not found' };
+  }
+
+  const plainAnswers = {};
+  const maskedAnswers = {};
+  const secureFields = fields.filter(f => f.secure && values[f.key] !== undefined);
+  for (const field of fields) {
+    if (values[field.key] === undefined) continue;
+    if (field.secure) maskedAnswers[field.key] = maskSecureValue(values[field.key]);
+    else plainAnswers[field.key] = values[field.key];
+  }
+
+  const submission = await OnboardingFormSubmission.create({
+    onboarding_task_id: task.id,
+    onboarding_id: onboarding.id,
+    employee_id: onboarding.employee_id,
+    answers: plainAnswers,
+    masked_answers: maskedAnswers,
+    status: 'submitted',
+    submitted_at: new Date().toISOString(),
+  });
+
+  for (const field of secureFields) {
+    await EmployeeSecureDetail.create({
+      employee_id: onboarding.employee_id,
+      field_key: field.key,
+      label: field.label,
+      value: values[field.key],
+      submission_id: submission.id,
+      status: 'pending',
+    });
+  }
+
+  await EmployeeOnboardingTask.update(task.id, { status: 'submitted', review_notes: null });
+
+  const employees = await Employee.filter({ id: onboarding.employee_id });
+  const employee = employees[0];
+  const employeeName = `${employee?.first_name || ''} ${employee?.last_name || ''}`.trim();
+
+  // Field values stay out of the audit log
+  await logForCurrentUser({
+    eventType: 'onboarding_form_submitted',
+    entityType: 'EmployeeOnboardingTask',
+    entityId: task.id,
+    relatedEmployeeId: onboarding.employee_id,
+    description: `${employeeName} submitted "${task.title}" for review`,
+  });
+
+  try {
+    const admins = await base44.entities.User.filter({ role: 'admin' });
+    for (const admin of admins) {
+      if (admin.id === employee?.user_id) continue;
+      await sendNotification({
+        userId: admin.id,
+        type: 'onboarding_form_submitted',
+        title: 'Onboarding form to review',
+        message: `${employeeName} submitted "${task.title}"`,
+        link: '/OnboardingManage',
+        relatedEmployeeId: onboarding.employee_id,
+      });
+    }
+  } catch (error) {
+    console.error('Error sending onboarding form notification:', error);
+  }
+
+  return { success: true, submission };
+}
+
+/**
+ * Most recent submission for a form task, or null.
+ *
+ * @param {string} taskId - EmployeeOnboardingTask ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getLatestFormSubmission(taskId) {
+  const submissions = await OnboardingFormSubmission.filter({ onboarding_task_id: taskId });
+  submissions.sort((a, b) => (b.submitted_at || '').localeCompare(a.submitted_at || ''));
+  return submissions[0] || null;
+}
+
+/**
+ * Approve a form submission: write plain answers to the Employee record,
+ * make the secure values current (replacing earlier ones) and complete the
+ * task.
+ *
+ * @param {string} submissionId - OnboardingFormSubmission ID
+ * @param {Object} [reviewer] - Employee record of the reviewer
+ * @returns {Promise<Object>} { success, error } plus completeTask's result
+ */
+export async function approveFormSubmission(submissionId, reviewer = null) {
+  const submissions = await OnboardingFormSubmission.filter({ id: submissionId });
+  const submission = submissions[0];
+  if (!submission || submission.status !== 'submitted') {
+    return { success: false, error: 'This submission is no longer waiting for review' };
+  }
+
+  const employees = await Employee.filter({ id: submission.employee_id });
+  const employee = employees[0];
+  if (!employee) {
+    return { success: false, error: 'Employee not found' };
+  }
+
+  const answers = submission.answers || {};
+  const changedFields = Object.keys(answers).filter(key => answers[key] !== employee[key]);
+  if (changedFields.length > 0) {
+    await Employee.update(employee.id, answers);
+    await logForCurrentUser({
+      eventType: 'employee_updated',
+      entityType: 'Employee',
+      entityId: employee.id,
+      relatedEmployeeId: employee.id,
+      description: `Updated employee ${employee.first_name} ${employee.last_name} from an approved onboarding form`,
+      metadata: { changedFields },
+    });
+
+    if (changedFields.some(key => CONDITION_PROFILE_FIELDS.includes(key))) {
+      await syncConditionalOnboardingTasks({ ...employee, ...answers });
+    }
+  }
+
+  const pending = await EmployeeSecureDetail.filter({ submission_id: submission.id, status: 'pending' });
+  for (const detail of pending) {
+    const previous = await EmployeeSecureDetail.filter({
+      employee_id: submission.employee_id,
+      field_key: detail.field_key,
+      status: 'current',
+    });
+    for (const old of previous) {
+      await EmployeeSecureDetail.delete(old.id);
+    }
+    await EmployeeSecureDetail.update(detail.id, { status: 'current' });
+  }
+
+  await OnboardingFormSubmission.update(submission.id, {
+    status: 'approved',
+    reviewed_by_id: reviewer?.id || null,
+    reviewed_at: new Date().toISOString(),
+  });
+
+  const result = await completeTask(submission.onboarding_task_id);
+
+  if (employee.user_id) {
+    try {
+      await sendNotification({
+        userId: employee.user_id,
+        type: 'onboarding_form_approved',
+        title: 'Onboarding form approved',
+        message: `"${result.task.title}" has been approved`,
+        link: '/MyOnboarding',
+        relatedEmployeeId: employee.id,
+      });
+    } catch (error) {
+      console.error('Error sending onboarding form notification:', error);
+    }
+  }
+
+  return { success: true, ...result };
+}
+
+/**
+ * Send a form submission back to the new hire with a note. Its secure
+ * values are discarded and the task reopens.
+ *
+ * @param {string} submissionId - OnboardingFormSubmission ID
+ * @param {string} notes - What needs fixing
+ * @param {Object} [reviewer] - Employee record of the reviewer
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function rejectFormSubmission(submissionId, notes, reviewer = null) {
+  if (!notes?.trim()) {
+    return { success: false, error: 'Tell the new hire what needs to change' };
+  }
+
+  const submissions = await OnboardingFormSubmission.filter({ id: submissionId });
+  const submission = submissions[0];
+  if (!submission || submission.status !== 'submitted') {
+    return { success: false, error: 'This submission is no longer waiting for review' };
+  }
+
+  const pending = await EmployeeSecureDetail.filter({ submission_id: submission.id, status: 'pending' });
+  for (const detail of pending) {
+    await EmployeeSecureDetail.delete(detail.id);
+  }
+
+  await OnboardingFormSubmission.update(submission.id, {
+    status: 'rejected',
+    review_notes: notes.trim(),
+    reviewed_by_id: reviewer?.id || null,
+    reviewed_at: new Date().toISOString(),
+  });
+  await EmployeeOnboardingTask.update(submission.onboarding_task_id, {
+    status: 'not_started',
+    review_notes: notes.trim(),
+  });
+
+  const [tasks, employees] = await Promise.all([
+    EmployeeOnboardingTask.filter({ id: submission.onboarding_task_id }),
+    Employee.filter({ id: submission.employee_id }),
+  ]);
+  const task = tasks[0];
+  const employee = employees[0];
+
+  await logForCurrentUser({
+    eventType: 'onboarding_form_rejected',
+    entityType: 'EmployeeOnboardingTask',
+    entityId: submission.onboarding_task_id,
+    relatedEmployeeId: submission.employee_id,
+    description: `Returned "${task?.title || 'onboarding form'}" to ${employee?.first_name || ''} ${employee?.last_name || ''}: ${notes.trim()}`,
+  });
+
+  if (employee?.user_id) {
+    try {
+      await sendNotification({
+        userId: employee.user_id,
+        type: 'onboarding_form_rejected',
+        title: 'Onboarding form needs changes',
+        message: `"${task?.title || 'Your form'}": ${notes.trim()}`,
+        link: '/MyOnboarding',
+        relatedEmployeeId: employee.id,
+      });
+    } catch (error) {
+      console.error('Error sending onboarding form notification:', error);
+    }
+  }
+
+  return { success: true };
 }
 
 /**
@@ -0,0 +1,256 @@
+/**
+ * Onboarding form tasks
+ *
+ * A template task can carry `form_fields`: [{ key, label, type, required,
+ * secure, options }]. The new hire fills the form in from MyOnboarding
+ * (usually before day one) instead of ticking the task off, and HR approves
+ * the submission from OnboardingManage.
+ *
+ * On approval, plain fields are written to the Employee record under `key`.
+ * Secure fields (bank account, TFN, super member number) never touch the
+ * Employee record: they are kept as EmployeeSecureDetail records and the
+ * submission only holds a masked copy.
+ */
+
+export const FORM_FIELD_TYPES = {
+  text: 'Text',
+  email: 'Email',
+  phone: 'Phone',
+  date: 'Date',
+  select: 'Choice',
+  yes_no: 'Yes / No',
+  bsb: 'BSB',
+  account_number: 'Account number',
+  tfn: 'Tax file number',
+  usi: 'Super fund USI',
+};
+
+/** Field sets the template editor can add in one click. */
+export const FORM_PRESETS = {
+  bank_account: {
+    label: 'Bank account',
+    fields: [
+      { key: 'bank_account_name', label: 'Account name', type: 'text', required: true, secure: true },
+      { key: 'bank_bsb', label: 'BSB', type: 'bsb', required: true, secure: true },
+      { key: 'bank_account_number', label: 'Account number', type: 'account_number', required: true, secure: true },
+    ],
+  },
+  super_fund: {
+    label: 'Super fund',
+    fields: [
+      { key: 'super_fund_name', label: 'Fund name', type: 'text', required: true, secure: false },
+      { key: 'super_fund_usi', label: 'Fund USI', type: 'usi', required: true, secure: false },
+      { key: 'super_member_number', label: 'Member number', type: 'text', required: true, secure: true },
+    ],
+  },
+  tfn_declaration: {
+    label: 'TFN declaration',
+    fields: [
+      { key: 'tax_file_number', label: 'Tax file number', type: 'tfn', required: true, secure: true },
+      { key: 'tax_australian_resident', label: 'Australian resident for tax purposes', type: 'yes_no', required: true, secure: true },
+      { key: 'tax_claim_free_threshold', label: 'Claim the tax-free threshold', type: 'yes_no', required: true, secure: true },
+      { key: 'tax_study_loan', label: 'Study or training support loan debt', type: 'yes_no', required: true, secure: true },
+    ],
+  },
+  emergency_contact: {
+    label: 'Emergency contact',
+    fields: [
+      { key: 'emergency_contact_name', label: 'Contact name', type: 'text', required: true, secure: false },
+      { key: 'emergency_contact_relationship', label: 'Relationship', type: 'text', required: true, secure: false },
+      { key: 'emergency_contact_phone', label: 'Contact phone', type: 'phone', required: true, secure: false },
+    ],
+  },
+};
+
+/** Employee fields a form must not overwrite. */
+const PROTECTED_EMPLOYEE_FIELDS = [
+  'id', 'user_id', 'email', 'status', 'entity_id', 'manager_id', 'department_id',
+  'employment_type', 'base_salary', 'hours_per_week', 'start_date', 'service_start_date',
+  'entity_start_date', 'termination_date', 'is_manager', 'is_department_head', 'is_executive',
+];
+
+/**
+ * Form fields of a template task or onboarding task.
+ *
+ * @param {Object} task
+ * @returns {Array<Object>}
+ */
+export function getFormFields(task) {
+  return Array.isArray(task?.form_fields) ? task.form_fields.filter(f => f?.key) : [];
+}
+
+/**
+ * Whether the task is completed by submitting a form.
+ */
+export function isFormTask(task) {
+  return getFormFields(task).length > 0;
+}
+
+/**
+ * Tidy a schema from the template editor before saving: trimmed labels and
+ * choices, no empty choices.
+ *
+ * @param {Array<Object>} fields
+ * @returns {Array<Object>}
+ */
+export function cleanFormFields(fields) {
+  return fields.map(field => {
+    const cleaned = { ...field, key: (field.key || '').trim(), label: (field.label || '').trim() };
+    if (field.type === 'select') {
+      cleaned.options = (field.options || []).map(o => o.trim()).filter(Boolean);
+    } else {
+      delete cleaned.options;
+    }
+    return cleaned;
+  });
+}
+
+/**
+ * Problems with a form schema in the template editor, e.g. duplicate keys.
+ *
+ * @param {Array<Object>} fields
+ * @returns {string|null} The first problem, or null when the schema is valid
+ */
+export function validateFormSchema(fields) {
+  const keys = new Set();
+  for (const field of fields) {
+    if (!field.label?.trim()) return 'Every form field needs a label';
+    if (!/^[a-z][a-z0-9_]*$/.test(field.key || '')) {
+      return `"${field.label}" needs a field key of lowercase letters, numbers and underscores`;
+    }
+    if (keys.has(field.key)) return `The field key "${field.key}" is used twice`;
+    if (!field.secure && PROTECTED_EMPLOYEE_FIELDS.includes(field.key)) {
+      return `"${field.key}" is managed by HR and can't be collected by a form`;
+    }
+    if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      return `"${field.label}" needs at least one choice`;
+    }
+    keys.add(field.key);
+  }
+  return null;
+}
+
+/**
+ * Add a preset's fields to a schema, skipping keys it already has.
+ *
+ * @param {Array<Object>} fields
+ * @param {string} presetKey - Key of FORM_PRESETS
+ * @returns {Array<Object>}
+ */
+export function addFormPreset(fields, presetKey) {
+  const preset = FORM_PRESETS[presetKey];
+  if (!preset) return fields;
+  const keys = new Set(fields.map(f => f.key));
+  return [...fields, ...preset.fields.filter(f => !keys.has(f.key)).map(f => ({ ...f }))];
+}
+
+const digitsOnly = (value) => String(value ?? '').replace(/[\s-]/g, '');
+
+/**
+ * Check a tax file number against the ATO check digit algorithm.
+ * Accepts 9-digit and older 8-digit TFNs.
+ */
+export function isValidTfn(value) {
+  const tfn = digitsOnly(value);
+  if (!/^\d{8,9}$/.test(tfn)) return false;
+
+  const weights = tfn.length === 9 ? [1, 4, 3, 7, 5, 8, 6, 9, 10] : [10, 7, 8, 4, 6, 3, 5, 1];
+  const sum = tfn.split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+  return sum % 11 === 0;
+}
+
+/**
+ * Validate and normalise one answer.
+ *
+ * @returns {{value: *, error: string|null}}
+ */
+function validateAnswer(field, raw) {
+  const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+  if (isEmpty) {
+    return { value: null, error: field.required ? `${field.label} is required` : null };
+  }
+
+  const text = String(raw).trim();
+  switch (field.type) {
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)
+        ? { value: text.toLowerCase(), error: null }
+        : { value: text, error: 'Enter a valid email address' };
+    case 'phone':
+      return /^\+?[0-9 ()-]{8,20}$/.test(text)
+        ? { value: text, error: null }
+        : { value: text, error: 'Enter a valid phone number' };
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(new Date(text).getTime())
+        ? { value: text, error: null }
+        : { value: text, error: 'Enter a valid date' };
+    case 'select':
+      return (field.options || []).includes(text)
+        ? { value: text, error: null }
+        : { value: text, error: 'Choose one of the options' };
+    case 'yes_no':
+      return raw === true || raw === false
+        ? { value: raw, error: null }
+        : { value: null, error: 'Choose yes or no' };
+    case 'bsb': {
+      const bsb = digitsOnly(text);
+      return /^\d{6}$/.test(bsb)
+        ? { value: `${bsb.slice(0, 3)}-${bsb.slice(3)}`, error: null }
+        : { value: text, error: 'A BSB has 6 digits' };
+    }
+    case 'account_number': {
+      const account = digitsOnly(text);
+      return /^\d{5,10}$/.test(account)
+        ? { value: account, error: null }
+        : { value: text, error: 'An account number has 5 to 10 digits' };
+    }
+    case 'tfn':
+      return isValidTfn(text)
+        ? { value: digitsOnly(text), error: null }
+        : { value: text, error: 'This is not a valid tax file number' };
+    case 'usi':
+      return /^[A-Za-z0-9]{3,20}$/.test(text)
+        ? { value: text.toUpperCase(), error: null }
+        : { value: text, error: 'Enter the fund\'s USI (letters and numbers only)' };
+    default:
+      return { value: text, error: null };
+  }
+}
+
+/**
+ * Validate a new hire's answers against the form schema.
+ *
+ * @param {Array<Object>} fields - From getFormFields
+ * @param {Object} answers - Keyed by field key
+ * @returns {{valid: boolean, errors: Object, values: Object}} Normalised
+ *   values (e.g. BSB as 123-456) keyed by field key
+ */
+export function validateFormAnswers(fields, answers = {}) {
+  const errors = {};
+  const values = {};
+  for (const field of fields) {
+    const { value, error } = validateAnswer(field, answers[field.key]);
+    if (error) errors[field.key] = error;
+    else if (value !== null) values[field.key] = value;
+  }
+  return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+/**
+ * Masked copy of a secure value for display, e.g. "•••••789".
+ */
+export function maskSecureValue(value) {
+  if (value === true || value === false) return value ? 'Yes' : 'No';
+  const text = String(value ?? '');
+  if (text.length <= 3) return '•••';
+  return `${'•'.repeat(Math.min(text.length - 3, 6))}${text.slice(-3)}`;
+}
+
+/**
+ * Display text for an answer.
+ */
+export function formatFormAnswer(field, value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field.type === 'yes_no') return value ? 'Yes' : 'No';
+  return String(value);
+}
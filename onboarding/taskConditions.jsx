@@ -0,0 +1,129 @@
+/**
+ * Onboarding task conditions
+ *
+ * A template task can carry `conditions`: [{ field, operator, value }].
+ * The task is only created when every condition matches the new hire, so
+ * one template can serve many kinds of hire ("only if part-time", "only if
+ * the location state is VIC", "only if a visa is required").
+ *
+ * Conditions are evaluated when the onboarding is created and again when
+ * onProfileChange sees one of CONDITION_PROFILE_FIELDS change.
+ */
+
+import { base44 } from '@/api/base44Client';
+
+const Location = base44.entities.Location;
+
+export const CONDITION_FIELDS = {
+  employment_type: {
+    label: 'Employment type',
+    type: 'select',
+    options: {
+      full_time: 'Full-time',
+      part_time: 'Part-time',
+      casual: 'Casual',
+      contractor: 'Contractor',
+    },
+  },
+  location_state: { label: 'Location state', type: 'text' },
+  job_title: { label: 'Job title', type: 'text' },
+  visa_required: { label: 'Visa required', type: 'boolean' },
+};
+
+export const CONDITION_OPERATORS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  is_true: 'is yes',
+  is_false: 'is no',
+};
+
+/** Operators offered for each field type. */
+export const OPERATORS_BY_TYPE = {
+  select: ['equals', 'not_equals'],
+  text: ['equals', 'not_equals', 'contains'],
+  boolean: ['is_true', 'is_false'],
+};
+
+/** Employee fields that conditions read; changes re-evaluate open onboardings. */
+export const CONDITION_PROFILE_FIELDS = ['employment_type', 'location_id', 'job_title', 'visa_required'];
+
+/**
+ * Conditions of a template task or onboarding task.
+ *
+ * @param {Object} task
+ * @returns {Array<{field: string, operator: string, value: *}>}
+ */
+export function getTaskConditions(task) {
+  return Array.isArray(task?.conditions) ? task.conditions.filter(c => c?.field && c?.operator) : [];
+}
+
+/**
+ * Values conditions are checked against, read from the employee record.
+ *
+ * @param {Object} employee - Employee record
+ * @returns {Promise<Object>} Keyed by CONDITION_FIELDS
+ */
+export async function getConditionContext(employee) {
+  let locationState = null;
+  if (employee?.location_id) {
+    const locations = await Location.filter({ id: employee.location_id });
+    locationState = locations[0]?.state ? String(locations[0].state).toUpperCase() : null;
+  }
+
+  return {
+    employment_type: employee?.employment_type || null,
+    location_state: locationState,
+    job_title: employee?.job_title || null,
+    visa_required: employee?.visa_required === true,
+  };
+}
+
+function matchesCondition(condition, context) {
+  const actual = context[condition.field];
+  const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals':
+      return normalise(actual) === normalise(condition.value);
+    case 'not_equals':
+      return normalise(actual) !== normalise(condition.value);
+    case 'contains':
+      return normalise(condition.value) !== '' && normalise(actual).includes(normalise(condition.value));
+    case 'is_true':
+      return actual === true;
+    case 'is_false':
+      return actual !== true;
+    default:
+      // Unknown operators don't hide the task
+      return true;
+  }
+}
+
+/**
+ * Whether a task applies to the employee: all of its conditions match.
+ * Tasks without conditions always apply.
+ *
+ * @param {Object} task - Template task
+ * @param {Object} context - From getConditionContext
+ * @returns {boolean}
+ */
+export function taskAppliesTo(task, context) {
+  return getTaskConditions(task).every(condition => matchesCondition(condition, context));
+}
+
+/**
+ * Human-readable condition, e.g. "Location state is VIC".
+ *
+ * @param {Object} condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+  const field = CONDITION_FIELDS[condition.field];
+  const label = field?.label || condition.field;
+  const operator = CONDITION_OPERATORS[condition.operator] || condition.operator;
+  if (field?.type === 'boolean') return `${label} ${operator}`;
+
+  const value = field?.options?.[condition.value] || condition.value;
+  return `${label} ${operator} ${value}`;
+}
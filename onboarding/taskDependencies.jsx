@@ -0,0 +1,90 @@
+/**
+ * Onboarding task dependencies
+ *
+ * A template task can list prerequisite template tasks in
+ * `depends_on_task_template_ids` (e.g. "Issue laptop" after "Create Google
+ * account"). Onboarding tasks created from it copy the list and start
+ * 'locked'; completeTask unlocks them once every prerequisite in the same
+ * onboarding is completed.
+ */
+
+/**
+ * Prerequisite template IDs of a template task or onboarding task.
+ *
+ * @param {Object} task
+ * @returns {Array<string>}
+ */
+export function getTaskDependencies(task) {
+  return Array.isArray(task?.depends_on_task_template_ids) ? task.depends_on_task_template_ids : [];
+}
+
+/**
+ * Find a circular dependency that saving `dependsOnIds` on a template task
+ * would create.
+ *
+ * @param {Array<Object>} taskTemplates - All task templates in the template
+ * @param {string|null} taskId - The task being edited (null for a new task)
+ * @param {Array<string>} dependsOnIds - Its proposed prerequisites
+ * @returns {Array<Object>|null} The tasks in the cycle, starting and ending
+ *   with the edited task, or null when there is none
+ */
+export function findDependencyCycle(taskTemplates, taskId, dependsOnIds) {
+  // A new task has no dependants yet, so it can't close a loop
+  if (!taskId) return null;
+
+  const byId = Object.fromEntries(taskTemplates.map(t => [t.id, t]));
+  const getDeps = (id) => (id === taskId ? dependsOnIds : getTaskDependencies(byId[id]));
+
+  const visited = new Set();
+  const search = (id, path) => {
+    if (id === taskId) return path;
+    if (visited.has(id) || !byId[id]) return null;
+    visited.add(id);
+    for (const next of getDeps(id)) {
+      const cycle = search(next, [...path, byId[next] || { id: next }]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const depId of dependsOnIds) {
+    const cycle = search(depId, [byId[taskId], byId[depId] || { id: depId }]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Prerequisites of an onboarding task that are not completed yet.
+ * Prerequisites that were not created for this onboarding are ignored.
+ *
+ * @param {Object} task - EmployeeOnboardingTask
+ * @param {Array<Object>} allTasks - Every task in the same onboarding
+ * @returns {Array<Object>} The incomplete prerequisite tasks
+ */
+export function getUnmetPrerequisites(task, allTasks) {
+  const dependencies = getTaskDependencies(task);
+  if (dependencies.length === 0) return [];
+  return allTasks.filter(t =>
+    t.id !== task.id &&
+    dependencies.includes(t.task_template_id) &&
+    t.status !== 'completed'
+  );
+}
+
+/**
+ * Local copy of a task list after completeTask: the task completed and the
+ * tasks it unlocked ready to start.
+ *
+ * @param {Array<Object>} tasks
+ * @param {string} taskId - The completed task
+ * @param {Array<string>} [unlockedTaskIds] - From completeTask
+ * @returns {Array<Object>}
+ */
+export function applyTaskCompletion(tasks, taskId, unlockedTaskIds = []) {
+  return tasks.map(t => {
+    if (t.id === taskId) return { ...t, status: 'completed', completed_at: new Date().toISOString() };
+    if (unlockedTaskIds.includes(t.id)) return { ...t, status: 'not_started' };
+    return t;
+  });
+}
@@ -3,6 +3,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Switch } from '@/components/ui/switch';
 import { Building2, Clock, FileText } from 'lucide-react';
 import { calculateFTE, calculateHoursFromFTE } from '@/components/utils/newHireOnboardingHelpers';
 
@@ -159,6 +160,16 @@ export default function StepEmploymentSetup({
               </Select>
             </div>
           </div>
+          <div className="flex items-center justify-between">
+            <div>
+              <Label>Visa Required</Label>
+              <p className="text-sm text-gray-500">Adds visa onboarding tasks where templates ask for them</p>
+            </div>
+            <Switch
+              checked={employment.visa_required === true}
+              onCheckedChange={(v) => updateEmployment('visa_required', v)}
+            />
+          </div>
         </CardContent>
       </Card>
 
@@ -0,0 +1,505 @@
+import React, { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { CalendarRange, Users, Loader2, AlertTriangle, Undo2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'sonner';
+import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
+import { useRequirePermission } from '@/components/utils/useRequirePermission';
+import { getDisplayName } from '@/components/utils/displayName';
+import { formatHours } from '@/components/utils/numberUtils';
+import { getBalanceBucket, drawsFromBalance } from '@/components/utils/leaveBalanceBuckets';
+import {
+  SHORTFALL_HANDLING,
+  BULK_BATCH_STATUSES,
+  getBulkLeaveEmployees,
+  previewBulkLeave,
+  summariseBulkLeave,
+  runBulkLeave,
+  rollbackBulkLeave,
+} from '@/components/utils/bulkLeave';
+
+const LeaveType = base44.entities.LeaveType;
+const LeaveBulkBatch = base44.entities.LeaveBulkBatch;
+const CompanyEntity = base44.entities.CompanyEntity;
+const Department = base44.entities.Department;
+const Location = base44.entities.Location;
+
+const ANY = '__any__';
+
+const EMPTY_SETUP = {
+  name: '',
+  leave_type_id: '',
+  start_date: '',
+  end_date: '',
+  reason: '',
+  entity_id: null,
+  department_id: null,
+  location_id: null,
+};
+
+const BATCH_STATUS_STYLES = {
+  completed: 'bg-green-50 text-green-700 border-green-200',
+  running: 'bg-blue-50 text-blue-700 border-blue-200',
+  failed: 'bg-red-50 text-red-700 border-red-200',
+  rolled_back: 'bg-gray-50 text-gray-500 border-gray-200',
+};
+
+/**
+ * Bulk leave
+ * Enter the same leave (e.g. a Christmas shutdown) for everyone in an entity,
+ * department or location, with a per-employee preview before anything is created.
+ */
+export default function BulkLeave() {
+  const [context, setContext] = useState(null);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [entities, setEntities] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [dataLoading, setDataLoading] = useState(true);
+
+  const [setup, setSetup] = useState(EMPTY_SETUP);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [shortfallHandling, setShortfallHandling] = useState('unpaid');
+  const [unpaidLeaveTypeId, setUnpaidLeaveTypeId] = useState('');
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [rollbackBatch, setRollbackBatch] = useState(null);
+  const [isRollingBack, setIsRollingBack] = useState(false);
+
+  const { isAllowed, isLoading: permLoading } = useRequirePermission(context, 'canManageCompanySettings');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setDataLoading(true);
+
+    const ctx = await getCurrentUserEmployeeContext();
+    setContext(ctx);
+
+    if (!ctx.permissions?.canManageCompanySettings) {
+      setDataLoading(false);
+      return;
+    }
+
+    const [types, entitiesData, deptsData, locationsData] = await Promise.all([
+      LeaveType.list(),
+      CompanyEntity.list(),
+      Department.list(),
+      Location.list(),
+    ]);
+    const activeTypes = types.filter(t => t.is_active !== false);
+    setLeaveTypes(activeTypes);
+    setEntities(entitiesData);
+    setDepartments(deptsData);
+    setLocations(locationsData);
+    setUnpaidLeaveTypeId(activeTypes.find(t => !drawsFromBalance(getBalanceBucket(t)) && t.is_paid === false)?.id || '');
+    await loadBatches();
+    setDataLoading(false);
+  };
+
+  const loadBatches = async () => {
+    const list = await LeaveBulkBatch.list();
+    setBatches(list.sort((a, b) => (b.created_date || '').localeCompare(a.created_date || '')));
+  };
+
+  const updateSetup = (field, value) => {
+    setSetup(prev => ({ ...prev, [field]: value }));
+    setPreview(null);
+  };
+
+  const leaveType = leaveTypes.find(t => t.id === setup.leave_type_id) || null;
+  const unpaidTypes = leaveTypes.filter(t => !drawsFromBalance(getBalanceBucket(t)));
+  const unpaidLeaveType = leaveTypes.find(t => t.id === unpaidLeaveTypeId) || null;
+  const summary = preview ? summariseBulkLeave(preview, shortfallHandling) : null;
+
+  const handlePreview = async () => {
+    if (!leaveType) {
+      toast.error('Choose a leave type');
+      return;
+    }
+    if (!setup.start_date || !setup.end_date || setup.end_date < setup.start_date) {
+      toast.error('Choose a start date and an end date on or after it');
+      return;
+    }
+
+    setIsPreviewing(true);
+    try {
+      const employees = await getBulkLeaveEmployees({
+        entityId: setup.entity_id,
+        departmentId: setup.department_id,
+        locationId: setup.location_id,
+      });
+      if (employees.length === 0) {
+        toast.error('No active employees match these filters');
+        setPreview(null);
+        return;
+      }
+      setPreview(await previewBulkLeave({
+        employees,
+        leaveType,
+        startDate: setup.start_date,
+        endDate: setup.end_date,
+      }));
+    } catch (error) {
+      console.error('Error previewing bulk leave:', error);
+      toast.error('Failed to preview bulk leave');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    const result = await runBulkLeave({
+      rows: preview,
+      leaveType,
+      unpaidLeaveType,
+      startDate: setup.start_date,
+      endDate: setup.end_date,
+      name: setup.name,
+      reason: setup.reason,
+      shortfallHandling,
+      filters: {
+        entity_id: setup.entity_id,
+        department_id: setup.department_id,
+        location_id: setup.location_id,
+      },
+      currentEmployee: context?.employee,
+    });
+    setIsRunning(false);
+    setConfirmOpen(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      await loadBatches();
+      return;
+    }
+
+    toast.success(`Leave entered for ${summary.employeeCount} employees`);
+    setSetup(EMPTY_SETUP);
+    setPreview(null);
+    await loadBatches();
+  };
+
+  const handleRollback = async () => {
+    setIsRollingBack(true);
+    const result = await rollbackBulkLeave(rollbackBatch.id);
+    setIsRollingBack(false);
+    setRollbackBatch(null);
+
+    if (!result.success) {
+      toast.error(`Failed to roll back: ${result.error}`);
+      return;
+    }
+    toast.success(`Rolled back ${result.cancelledCount} leave requests`);
+    await loadBatches();
+  };
+
+  const rowStatus = (row) => {
+    if (row.skipReason) return <span className="text-gray-500">{row.skipReason}</span>;
+    if (row.shortfallHours <= 0) return <span className="text-green-700">Covered</span>;
+    if (shortfallHandling === 'skip') return <span className="text-gray-500">Skipped: not enough balance</span>;
+    if (shortfallHandling === 'unpaid') {
+      return <span className="text-amber-700">{formatHours(row.shortfallHours)}h unpaid</span>;
+    }
+    if (row.overLimitHours > 0) {
+      const belowZero = row.shortfallHours - row.overLimitHours;
+      return (
+        <span className="text-amber-700">
+          {belowZero > 0 && `${formatHours(belowZero)}h below zero, `}
+          {formatHours(row.overLimitHours)}h unpaid (beyond policy limit)
+        </span>
+      );
+    }
+    return <span className="text-amber-700">{formatHours(row.shortfallHours)}h below zero</span>;
+  };
+
+  const filterSelect = (field, label, options, allLabel) => (
+    <div>
+      <Label>{label}</Label>
+      <Select
+        value={setup[field] || ANY}
+        onValueChange={(v) => updateSetup(field, v === ANY ? null : v)}
+      >
+        <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ANY}>{allLabel}</SelectItem>
+          {options.map(o => (
+            <SelectItem key={o.id} value={o.id}>{o.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  if (dataLoading || permLoading || !isAllowed) {
+    return (
+      <div className="flex items-center justify-center p-12">
+        <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Bulk Leave</h1>
+        <p className="text-gray-500 mt-1">
+          Enter and approve the same leave for many employees at once, such as a shutdown period
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <CalendarRange className="h-5 w-5" />
+            Leave Details
+          </CardTitle>
+          <CardDescription>Choose the leave and who it applies to, then preview it per employee.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="bulk-name">Name</Label>
+              <Input
+                id="bulk-name"
+                value={setup.name}
+                onChange={(e) => setSetup(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Christmas shutdown 2025"
+                className="mt-1"
+              />
+            </div>
+            <div>
+              <Label>Leave type</Label>
+              <Select value={setup.leave_type_id} onValueChange={(v) => updateSetup('leave_type_id', v)}>
+                <SelectTrigger className="mt-1"><SelectValue placeholder="Select leave type" /></SelectTrigger>
+                <SelectContent>
+                  {leaveTypes.map(t => (
+                    <SelectItem key={t.id} value={t.id}>{t.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="bulk-start">From</Label>
+              <Input
+                id="bulk-start"
+                type="date"
+                value={setup.start_date}
+                onChange={(e) => updateSetup('start_date', e.target.value)}
+                className="mt-1"
+              />
+            </div>
+            <div>
+              <Label htmlFor="bulk-end">To</Label>
+              <Input
+                id="bulk-end"
+                type="date"
+                value={setup.end_date}
+                onChange={(e) => updateSetup('end_date', e.target.value)}
+                className="mt-1"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {filterSelect('entity_id', 'Entity', entities, 'All entities')}
+            {filterSelect('department_id', 'Department', departments, 'All departments')}
+            {filterSelect('location_id', 'Location', locations, 'All locations')}
+          </div>
+
+          <div>
+            <Label htmlFor="bulk-reason">Reason shown on each request (optional)</Label>
+            <Input
+              id="bulk-reason"
+              value={setup.reason}
+              onChange={(e) => setSetup(prev => ({ ...prev, reason: e.target.value }))}
+              className="mt-1"
+            />
+          </div>
+
+          <Button onClick={handlePreview} disabled={isPreviewing}>
+            {isPreviewing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Users className="h-4 w-4 mr-2" />}
+            Preview
+          </Button>
+        </CardContent>
+      </Card>
+
+      {preview && summary && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Preview</CardTitle>
+            <CardDescription>
+              {summary.employeeCount} employees · {formatHours(summary.totalHours)} hours
+              {summary.skippedCount > 0 && ` · ${summary.skippedCount} skipped`}
+              {summary.shortfallCount > 0 && ` · ${summary.shortfallCount} without enough balance (${formatHours(summary.shortfallHours)} hours)`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {preview.some(r => !r.skipReason && r.shortfallHours > 0) && (
+              <div className="space-y-3 rounded-lg border border-amber-200 bg-amber-50 p-4">
+                <p className="text-sm font-medium text-amber-800 flex items-center gap-2">
+                  <AlertTriangle className="h-4 w-4" />
+                  When an employee does not have enough balance
+                </p>
+                <RadioGroup value={shortfallHandling} onValueChange={setShortfallHandling}>
+                  {Object.entries(SHORTFALL_HANDLING).map(([value, label]) => (
+                    <div key={value} className="flex items-center gap-2">
+                      <RadioGroupItem value={value} id={`shortfall-${value}`} />
+                      <Label htmlFor={`shortfall-${value}`} className="font-normal">{label}</Label>
+                    </div>
+                  ))}
+                </RadioGroup>
+                {summary.unpaidCount > 0 && (
+                  <div className="max-w-xs">
+                    <Label>Unpaid leave type</Label>
+                    <Select value={unpaidLeaveTypeId} onValueChange={setUnpaidLeaveTypeId}>
+                      <SelectTrigger className="mt-1 bg-white"><SelectValue placeholder="Select leave type" /></SelectTrigger>
+                      <SelectContent>
+                        {unpaidTypes.map(t => (
+                          <SelectItem key={t.id} value={t.id}>{t.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead className="text-right">Days</TableHead>
+                  <TableHead className="text-right">Hours</TableHead>
+                  <TableHead className="text-right">Available</TableHead>
+                  <TableHead>Outcome</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {preview.map(row => (
+                  <TableRow key={row.employee.id} className={row.skipReason ? 'opacity-60' : ''}>
+                    <TableCell className="font-medium">{getDisplayName(row.employee)}</TableCell>
+                    <TableCell className="text-right">{row.skipReason ? '–' : row.chargeableDays}</TableCell>
+                    <TableCell className="text-right">{row.skipReason ? '–' : formatHours(row.hours)}</TableCell>
+                    <TableCell className="text-right">{row.available === null ? '–' : formatHours(row.available)}</TableCell>
+                    <TableCell className="text-sm">{rowStatus(row)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="flex justify-end">
+              <Button
+                onClick={() => setConfirmOpen(true)}
+                disabled={summary.employeeCount === 0 || (summary.unpaidCount > 0 && !unpaidLeaveType)}
+              >
+                Create leave for {summary.employeeCount} employees
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Previous Batches</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {batches.length === 0 ? (
+            <p className="text-sm text-gray-500">No bulk leave has been entered yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 border rounded-lg">
+              {batches.map(batch => (
+                <div key={batch.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{batch.name}</span>
+                      <Badge variant="outline" className={BATCH_STATUS_STYLES[batch.status] || ''}>
+                        {BULK_BATCH_STATUSES[batch.status] || batch.status}
+                      </Badge>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {format(parseISO(batch.start_date), 'dd MMM yyyy')} – {format(parseISO(batch.end_date), 'dd MMM yyyy')}
+                      {' · '}{batch.employee_count} employees · {formatHours(batch.total_hours)} hours
+                    </p>
+                    {batch.error && <p className="text-xs text-red-600">{batch.error}</p>}
+                  </div>
+                  {batch.status === 'completed' && (
+                    <Button size="sm" variant="outline" onClick={() => setRollbackBatch(batch)}>
+                      <Undo2 className="h-4 w-4 mr-1" />
+                      Roll back
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={confirmOpen} onOpenChange={(open) => !isRunning && setConfirmOpen(open)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Create bulk leave</DialogTitle>
+            <DialogDescription>
+              {leaveType?.name} from {setup.start_date} to {setup.end_date} will be entered and approved for{' '}
+              {summary?.employeeCount} employees. Balances are updated straight away. You can roll the whole
+              batch back later.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setConfirmOpen(false)} disabled={isRunning}>
+              Cancel
+            </Button>
+            <Button onClick={handleRun} disabled={isRunning}>
+              {isRunning && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Create Leave
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!rollbackBatch} onOpenChange={(open) => !open && !isRollingBack && setRollbackBatch(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Roll back {rollbackBatch?.name}?</DialogTitle>
+            <DialogDescription>
+              All leave in this batch that is still approved will be cancelled and the hours returned to
+              each employee&apos;s balance.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRollbackBatch(null)} disabled={isRollingBack}>
+              Cancel
+            </Button>
+            <Button variant="destructive" onClick={handleRollback} disabled={isRollingBack}>
+              {isRollingBack && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Roll Back
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { base44 } from '@/api/base44Client';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -30,11 +30,22 @@ import {
 } from "@/components/ui/table";
 import { 
   Loader2, Upload, FileText, MoreHorizontal, Pencil, Archive, 
-  RotateCcw, Download, Plus, Filter, Building2, Globe
+  RotateCcw, Download, Plus, Filter, Building2, Globe, History
 } from 'lucide-react';
 import { format } from 'date-fns';
+import { toast } from 'sonner';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
 import { useRequirePermission } from '@/components/utils/useRequirePermission';
+import {
+  MERGE_FIELDS,
+  MERGEABLE_FORMATS,
+  findMergeFields,
+  getUnknownMergeFields,
+  getUploadFormat,
+  getCurrentTemplateVersion,
+  saveTemplateVersion,
+} from '@/components/utils/documentGeneration';
+import TemplateVersionHistory from '@/components/documents/TemplateVersionHistory';
 
 const DocumentTemplate = base44.entities.DocumentTemplate;
 const CompanyEntity = base44.entities.CompanyEntity;
@@ -46,6 +57,8 @@ const CATEGORIES = [
   { value: 'misc', label: 'Misc Templates' },
 ];
 
+const MERGE_FIELD_GROUPS = [...new Set(MERGE_FIELDS.map(f => f.group))];
+
 const COUNTRIES = [
   { value: 'AU', label: 'Australia' },
   { value: 'US', label: 'United States' },
@@ -78,8 +91,14 @@ export default function DocumentTemplates() {
   });
   const [file, setFile] = useState(null);
   const [fileUrl, setFileUrl] = useState('');
+  const [contentMode, setContentMode] = useState('file');
+  const [bodyHtml, setBodyHtml] = useState('');
+  const [savedBodyHtml, setSavedBodyHtml] = useState('');
+  const [versionNotes, setVersionNotes] = useState('');
   const [isUploading, setIsUploading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [historyTemplate, setHistoryTemplate] = useState(null);
+  const bodyRef = useRef(null);
 
   const { isAllowed, isLoading: permLoading } = useRequirePermission(
     userContext, 
@@ -139,10 +158,14 @@ export default function DocumentTemplates() {
     });
     setFile(null);
     setFileUrl('');
+    setContentMode('file');
+    setBodyHtml('');
+    setSavedBodyHtml('');
+    setVersionNotes('');
     setShowModal(true);
   };
 
-  const openEditModal = (template) => {
+  const openEditModal = async (template) => {
     setEditingTemplate(template);
     setFormData({
       name: template.name || '',
@@ -153,34 +176,92 @@ export default function DocumentTemplates() {
     });
     setFile(null);
     setFileUrl(template.file_url || '');
+    setContentMode(template.format === 'html' ? 'html' : 'file');
+    setVersionNotes('');
+
+    const version = template.format === 'html' ? await getCurrentTemplateVersion(template) : null;
+    setBodyHtml(version?.body_html || '');
+    setSavedBodyHtml(version?.body_html || '');
     setShowModal(true);
   };
 
+  const insertMergeField = (key) => {
+    const field = `{{${key}}}`;
+    const textarea = bodyRef.current;
+    if (!textarea) {
+      setBodyHtml(body => body + field);
+      return;
+    }
+    const { selectionStart, selectionEnd } = textarea;
+    setBodyHtml(body => body.slice(0, selectionStart) + field + body.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart + field.length, selectionStart + field.length);
+    });
+  };
+
   const handleSave = async () => {
     if (!formData.name) return;
+
+    const isHtml = contentMode === 'html';
+    if (isHtml) {
+      const unknown = getUnknownMergeFields(findMergeFields(bodyHtml));
+      if (unknown.length > 0) {
+        toast.error(`Unknown merge fields: ${unknown.map(k => `{{${k}}}`).join(', ')}`);
+        return;
+      }
+    }
+
+    // Templates saved before versioning get their first version on the next save
+    const hasContent = isHtml ? !!bodyHtml.trim() : !!fileUrl;
+    const contentChanged = !editingTemplate?.current_version_id || (isHtml
+      ? editingTemplate.format !== 'html' || bodyHtml !== savedBodyHtml
+      : editingTemplate.format === 'html' || fileUrl !== editingTemplate.file_url);
     
     setIsSaving(true);
     try {
+      const fileName = file?.name || editingTemplate?.file_name || null;
       const data = {
         name: formData.name,
         description: formData.description || null,
         category: formData.category || null,
         entity_id: formData.entity_id || null,
         country: formData.country || null,
-        file_url: fileUrl || null,
+        file_url: isHtml ? null : fileUrl || null,
+        file_name: isHtml ? null : fileName,
         is_active: true,
       };
 
+      let template;
       if (editingTemplate) {
         await DocumentTemplate.update(editingTemplate.id, data);
+        template = { ...editingTemplate, ...data };
       } else {
-        await DocumentTemplate.create(data);
+        template = await DocumentTemplate.create(data);
+      }
+
+      if (hasContent && contentChanged) {
+        const result = await saveTemplateVersion(template, {
+          format: isHtml ? 'html' : getUploadFormat(fileName),
+          body_html: isHtml ? bodyHtml : null,
+          file_url: isHtml ? null : fileUrl,
+          file_name: isHtml ? null : fileName,
+          notes: versionNotes,
+        }, userContext?.user);
+        if (!result.success) {
+          // Keep the modal open on the saved template so a retry updates it
+          setEditingTemplate(template);
+          toast.error(result.error);
+          await loadData();
+          return;
+        }
       }
 
       setShowModal(false);
       await loadData();
     } catch (error) {
       console.error('Error saving template:', error);
+      toast.error('Failed to save template');
     } finally {
       setIsSaving(false);
     }
@@ -324,6 +405,12 @@ export default function DocumentTemplates() {
                             <p className="text-xs text-gray-500 truncate max-w-xs">{template.description}</p>
                           )}
                         </div>
+                        {template.current_version_number && (
+                          <Badge variant="outline" className="text-xs">v{template.current_version_number}</Badge>
+                        )}
+                        {MERGEABLE_FORMATS[template.format] && (
+                          <Badge className="bg-indigo-100 text-indigo-700 text-xs">{MERGEABLE_FORMATS[template.format]}</Badge>
+                        )}
                         {template.is_active === false && (
                           <Badge variant="secondary" className="text-xs">Archived</Badge>
                         )}
@@ -375,6 +462,10 @@ export default function DocumentTemplates() {
                             <Pencil className="h-4 w-4 mr-2" />
                             Edit
                           </DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => setHistoryTemplate(template)}>
+                            <History className="h-4 w-4 mr-2" />
+                            Version History
+                          </DropdownMenuItem>
                           {template.is_active !== false ? (
                             <DropdownMenuItem onClick={() => handleArchive(template)} className="text-red-600">
                               <Archive className="h-4 w-4 mr-2" />
@@ -399,49 +490,108 @@ export default function DocumentTemplates() {
 
       {/* Upload/Edit Modal */}
       <Dialog open={showModal} onOpenChange={setShowModal}>
-        <DialogContent className="max-w-lg">
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>{editingTemplate ? 'Edit Template' : 'Upload New Template'}</DialogTitle>
           </DialogHeader>
           
           <div className="space-y-4">
-            {/* File Upload */}
+            {/* Content */}
             <div className="space-y-2">
-              <Label>Template File</Label>
-              {!file && !fileUrl ? (
-                <label className="block cursor-pointer">
-                  <input
-                    type="file"
-                    accept=".pdf,.doc,.docx"
-                    onChange={handleFileChange}
-                    className="hidden"
-                  />
-                  <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-indigo-400 hover:bg-indigo-50/50 transition-colors">
-                    <Upload className="h-8 w-8 mx-auto text-gray-400 mb-2" />
-                    <p className="text-sm text-gray-600">Click to upload PDF or DOCX</p>
-                  </div>
-                </label>
-              ) : (
-                <div className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
-                  {isUploading ? (
-                    <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
-                  ) : (
-                    <FileText className="h-5 w-5 text-indigo-600" />
-                  )}
-                  <span className="text-sm font-medium flex-1 truncate">
-                    {file?.name || 'Existing file'}
-                  </span>
-                  <Button 
-                    variant="ghost" 
-                    size="sm" 
-                    onClick={() => { setFile(null); setFileUrl(''); }}
-                  >
-                    Remove
-                  </Button>
-                </div>
-              )}
+              <Label>Content</Label>
+              <Select value={contentMode} onValueChange={setContentMode}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="file">Upload a file (DOCX files can use merge fields)</SelectItem>
+                  <SelectItem value="html">Write HTML with merge fields</SelectItem>
+                </SelectContent>
+              </Select>
             </div>
 
+            {contentMode === 'html' ? (
+              <div className="space-y-2">
+                <Label>Template HTML</Label>
+                <Textarea
+                  ref={bodyRef}
+                  value={bodyHtml}
+                  onChange={(e) => setBodyHtml(e.target.value)}
+                  placeholder="<p>Dear {{employee.first_name}},</p>"
+                  rows={10}
+                  className="font-mono text-xs"
+                />
+                <div className="space-y-1">
+                  {MERGE_FIELD_GROUPS.map(group => (
+                    <div key={group} className="flex flex-wrap items-center gap-1">
+                      <span className="text-xs text-gray-500 w-24">{group}</span>
+                      {MERGE_FIELDS.filter(f => f.group === group).map(field => (
+                        <button
+                          key={field.key}
+                          type="button"
+                          onClick={() => insertMergeField(field.key)}
+                          className="text-xs px-1.5 py-0.5 rounded bg-gray-100 hover:bg-indigo-100 text-gray-700"
+                          title={`{{${field.key}}}`}
+                        >
+                          {field.label}
+                        </button>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <Label>Template File</Label>
+                {!file && !fileUrl ? (
+                  <label className="block cursor-pointer">
+                    <input
+                      type="file"
+                      accept=".pdf,.doc,.docx"
+                      onChange={handleFileChange}
+                      className="hidden"
+                    />
+                    <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-indigo-400 hover:bg-indigo-50/50 transition-colors">
+                      <Upload className="h-8 w-8 mx-auto text-gray-400 mb-2" />
+                      <p className="text-sm text-gray-600">Click to upload PDF or DOCX</p>
+                    </div>
+                  </label>
+                ) : (
+                  <div className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                    {isUploading ? (
+                      <Loader2 className="h-5 w-5 animate-spin text-indigo-600" />
+                    ) : (
+                      <FileText className="h-5 w-5 text-indigo-600" />
+                    )}
+                    <span className="text-sm font-medium flex-1 truncate">
+                      {file?.name || editingTemplate?.file_name || 'Existing file'}
+                    </span>
+                    <Button 
+                      variant="ghost" 
+                      size="sm" 
+                      onClick={() => { setFile(null); setFileUrl(''); }}
+                    >
+                      Remove
+                    </Button>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500">
+                  In a DOCX file, type merge fields like {'{{employee.first_name}}'} or {'{{start_date}}'} where values should go.
+                </p>
+              </div>
+            )}
+
+            {editingTemplate?.current_version_id && (
+              <div className="space-y-2">
+                <Label>Version Notes (optional)</Label>
+                <Input
+                  value={versionNotes}
+                  onChange={(e) => setVersionNotes(e.target.value)}
+                  placeholder="What changed, if you changed the content"
+                />
+              </div>
+            )}
+
             {/* Name */}
             <div className="space-y-2">
               <Label>Template Name *</Label>
@@ -530,6 +680,16 @@ export default function DocumentTemplates() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      {/* Version History */}
+      <Dialog open={!!historyTemplate} onOpenChange={(open) => !open && setHistoryTemplate(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Version History: {historyTemplate?.name}</DialogTitle>
+          </DialogHeader>
+          {historyTemplate && <TemplateVersionHistory template={historyTemplate} />}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
\ No newline at end of file
@@ -60,6 +60,7 @@ export default function Entities() {
     default_location_id: '',
     hr_contact_id: '',
     it_contact_id: '',
+    signatory_employee_id: '',
     tax_identifiers: {},
     status: 'active',
   });
@@ -98,6 +99,7 @@ export default function Entities() {
       default_location_id: '',
       hr_contact_id: '',
       it_contact_id: '',
+      signatory_employee_id: '',
       tax_identifiers: {},
       status: 'active',
     });
@@ -115,6 +117,7 @@ export default function Entities() {
       default_location_id: entity.default_location_id || '',
       hr_contact_id: entity.hr_contact_id || '',
       it_contact_id: entity.it_contact_id || '',
+      signatory_employee_id: entity.signatory_employee_id || '',
       tax_identifiers: entity.tax_identifiers || {},
       status: entity.status || 'active',
     });
@@ -421,6 +424,26 @@ export default function Entities() {
               </Select>
             </div>
 
+            <div>
+              <Label>Authorised Signatory</Label>
+              <Select 
+                value={formData.signatory_employee_id} 
+                onValueChange={(v) => setFormData({ ...formData, signatory_employee_id: v })}
+              >
+                <SelectTrigger className="mt-1">
+                  <SelectValue placeholder="Select signatory" />
+                </SelectTrigger>
+                <SelectContent>
+                  {employees.map(emp => (
+                    <SelectItem key={emp.id} value={emp.id}>
+                      {emp.first_name} {emp.last_name} - {emp.job_title}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-gray-500 mt-1">Signs employment documents on behalf of the entity</p>
+            </div>
+
             <div>
               <Label>Tax Identifiers</Label>
               <div className="space-y-2 mt-1">
@@ -21,6 +21,10 @@ import { checkStaffingConflict, enrichOverlappingLeave } from '@/components/util
 import InteractiveLeaveCalendar from '@/components/leave/InteractiveLeaveCalendar';
 import LeaveApprovalCard from '@/components/leave/LeaveApprovalCard';
 import LeaveStatusChip from '@/components/leave/LeaveStatusChip';
+import LeaveCashOutApprovals from '@/components/leave/LeaveCashOutApprovals';
+import { canViewSalary } from '@/components/utils/permissions';
+import { isAwaitingApprover } from '@/components/utils/leaveApprovalChain';
+import ApprovalDelegationCard from '@/components/leave/ApprovalDelegationCard';
 import {
   AlertDialog,
   AlertDialogAction,
@@ -99,9 +103,20 @@ export default function LeaveApprovals() {
     return new Set();
   }, [userContext, employees]);
 
+  // Requests for visible employees, plus any awaiting this user (or someone
+  // who has delegated to them) at the current approval step
+  const visibleRequests = useMemo(() => {
+    const approverIds = userContext?.employee
+      ? [userContext.employee.id, ...(userContext.approvalDelegatorIds || [])]
+      : [];
+    return allRequests.filter(r =>
+      visibleEmployeeIds.has(r.employee_id) || isAwaitingApprover(r, approverIds)
+    );
+  }, [allRequests, visibleEmployeeIds, userContext]);
+
   // Filter requests by status and visibility
   const filteredRequests = useMemo(() => {
-    let requests = allRequests.filter(r => visibleEmployeeIds.has(r.employee_id));
+    let requests = [...visibleRequests];
     
     if (statusFilter !== 'all') {
       requests = requests.filter(r => r.status === statusFilter);
@@ -116,24 +131,24 @@ export default function LeaveApprovals() {
     });
     
     return requests;
-  }, [allRequests, visibleEmployeeIds, statusFilter]);
+  }, [visibleRequests, statusFilter]);
 
   // Team calendar requests
   const teamLeaveRequests = useMemo(() => {
-    return allRequests.filter(r => 
-      (r.status === 'approved' || r.status === 'pending') && visibleEmployeeIds.has(r.employee_id)
+    return visibleRequests.filter(r => 
+      r.status === 'approved' || r.status === 'pending'
     );
-  }, [allRequests, visibleEmployeeIds]);
+  }, [visibleRequests]);
 
   // Count by status for filter badges
   const statusCounts = useMemo(() => {
     const counts = { all: 0, pending: 0, approved: 0, declined: 0, cancelled: 0 };
-    allRequests.filter(r => visibleEmployeeIds.has(r.employee_id)).forEach(r => {
+    visibleRequests.forEach(r => {
       counts.all++;
       counts[r.status] = (counts[r.status] || 0) + 1;
     });
     return counts;
-  }, [allRequests, visibleEmployeeIds]);
+  }, [visibleRequests]);
 
   const loadData = useCallback(async () => {
     try {
@@ -183,6 +198,7 @@ export default function LeaveApprovals() {
             end_date: req.end_date,
             employee_id: req.employee_id,
             partial_day_type: req.partial_day_type,
+            day_overrides: req.day_overrides || null,
           });
           breakdowns[req.id] = breakdown;
         } catch (e) { /* ignore */ }
@@ -279,7 +295,11 @@ export default function LeaveApprovals() {
       // Invalidate cache and refresh
       invalidateLeaveCache(request.employee_id);
       setComments(prev => ({ ...prev, [request.id]: '' }));
-      toast.success(action === 'approve' ? 'Leave approved successfully.' : 'Leave request declined.');
+      if (action === 'approve' && result.finalApproved === false) {
+        toast.success('Approved. The request has moved to the next approver.');
+      } else {
+        toast.success(action === 'approve' ? 'Leave approved successfully.' : 'Leave request declined.');
+      }
       await loadData();
     } catch (error) {
       console.error('Error processing request:', error);
@@ -375,6 +395,16 @@ export default function LeaveApprovals() {
         />
       )}
 
+      {/* Approval delegation while away */}
+      {viewMode === 'list' && userContext?.employee && (
+        <ApprovalDelegationCard currentEmployee={userContext.employee} employees={employees} />
+      )}
+
+      {/* Leave cash-outs - HR/admin only */}
+      {viewMode === 'list' && canViewSalary(userContext?.user, userContext?.preferences) && (
+        <LeaveCashOutApprovals userContext={userContext} employeesMap={employeesMap} />
+      )}
+
       {/* List View */}
       {viewMode === 'list' && (
         <div className="space-y-4">
@@ -428,6 +458,9 @@ export default function LeaveApprovals() {
                   canAction={canAction}
                   permissionReason={permCheck.reason}
                   leaveStarted={leaveStarted}
+                  employeesMap={employeesMap}
+                  leaveType={leaveTypesMap[req.leave_type_id]}
+                  userContext={userContext}
                 />
               );
             })
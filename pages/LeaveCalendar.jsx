@@ -8,6 +8,7 @@ import { Card, CardContent } from '@/components/ui/card';
 import { AlertCircle, Users, Calendar, Loader2 } from 'lucide-react';
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs';
 import InteractiveLeaveCalendar from '@/components/leave/InteractiveLeaveCalendar';
+import CalendarFeedDialog from '@/components/leave/CalendarFeedDialog';
 import { createPageUrl } from '@/utils';
 import { 
   Select,
@@ -164,13 +165,16 @@ export default function LeaveCalendar() {
 
   return (
     <div className="p-6 max-w-7xl mx-auto">
-      <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-900">Leave Calendar</h1>
-        <p className="text-gray-500 text-sm mt-1">
-          {isManagerOrAdmin 
-            ? 'View your personal leave and team availability at a glance.' 
-            : 'View and manage your leave requests.'}
-        </p>
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Leave Calendar</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            {isManagerOrAdmin 
+              ? 'View your personal leave and team availability at a glance.' 
+              : 'View and manage your leave requests.'}
+          </p>
+        </div>
+        <CalendarFeedDialog userContext={userContext} />
       </div>
       
       {isManagerOrAdmin ? (
@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Progress } from "@/components/ui/progress";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Loader2, Download, Calculator, Landmark, AlertTriangle } from 'lucide-react';
+import { format } from 'date-fns';
+import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
+import { useRequirePermission } from '@/components/utils/useRequirePermission';
+import { getDisplayName } from '@/components/utils/displayName';
+import { formatHours, safeNumber } from '@/components/utils/numberUtils';
+import { formatCurrency } from '@/components/utils/leavePayout';
+import { exportToCsv } from '@/components/utils/exportCsv';
+import {
+  LIABILITY_GROUPINGS,
+  DEFAULT_LSL_CURRENT_YEARS,
+  calculateLeaveLiability,
+  getLiabilityBreakdown,
+  getLiabilityGroup,
+  groupLeaveLiability,
+} from '@/components/utils/leaveLiability';
+
+const Employee = base44.entities.Employee;
+const CompanyEntity = base44.entities.CompanyEntity;
+const Department = base44.entities.Department;
+
+const ALL = 'all';
+
+/**
+ * Leave liability report
+ * Annual and long service leave balances in dollars, for the balance sheet.
+ */
+export default function LeaveLiabilityReport() {
+  const [context, setContext] = useState(null);
+  const [employees, setEmployees] = useState([]);
+  const [entities, setEntities] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [dataLoading, setDataLoading] = useState(true);
+
+  const [asOfDate, setAsOfDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [onCostPercent, setOnCostPercent] = useState('');
+  const [lslCurrentYears, setLslCurrentYears] = useState('');
+  const [entityFilter, setEntityFilter] = useState(ALL);
+  const [departmentFilter, setDepartmentFilter] = useState(ALL);
+  const [costCentreFilter, setCostCentreFilter] = useState(ALL);
+  const [groupBy, setGroupBy] = useState('entity');
+
+  const [results, setResults] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [progress, setProgress] = useState({ processed: 0, total: 0 });
+
+  const { isAllowed, isLoading: permLoading } = useRequirePermission(context, 'canViewSalary');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setDataLoading(true);
+    try {
+      const ctx = await getCurrentUserEmployeeContext();
+      setContext(ctx);
+      if (!ctx.permissions?.canViewSalary) return;
+
+      const [emps, entitiesData, depts] = await Promise.all([
+        Employee.filter({ status: 'active' }),
+        CompanyEntity.list(),
+        Department.list(),
+      ]);
+      setEmployees(emps);
+      setEntities(entitiesData);
+      setDepartments(depts);
+    } catch (error) {
+      console.error('Error loading leave liability data:', error);
+    } finally {
+      setDataLoading(false);
+    }
+  };
+
+  const costCentres = useMemo(
+    () => [...new Set(employees.map(e => (e.cost_centre || '').trim()).filter(Boolean))].sort(),
+    [employees]
+  );
+
+  const selectedEmployees = useMemo(() => employees.filter(emp =>
+    (entityFilter === ALL || emp.entity_id === entityFilter) &&
+    (departmentFilter === ALL || emp.department_id === departmentFilter) &&
+    (costCentreFilter === ALL || (emp.cost_centre || '').trim() === costCentreFilter)
+  ), [employees, entityFilter, departmentFilter, costCentreFilter]);
+
+  const handleCalculate = async () => {
+    setIsCalculating(true);
+    setProgress({ processed: 0, total: selectedEmployees.length });
+    try {
+      const data = await calculateLeaveLiability(selectedEmployees, {
+        asOfDate: asOfDate || new Date(),
+        onCostPercent: safeNumber(parseFloat(onCostPercent), 0),
+        lslCurrentYears: lslCurrentYears === '' ? null : safeNumber(parseFloat(lslCurrentYears), null),
+        onProgress: setProgress,
+      });
+      setResults(data);
+    } catch (error) {
+      console.error('Error calculating leave liability:', error);
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  // Filters changed since the last calculation: results no longer match
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setResults(null);
+  };
+
+  const lookups = useMemo(() => ({ entities, departments }), [entities, departments]);
+  const groups = useMemo(
+    () => (results ? groupLeaveLiability(results, groupBy, lookups) : []),
+    [results, groupBy, lookups]
+  );
+
+  const totals = useMemo(() => groups.reduce((sum, g) => ({
+    annualAmount: sum.annualAmount + g.annualAmount,
+    lslCurrentAmount: sum.lslCurrentAmount + g.lslCurrentAmount,
+    lslNonCurrentAmount: sum.lslNonCurrentAmount + g.lslNonCurrentAmount,
+    currentAmount: sum.currentAmount + g.currentAmount,
+    nonCurrentAmount: sum.nonCurrentAmount + g.nonCurrentAmount,
+    totalAmount: sum.totalAmount + g.totalAmount,
+  }), {
+    annualAmount: 0, lslCurrentAmount: 0, lslNonCurrentAmount: 0,
+    currentAmount: 0, nonCurrentAmount: 0, totalAmount: 0,
+  }), [groups]);
+
+  const missingRate = (results || []).filter(r => r.error);
+
+  const handleDownloadCsv = () => {
+    const columns = [
+      { key: 'name', label: 'Employee' },
+      { key: 'entity', label: 'Entity' },
+      { key: 'department', label: 'Department' },
+      { key: 'cost_centre', label: 'Cost Centre' },
+      { key: 'hourly_rate', label: 'Hourly Rate' },
+      { key: 'annual_hours', label: 'Annual Leave (hours)' },
+      { key: 'annual_amount', label: 'Annual Leave ($)' },
+      { key: 'lsl_current_hours', label: 'LSL Current (hours)' },
+      { key: 'lsl_current_amount', label: 'LSL Current ($)' },
+      { key: 'lsl_non_current_hours', label: 'LSL Non-current (hours)' },
+      { key: 'lsl_non_current_amount', label: 'LSL Non-current ($)' },
+      { key: 'loading_amount', label: 'Loading ($)' },
+      { key: 'on_cost_amount', label: 'On-costs ($)' },
+      { key: 'current_amount', label: 'Current ($)' },
+      { key: 'non_current_amount', label: 'Non-current ($)' },
+      { key: 'total_amount', label: 'Total ($)' },
+      { key: 'note', label: 'Note' },
+    ];
+
+    const rows = results.map(result => {
+      const breakdown = getLiabilityBreakdown(result);
+      return {
+        name: getDisplayName(result.employee),
+        entity: getLiabilityGroup(result.employee, 'entity', lookups).label,
+        department: getLiabilityGroup(result.employee, 'department', lookups).label,
+        cost_centre: result.employee.cost_centre || '',
+        hourly_rate: result.hourlyRate ?? '',
+        annual_hours: breakdown.annualHours,
+        annual_amount: breakdown.annualAmount,
+        lsl_current_hours: breakdown.lslCurrentHours,
+        lsl_current_amount: breakdown.lslCurrentAmount,
+        lsl_non_current_hours: breakdown.lslNonCurrentHours,
+        lsl_non_current_amount: breakdown.lslNonCurrentAmount,
+        loading_amount: breakdown.loadingAmount,
+        on_cost_amount: breakdown.onCostAmount,
+        current_amount: result.currentAmount,
+        non_current_amount: result.nonCurrentAmount,
+        total_amount: result.totalAmount,
+        note: result.error || '',
+      };
+    });
+
+    exportToCsv({ filename: 'leave-liability', columns, rows });
+  };
+
+  if (permLoading || dataLoading) {
+    return (
+      <div className="p-6 flex justify-center items-center min-h-[400px]">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  if (!isAllowed) {
+    return null; // useRequirePermission handles redirect
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Leave Liability</h1>
+          <p className="text-gray-500 mt-1">Accrued annual and long service leave in dollars, including loading and on-costs</p>
+        </div>
+        <Button variant="outline" onClick={handleDownloadCsv} disabled={!results}>
+          <Download className="h-4 w-4 mr-2" />
+          Download CSV
+        </Button>
+      </div>
+
+      {/* Settings */}
+      <Card>
+        <CardContent className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <Label className="text-sm text-gray-500">Entity</Label>
+              <Select value={entityFilter} onValueChange={handleFilterChange(setEntityFilter)}>
+                <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Entities</SelectItem>
+                  {entities.map(e => (
+                    <SelectItem key={e.id} value={e.id}>{e.abbreviation || e.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="text-sm text-gray-500">Department</Label>
+              <Select value={departmentFilter} onValueChange={handleFilterChange(setDepartmentFilter)}>
+                <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Departments</SelectItem>
+                  {departments.map(d => (
+                    <SelectItem key={d.id} value={d.id}>{d.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="text-sm text-gray-500">Cost centre</Label>
+              <Select value={costCentreFilter} onValueChange={handleFilterChange(setCostCentreFilter)}>
+                <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Cost Centres</SelectItem>
+                  {costCentres.map(c => (
+                    <SelectItem key={c} value={c}>{c}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="w-44">
+              <Label htmlFor="liability-date" className="text-sm text-gray-500">Balances as at</Label>
+              <Input
+                id="liability-date"
+                type="date"
+                value={asOfDate}
+                onChange={(e) => { setAsOfDate(e.target.value); setResults(null); }}
+                className="mt-1"
+              />
+            </div>
+            <div className="w-36">
+              <Label htmlFor="liability-oncost" className="text-sm text-gray-500">On-costs (%)</Label>
+              <Input
+                id="liability-oncost"
+                type="number"
+                min="0"
+                step="0.1"
+                placeholder="e.g. 17"
+                value={onCostPercent}
+                onChange={(e) => { setOnCostPercent(e.target.value); setResults(null); }}
+                className="mt-1"
+              />
+            </div>
+            <div className="w-52">
+              <Label htmlFor="liability-lsl-years" className="text-sm text-gray-500">LSL current after (years)</Label>
+              <Input
+                id="liability-lsl-years"
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder={`State rules, else ${DEFAULT_LSL_CURRENT_YEARS}`}
+                value={lslCurrentYears}
+                onChange={(e) => { setLslCurrentYears(e.target.value); setResults(null); }}
+                className="mt-1"
+              />
+            </div>
+            <Button onClick={handleCalculate} disabled={isCalculating || selectedEmployees.length === 0}>
+              {isCalculating ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Calculator className="h-4 w-4 mr-2" />}
+              Calculate ({selectedEmployees.length} employees)
+            </Button>
+          </div>
+
+          {isCalculating && progress.total > 0 && (
+            <div>
+              <Progress value={(progress.processed / progress.total) * 100} className="h-2" />
+              <p className="text-xs text-gray-500 mt-1">
+                Processing {progress.processed} of {progress.total} employees...
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {results && (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Card>
+              <CardContent className="p-4">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-indigo-100 rounded-lg">
+                    <Landmark className="h-5 w-5 text-indigo-600" />
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">Total Liability</p>
+                    <p className="text-2xl font-bold text-gray-900">{formatCurrency(totals.totalAmount)}</p>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-4">
+                <p className="text-sm text-gray-500">Annual Leave</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrency(totals.annualAmount)}</p>
+                <p className="text-xs text-gray-400">Current</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-4">
+                <p className="text-sm text-gray-500">Long Service Leave</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrency(totals.lslCurrentAmount)}</p>
+                <p className="text-xs text-gray-400">Current</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-4">
+                <p className="text-sm text-gray-500">Long Service Leave</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrency(totals.lslNonCurrentAmount)}</p>
+                <p className="text-xs text-gray-400">Non-current</p>
+              </CardContent>
+            </Card>
+          </div>
+
+          {missingRate.length > 0 && (
+            <div className="flex items-start gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>
+                {missingRate.length} employee{missingRate.length === 1 ? ' is' : 's are'} not included: {missingRate.slice(0, 5).map(r => `${getDisplayName(r.employee)} (${r.error})`).join(', ')}
+                {missingRate.length > 5 && ` and ${missingRate.length - 5} more`}.
+              </span>
+            </div>
+          )}
+
+          {/* Grouped totals */}
+          <Card>
+            <div className="flex items-center justify-between px-6 py-4 border-b">
+              <h3 className="font-medium text-gray-900">By {LIABILITY_GROUPINGS[groupBy].toLowerCase()}</h3>
+              <Select value={groupBy} onValueChange={setGroupBy}>
+                <SelectTrigger className="w-44"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {Object.entries(LIABILITY_GROUPINGS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">{LIABILITY_GROUPINGS[groupBy]}</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Employees</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Annual Leave</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">LSL Current</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">LSL Non-current</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 bg-white">
+                  {groups.map(group => (
+                    <tr key={group.key} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{group.label}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-600">{group.employeeCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatCurrency(group.annualAmount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatCurrency(group.lslCurrentAmount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatCurrency(group.lslNonCurrentAmount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">{formatCurrency(group.totalAmount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-gray-50 border-t-2 border-gray-300">
+                  <tr>
+                    <td className="px-6 py-4 text-sm font-semibold text-gray-900">Total</td>
+                    <td className="px-6 py-4 text-right text-sm font-semibold text-gray-900">{results.length}</td>
+                    <td className="px-6 py-4 text-right text-sm font-semibold text-gray-900">{formatCurrency(totals.annualAmount)}</td>
+                    <td className="px-6 py-4 text-right text-sm font-semibold text-gray-900">{formatCurrency(totals.lslCurrentAmount)}</td>
+                    <td className="px-6 py-4 text-right text-sm font-semibold text-gray-900">{formatCurrency(totals.lslNonCurrentAmount)}</td>
+                    <td className="px-6 py-4 text-right text-sm font-semibold text-gray-900">{formatCurrency(totals.totalAmount)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </Card>
+
+          {/* Employee detail */}
+          <Card>
+            <div className="px-6 py-4 border-b">
+              <h3 className="font-medium text-gray-900">By employee</h3>
+              <p className="text-xs text-gray-500 mt-0.5">
+                Current: {formatCurrency(totals.currentAmount)} · Non-current: {formatCurrency(totals.nonCurrentAmount)}
+              </p>
+            </div>
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Annual Leave</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Long Service Leave</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Loading + On-costs</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 bg-white">
+                  {results.filter(r => r.lines.length > 0).map(result => {
+                    const breakdown = getLiabilityBreakdown(result);
+                    const lslHours = breakdown.lslCurrentHours + breakdown.lslNonCurrentHours;
+                    return (
+                      <tr key={result.employee.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <p className="text-sm font-medium text-gray-900">{getDisplayName(result.employee)}</p>
+                          <p className="text-xs text-gray-500">{result.employee.cost_centre || '—'}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-600">
+                          {formatCurrency(result.hourlyRate)}/h
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                          <p className="text-sm text-gray-900">{formatCurrency(breakdown.annualAmount)}</p>
+                          <p className="text-xs text-gray-500">{formatHours(breakdown.annualHours)} hrs</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                          <p className="text-sm text-gray-900">
+                            {formatCurrency(breakdown.lslCurrentAmount + breakdown.lslNonCurrentAmount)}
+                          </p>
+                          {lslHours > 0 && (
+                            <p className="text-xs text-gray-500">
+                              {formatHours(lslHours)} hrs · {breakdown.lslCurrentHours > 0 ? 'current' : 'non-current'}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-600">
+                          {formatCurrency(breakdown.loadingAmount + breakdown.onCostAmount)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">
+                          {formatCurrency(result.totalAmount)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -26,10 +26,19 @@ import { recalculateAllBalancesForEntity } from '@/components/utils/leaveAccrual
 import { ensureDefaultAustralianLeavePolicies } from '@/components/utils/leavePolicyDefaults';
 import { checkNESCompliance, checkSinglePolicyCompliance, getHighestSeverityForPolicy } from '@/components/utils/leavePolicyCompliance';
 import NESCompliancePanel from '@/components/leave/NESCompliancePanel';
+import LeaveTypeBalanceMapping from '@/components/leave/LeaveTypeBalanceMapping';
+import LeavePeriodClosePanel from '@/components/leave/LeavePeriodClosePanel';
+import LeaveAccrualRunPanel from '@/components/leave/LeaveAccrualRunPanel';
+import LeaveApprovalChainSettings from '@/components/leave/LeaveApprovalChainSettings';
+import LeaveBlackoutSettings from '@/components/leave/LeaveBlackoutSettings';
+import LeaveTypeEvidenceSettings from '@/components/leave/LeaveTypeEvidenceSettings';
+import { CARRYOVER_PERIODS, CARRYOVER_EXCESS_ACTIONS } from '@/components/utils/leavePeriodClose';
+import { ADVANCE_LEAVE_APPROVERS } from '@/components/utils/leaveBalanceWarning';
 
 const LeavePolicy = base44.entities.LeavePolicy;
 const UserPreferences = base44.entities.UserPreferences;
 const CompanyEntity = base44.entities.CompanyEntity;
+const Employee = base44.entities.Employee;
 
 const LEAVE_TYPE_LABELS = {
   annual: 'Annual Leave',
@@ -69,6 +78,7 @@ export default function LeavePolicies() {
   const [isSaving, setIsSaving] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [entities, setEntities] = useState([]);
+  const [employees, setEmployees] = useState([]);
   const [selectedEntityId, setSelectedEntityId] = useState('');
   const [isRecalculating, setIsRecalculating] = useState(false);
   const [recalcProgress, setRecalcProgress] = useState({ processed: 0, total: 0 });
@@ -87,9 +97,21 @@ export default function LeavePolicies() {
     standard_hours_per_day: 7.6,
     hours_per_week_reference: 38,
     max_carryover_hours: null,
+    carryover_period: 'calendar',
+    carryover_excess_action: 'forfeit',
+    payout_on_termination: true,
+    leave_loading_percent: null,
+    leave_loading_on_termination: true,
+    cashout_allowed: false,
+    cashout_min_remaining_hours: null,
+    allow_negative_balance: false,
+    negative_balance_limit_hours: null,
+    negative_balance_limit_days: null,
+    advance_leave_approver: 'manager',
     min_service_years_before_accrual: null,
     accrual_rate_after_threshold: null,
     service_includes_prior_entities: true,
+    lsl_use_state_rules: true,
     is_default: false,
     is_active: true,
     notes: '',
@@ -117,12 +139,14 @@ export default function LeavePolicies() {
       const prefs = await UserPreferences.filter({ user_id: currentUser.id });
       setPreferences(prefs[0] || { acting_mode: 'admin' });
 
-      const [allPolicies, allEntities] = await Promise.all([
+      const [allPolicies, allEntities, allEmployees] = await Promise.all([
         LeavePolicy.list(),
         CompanyEntity.list(),
+        Employee.list(),
       ]);
       setPolicies(allPolicies);
       setEntities(allEntities);
+      setEmployees(allEmployees);
       if (allEntities.length > 0) {
         setSelectedEntityId(allEntities[0].id);
       }
@@ -146,9 +170,21 @@ export default function LeavePolicies() {
         standard_hours_per_day: policy.standard_hours_per_day || 7.6,
         hours_per_week_reference: policy.hours_per_week_reference || 38,
         max_carryover_hours: policy.max_carryover_hours || null,
+        carryover_period: policy.carryover_period || 'calendar',
+        carryover_excess_action: policy.carryover_excess_action || 'forfeit',
+        payout_on_termination: policy.payout_on_termination !== false,
+        leave_loading_percent: policy.leave_loading_percent || null,
+        leave_loading_on_termination: policy.leave_loading_on_termination !== false,
+        cashout_allowed: policy.cashout_allowed || false,
+        cashout_min_remaining_hours: policy.cashout_min_remaining_hours ?? null,
+        allow_negative_balance: policy.allow_negative_balance || false,
+        negative_balance_limit_hours: policy.negative_balance_limit_hours ?? null,
+        negative_balance_limit_days: policy.negative_balance_limit_days ?? null,
+        advance_leave_approver: policy.advance_leave_approver || 'manager',
         min_service_years_before_accrual: policy.min_service_years_before_accrual || null,
         accrual_rate_after_threshold: policy.accrual_rate_after_threshold || null,
         service_includes_prior_entities: policy.service_includes_prior_entities !== false,
+        lsl_use_state_rules: policy.lsl_use_state_rules !== false,
         is_default: policy.is_default || false,
         is_active: policy.is_active !== false,
         notes: policy.notes || '',
@@ -165,9 +201,21 @@ export default function LeavePolicies() {
         standard_hours_per_day: 7.6,
         hours_per_week_reference: 38,
         max_carryover_hours: null,
+        carryover_period: 'calendar',
+        carryover_excess_action: 'forfeit',
+        payout_on_termination: true,
+        leave_loading_percent: null,
+        leave_loading_on_termination: true,
+        cashout_allowed: false,
+        cashout_min_remaining_hours: null,
+        allow_negative_balance: false,
+        negative_balance_limit_hours: null,
+        negative_balance_limit_days: null,
+        advance_leave_approver: 'manager',
         min_service_years_before_accrual: null,
         accrual_rate_after_threshold: null,
         service_includes_prior_entities: true,
+        lsl_use_state_rules: true,
         is_default: false,
         is_active: true,
         notes: '',
@@ -183,6 +231,16 @@ export default function LeavePolicies() {
       standard_hours_per_day: parseFloat(formData.standard_hours_per_day) || 7.6,
       hours_per_week_reference: parseFloat(formData.hours_per_week_reference) || 38,
       max_carryover_hours: formData.max_carryover_hours ? parseFloat(formData.max_carryover_hours) : null,
+      leave_loading_percent: formData.leave_loading_percent ? parseFloat(formData.leave_loading_percent) : null,
+      cashout_min_remaining_hours: formData.cashout_min_remaining_hours !== null && formData.cashout_min_remaining_hours !== ''
+        ? parseFloat(formData.cashout_min_remaining_hours)
+        : null,
+      negative_balance_limit_hours: formData.negative_balance_limit_hours !== null && formData.negative_balance_limit_hours !== ''
+        ? parseFloat(formData.negative_balance_limit_hours)
+        : null,
+      negative_balance_limit_days: formData.negative_balance_limit_days !== null && formData.negative_balance_limit_days !== ''
+        ? parseFloat(formData.negative_balance_limit_days)
+        : null,
       min_service_years_before_accrual: formData.min_service_years_before_accrual ? parseFloat(formData.min_service_years_before_accrual) : null,
       accrual_rate_after_threshold: formData.accrual_rate_after_threshold ? parseFloat(formData.accrual_rate_after_threshold) : null,
     };
@@ -274,8 +332,8 @@ export default function LeavePolicies() {
 
   // Run NES compliance checks
   const complianceIssues = useMemo(() => {
-    return checkNESCompliance(policies);
-  }, [policies]);
+    return checkNESCompliance(policies, [], employees);
+  }, [policies, employees]);
 
   // Separate system and company policies
   const systemPolicies = policies.filter(p => p.is_system && p.country === 'AU');
@@ -370,9 +428,31 @@ export default function LeavePolicies() {
         </CardContent>
       </Card>
 
+      {/* Year-end carryover / period close */}
+      <LeavePeriodClosePanel policies={policies} entityId={selectedEntityId || null} />
+
+      {/* Pay-period accrual runs */}
+      <LeaveAccrualRunPanel
+        entities={entities}
+        entityId={selectedEntityId || null}
+        currentEmployee={user ? employees.find(e => e.email === user.email || e.user_id === user.id) : null}
+      />
+
       {/* NES Compliance Panel */}
       <NESCompliancePanel issues={complianceIssues} isLoading={isLoading} />
 
+      {/* Leave type → balance mapping */}
+      <LeaveTypeBalanceMapping />
+
+      {/* Medical certificates and other evidence */}
+      <LeaveTypeEvidenceSettings />
+
+      {/* Multi-step approval routing */}
+      <LeaveApprovalChainSettings entities={entities} />
+
+      {/* Blackout and peak periods */}
+      <LeaveBlackoutSettings entities={entities} />
+
       {/* Disclaimer */}
       <Card className="border-amber-200 bg-amber-50">
         <CardContent className="p-4">
@@ -703,6 +783,148 @@ export default function LeavePolicies() {
               </div>
             </div>
 
+            {formData.max_carryover_hours && (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Leave Year</Label>
+                  <Select 
+                    value={formData.carryover_period} 
+                    onValueChange={v => setFormData(f => ({ ...f, carryover_period: v }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(CARRYOVER_PERIODS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Excess Over Cap</Label>
+                  <Select 
+                    value={formData.carryover_excess_action} 
+                    onValueChange={v => setFormData(f => ({ ...f, carryover_excess_action: v }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(CARRYOVER_EXCESS_ACTIONS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+            )}
+
+            {/* Payout and cash-out rules */}
+            <div className="space-y-3 p-4 bg-gray-50 border rounded-lg">
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Leave Loading (%)</Label>
+                  <Input
+                    type="number"
+                    step="0.5"
+                    value={formData.leave_loading_percent || ''}
+                    onChange={e => setFormData(f => ({ ...f, leave_loading_percent: e.target.value || null }))}
+                    placeholder="None"
+                  />
+                  <p className="text-xs text-gray-500">Added to payouts, e.g. 17.5</p>
+                </div>
+                {formData.cashout_allowed && (
+                  <div className="space-y-2">
+                    <Label>Min Balance After Cash-out (hrs)</Label>
+                    <Input
+                      type="number"
+                      value={formData.cashout_min_remaining_hours ?? ''}
+                      onChange={e => setFormData(f => ({ ...f, cashout_min_remaining_hours: e.target.value === '' ? null : e.target.value }))}
+                      placeholder="152"
+                    />
+                    <p className="text-xs text-gray-500">NES requires 4 weeks to remain</p>
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch
+                  checked={formData.payout_on_termination}
+                  onCheckedChange={v => setFormData(f => ({ ...f, payout_on_termination: v }))}
+                />
+                <Label className="font-normal text-sm">Pay out balance on termination</Label>
+              </div>
+              {formData.payout_on_termination && formData.leave_loading_percent && (
+                <div className="flex items-center gap-2">
+                  <Switch
+                    checked={formData.leave_loading_on_termination}
+                    onCheckedChange={v => setFormData(f => ({ ...f, leave_loading_on_termination: v }))}
+                  />
+                  <Label className="font-normal text-sm">Include leave loading in termination payout</Label>
+                </div>
+              )}
+              <div className="flex items-center gap-2">
+                <Switch
+                  checked={formData.cashout_allowed}
+                  onCheckedChange={v => setFormData(f => ({ ...f, cashout_allowed: v }))}
+                />
+                <Label className="font-normal text-sm">Employees may request to cash out this leave</Label>
+              </div>
+            </div>
+
+            {/* Leave in advance (negative balance) */}
+            <div className="space-y-3 p-4 bg-gray-50 border rounded-lg">
+              <div className="flex items-center gap-2">
+                <Switch
+                  checked={formData.allow_negative_balance}
+                  onCheckedChange={v => setFormData(f => ({ ...f, allow_negative_balance: v }))}
+                />
+                <Label className="font-normal text-sm">Allow leave in advance (negative balance)</Label>
+              </div>
+              {formData.allow_negative_balance && (
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <Label>Limit (hrs)</Label>
+                    <Input
+                      type="number"
+                      value={formData.negative_balance_limit_hours ?? ''}
+                      onChange={e => setFormData(f => ({ ...f, negative_balance_limit_hours: e.target.value === '' ? null : e.target.value }))}
+                      placeholder="No limit"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Limit (days)</Label>
+                    <Input
+                      type="number"
+                      step="0.5"
+                      value={formData.negative_balance_limit_days ?? ''}
+                      onChange={e => setFormData(f => ({ ...f, negative_balance_limit_days: e.target.value === '' ? null : e.target.value }))}
+                      placeholder="No limit"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Approved By</Label>
+                    <Select 
+                      value={formData.advance_leave_approver} 
+                      onValueChange={v => setFormData(f => ({ ...f, advance_leave_approver: v }))}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(ADVANCE_LEAVE_APPROVERS).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <p className="col-span-3 text-xs text-gray-500">
+                    How far below zero the balance may go. When both limits are set, the lower one applies.
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Long Service Leave specific fields */}
             {formData.leave_type === 'long_service' && (
               <div className="space-y-4 p-4 bg-amber-50 border border-amber-200 rounded-lg">
@@ -745,6 +967,20 @@ export default function LeavePolicies() {
                   />
                   <Label className="font-normal text-sm">Count service from prior entities</Label>
                 </div>
+
+                <div className="flex items-start gap-2">
+                  <Switch
+                    checked={formData.lsl_use_state_rules}
+                    onCheckedChange={v => setFormData(f => ({ ...f, lsl_use_state_rules: v }))}
+                  />
+                  <div>
+                    <Label className="font-normal text-sm">Use state legislation rules</Label>
+                    <p className="text-xs text-gray-500">
+                      Calculate LSL from the employee&apos;s work-location state (NSW, VIC, QLD, WA, SA, TAS, ACT, NT).
+                      Turn off to use the thresholds above instead.
+                    </p>
+                  </div>
+                </div>
               </div>
             )}
 
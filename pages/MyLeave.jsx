@@ -18,9 +18,14 @@ import { toast } from "sonner";
 
 import { Card, CardContent } from '../components/ui/Card';
 import LeaveStatusChip from '@/components/leave/LeaveStatusChip';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
 import { Plus, X, AlertCircle, AlertTriangle, Info, Loader2, Clock } from 'lucide-react';
 import { createLeaveRequest, cancelLeaveRequest } from '@/components/utils/leaveHelpers';
+import { checkBlackoutPeriods, describeBlackoutPeriod } from '@/components/utils/leaveBlackouts';
+import { leaveTypeAcceptsEvidence, describeEvidenceRule } from '@/components/utils/leaveEvidence';
+import LeaveEvidencePanel from '@/components/leave/LeaveEvidencePanel';
+import LeaveAmendDialog from '@/components/leave/LeaveAmendDialog';
+import LeaveRevisionHistory from '@/components/leave/LeaveRevisionHistory';
 import { subscribeToLeaveCache, getLeaveEngineCacheVersion } from '@/components/utils/leaveEngineCache';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
 import { 
@@ -31,13 +36,92 @@ import {
 import { initializeLeaveBalances } from '@/components/utils/leaveBalanceInit';
 import { getLeaveBalancesForEmployee } from '@/components/utils/leaveBalanceService';
 import LeaveBalanceTiles from '@/components/leave/LeaveBalanceTiles';
+import LeaveCashOutCard from '@/components/leave/LeaveCashOutCard';
 import { formatHours, safeNumber } from '@/components/utils/numberUtils';
+import { checkProjectedLeaveBalance, formatBalanceWarning } from '@/components/utils/leaveBalanceWarning';
+import { hasCustomWorkPattern, getWorkPattern, describeWorkPattern } from '@/components/utils/workPattern';
+import { getBalanceBucket, drawsFromBalance } from '@/components/utils/leaveBalanceBuckets';
 
 import { useLocation } from 'react-router-dom';
 
 const Employee = base44.entities.Employee;
 const LeaveType = base44.entities.LeaveType;
 
+const EMPTY_PARTIAL_DAY = { start_time: '', end_time: '', hours: '' };
+
+const EMPTY_FORM = {
+  leave_type_id: '',
+  start_date: '',
+  end_date: '',
+  reason: '',
+  partial_day_type: 'full',
+  first_day: EMPTY_PARTIAL_DAY,
+  last_day: EMPTY_PARTIAL_DAY,
+};
+
+/**
+ * Build LeaveRequest.day_overrides from the form's first/last-day partial inputs.
+ * Days left blank are charged as full days.
+ */
+function buildDayOverrides(data) {
+  if (data.partial_day_type !== 'hours' || !data.start_date) return null;
+
+  const overrides = {};
+  const addOverride = (date, entry) => {
+    if (!date || !entry) return;
+    if (entry.hours !== '' && entry.hours !== null && entry.hours !== undefined) {
+      overrides[date] = { hours: parseFloat(entry.hours) };
+    } else if (entry.start_time || entry.end_time) {
+      overrides[date] = { start_time: entry.start_time, end_time: entry.end_time };
+    }
+  };
+
+  addOverride(data.start_date, data.first_day);
+  if (data.end_date && data.end_date !== data.start_date) {
+    addOverride(data.end_date, data.last_day);
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+}
+
+function PartialDayInputs({ label, value, onChange }) {
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-500 mb-1">{label}</p>
+      <div className="grid grid-cols-3 gap-2 items-end">
+        <div>
+          <Label className="text-xs text-gray-500">From</Label>
+          <Input
+            type="time"
+            value={value.start_time}
+            onChange={(e) => onChange({ ...value, start_time: e.target.value, hours: '' })}
+          />
+        </div>
+        <div>
+          <Label className="text-xs text-gray-500">To</Label>
+          <Input
+            type="time"
+            value={value.end_time}
+            onChange={(e) => onChange({ ...value, end_time: e.target.value, hours: '' })}
+          />
+        </div>
+        <div>
+          <Label className="text-xs text-gray-500">or Hours</Label>
+          <Input
+            type="number"
+            min="0"
+            max="24"
+            step="0.25"
+            value={value.hours}
+            placeholder="Full day"
+            onChange={(e) => onChange({ ...value, hours: e.target.value, start_time: '', end_time: '' })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function MyLeave() {
   // URL params: startDate + employeeId (for on-behalf)
   const location = useLocation();
@@ -61,11 +145,9 @@ export default function MyLeave() {
   // Form/UI state
   const [showForm, setShowForm] = useState(() => !!prefillStartDate);
   const [formData, setFormData] = useState(() => ({
-    leave_type_id: '',
+    ...EMPTY_FORM,
     start_date: prefillStartDate,
     end_date: prefillStartDate,
-    reason: '',
-    partial_day_type: 'full',
   }));
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
@@ -73,6 +155,9 @@ export default function MyLeave() {
 
   // Validation & debug
   const [leaveWarningDetails, setLeaveWarningDetails] = useState(null);
+  const [blackoutCheck, setBlackoutCheck] = useState(null);
+  const [attachments, setAttachments] = useState([]);
+  const [projectedBalance, setProjectedBalance] = useState(null);
   const [balanceDebug, setBalanceDebug] = useState(null);
   const [chargeableBreakdown, setChargeableBreakdown] = useState(null);
 
@@ -80,6 +165,9 @@ export default function MyLeave() {
   const [requestToRecall, setRequestToRecall] = useState(null);
   const [isRecalling, setIsRecalling] = useState(false);
 
+  // Amend modal
+  const [requestToAmend, setRequestToAmend] = useState(null);
+
   // Viewer (current logged-in employee)
   const currentEmployee = userContext?.employee;
   // Subject (the person whose leave we're managing)
@@ -160,6 +248,7 @@ export default function MyLeave() {
   }, [targetEmployeeIdParam]);
 
   const getTypeName = (id) => leaveTypes.find(t => t.id === id)?.name || 'Unknown';
+  const selectedLeaveType = leaveTypes.find(t => t.id === formData.leave_type_id) || null;
 
   const canRecallRequest = (request) => {
     if (request.employee_id !== subjectEmployee?.id) return false;
@@ -173,6 +262,9 @@ export default function MyLeave() {
     return false;
   };
 
+  // Same window as recall: pending, or approved leave that hasn't started
+  const canAmendRequest = canRecallRequest;
+
   const openRecallModal = (request) => {
     setRequestToRecall(request);
   };
@@ -210,7 +302,10 @@ export default function MyLeave() {
     }
   };
 
-  // Calculate chargeable days when dates or partial_day_type change
+  const dayOverrides = buildDayOverrides(formData);
+  const dayOverridesKey = JSON.stringify(dayOverrides);
+
+  // Calculate chargeable days when dates, partial_day_type or partial hours change
   useEffect(() => {
     if (!formData.start_date || !formData.end_date || !subjectEmployee) {
       setChargeableBreakdown(null);
@@ -224,15 +319,29 @@ export default function MyLeave() {
       end_date: formData.end_date,
       employee_id: subjectEmployee.id,
       partial_day_type: formData.partial_day_type,
+      day_overrides: dayOverrides,
     }).then(breakdown => {
       setChargeableBreakdown(breakdown);
     });
-  }, [formData.start_date, formData.end_date, formData.partial_day_type, subjectEmployee?.id]);
+  }, [formData.start_date, formData.end_date, formData.partial_day_type, dayOverridesKey, subjectEmployee?.id]);
+
+  // Show blackout periods for the chosen dates before submitting
+  useEffect(() => {
+    if (!formData.start_date || !formData.end_date || !subjectEmployee || formData.end_date < formData.start_date) {
+      setBlackoutCheck(null);
+      return;
+    }
+
+    checkBlackoutPeriods(subjectEmployee, formData.start_date, formData.end_date)
+      .then(setBlackoutCheck)
+      .catch(() => setBlackoutCheck(null));
+  }, [formData.start_date, formData.end_date, subjectEmployee?.id]);
 
   // Check balance warning when inputs change
   useEffect(() => {
     if (!chargeableBreakdown || !formData.leave_type_id || !leaveContext || !subjectEmployee) {
       setLeaveWarningDetails(null);
+      setProjectedBalance(null);
       setBalanceDebug(null);
       return;
     }
@@ -252,45 +361,51 @@ export default function MyLeave() {
     }
 
     const typeCode = (leaveType.code || leaveType.name || '').toLowerCase();
-    let balanceKey = 'annual';
-    if (typeCode.includes('personal') || typeCode.includes('sick') || typeCode.includes('carer')) {
-      balanceKey = 'personal';
-    } else if (typeCode.includes('long') || typeCode.includes('lsl')) {
-      balanceKey = 'long_service';
-    }
+    const balanceKey = getBalanceBucket(leaveType);
 
-    const balance = leaveBalances?.[balanceKey];
-    const policy = leaveContext.policies[balanceKey];
-
-    if (!balance) {
+    // Unpaid / uncapped leave types never run out
+    if (!drawsFromBalance(balanceKey)) {
       setLeaveWarningDetails(null);
-      setBalanceDebug({ error: `no balance for key: ${balanceKey}`, balanceKey, typeCode });
+      setProjectedBalance(null);
+      setBalanceDebug(null);
       return;
     }
 
-    const availableHoursRaw = balance?.available ?? balance?.available_hours ?? balance?.availableHours ?? 0;
-    const availableHours = safeNumber(availableHoursRaw, 0);
-
-    let hoursPerDay;
-    if (Number.isFinite(policy?.standard_hours_per_day) && policy.standard_hours_per_day > 0) {
-      hoursPerDay = policy.standard_hours_per_day;
-    } else if (Number.isFinite(subjectEmployee?.hours_per_week) && subjectEmployee.hours_per_week > 0) {
-      hoursPerDay = subjectEmployee.hours_per_week / 5;
-    } else {
-      hoursPerDay = 7.6;
-    }
-
-    const neededHours = safeNumber(chargeableDays * hoursPerDay, 0);
-
-    const EPS = 0.01;
-    const shouldWarn = availableHours + EPS < neededHours;
+    const policy = leaveContext.policies[balanceKey];
 
-    if (shouldWarn) {
-      setLeaveWarningDetails({ availableHours, neededHours });
-    } else {
-      setLeaveWarningDetails(null);
-    }
-  }, [chargeableBreakdown, formData.leave_type_id, leaveContext, subjectEmployee, leaveTypes, leaveBalances]);
+    // Employees on a custom roster are charged their rostered hours for each day
+    const balanceParams = {
+      chargeableDays,
+      employee: subjectEmployee,
+      policy,
+      chargeableHours: hasCustomWorkPattern(subjectEmployee) || chargeableBreakdown.hasPartialHours
+        ? safeNumber(chargeableBreakdown.hoursDeducted, 0)
+        : undefined,
+    };
+
+    // Same projection as the submit-time check: leave starting in the future
+    // is checked against the balance projected to its start date
+    let cancelled = false;
+    checkProjectedLeaveBalance({
+      ...balanceParams,
+      employeeId: subjectEmployee.id,
+      bucket: balanceKey,
+      startDate: formData.start_date,
+    }).then(result => {
+      if (cancelled) return;
+      if (!result.balance) {
+        setProjectedBalance(null);
+        setLeaveWarningDetails(null);
+        setBalanceDebug({ error: `no balance for key: ${balanceKey}`, balanceKey, typeCode });
+        return;
+      }
+      setProjectedBalance(result.isProjection ? result : null);
+      setLeaveWarningDetails(result.isInsufficient ? result : null);
+    }).catch(err => {
+      console.error('Error checking leave balance:', err);
+    });
+    return () => { cancelled = true; };
+  }, [chargeableBreakdown, formData.leave_type_id, formData.start_date, leaveContext, subjectEmployee, leaveTypes, leaveBalances]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -311,9 +426,11 @@ export default function MyLeave() {
         endDate: formData.end_date,
         reason: formData.reason,
         partialDayType: formData.partial_day_type,
+        dayOverrides,
         currentUser: userContext.user,
         currentEmployee: currentEmployee,
         preferences: userContext.preferences,
+        attachments,
       });
 
       if (!result.success) {
@@ -323,6 +440,10 @@ export default function MyLeave() {
           setError('Casual employees are not eligible for paid annual or personal leave. Please choose a different leave type.');
         } else if (result.error === 'PERMISSION_DENIED') {
           setError(result.message || 'Permission denied.');
+        } else if (result.error === 'INVALID_PARTIAL_HOURS') {
+          setError(result.message || 'Please check the partial-day hours.');
+        } else if (result.error === 'BLACKOUT_PERIOD') {
+          setError(result.message);
         } else if (result.error === 'HALF_DAY_MUST_BE_SINGLE_DAY') {
           setError('Half-day leave is only available for single-day requests. Please make the start and end date the same or choose Full day.');
         } else {
@@ -332,15 +453,26 @@ export default function MyLeave() {
         return;
       }
 
-      setFormData({ leave_type_id: '', start_date: '', end_date: '', reason: '', partial_day_type: 'full' });
+      setFormData(EMPTY_FORM);
+      setAttachments([]);
       setChargeableBreakdown(null);
       setShowForm(false);
       
       if (result.autoApproved) {
         setSuccessMessage('Leave request created and automatically approved (no manager assigned).');
+      } else if (result.inAdvance) {
+        setSuccessMessage('Leave in advance submitted for approval. Your balance will go below zero once it is approved.');
       } else {
         setSuccessMessage('Leave request submitted for manager approval.');
       }
+      if (result.evidenceError) {
+        toast.error(`Your request was submitted, but the attachment failed to upload: ${result.evidenceError}`);
+      } else if (result.evidenceRequired) {
+        toast.info(`Please attach supporting evidence by ${format(parseISO(result.evidenceDueDate), 'dd MMM yyyy')}.`);
+      }
+      if (result.blackoutWarnings?.length > 0) {
+        toast.warning(`Your request falls in ${result.blackoutWarnings.map(describeBlackoutPeriod).join(', ')}. Your approver will see this.`);
+      }
 
       await loadLeaveContextFor(subjectEmployee.id);
     } catch (err) {
@@ -395,6 +527,18 @@ export default function MyLeave() {
         </div>
       )}
 
+      <LeaveAmendDialog
+        request={requestToAmend}
+        employee={subjectEmployee}
+        leaveTypeName={requestToAmend ? getTypeName(requestToAmend.leave_type_id) : ''}
+        userContext={userContext}
+        onClose={() => setRequestToAmend(null)}
+        onAmended={async () => {
+          setRequestToAmend(null);
+          await loadLeaveContextFor(subjectEmployee.id);
+        }}
+      />
+
       {/* Recall Confirmation Modal */}
       <Dialog open={!!requestToRecall} onOpenChange={(open) => !open && setRequestToRecall(null)}>
         <DialogContent>
@@ -452,6 +596,12 @@ export default function MyLeave() {
                 {subjectEmployee.preferred_name || subjectEmployee.full_name || 'This employee'} works {subjectEmployee.hours_per_week}h/week (~{Math.round((subjectEmployee.hours_per_week / 38) * 100)}% of full-time). Leave accrues pro-rata.
               </p>
             )}
+            {hasCustomWorkPattern(subjectEmployee) && (
+              <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                <Clock className="h-3 w-3" />
+                Work pattern: {describeWorkPattern(getWorkPattern(subjectEmployee))}. Leave is only charged on rostered days.
+              </p>
+            )}
           </div>
 
           {/* Leave request form */}
@@ -543,7 +693,32 @@ export default function MyLeave() {
                           <Clock className="h-3 w-3" /> Half day (PM)
                         </Label>
                       </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="hours" id="duration-hours" />
+                        <Label htmlFor="duration-hours" className="cursor-pointer flex items-center gap-1">
+                          <Clock className="h-3 w-3" /> Specific hours
+                        </Label>
+                      </div>
                     </RadioGroup>
+                    {formData.partial_day_type === 'hours' && (
+                      <div className="mt-3 space-y-3 rounded-lg border border-gray-200 p-3">
+                        <PartialDayInputs
+                          label={formData.start_date && formData.end_date && formData.start_date !== formData.end_date ? 'First day' : 'Hours off'}
+                          value={formData.first_day}
+                          onChange={(v) => setFormData({ ...formData, first_day: v })}
+                        />
+                        {formData.start_date && formData.end_date && formData.start_date !== formData.end_date && (
+                          <PartialDayInputs
+                            label="Last day"
+                            value={formData.last_day}
+                            onChange={(v) => setFormData({ ...formData, last_day: v })}
+                          />
+                        )}
+                        <p className="text-xs text-gray-500">
+                          Enter a time range or a number of hours. Days left blank are taken as full days.
+                        </p>
+                      </div>
+                    )}
                     {/* Show warning if half-day selected but dates differ */}
                     {(formData.partial_day_type === 'half_am' || formData.partial_day_type === 'half_pm') && 
                      formData.start_date && formData.end_date && formData.start_date !== formData.end_date && (
@@ -562,8 +737,8 @@ export default function MyLeave() {
                         <span className="font-medium">{chargeableBreakdown.totalDays}</span>
                       </div>
                       <div className="flex justify-between text-sm">
-                        <span className="text-gray-600">Weekends (excluded):</span>
-                        <span className="text-gray-500">−{chargeableBreakdown.weekendCount}</span>
+                        <span className="text-gray-600">Non-working days (excluded):</span>
+                        <span className="text-gray-500">−{chargeableBreakdown.nonWorkingDayCount}</span>
                       </div>
                       {chargeableBreakdown.holidayCount > 0 && (
                         <div className="flex justify-between text-sm">
@@ -585,6 +760,12 @@ export default function MyLeave() {
                           {chargeableBreakdown.chargeableDays}
                         </span>
                       </div>
+                      {(chargeableBreakdown.usesWorkPattern || chargeableBreakdown.hasPartialHours) && (
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Chargeable hours:</span>
+                          <span className="font-medium">{formatHours(chargeableBreakdown.hoursDeducted)}h</span>
+                        </div>
+                      )}
                       {chargeableBreakdown.holidays.length > 0 && (
                         <div className="text-xs text-gray-500">
                           Holidays: {chargeableBreakdown.holidays.map(h => h.name).join(', ')}
@@ -593,12 +774,60 @@ export default function MyLeave() {
                     </div>
                   )}
 
+                  {/* Projected balance on the start date */}
+                  {projectedBalance && (
+                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-800 space-y-1">
+                      <div className="flex justify-between">
+                        <span>Projected balance on {format(parseISO(formData.start_date), 'd MMM yyyy')}:</span>
+                        <span className="font-medium">{formatHours(projectedBalance.availableHours)}h</span>
+                      </div>
+                      <p className="text-xs text-blue-700">
+                        Includes {formatHours(projectedBalance.accruedUntilDate)}h accrual to come
+                        {projectedBalance.balance.usedFutureApproved > 0 && (
+                          <> and deducts {formatHours(projectedBalance.balance.usedFutureApproved)}h of other approved future leave</>
+                        )}
+                        {projectedBalance.balance.usedPending > 0 && (
+                          <>, plus {formatHours(projectedBalance.balance.usedPending)}h pending</>
+                        )}
+                        .
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Blackout period banner */}
+                  {blackoutCheck?.blocked.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                      {blackoutCheck.blocked.map(period => (
+                        <p key={period.id} className="text-sm text-red-700 flex items-start gap-2">
+                          <AlertCircle className="h-4 w-4 flex-shrink-0 mt-0.5" />
+                          <span>
+                            Leave can&apos;t be requested during {describeBlackoutPeriod(period)}.
+                            {period.message && ` ${period.message}`}
+                          </span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                  {blackoutCheck?.blocked.length === 0 && blackoutCheck.warnings.length > 0 && (
+                    <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 space-y-1">
+                      {blackoutCheck.warnings.map(period => (
+                        <p key={period.id} className="text-sm text-orange-700 flex items-start gap-2">
+                          <AlertTriangle className="h-4 w-4 flex-shrink-0 mt-0.5" />
+                          <span>
+                            Leave is discouraged during {describeBlackoutPeriod(period)}.
+                            {period.message && ` ${period.message}`}
+                          </span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Balance warning banner */}
                   {leaveWarningDetails && (
                     <div className="bg-amber-50 border border-amber-200 rounded-lg p-3">
                       <p className="text-sm text-amber-700 flex items-center gap-2">
                         <AlertTriangle className="h-4 w-4 flex-shrink-0" />
-                        Insufficient leave balance. You have {formatHours(leaveWarningDetails.availableHours)} hours available but need {formatHours(leaveWarningDetails.neededHours)} hours.
+                        {formatBalanceWarning(leaveWarningDetails)}
                       </p>
                     </div>
                   )}
@@ -614,7 +843,23 @@ export default function MyLeave() {
                     />
                   </div>
 
-                  <Button type="submit" disabled={isSubmitting || !formData.leave_type_id}>
+                  {/* Supporting evidence */}
+                  {leaveTypeAcceptsEvidence(selectedLeaveType) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Supporting evidence
+                      </label>
+                      <p className="text-xs text-gray-500 mb-2">{describeEvidenceRule(selectedLeaveType)}</p>
+                      <Input
+                        type="file"
+                        multiple
+                        onChange={(e) => setAttachments(Array.from(e.target.files || []))}
+                      />
+                      <p className="text-xs text-gray-400 mt-1">You can also attach it later from your request history.</p>
+                    </div>
+                  )}
+
+                  <Button type="submit" disabled={isSubmitting || !formData.leave_type_id || blackoutCheck?.blocked.length > 0}>
                     {isSubmitting ? 'Submitting...' : 'Submit Request'}
                   </Button>
                 </form>
@@ -622,6 +867,9 @@ export default function MyLeave() {
             </Card>
           )}
 
+          {/* Annual leave cash-out */}
+          <LeaveCashOutCard employee={subjectEmployee} refreshKey={balanceRefreshKey} />
+
           {/* Request history */}
           <Card>
             <CardContent className="p-0">
@@ -648,6 +896,11 @@ export default function MyLeave() {
                               <Clock className="h-3 w-3" /> Half day (PM)
                             </span>
                           )}
+                          {req.partial_day_type === 'hours' && Number.isFinite(req.total_hours) && (
+                            <span className="ml-2 inline-flex items-center gap-1 rounded-full bg-indigo-50 px-2 py-0.5 text-xs font-medium text-indigo-700">
+                              <Clock className="h-3 w-3" /> {formatHours(req.total_hours)}h
+                            </span>
+                          )}
                         </p>
                         <p className="text-sm text-gray-500">
                           {format(new Date(req.start_date), 'dd MMM')} –{' '}
@@ -656,6 +909,11 @@ export default function MyLeave() {
                         {req.reason && (
                           <p className="text-sm text-gray-400 mt-1">{req.reason}</p>
                         )}
+                        {req.amendment_pending && (
+                          <p className="text-sm text-blue-600 mt-1">
+                            Change awaiting approval. Your previously approved leave stands until it is decided.
+                          </p>
+                        )}
 
                         {req.status === 'declined' && (req.rejection_reason || req.manager_comment) && (
                           <div className="mt-2 p-2 bg-red-50 border border-red-100 rounded text-sm">
@@ -671,9 +929,34 @@ export default function MyLeave() {
                             Manager: {req.manager_comment}
                           </p>
                         )}
+
+                        {(req.evidence_required || req.evidence_status || leaveTypeAcceptsEvidence(leaveTypes.find(t => t.id === req.leave_type_id))) && (
+                          <div className="mt-2">
+                            <LeaveEvidencePanel
+                              request={req}
+                              leaveType={leaveTypes.find(t => t.id === req.leave_type_id)}
+                              userContext={userContext}
+                              onChange={() => loadLeaveContextFor(subjectEmployee.id)}
+                            />
+                          </div>
+                        )}
+
+                        {req.revisions?.length > 0 && (
+                          <div className="mt-2">
+                            <LeaveRevisionHistory request={req} />
+                          </div>
+                        )}
                       </div>
                       <div className="flex items-center gap-3 ml-4">
                           <LeaveStatusChip status={req.status} />
+                          {canAmendRequest(req) && (
+                          <button
+                            onClick={() => setRequestToAmend(req)}
+                            className="text-sm text-indigo-600 hover:underline"
+                          >
+                            Change
+                          </button>
+                        )}
                           {canRecallRequest(req) && (
                           <button
                             onClick={() => openRecallModal(req)}
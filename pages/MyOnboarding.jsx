@@ -9,7 +9,9 @@ import { toast } from 'sonner';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
 import { getOnboardingProgress, completeTask } from '@/components/onboarding/onboardingEngine';
 import OnboardingTaskCard, { getTaskUrgency } from '@/components/onboarding/OnboardingTaskCard';
+import { getUnmetPrerequisites, applyTaskCompletion } from '@/components/onboarding/taskDependencies';
 import OnboardingProgressRing from '@/components/onboarding/OnboardingProgressRing';
+import OnboardingFormDialog from '@/components/onboarding/OnboardingFormDialog';
 
 const EmployeeOnboarding = base44.entities.EmployeeOnboarding;
 const EmployeeOnboardingTask = base44.entities.EmployeeOnboardingTask;
@@ -20,10 +22,12 @@ export default function MyOnboarding() {
   const [onboarding, setOnboarding] = useState(null);
   const [template, setTemplate] = useState(null);
   const [tasks, setTasks] = useState([]);
+  const [onboardingTasks, setOnboardingTasks] = useState([]);
   const [progress, setProgress] = useState({ percentage: 0, requiredPercentage: 0 });
   const [isLoading, setIsLoading] = useState(true);
   const [updatingTaskId, setUpdatingTaskId] = useState(null);
   const [showCompleted, setShowCompleted] = useState(false);
+  const [formTask, setFormTask] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -65,6 +69,7 @@ export default function MyOnboarding() {
       const employeeTasks = allTasks.filter(t => t.assigned_to_role === 'employee');
       employeeTasks.sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
       setTasks(employeeTasks);
+      setOnboardingTasks(allTasks);
 
       const prog = await getOnboardingProgress(activeOnboarding.id);
       setProgress(prog);
@@ -80,11 +85,8 @@ export default function MyOnboarding() {
     try {
       const result = await completeTask(taskId);
       
-      setTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'completed', completed_at: new Date().toISOString() }
-          : t
-      ));
+      setTasks(prev => applyTaskCompletion(prev, taskId, result.unlockedTaskIds));
+      setOnboardingTasks(prev => applyTaskCompletion(prev, taskId, result.unlockedTaskIds));
 
       const prog = await getOnboardingProgress(onboarding.id);
       setProgress(prog);
@@ -103,6 +105,12 @@ export default function MyOnboarding() {
     }
   };
 
+  const handleFormSubmitted = (taskId) => {
+    const markSubmitted = (list) => list.map(t => (t.id === taskId ? { ...t, status: 'submitted', review_notes: null } : t));
+    setTasks(markSubmitted);
+    setOnboardingTasks(markSubmitted);
+  };
+
   // Group tasks by urgency
   const groupTasks = (taskList) => {
     const groups = { overdue: [], due_soon: [], upcoming: [], completed: [] };
@@ -211,7 +219,9 @@ export default function MyOnboarding() {
           iconColor="text-red-500"
           badgeClass="bg-red-100 text-red-700"
           tasks={grouped.overdue}
+          allTasks={onboardingTasks}
           onCompleteTask={handleCompleteTask}
+          onFillForm={setFormTask}
           updatingTaskId={updatingTaskId}
         />
       )}
@@ -224,7 +234,9 @@ export default function MyOnboarding() {
           iconColor="text-amber-500"
           badgeClass="bg-amber-100 text-amber-700"
           tasks={grouped.due_soon}
+          allTasks={onboardingTasks}
           onCompleteTask={handleCompleteTask}
+          onFillForm={setFormTask}
           updatingTaskId={updatingTaskId}
         />
       )}
@@ -237,7 +249,9 @@ export default function MyOnboarding() {
           iconColor="text-blue-500"
           badgeClass="bg-blue-100 text-blue-700"
           tasks={grouped.upcoming}
+          allTasks={onboardingTasks}
           onCompleteTask={handleCompleteTask}
+          onFillForm={setFormTask}
           updatingTaskId={updatingTaskId}
         />
       )}
@@ -295,11 +309,18 @@ export default function MyOnboarding() {
           )}
         </Card>
       )}
+
+      <OnboardingFormDialog
+        task={formTask}
+        open={!!formTask}
+        onClose={() => setFormTask(null)}
+        onSubmitted={handleFormSubmitted}
+      />
     </div>
   );
 }
 
-function TaskSection({ title, icon: Icon, iconColor, badgeClass, tasks, onCompleteTask, updatingTaskId }) {
+function TaskSection({ title, icon: Icon, iconColor, badgeClass, tasks, allTasks, onCompleteTask, onFillForm, updatingTaskId }) {
   return (
     <Card>
       <CardHeader className="pb-3">
@@ -315,7 +336,9 @@ function TaskSection({ title, icon: Icon, iconColor, badgeClass, tasks, onComple
             key={task.id}
             task={task}
             onComplete={onCompleteTask}
+            onFillForm={onFillForm}
             isUpdating={updatingTaskId === task.id}
+            waitingOn={getUnmetPrerequisites(task, allTasks)}
           />
         ))}
       </CardContent>
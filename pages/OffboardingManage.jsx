@@ -12,6 +12,7 @@ import {
 } from 'lucide-react';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
 import { useRequirePermission } from '@/components/utils/useRequirePermission';
+import { canViewSalary } from '@/components/utils/permissions';
 import { getOffboardingProgress, getOffboardingTasksByRole, startOffboarding, pauseOffboarding, cancelOffboarding, completeOffboardingTask } from '@/components/offboarding/offboardingEngine';
 import { getDisplayName, getInitials } from '@/components/utils/displayName';
 import OffboardingTaskGroup from '@/components/offboarding/OffboardingTaskGroup';
@@ -456,6 +457,8 @@ export default function OffboardingManage() {
         <FinalLeaveSnapshot 
           employeeId={employee?.id} 
           asOfDate={offboarding.last_day}
+          exitType={offboarding.exit_type}
+          showPayout={canViewSalary(userContext?.user, userContext?.preferences)}
         />
         <SystemAccessSection itTasks={tasksByRole.it || []} />
       </div>
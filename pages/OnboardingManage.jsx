@@ -27,7 +27,11 @@ import { getOnboardingProgress, completeTask } from '@/components/onboarding/onb
 import StartOnboardingModal2 from '@/components/onboarding/StartOnboardingModal2';
 import { getDisplayName, getInitials } from '@/components/utils/displayName';
 import OnboardingTaskCard, { getTaskUrgency } from '@/components/onboarding/OnboardingTaskCard';
+import { getUnmetPrerequisites, applyTaskCompletion } from '@/components/onboarding/taskDependencies';
 import OnboardingProgressRing from '@/components/onboarding/OnboardingProgressRing';
+import FormSubmissionReviewDialog from '@/components/onboarding/FormSubmissionReviewDialog';
+import GenerateDocumentDialog from '@/components/documents/GenerateDocumentDialog';
+import RequestSignatureDialog from '@/components/documents/RequestSignatureDialog';
 
 const EmployeeOnboarding = base44.entities.EmployeeOnboarding;
 const EmployeeOnboardingTask = base44.entities.EmployeeOnboardingTask;
@@ -50,6 +54,11 @@ export default function OnboardingManage() {
   const [selectedTasks, setSelectedTasks] = useState([]);
   const [loadingTasks, setLoadingTasks] = useState(false);
   const [updatingTaskId, setUpdatingTaskId] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [currentEmployee, setCurrentEmployee] = useState(null);
+  const [reviewTask, setReviewTask] = useState(null);
+  const [generateTask, setGenerateTask] = useState(null);
+  const [signatureDocument, setSignatureDocument] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -64,6 +73,8 @@ export default function OnboardingManage() {
         window.location.href = createPageUrl('Home');
         return;
       }
+      setCurrentUser(ctx.user);
+      setCurrentEmployee(ctx.employee || null);
 
       const [onboardingsData, employeesData, templatesData, tasksData] = await Promise.all([
         EmployeeOnboarding.list('-created_date'),
@@ -221,20 +232,12 @@ export default function OnboardingManage() {
   const handleCompleteTask = async (taskId) => {
     setUpdatingTaskId(taskId);
     try {
-      await completeTask(taskId);
+      const result = await completeTask(taskId);
       
-      setSelectedTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'completed', completed_at: new Date().toISOString() }
-          : t
-      ));
+      setSelectedTasks(prev => applyTaskCompletion(prev, taskId, result.unlockedTaskIds));
 
       // Update allTasks for stats
-      setAllTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'completed', completed_at: new Date().toISOString() }
-          : t
-      ));
+      setAllTasks(prev => applyTaskCompletion(prev, taskId, result.unlockedTaskIds));
 
       if (selectedOnboarding) {
         const prog = await getOnboardingProgress(selectedOnboarding.id);
@@ -249,6 +252,19 @@ export default function OnboardingManage() {
     }
   };
 
+  const handleFormReviewed = async (taskId, result) => {
+    const applyReview = (list) => (result.approved
+      ? applyTaskCompletion(list, taskId, result.unlockedTaskIds)
+      : list.map(t => (t.id === taskId ? { ...t, status: 'not_started', review_notes: result.review_notes } : t)));
+    setSelectedTasks(applyReview);
+    setAllTasks(applyReview);
+
+    if (result.approved && selectedOnboarding) {
+      const prog = await getOnboardingProgress(selectedOnboarding.id);
+      setProgressMap(prev => ({ ...prev, [selectedOnboarding.id]: prog }));
+    }
+  };
+
   const handleDeleteTask = async (taskId) => {
     if (!confirm('Remove this task from the onboarding plan?')) return;
     
@@ -451,6 +467,7 @@ export default function OnboardingManage() {
                   const template = getTemplate(onb.template_id);
                   const progress = progressMap[onb.id] || { percentage: 0, completed: 0, total: 0 };
                   const overdueCount = getOverdueCount(onb.id);
+                  const reviewCount = allTasks.filter(t => t.onboarding_id === onb.id && t.status === 'submitted').length;
 
                   return (
                     <div 
@@ -493,6 +510,12 @@ export default function OnboardingManage() {
                             {overdueCount} overdue
                           </p>
                         )}
+                        {reviewCount > 0 && (
+                          <p className="text-xs text-amber-700 mt-1 flex items-center gap-1">
+                            <Clock className="h-3 w-3" />
+                            {reviewCount} to review
+                          </p>
+                        )}
                       </div>
 
                       {/* Status */}
@@ -556,7 +579,10 @@ export default function OnboardingManage() {
                         icon={AlertTriangle}
                         iconColor="text-red-500"
                         tasks={groupedTasks.overdue}
+                        allTasks={selectedTasks}
                         onComplete={handleCompleteTask}
+                        onReview={setReviewTask}
+                        onGenerateDocument={setGenerateTask}
                         onDelete={handleDeleteTask}
                         updatingTaskId={updatingTaskId}
                       />
@@ -569,7 +595,10 @@ export default function OnboardingManage() {
                         icon={Clock}
                         iconColor="text-amber-500"
                         tasks={groupedTasks.due_soon}
+                        allTasks={selectedTasks}
                         onComplete={handleCompleteTask}
+                        onReview={setReviewTask}
+                        onGenerateDocument={setGenerateTask}
                         onDelete={handleDeleteTask}
                         updatingTaskId={updatingTaskId}
                       />
@@ -582,7 +611,10 @@ export default function OnboardingManage() {
                         icon={Calendar}
                         iconColor="text-blue-500"
                         tasks={groupedTasks.upcoming}
+                        allTasks={selectedTasks}
                         onComplete={handleCompleteTask}
+                        onReview={setReviewTask}
+                        onGenerateDocument={setGenerateTask}
                         onDelete={handleDeleteTask}
                         updatingTaskId={updatingTaskId}
                       />
@@ -612,11 +644,38 @@ export default function OnboardingManage() {
           )}
         </DialogContent>
       </Dialog>
+
+      <FormSubmissionReviewDialog
+        task={reviewTask}
+        open={!!reviewTask}
+        onClose={() => setReviewTask(null)}
+        onReviewed={handleFormReviewed}
+        reviewer={currentEmployee}
+      />
+
+      <GenerateDocumentDialog
+        open={!!generateTask}
+        onClose={() => setGenerateTask(null)}
+        employee={selectedOnboarding ? getEmployee(selectedOnboarding.employee_id) : null}
+        currentUser={currentUser}
+        startDate={selectedOnboarding?.start_date}
+        onboardingTaskId={generateTask?.id}
+        defaultTemplateId={generateTask?.document_template_id}
+        onGenerated={setSignatureDocument}
+      />
+
+      <RequestSignatureDialog
+        open={!!signatureDocument}
+        onClose={() => setSignatureDocument(null)}
+        document={signatureDocument}
+        employee={signatureDocument ? getEmployee(signatureDocument.owner_employee_id) : null}
+        currentUser={currentUser}
+      />
     </div>
   );
 }
 
-function TaskGroup({ title, icon: Icon, iconColor, tasks, onComplete, onDelete, updatingTaskId, collapsed = false }) {
+function TaskGroup({ title, icon: Icon, iconColor, tasks, allTasks = [], onComplete, onReview, onGenerateDocument, onDelete, updatingTaskId, collapsed = false }) {
   const [isOpen, setIsOpen] = React.useState(!collapsed);
 
   return (
@@ -636,9 +695,12 @@ function TaskGroup({ title, icon: Icon, iconColor, tasks, onComplete, onDelete,
               <OnboardingTaskCard
                 task={task}
                 onComplete={onComplete}
+                onReview={onReview}
+                onGenerateDocument={onGenerateDocument}
                 isUpdating={updatingTaskId === task.id}
                 showAssignee
                 compact
+                waitingOn={getUnmetPrerequisites(task, allTasks)}
               />
               {onDelete && (
                 <Button
@@ -10,6 +10,7 @@ import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
 import {
   Dialog,
   DialogContent,
@@ -19,19 +20,27 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { 
-  Plus, Pencil, Trash2, GripVertical, Copy, Loader2, ClipboardList, ArrowLeft
+  Plus, Pencil, Trash2, GripVertical, Copy, Loader2, ClipboardList, ArrowLeft, Link2, Filter, ClipboardPen, FileText
 } from 'lucide-react';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import { toast } from 'sonner';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
+import { getTaskDependencies, findDependencyCycle } from '@/components/onboarding/taskDependencies';
+import { getTaskConditions, describeCondition } from '@/components/onboarding/taskConditions';
+import TaskConditionsEditor from '@/components/onboarding/TaskConditionsEditor';
+import { getFormFields, cleanFormFields, validateFormSchema } from '@/components/onboarding/onboardingForms';
+import TaskFormFieldsEditor from '@/components/onboarding/TaskFormFieldsEditor';
+import { isMergeableTemplate } from '@/components/utils/documentGeneration';
 
 const OnboardingTemplate = base44.entities.OnboardingTemplate;
 const OnboardingTaskTemplate = base44.entities.OnboardingTaskTemplate;
+const DocumentTemplate = base44.entities.DocumentTemplate;
 
 export default function OnboardingTemplates() {
   const [templates, setTemplates] = useState([]);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [taskTemplates, setTaskTemplates] = useState([]);
+  const [documentTemplates, setDocumentTemplates] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showTemplateModal, setShowTemplateModal] = useState(false);
   const [showTaskModal, setShowTaskModal] = useState(false);
@@ -52,6 +61,10 @@ export default function OnboardingTemplates() {
     assigned_to: 'hr',
     due_offset_days: 0,
     required: true,
+    depends_on_task_template_ids: [],
+    conditions: [],
+    form_fields: [],
+    document_template_id: '',
   });
 
   useEffect(() => {
@@ -71,6 +84,9 @@ export default function OnboardingTemplates() {
       return;
     }
     loadTemplates();
+    DocumentTemplate.list()
+      .then(list => setDocumentTemplates(list.filter(isMergeableTemplate)))
+      .catch(error => console.error('Error loading document templates:', error));
   };
 
   const loadTemplates = async () => {
@@ -127,10 +143,11 @@ export default function OnboardingTemplates() {
         active: true,
       });
 
-      // Copy tasks
+      // Copy tasks, then point dependencies at the copies
       const tasks = await OnboardingTaskTemplate.filter({ template_id: template.id });
+      const copyIds = {};
       for (const task of tasks) {
-        await OnboardingTaskTemplate.create({
+        const copy = await OnboardingTaskTemplate.create({
           template_id: newTemplate.id,
           title: task.title,
           description: task.description,
@@ -138,7 +155,17 @@ export default function OnboardingTemplates() {
           due_offset_days: task.due_offset_days,
           required: task.required,
           order_index: task.order_index,
+          conditions: getTaskConditions(task),
+          form_fields: getFormFields(task),
+          document_template_id: task.document_template_id || null,
         });
+        copyIds[task.id] = copy.id;
+      }
+      for (const task of tasks) {
+        const dependsOn = getTaskDependencies(task).map(id => copyIds[id]).filter(Boolean);
+        if (dependsOn.length > 0) {
+          await OnboardingTaskTemplate.update(copyIds[task.id], { depends_on_task_template_ids: dependsOn });
+        }
       }
 
       toast.success('Template duplicated');
@@ -193,7 +220,7 @@ export default function OnboardingTemplates() {
   // Task CRUD
   const handleCreateTask = () => {
     setEditingTask(null);
-    setTaskForm({ title: '', description: '', assigned_to: 'hr', due_offset_days: 0, required: true });
+    setTaskForm({ title: '', description: '', assigned_to: 'hr', due_offset_days: 0, required: true, depends_on_task_template_ids: [], conditions: [], form_fields: [], document_template_id: '' });
     setShowTaskModal(true);
   };
 
@@ -205,20 +232,46 @@ export default function OnboardingTemplates() {
       assigned_to: task.assigned_to || 'hr',
       due_offset_days: task.due_offset_days || 0,
       required: task.required !== false,
+      depends_on_task_template_ids: getTaskDependencies(task),
+      conditions: getTaskConditions(task),
+      form_fields: getFormFields(task),
+      document_template_id: task.document_template_id || '',
     });
     setShowTaskModal(true);
   };
 
   const handleSaveTask = async () => {
     if (!taskForm.title || !selectedTemplate) return;
+
+    const cycle = findDependencyCycle(taskTemplates, editingTask?.id || null, taskForm.depends_on_task_template_ids);
+    if (cycle) {
+      toast.error(`Circular dependency: ${cycle.map(t => t.title || 'Unknown task').join(' → ')}`);
+      return;
+    }
+    if (taskForm.conditions.some(c => c.operator !== 'is_true' && c.operator !== 'is_false' && !String(c.value || '').trim())) {
+      toast.error('Enter a value for each condition');
+      return;
+    }
+    const formFields = cleanFormFields(taskForm.form_fields);
+    const formError = validateFormSchema(formFields);
+    if (formError) {
+      toast.error(formError);
+      return;
+    }
+    if (formFields.length > 0 && taskForm.assigned_to !== 'employee') {
+      toast.error('Form tasks must be assigned to the employee');
+      return;
+    }
+
+    const data = { ...taskForm, form_fields: formFields, document_template_id: taskForm.document_template_id || null };
     setIsSubmitting(true);
     try {
       if (editingTask) {
-        await OnboardingTaskTemplate.update(editingTask.id, taskForm);
+        await OnboardingTaskTemplate.update(editingTask.id, data);
         toast.success('Task updated');
       } else {
         await OnboardingTaskTemplate.create({
-          ...taskForm,
+          ...data,
           template_id: selectedTemplate.id,
           order_index: taskTemplates.length,
         });
@@ -234,9 +287,18 @@ export default function OnboardingTemplates() {
   };
 
   const handleDeleteTask = async (task) => {
-    if (!confirm('Delete this task?')) return;
+    const dependants = taskTemplates.filter(t => getTaskDependencies(t).includes(task.id));
+    const message = dependants.length > 0
+      ? `Delete this task? ${dependants.map(t => `"${t.title}"`).join(', ')} will no longer wait for it.`
+      : 'Delete this task?';
+    if (!confirm(message)) return;
     try {
       await OnboardingTaskTemplate.delete(task.id);
+      for (const dependant of dependants) {
+        await OnboardingTaskTemplate.update(dependant.id, {
+          depends_on_task_template_ids: getTaskDependencies(dependant).filter(id => id !== task.id),
+        });
+      }
       toast.success('Task deleted');
       await loadTaskTemplates(selectedTemplate.id);
     } catch (error) {
@@ -427,6 +489,33 @@ export default function OnboardingTemplates() {
                                       <p className="text-xs text-gray-400 mt-1">
                                         Due: {formatDueOffset(task.due_offset_days)}
                                       </p>
+                                      {getTaskDependencies(task).length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                                          <Link2 className="h-3 w-3" />
+                                          After {getTaskDependencies(task)
+                                            .map(id => taskTemplates.find(t => t.id === id)?.title)
+                                            .filter(Boolean)
+                                            .join(', ')}
+                                        </p>
+                                      )}
+                                      {getTaskConditions(task).length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                                          <Filter className="h-3 w-3" />
+                                          Only if {getTaskConditions(task).map(describeCondition).join(' and ')}
+                                        </p>
+                                      )}
+                                      {getFormFields(task).length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                                          <ClipboardPen className="h-3 w-3" />
+                                          Form: {getFormFields(task).map(f => f.label).join(', ')}
+                                        </p>
+                                      )}
+                                      {task.document_template_id && (
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                                          <FileText className="h-3 w-3" />
+                                          Generates {documentTemplates.find(t => t.id === task.document_template_id)?.name || 'a document'}
+                                        </p>
+                                      )}
                                     </div>
                                     <div className="flex gap-1">
                                       <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => handleEditTask(task)}>
@@ -517,7 +606,7 @@ export default function OnboardingTemplates() {
 
       {/* Task Modal */}
       <Dialog open={showTaskModal} onOpenChange={setShowTaskModal}>
-        <DialogContent>
+        <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>{editingTask ? 'Edit Task' : 'Add Task'}</DialogTitle>
             <DialogDescription>
@@ -579,6 +668,60 @@ export default function OnboardingTemplates() {
                 onCheckedChange={(checked) => setTaskForm({ ...taskForm, required: checked })}
               />
             </div>
+            {taskTemplates.some(t => t.id !== editingTask?.id) && (
+              <div>
+                <Label>Starts after</Label>
+                <p className="text-xs text-gray-500 mt-1">
+                  The task stays locked until these tasks are completed.
+                </p>
+                <div className="mt-2 max-h-40 overflow-y-auto space-y-2 border rounded-lg p-3">
+                  {taskTemplates.filter(t => t.id !== editingTask?.id).map(t => (
+                    <label key={t.id} className="flex items-center gap-2 text-sm">
+                      <Checkbox
+                        checked={taskForm.depends_on_task_template_ids.includes(t.id)}
+                        onCheckedChange={(checked) => setTaskForm({
+                          ...taskForm,
+                          depends_on_task_template_ids: checked
+                            ? [...taskForm.depends_on_task_template_ids, t.id]
+                            : taskForm.depends_on_task_template_ids.filter(id => id !== t.id),
+                        })}
+                      />
+                      {t.title}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+            {documentTemplates.length > 0 && (
+              <div>
+                <Label>Document to generate</Label>
+                <Select
+                  value={taskForm.document_template_id || 'none'}
+                  onValueChange={(v) => setTaskForm({ ...taskForm, document_template_id: v === 'none' ? '' : v })}
+                >
+                  <SelectTrigger className="mt-1">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">None</SelectItem>
+                    {documentTemplates.map(t => (
+                      <SelectItem key={t.id} value={t.id}>{t.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-gray-500 mt-1">
+                  HR can generate this document for the new hire from the task.
+                </p>
+              </div>
+            )}
+            <TaskConditionsEditor
+              conditions={taskForm.conditions}
+              onChange={(conditions) => setTaskForm({ ...taskForm, conditions })}
+            />
+            <TaskFormFieldsEditor
+              fields={taskForm.form_fields}
+              onChange={(form_fields) => setTaskForm({ ...taskForm, form_fields })}
+            />
           </div>
           <DialogFooter>
             <Button variant="outline" onClick={() => setShowTaskModal(false)}>Cancel</Button>
@@ -16,11 +16,12 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { 
-  Plus, Pencil, Trash2, Loader2, Calendar, Copy, Filter, Building2, Globe, AlertTriangle
+  Plus, Pencil, Trash2, Loader2, Calendar, Wand2, Filter, Building2, Globe, AlertTriangle
 } from 'lucide-react';
 import { format, parseISO } from 'date-fns';
 import { canActAsAdmin } from '@/components/utils/permissions';
-import { copyHolidaysToYear } from '@/components/utils/publicHolidays';
+import { previewHolidayGeneration, applyHolidayGeneration } from '@/components/utils/publicHolidays';
+import { AU_CALENDARS, AU_HOLIDAY_RULES } from '@/components/setup/auStarterPack';
 
 const PublicHoliday = base44.entities.PublicHoliday;
 const CompanyEntity = base44.entities.CompanyEntity;
@@ -48,18 +49,20 @@ export default function PublicHolidays() {
   const [editingHoliday, setEditingHoliday] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
-  const [showCopyDialog, setShowCopyDialog] = useState(false);
-  const [isCopying, setIsCopying] = useState(false);
+  const [showGenerateDialog, setShowGenerateDialog] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [generatePreview, setGeneratePreview] = useState(null);
+  const [generateResolutions, setGenerateResolutions] = useState({});
 
   // Filters
   const [filterYear, setFilterYear] = useState(new Date().getFullYear());
   const [filterEntity, setFilterEntity] = useState('all');
   const [filterRegion, setFilterRegion] = useState('');
 
-  // Copy dialog state
-  const [copySourceYear, setCopySourceYear] = useState(new Date().getFullYear());
-  const [copyTargetYear, setCopyTargetYear] = useState(new Date().getFullYear() + 1);
-  const [copyEntityId, setCopyEntityId] = useState('global');
+  // Generate dialog state
+  const [generateYear, setGenerateYear] = useState(new Date().getFullYear() + 1);
+  const [generateCalendar, setGenerateCalendar] = useState('AU_NATIONAL');
+  const [generateEntityId, setGenerateEntityId] = useState('global');
 
   const [formData, setFormData] = useState({
     entity_id: '',
@@ -158,21 +161,52 @@ export default function PublicHolidays() {
     }
   };
 
-  const handleCopyYear = async () => {
-    setIsCopying(true);
+  const getGenerateScope = () => ({
+    entityId: generateEntityId === 'global' ? null : generateEntityId,
+    stateRegion: AU_CALENDARS.find(c => c.code === generateCalendar)?.state_or_region || null,
+  });
+
+  const handlePreviewGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const preview = await previewHolidayGeneration({
+        rules: AU_HOLIDAY_RULES[generateCalendar] || [],
+        year: generateYear,
+        ...getGenerateScope(),
+      });
+      setGeneratePreview(preview);
+      setGenerateResolutions({});
+    } catch (error) {
+      console.error('Error previewing holidays:', error);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleApplyGenerate = async () => {
+    setIsGenerating(true);
     try {
-      const entityId = copyEntityId === 'global' ? null : copyEntityId;
-      const count = await copyHolidaysToYear(copySourceYear, copyTargetYear, entityId, user.id);
-      setShowCopyDialog(false);
+      const { created, updated, removed } = await applyHolidayGeneration(generatePreview, {
+        ...getGenerateScope(),
+        userId: user.id,
+        resolutions: generateResolutions,
+      });
+      setShowGenerateDialog(false);
+      setGeneratePreview(null);
       await loadData();
-      alert(`Created ${count} holidays for ${copyTargetYear}`);
+      alert(`Created ${created}, updated ${updated} and removed ${removed} holidays for ${generateYear}`);
     } catch (error) {
-      console.error('Error copying holidays:', error);
+      console.error('Error generating holidays:', error);
     } finally {
-      setIsCopying(false);
+      setIsGenerating(false);
     }
   };
 
+  const resolvedCount = Object.values(generateResolutions).filter(r => r !== 'keep').length;
+  const generateChangeCount = generatePreview
+    ? generatePreview.add.length + generatePreview.change.length + generatePreview.rename.length + resolvedCount
+    : 0;
+
   const getEntityName = (entityId) => {
     if (!entityId) return 'All Entities';
     const entity = entities.find(e => e.id === entityId);
@@ -230,9 +264,9 @@ export default function PublicHolidays() {
           <p className="text-gray-500 mt-1">Manage public holidays by entity, region, and year</p>
         </div>
         <div className="flex gap-2">
-          <Button variant="outline" onClick={() => setShowCopyDialog(true)}>
-            <Copy className="h-4 w-4 mr-2" />
-            Copy Year
+          <Button variant="outline" onClick={() => { setGeneratePreview(null); setShowGenerateDialog(true); }}>
+            <Wand2 className="h-4 w-4 mr-2" />
+            Generate Year
           </Button>
           <Button onClick={() => handleOpenDialog()}>
             <Plus className="h-4 w-4 mr-2" />
@@ -470,48 +504,51 @@ export default function PublicHolidays() {
         </DialogContent>
       </Dialog>
 
-      {/* Copy Year Dialog */}
-      <Dialog open={showCopyDialog} onOpenChange={setShowCopyDialog}>
-        <DialogContent className="max-w-sm">
+      {/* Generate Year Dialog */}
+      <Dialog open={showGenerateDialog} onOpenChange={setShowGenerateDialog}>
+        <DialogContent className="max-w-md">
           <DialogHeader>
-            <DialogTitle>Copy Holidays to Another Year</DialogTitle>
+            <DialogTitle>Generate Holidays for a Year</DialogTitle>
             <DialogDescription>
-              Copy all holidays from one year to another. Dates will be adjusted to the target year.
+              Works out each holiday from its rule (fixed date, nth weekday, Easter) including
+              weekend substitute days. Review the changes before they are saved.
             </DialogDescription>
           </DialogHeader>
 
           <div className="space-y-4 py-4">
-            <div className="space-y-2">
-              <Label>Source Year</Label>
-              <Select value={String(copySourceYear)} onValueChange={v => setCopySourceYear(parseInt(v))}>
-                <SelectTrigger>
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {yearOptions.map(y => (
-                    <SelectItem key={y} value={String(y)}>{y}</SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Year</Label>
+                <Select value={String(generateYear)} onValueChange={v => { setGenerateYear(parseInt(v)); setGeneratePreview(null); }}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {yearOptions.map(y => (
+                      <SelectItem key={y} value={String(y)}>{y}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
 
-            <div className="space-y-2">
-              <Label>Target Year</Label>
-              <Select value={String(copyTargetYear)} onValueChange={v => setCopyTargetYear(parseInt(v))}>
-                <SelectTrigger>
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {yearOptions.map(y => (
-                    <SelectItem key={y} value={String(y)}>{y}</SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
+              <div className="space-y-2">
+                <Label>Calendar</Label>
+                <Select value={generateCalendar} onValueChange={v => { setGenerateCalendar(v); setGeneratePreview(null); }}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {AU_CALENDARS.map(c => (
+                      <SelectItem key={c.code} value={c.code}>{c.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
             </div>
 
             <div className="space-y-2">
               <Label>Entity</Label>
-              <Select value={copyEntityId} onValueChange={setCopyEntityId}>
+              <Select value={generateEntityId} onValueChange={v => { setGenerateEntityId(v); setGeneratePreview(null); }}>
                 <SelectTrigger>
                   <SelectValue />
                 </SelectTrigger>
@@ -524,21 +561,92 @@ export default function PublicHolidays() {
               </Select>
             </div>
 
+            {generatePreview && (
+              <div className="border rounded-lg divide-y divide-gray-100 text-sm max-h-72 overflow-y-auto">
+                {generatePreview.add.map(h => (
+                  <div key={`add-${h.date}-${h.name}`} className="px-3 py-2 flex justify-between gap-2">
+                    <span className="text-gray-900">{h.name}</span>
+                    <span className="text-green-700">+ {format(parseISO(h.date), 'EEE d MMM')}</span>
+                  </div>
+                ))}
+                {generatePreview.change.map(({ existing, date }) => (
+                  <div key={`change-${existing.id}`} className="px-3 py-2 flex justify-between gap-2">
+                    <span className="text-gray-900">{existing.name}</span>
+                    <span className="text-amber-700">
+                      {format(parseISO(existing.date), 'd MMM')} → {format(parseISO(date), 'EEE d MMM')}
+                    </span>
+                  </div>
+                ))}
+                {generatePreview.rename.map(({ existing, name }) => (
+                  <div key={`rename-${existing.id}`} className="px-3 py-2 flex justify-between gap-2">
+                    <span className="text-gray-900">
+                      {existing.name} <span className="text-amber-700">→ {name}</span>
+                    </span>
+                    <span className="text-gray-500">{format(parseISO(existing.date), 'EEE d MMM')}</span>
+                  </div>
+                ))}
+                {generatePreview.unchanged.map(h => (
+                  <div key={`same-${h.id}`} className="px-3 py-2 flex justify-between gap-2 text-gray-400">
+                    <span>{h.name}</span>
+                    <span>{format(parseISO(h.date), 'EEE d MMM')}</span>
+                  </div>
+                ))}
+                {generatePreview.notInRules.map(h => (
+                  <div key={`other-${h.id}`} className="px-3 py-2 flex items-center justify-between gap-2 text-gray-500">
+                    <span>
+                      {h.name} <span className="text-xs">({format(parseISO(h.date), 'EEE d MMM')}, not in rules)</span>
+                    </span>
+                    <Select
+                      value={generateResolutions[h.id] || 'keep'}
+                      onValueChange={v => setGenerateResolutions(r => ({ ...r, [h.id]: v }))}
+                    >
+                      <SelectTrigger className="h-8 w-44 text-xs">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="keep">Keep</SelectItem>
+                        <SelectItem value="remove">Remove</SelectItem>
+                        {generatePreview.add
+                          .filter(a => !Object.entries(generateResolutions).some(([id, r]) => id !== h.id && r === a.name))
+                          .map(a => (
+                            <SelectItem key={a.name} value={a.name}>Rename to {a.name}</SelectItem>
+                          ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {generatePreview && generateChangeCount === 0 && (
+              <p className="text-sm text-gray-500">Holidays for {generateYear} are already up to date.</p>
+            )}
+
             <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
               <p className="text-xs text-amber-700">
                 <AlertTriangle className="h-3 w-3 inline mr-1" />
-                Note: Some holidays may fall on different days each year (e.g. Easter). 
-                Please review and adjust dates after copying.
+                One-off holidays proclaimed by a state government are not covered by the rules
+                and still need adding by hand.
               </p>
             </div>
           </div>
 
           <DialogFooter>
-            <Button variant="outline" onClick={() => setShowCopyDialog(false)}>Cancel</Button>
-            <Button onClick={handleCopyYear} disabled={isCopying || copySourceYear === copyTargetYear}>
-              {isCopying ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Copy className="h-4 w-4 mr-2" />}
-              Copy Holidays
-            </Button>
+            <Button variant="outline" onClick={() => setShowGenerateDialog(false)}>Cancel</Button>
+            {generatePreview ? (
+              <Button
+                onClick={handleApplyGenerate}
+                disabled={isGenerating || generateChangeCount === 0}
+              >
+                {isGenerating ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Wand2 className="h-4 w-4 mr-2" />}
+                Apply {generateChangeCount} Changes
+              </Button>
+            ) : (
+              <Button onClick={handlePreviewGenerate} disabled={isGenerating}>
+                {isGenerating && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                Preview
+              </Button>
+            )}
           </DialogFooter>
         </DialogContent>
       </Dialog>
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Loader2, PenLine, FileText, Download } from 'lucide-react';
+import { format } from 'date-fns';
+import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
+import {
+  SIGNER_ROLES,
+  SIGNATURE_REQUEST_STATUSES,
+  getSignatureRequestsForSigner,
+  isAwaitingSigner,
+} from '@/components/utils/documentSigning';
+import SignDocumentDialog from '@/components/documents/SignDocumentDialog';
+
+const STATUS_COLORS = {
+  pending: 'bg-amber-100 text-amber-700',
+  completed: 'bg-green-100 text-green-700',
+  declined: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+export default function SignDocuments() {
+  const [employee, setEmployee] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [signingRequest, setSigningRequest] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setIsLoading(true);
+    try {
+      const ctx = await getCurrentUserEmployeeContext();
+      setEmployee(ctx.employee || null);
+      if (ctx.employee) {
+        setRequests(await getSignatureRequestsForSigner(ctx.employee.id));
+      }
+    } catch (error) {
+      console.error('Error loading signature requests:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  const toSign = requests.filter(r => isAwaitingSigner(r, employee?.id));
+  const others = requests.filter(r => !isAwaitingSigner(r, employee?.id));
+  const mySigner = (request) => request.signers.find(s => s.employee_id === employee?.id);
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Documents to Sign</h1>
+        <p className="text-gray-500 mt-1">Contracts and other documents waiting for your signature</p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base flex items-center gap-2">
+            <PenLine className="h-4 w-4 text-indigo-600" />
+            Waiting for you
+            {toSign.length > 0 && <Badge variant="outline">{toSign.length}</Badge>}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {toSign.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">Nothing to sign right now</p>
+          ) : (
+            <div className="space-y-2">
+              {toSign.map(request => (
+                <div key={request.id} className="flex items-center justify-between gap-4 p-3 rounded-lg border">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <FileText className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{request.document_file_name}</p>
+                      <p className="text-xs text-gray-500">
+                        As {SIGNER_ROLES[mySigner(request)?.role]?.toLowerCase()}
+                        {request.created_date && ` · sent ${format(new Date(request.created_date), 'MMM d, yyyy')}`}
+                      </p>
+                    </div>
+                  </div>
+                  <Button size="sm" onClick={() => setSigningRequest(request)}>
+                    Review & Sign
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {others.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-2">
+              {others.map(request => {
+                const signer = mySigner(request);
+                return (
+                  <div key={request.id} className="flex items-center justify-between gap-4 p-3 rounded-lg border">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{request.document_file_name}</p>
+                      <p className="text-xs text-gray-500">
+                        {signer?.signed_at
+                          ? `You signed ${format(new Date(signer.signed_at), 'MMM d, yyyy')}`
+                          : request.status === 'pending' ? 'Waiting for an earlier signer' : 'Not signed by you'}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      <Badge className={STATUS_COLORS[request.status]}>
+                        {SIGNATURE_REQUEST_STATUSES[request.status] || request.status}
+                      </Badge>
+                      {request.signed_file_url && (
+                        <Button variant="ghost" size="icon" className="h-8 w-8" asChild>
+                          <a href={request.signed_file_url} target="_blank" rel="noopener noreferrer">
+                            <Download className="h-4 w-4" />
+                          </a>
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <SignDocumentDialog
+        request={signingRequest}
+        open={!!signingRequest}
+        onClose={() => setSigningRequest(null)}
+        employee={employee}
+        onSigned={loadData}
+      />
+    </div>
+  );
+}
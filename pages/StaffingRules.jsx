@@ -11,13 +11,33 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
 import { Badge } from "@/components/ui/badge";
 import { Plus, Pencil, Trash2, Users, AlertTriangle, Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
 import { toast } from 'sonner';
 import { getCurrentUserEmployeeContext } from '@/components/utils/EmployeeContext';
 import { useRequirePermission } from '@/components/utils/useRequirePermission';
+import { describeStaffingRule } from '@/components/utils/staffingRules';
+import { WEEKDAY_ORDER, DAY_LABELS } from '@/components/utils/workPattern';
 
 const StaffingRule = base44.entities.StaffingRule;
 const CompanyEntity = base44.entities.CompanyEntity;
 const Department = base44.entities.Department;
+const Location = base44.entities.Location;
+
+const EMPTY_FORM = {
+  entity_id: '',
+  department_id: '',
+  location_id: '',
+  per_location: false,
+  job_title: '',
+  skill: '',
+  start_date: '',
+  end_date: '',
+  days_of_week: [],
+  min_active_headcount: '',
+  max_concurrent_leave: '',
+  is_active: true,
+  notes: '',
+};
 
 export default function StaffingRulesPage() {
   const [context, setContext] = useState(null);
@@ -27,14 +47,8 @@ export default function StaffingRulesPage() {
   const [dataLoading, setDataLoading] = useState(true);
   const [isDialogOpen, setIsDialogOpen] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
-  const [formData, setFormData] = useState({
-    entity_id: '',
-    department_id: '',
-    min_active_headcount: '',
-    max_concurrent_leave: '',
-    is_active: true,
-    notes: '',
-  });
+  const [locations, setLocations] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   const { isAllowed, isLoading: permLoading } = useRequirePermission(context, 'canManageCompanySettings');
 
@@ -53,14 +67,16 @@ export default function StaffingRulesPage() {
       return;
     }
     
-    const [rulesData, entitiesData, deptsData] = await Promise.all([
+    const [rulesData, entitiesData, deptsData, locationsData] = await Promise.all([
       StaffingRule.list(),
       CompanyEntity.list(),
       Department.list(),
+      Location.list(),
     ]);
     setRules(rulesData);
     setEntities(entitiesData);
     setDepartments(deptsData);
+    setLocations(locationsData);
     setDataLoading(false);
   };
 
@@ -78,14 +94,7 @@ export default function StaffingRulesPage() {
 
   const openCreateDialog = () => {
     setEditingRule(null);
-    setFormData({
-      entity_id: '',
-      department_id: '',
-      min_active_headcount: '',
-      max_concurrent_leave: '',
-      is_active: true,
-      notes: '',
-    });
+    setFormData(EMPTY_FORM);
     setIsDialogOpen(true);
   };
 
@@ -94,6 +103,13 @@ export default function StaffingRulesPage() {
     setFormData({
       entity_id: rule.entity_id || '',
       department_id: rule.department_id || '',
+      location_id: rule.location_id || '',
+      per_location: rule.per_location || false,
+      job_title: rule.job_title || '',
+      skill: rule.skill || '',
+      start_date: rule.start_date || '',
+      end_date: rule.end_date || '',
+      days_of_week: rule.days_of_week || [],
       min_active_headcount: rule.min_active_headcount ?? '',
       max_concurrent_leave: rule.max_concurrent_leave ?? '',
       is_active: rule.is_active ?? true,
@@ -102,10 +118,44 @@ export default function StaffingRulesPage() {
     setIsDialogOpen(true);
   };
 
+  const getWindowLabel = (rule) => {
+    const parts = [];
+    if (rule.start_date || rule.end_date) {
+      const from = rule.start_date ? format(parseISO(rule.start_date), 'dd MMM yyyy') : 'Any time';
+      const to = rule.end_date ? format(parseISO(rule.end_date), 'dd MMM yyyy') : 'ongoing';
+      parts.push(`${from} – ${to}`);
+    }
+    if (rule.days_of_week?.length > 0) {
+      parts.push(WEEKDAY_ORDER.filter(d => rule.days_of_week.includes(d)).map(d => DAY_LABELS[d]).join(', '));
+    }
+    return parts.length > 0 ? parts.join(' · ') : 'Always';
+  };
+
+  const toggleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      days_of_week: prev.days_of_week.includes(day)
+        ? prev.days_of_week.filter(d => d !== day)
+        : [...prev.days_of_week, day],
+    }));
+  };
+
   const handleSave = async () => {
+    if (formData.start_date && formData.end_date && formData.end_date < formData.start_date) {
+      toast.error('End date must be on or after the start date');
+      return;
+    }
+
     const payload = {
       entity_id: formData.entity_id || null,
       department_id: formData.department_id || null,
+      location_id: formData.location_id || null,
+      per_location: formData.per_location,
+      job_title: formData.job_title.trim() || null,
+      skill: formData.skill.trim() || null,
+      start_date: formData.start_date || null,
+      end_date: formData.end_date || null,
+      days_of_week: formData.days_of_week.length > 0 ? formData.days_of_week : null,
       min_active_headcount: formData.min_active_headcount ? Number(formData.min_active_headcount) : null,
       max_concurrent_leave: formData.max_concurrent_leave ? Number(formData.max_concurrent_leave) : null,
       is_active: formData.is_active,
@@ -145,7 +195,7 @@ export default function StaffingRulesPage() {
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Staffing Rules</h1>
           <p className="text-gray-500 mt-1">
-            Configure minimum staffing levels and maximum concurrent leave
+            Configure minimum staffing levels and maximum concurrent leave, checked day by day
           </p>
         </div>
         <Button onClick={openCreateDialog}>
@@ -174,6 +224,8 @@ export default function StaffingRulesPage() {
                 <TableRow>
                   <TableHead>Entity</TableHead>
                   <TableHead>Department</TableHead>
+                  <TableHead>Applies To</TableHead>
+                  <TableHead>In Force</TableHead>
                   <TableHead>Min Active</TableHead>
                   <TableHead>Max on Leave</TableHead>
                   <TableHead>Status</TableHead>
@@ -186,6 +238,15 @@ export default function StaffingRulesPage() {
                   <TableRow key={rule.id}>
                     <TableCell>{getEntityName(rule.entity_id)}</TableCell>
                     <TableCell>{getDepartmentName(rule.department_id)}</TableCell>
+                    <TableCell>
+                      {describeStaffingRule(rule)}
+                      {rule.location_id && (
+                        <span className="block text-xs text-gray-500">
+                          {locations.find(l => l.id === rule.location_id)?.name || 'Unknown location'}
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm text-gray-600">{getWindowLabel(rule)}</TableCell>
                     <TableCell>
                       {rule.min_active_headcount ?? <span className="text-gray-400">—</span>}
                     </TableCell>
@@ -219,7 +280,7 @@ export default function StaffingRulesPage() {
       </Card>
 
       <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
-        <DialogContent>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
           <DialogHeader>
             <DialogTitle>{editingRule ? 'Edit Staffing Rule' : 'Create Staffing Rule'}</DialogTitle>
           </DialogHeader>
@@ -261,6 +322,97 @@ export default function StaffingRulesPage() {
               </Select>
             </div>
 
+            <div>
+              <Label>Location</Label>
+              <Select
+                value={formData.location_id || 'all'}
+                onValueChange={(v) => setFormData({ ...formData, location_id: v === 'all' ? '' : v })}
+              >
+                <SelectTrigger className="mt-1">
+                  <SelectValue placeholder="All Locations" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Locations</SelectItem>
+                  {locations.map(l => (
+                    <SelectItem key={l.id} value={l.id}>{l.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {!formData.location_id && (
+                <div className="flex items-center gap-2 mt-2">
+                  <Switch
+                    checked={formData.per_location}
+                    onCheckedChange={(checked) => setFormData({ ...formData, per_location: checked })}
+                  />
+                  <Label className="font-normal text-sm">Count each location separately</Label>
+                </div>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Job Title</Label>
+                <Input
+                  value={formData.job_title}
+                  onChange={(e) => setFormData({ ...formData, job_title: e.target.value })}
+                  placeholder="e.g. Pharmacist"
+                  className="mt-1"
+                />
+              </div>
+              <div>
+                <Label>Skill</Label>
+                <Input
+                  value={formData.skill}
+                  onChange={(e) => setFormData({ ...formData, skill: e.target.value })}
+                  placeholder="e.g. First Aid"
+                  className="mt-1"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 -mt-2">
+              Leave both blank to count all staff. Otherwise only matching staff are counted, and
+              the rule only applies to their leave.
+            </p>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>In Force From</Label>
+                <Input
+                  type="date"
+                  value={formData.start_date}
+                  onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+                  className="mt-1"
+                />
+              </div>
+              <div>
+                <Label>Until</Label>
+                <Input
+                  type="date"
+                  value={formData.end_date}
+                  onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+                  className="mt-1"
+                />
+              </div>
+            </div>
+
+            <div>
+              <Label>Days</Label>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {WEEKDAY_ORDER.map(day => (
+                  <Button
+                    key={day}
+                    type="button"
+                    size="sm"
+                    variant={formData.days_of_week.includes(day) ? 'default' : 'outline'}
+                    onClick={() => toggleDay(day)}
+                  >
+                    {DAY_LABELS[day]}
+                  </Button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">None selected = every day</p>
+            </div>
+
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <Label>Min Active Headcount</Label>
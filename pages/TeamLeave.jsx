@@ -154,7 +154,7 @@ export default function TeamLeave() {
       if (!result.success) {
         // Map error codes to friendly messages
         const errorMessages = {
-          INSUFFICIENT_BALANCE: 'This employee does not have enough leave balance.',
+          INSUFFICIENT_BALANCE: result.message || 'This employee does not have enough leave balance.',
           OVERLAPPING_LEAVE: 'This employee already has leave booked in this period.',
           CASUAL_CANNOT_TAKE_PAID_LEAVE: 'Casual employees cannot take paid annual/personal leave.',
           NOT_AUTHORIZED: result.message || 'You are not authorized to create leave for this employee.',
@@ -167,7 +167,9 @@ export default function TeamLeave() {
 
       const emp = getSelectedEmployee();
       const empName = emp ? getDisplayName(emp) : 'the employee';
-      toast.success(`Leave created and approved for ${empName}.`);
+      toast.success(result.pending
+        ? `Leave created for ${empName} and sent for further approval.`
+        : `Leave created and approved for ${empName}.`);
 
       // Reset form
       setFormData({ leave_type_id: '', start_date: '', end_date: '', reason: '' });
@@ -86,12 +86,18 @@ import PolicyAcknowledgementsReport from "./PolicyAcknowledgementsReport";
 
 import DocumentTemplates from "./DocumentTemplates";
 
+import SignDocuments from "./SignDocuments";
+
 import AuditLog from "./AuditLog";
 
 import GoogleWorkspaceSettings from "./GoogleWorkspaceSettings";
 
 import LeaveSummaryReport from "./LeaveSummaryReport";
 
+import BulkLeave from "./BulkLeave";
+
+import LeaveLiabilityReport from "./LeaveLiabilityReport";
+
 import TeamLeave from "./TeamLeave";
 
 import NewHireOnboardingWizard from "./NewHireOnboardingWizard";
@@ -186,12 +192,18 @@ const PAGES = {
     
     DocumentTemplates: DocumentTemplates,
     
+    SignDocuments: SignDocuments,
+    
     AuditLog: AuditLog,
     
     GoogleWorkspaceSettings: GoogleWorkspaceSettings,
     
     LeaveSummaryReport: LeaveSummaryReport,
     
+    BulkLeave: BulkLeave,
+    
+    LeaveLiabilityReport: LeaveLiabilityReport,
+    
     TeamLeave: TeamLeave,
     
     NewHireOnboardingWizard: NewHireOnboardingWizard,
@@ -309,12 +321,18 @@ function PagesContent() {
                 
                 <Route path="/DocumentTemplates" element={<DocumentTemplates />} />
                 
+                <Route path="/SignDocuments" element={<SignDocuments />} />
+                
                 <Route path="/AuditLog" element={<AuditLog />} />
                 
                 <Route path="/GoogleWorkspaceSettings" element={<GoogleWorkspaceSettings />} />
                 
                 <Route path="/LeaveSummaryReport" element={<LeaveSummaryReport />} />
                 
+                <Route path="/BulkLeave" element={<BulkLeave />} />
+                
+                <Route path="/LeaveLiabilityReport" element={<LeaveLiabilityReport />} />
+                
                 <Route path="/TeamLeave" element={<TeamLeave />} />
                 
                 <Route path="/NewHireOnboardingWizard" element={<NewHireOnboardingWizard />} />
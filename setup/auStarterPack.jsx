@@ -1,4 +1,5 @@
 import { base44 } from '@/api/base44Client';
+import { generateHolidaysFromRules } from '@/components/utils/publicHolidays';
 
 const LeaveType = base44.entities.LeaveType;
 const PublicHolidayCalendar = base44.entities.PublicHolidayCalendar;
@@ -12,6 +13,9 @@ const Location = base44.entities.Location;
 // AU Leave Types
 // ============================================
 
+// balance_bucket: which balance the type draws from ('none' = not deducted)
+// evidence_*: supporting evidence rules (see leaveEvidence)
+
 const AU_LEAVE_TYPES = [
   {
     name: 'Annual Leave',
@@ -21,6 +25,7 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: 20,
     requires_approval: true,
+    balance_bucket: 'annual',
   },
   {
     name: 'Personal/Carer\'s Leave',
@@ -30,6 +35,10 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: 10,
     requires_approval: true,
+    balance_bucket: 'personal',
+    evidence_required_after_days: 2,
+    evidence_due_days: 7,
+    evidence_description: 'Medical certificate or statutory declaration',
   },
   {
     name: 'Compassionate Leave',
@@ -39,6 +48,7 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: null,
     requires_approval: true,
+    balance_bucket: 'none',
   },
   {
     name: 'Family and Domestic Violence Leave',
@@ -48,6 +58,9 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: null,
     requires_approval: true,
+    balance_bucket: 'none',
+    evidence_confidential: true,
+    evidence_description: 'Evidence that would satisfy a reasonable person, e.g. a statutory declaration',
   },
   {
     name: 'Community Service Leave',
@@ -57,6 +70,7 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: null,
     requires_approval: true,
+    balance_bucket: 'none',
   },
   {
     name: 'Long Service Leave',
@@ -66,6 +80,7 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: null,
     requires_approval: true,
+    balance_bucket: 'long_service',
   },
   {
     name: 'Unpaid Leave',
@@ -75,6 +90,7 @@ const AU_LEAVE_TYPES = [
     is_active: true,
     default_annual_entitlement_days: null,
     requires_approval: true,
+    balance_bucket: 'none',
   },
 ];
 
@@ -82,7 +98,7 @@ const AU_LEAVE_TYPES = [
 // AU Public Holidays
 // ============================================
 
-const AU_CALENDARS = [
+export const AU_CALENDARS = [
   { name: 'Australia - National', code: 'AU_NATIONAL', country: 'Australia', state_or_region: null },
   { name: 'New South Wales (NSW)', code: 'NSW', country: 'Australia', state_or_region: 'NSW' },
   { name: 'Victoria (VIC)', code: 'VIC', country: 'Australia', state_or_region: 'VIC' },
@@ -91,45 +107,44 @@ const AU_CALENDARS = [
   { name: 'South Australia (SA)', code: 'SA', country: 'Australia', state_or_region: 'SA' },
 ];
 
-// 2025 dates (approximate for demo)
-const AU_NATIONAL_HOLIDAYS = [
-  { name: "New Year's Day", date: '2025-01-01' },
-  { name: 'Australia Day', date: '2025-01-27' },
-  { name: 'Good Friday', date: '2025-04-18' },
-  { name: 'Easter Saturday', date: '2025-04-19' },
-  { name: 'Easter Monday', date: '2025-04-21' },
-  { name: 'ANZAC Day', date: '2025-04-25' },
-  { name: 'Christmas Day', date: '2025-12-25' },
-  { name: 'Boxing Day', date: '2025-12-26' },
-];
-
-const NSW_HOLIDAYS = [
-  { name: "Queen's Birthday", date: '2025-06-09' },
-  { name: 'Bank Holiday', date: '2025-08-04' },
-];
-
-const VIC_HOLIDAYS = [
-  { name: 'Labour Day', date: '2025-03-10' },
-  { name: "Queen's Birthday", date: '2025-06-09' },
-  { name: 'Melbourne Cup Day', date: '2025-11-04' },
-];
-
-const QLD_HOLIDAYS = [
-  { name: 'Labour Day', date: '2025-05-05' },
-  { name: "Queen's Birthday", date: '2025-10-06' },
-];
-
-const WA_HOLIDAYS = [
-  { name: 'Labour Day', date: '2025-03-03' },
-  { name: 'Western Australia Day', date: '2025-06-02' },
-  { name: "Queen's Birthday", date: '2025-09-29' },
-];
-
-const SA_HOLIDAYS = [
-  { name: 'Adelaide Cup Day', date: '2025-03-10' },
-  { name: "Queen's Birthday", date: '2025-06-09' },
-  { name: 'Proclamation Day', date: '2025-12-24' },
-];
+// Holiday rules per calendar code (see generateHolidaysFromRules).
+// Weekday: 0 = Sunday, 1 = Monday, 2 = Tuesday. Dates proclaimed ad hoc
+// by a state government still need adding by hand.
+export const AU_HOLIDAY_RULES = {
+  AU_NATIONAL: [
+    { name: "New Year's Day", type: 'fixed', month: 1, day: 1, substitute: true },
+    { name: 'Australia Day', type: 'fixed', month: 1, day: 26, substitute: true },
+    { name: 'Good Friday', type: 'easter', offset: -2 },
+    { name: 'Easter Saturday', type: 'easter', offset: -1 },
+    { name: 'Easter Monday', type: 'easter', offset: 1 },
+    { name: 'ANZAC Day', type: 'fixed', month: 4, day: 25 },
+    { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, substitute: true },
+    { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, substitute: true },
+  ],
+  NSW: [
+    { name: "King's Birthday", type: 'nth_weekday', month: 6, weekday: 1, n: 2 },
+    { name: 'Bank Holiday', type: 'nth_weekday', month: 8, weekday: 1, n: 1 },
+  ],
+  VIC: [
+    { name: 'Labour Day', type: 'nth_weekday', month: 3, weekday: 1, n: 2 },
+    { name: "King's Birthday", type: 'nth_weekday', month: 6, weekday: 1, n: 2 },
+    { name: 'Melbourne Cup Day', type: 'nth_weekday', month: 11, weekday: 2, n: 1 },
+  ],
+  QLD: [
+    { name: 'Labour Day', type: 'nth_weekday', month: 5, weekday: 1, n: 1 },
+    { name: "King's Birthday", type: 'nth_weekday', month: 10, weekday: 1, n: 1 },
+  ],
+  WA: [
+    { name: 'Labour Day', type: 'nth_weekday', month: 3, weekday: 1, n: 1 },
+    { name: 'Western Australia Day', type: 'nth_weekday', month: 6, weekday: 1, n: 1 },
+    { name: "King's Birthday", type: 'nth_weekday', month: 9, weekday: 1, n: -1 },
+  ],
+  SA: [
+    { name: 'Adelaide Cup Day', type: 'nth_weekday', month: 3, weekday: 1, n: 2 },
+    { name: "King's Birthday", type: 'nth_weekday', month: 6, weekday: 1, n: 2 },
+    { name: 'Proclamation Day', type: 'fixed', month: 12, day: 24 },
+  ],
+};
 
 // ============================================
 // AU Policies
@@ -387,12 +402,10 @@ export async function runAUStarterPack(companyId, locationId, locationState) {
     }
   };
 
-  await createHolidays('AU_NATIONAL', AU_NATIONAL_HOLIDAYS);
-  await createHolidays('NSW', NSW_HOLIDAYS);
-  await createHolidays('VIC', VIC_HOLIDAYS);
-  await createHolidays('QLD', QLD_HOLIDAYS);
-  await createHolidays('WA', WA_HOLIDAYS);
-  await createHolidays('SA', SA_HOLIDAYS);
+  const year = new Date().getFullYear();
+  for (const cal of AU_CALENDARS) {
+    await createHolidays(cal.code, generateHolidaysFromRules(AU_HOLIDAY_RULES[cal.code] || [], year));
+  }
 
   // 4. Link Location to appropriate calendar
   let calendarToLink = calendarIdMap['AU_NATIONAL'];
@@ -17,6 +17,7 @@ import {
   canManagePolicies,
   isSensitiveFieldVisible
 } from './permissions';
+import { getActiveDelegatorIds } from './leaveApprovalChain';
 
 const Employee = base44.entities.Employee;
 const Department = base44.entities.Department;
@@ -251,6 +252,7 @@ export async function getCurrentUserEmployeeContext(options = {}) {
       managerChain: [],
       directReports: [],
       leaveBalances: [],
+      approvalDelegatorIds: [],
     };
     ctx.permissions = buildPermissions(ctx);
     return ctx;
@@ -270,10 +272,14 @@ export async function getCurrentUserEmployeeContext(options = {}) {
   const role = getUserRole(employee, user);
   const visibleEmployees = getVisibleEmployees(employee, role, employees);
 
+  // Approvers who have delegated their leave approvals to this employee today
+  const approvalDelegatorIds = await getActiveDelegatorIds(employee.id);
+
   const ctx = {
     user,
     preferences,
     ...employeeContext,
+    approvalDelegatorIds,
     isAdmin: canActAsAdmin(user, preferences),
     isManager: checkIsManager(user, employee, hasDirectReports),
     actingMode: preferences.acting_mode || 'admin',
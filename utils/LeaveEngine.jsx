@@ -1,27 +1,31 @@
 import { base44 } from '@/api/base44Client';
+import { format, parseISO } from 'date-fns';
 import { getPublicHolidaysInRange } from './publicHolidays';
 import { recalculateAllBalancesForEmployee } from './leaveAccrual';
+import {
+  getWorkPattern,
+  hasCustomWorkPattern,
+  getScheduledHoursForDate,
+  getAverageHoursPerWorkDay,
+} from './workPattern';
+import {
+  getBalanceBucketForLeaveTypeId,
+  drawsFromBalance,
+} from './leaveBalanceBuckets';
+import { postLedgerEntry } from './leaveLedger';
+import { canApproveLeave } from './permissions';
+import { getCurrentApprovalStep } from './leaveApprovalChain';
 
 const Employee = base44.entities.Employee;
 const LeaveRequest = base44.entities.LeaveRequest;
 const LeaveType = base44.entities.LeaveType;
 const LeavePolicy = base44.entities.LeavePolicy;
-const EmployeeLeaveBalance = base44.entities.EmployeeLeaveBalance;
 
-async function getBalanceLeaveType(leaveTypeId) {
-  const leaveTypes = await LeaveType.filter({ id: leaveTypeId });
-  if (!leaveTypes.length) return 'annual';
-
-  const lt = leaveTypes[0];
-  const code = (lt.code || lt.name || '').toLowerCase();
-
-  if (code.includes('personal') || code.includes('sick')) {
-    return 'personal';
+async function getHoursPerDayForBalanceType(employee, balanceLeaveType) {
+  if (hasCustomWorkPattern(employee)) {
+    return getAverageHoursPerWorkDay(getWorkPattern(employee));
   }
-  return 'annual';
-}
 
-async function getHoursPerDayForBalanceType(employee, balanceLeaveType) {
   const policies = await LeavePolicy.filter({
     leave_type: balanceLeaveType,
     is_default: true,
@@ -48,127 +52,249 @@ async function getHoursPerDayForBalanceType(employee, balanceLeaveType) {
   return 7.6;
 }
 
+/**
+ * Post a movement on the employee's balance to the leave ledger.
+ * The ledger is append-only; balance_hours is re-derived from it.
+ */
 async function adjustEmployeeBalanceHours(
   employeeId,
   leaveTypeId,
   hoursDelta,
+  { entryType, sourceType = null, sourceId = null, description = '', effectiveDate = null } = {},
 ) {
-  const balanceLeaveType = await getBalanceLeaveType(leaveTypeId);
+  const balanceLeaveType = await getBalanceBucketForLeaveTypeId(leaveTypeId);
 
-  const existing = await EmployeeLeaveBalance.filter({
-    employee_id: employeeId,
-    leave_type: balanceLeaveType,
+  // Unpaid / uncapped leave types don't draw from any balance
+  if (!drawsFromBalance(balanceLeaveType)) {
+    return { success: true, skipped: true };
+  }
+
+  return postLedgerEntry({
+    employeeId,
+    leaveType: balanceLeaveType,
+    entryType: entryType || (hoursDelta < 0 ? 'leave_taken' : 'reversal'),
+    hours: hoursDelta,
+    effectiveDate,
+    sourceType,
+    sourceId,
+    description,
   });
+}
 
-  let balanceRecord;
+/**
+ * Convert an 'HH:mm' time string to decimal hours (e.g. '13:30' -> 13.5).
+ * Returns null for missing or malformed values.
+ */
+function parseTimeToHours(time) {
+  if (!time || typeof time !== 'string') return null;
+  const match = time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours + minutes / 60;
+}
 
-  if (existing.length === 0) {
-    balanceRecord = await EmployeeLeaveBalance.create({
-      employee_id: employeeId,
-      leave_type: balanceLeaveType,
-      balance_hours: 0,
-      last_calculated_date: new Date().toISOString().split('T')[0],
-    });
-  } else {
-    balanceRecord = existing[0];
+/**
+ * Hours requested by a partial-day override.
+ *
+ * An override is `{ hours }` or `{ start_time, end_time }` ('HH:mm').
+ * An explicit `hours` value wins over times.
+ *
+ * @param {Object} override - Partial-day override for one date
+ * @returns {number|null} Requested hours, or null when the override is empty (full day)
+ */
+export function getPartialDayHours(override) {
+  if (!override) return null;
+
+  if (override.hours !== undefined && override.hours !== null && override.hours !== '') {
+    const hours = Number(override.hours);
+    return Number.isFinite(hours) ? hours : null;
   }
 
-  const current = Number.isFinite(balanceRecord.balance_hours)
-    ? balanceRecord.balance_hours
-    : 0;
+  const start = parseTimeToHours(override.start_time);
+  const end = parseTimeToHours(override.end_time);
+  if (start === null || end === null) return null;
 
-  const newBalance = current + hoursDelta;
+  return Math.round((end - start) * 100) / 100;
+}
 
-  await EmployeeLeaveBalance.update(balanceRecord.id, {
-    balance_hours: newBalance,
-    last_calculated_date: new Date().toISOString().split('T')[0],
-  });
+/**
+ * Validate partial-day overrides for a leave request.
+ *
+ * @param {Object} dayOverrides - Map of 'yyyy-MM-dd' -> { hours } | { start_time, end_time }
+ * @param {string} startDate - Request start date (yyyy-MM-dd)
+ * @param {string} endDate - Request end date (yyyy-MM-dd)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDayOverrides(dayOverrides, startDate, endDate) {
+  if (!dayOverrides) return null;
+
+  for (const [date, override] of Object.entries(dayOverrides)) {
+    if (date < startDate || date > endDate) {
+      return `Partial hours for ${date} fall outside the requested dates.`;
+    }
 
-  return { success: true, newBalance };
+    const hasTimes = override?.start_time || override?.end_time;
+    const hours = getPartialDayHours(override);
+
+    if (hours === null) {
+      if (hasTimes) {
+        return `Enter both a start and end time for ${date}.`;
+      }
+      continue;
+    }
+
+    if (hours <= 0) {
+      return hasTimes
+        ? `End time must be after start time on ${date}.`
+        : `Hours for ${date} must be greater than zero.`;
+    }
+  }
+
+  return null;
+}
+
+function emptyChargeableResult(partial_day_type) {
+  return {
+    totalDays: 0,
+    total_days: 0,
+    chargeableDays: 0,
+    chargeable_days: 0,
+    hoursPerDay: 0,
+    hours_per_day: 0,
+    hoursDeducted: 0,
+    hours_deducted: 0,
+    nonWorkingDayCount: 0,
+    holidayCount: 0,
+    holidays: [],
+    days: [],
+    hasPartialHours: false,
+    isHalfDay: false,
+    partial_day_type: partial_day_type || 'full',
+  };
 }
 
+/**
+ * Calculate chargeable leave for a date range.
+ *
+ * Days the employee is not rostered to work (per their work pattern) and
+ * public holidays falling on rostered days are not charged. Each chargeable
+ * day is charged at that day's rostered hours, so a Tue/Wed/Thu 8h
+ * part-timer is charged 8h per day and nothing for Mon/Fri.
+ *
+ * `day_overrides` charges specific hours on individual days (e.g. a 2-hour
+ * appointment, or leaving early on the last day of a holiday). Overridden
+ * hours are capped at the day's rostered hours.
+ *
+ * @param {Object} params
+ * @param {string} params.employee_id - Employee ID
+ * @param {string} params.start_date - Start date (yyyy-MM-dd)
+ * @param {string} params.end_date - End date (yyyy-MM-dd)
+ * @param {string} [params.partial_day_type] - 'full', 'half_am', 'half_pm' or 'hours'
+ * @param {Object} [params.day_overrides] - Map of 'yyyy-MM-dd' -> { hours } | { start_time, end_time }
+ * @returns {Promise<Object>} Breakdown including chargeable days/hours and per-day detail
+ */
 export async function calculateChargeableLeave(params) {
   const {
     employee_id,
     start_date,
     end_date,
     partial_day_type = 'full',
+    day_overrides = null,
   } = params || {};
 
   if (!employee_id || !start_date || !end_date) {
-    return {
-      totalDays: 0,
-      total_days: 0,
-      chargeableDays: 0,
-      chargeable_days: 0,
-      hoursPerDay: 0,
-      hours_per_day: 0,
-      hoursDeducted: 0,
-      hours_deducted: 0,
-      isHalfDay: false,
-      partial_day_type: partial_day_type || 'full',
-    };
+    return emptyChargeableResult(partial_day_type);
   }
 
   const employees = await Employee.filter({ id: employee_id });
   if (employees.length === 0) {
-    return {
-      totalDays: 0,
-      total_days: 0,
-      chargeableDays: 0,
-      chargeable_days: 0,
-      hoursPerDay: 0,
-      hours_per_day: 0,
-      hoursDeducted: 0,
-      hours_deducted: 0,
-      isHalfDay: false,
-      partial_day_type,
-    };
+    return emptyChargeableResult(partial_day_type);
   }
 
   const employee = employees[0];
+  const pattern = getWorkPattern(employee);
 
-  const start = new Date(start_date);
-  const end = new Date(end_date);
+  const start = parseISO(start_date);
+  const end = parseISO(end_date);
 
   const holidays = await getPublicHolidaysInRange(
     employee.entity_id || null,
     start,
     end,
   );
-  const holidayDates = new Set(holidays.map((h) => h.date));
+  const holidayByDate = new Map(holidays.map((h) => [h.date, h]));
 
   let totalDays = 0;
   let chargeableDays = 0;
+  let hoursDeducted = 0;
+  let nonWorkingDayCount = 0;
+  const chargedHolidays = [];
+  const days = [];
 
   const isHalfDay =
     partial_day_type === 'half_am' || partial_day_type === 'half_pm';
   const isSingleDay = start_date === end_date;
+  const overrides = day_overrides || {};
+  let hasPartialHours = false;
 
   for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
     totalDays++;
 
-    const dow = d.getDay();
-    if (dow === 0 || dow === 6) continue;
+    const dateStr = format(d, 'yyyy-MM-dd');
+    const scheduledHours = getScheduledHoursForDate(pattern, d);
 
-    const dateStr = d.toISOString().split('T')[0];
-    if (holidayDates.has(dateStr)) continue;
+    if (scheduledHours <= 0) {
+      nonWorkingDayCount++;
+      days.push({ date: dateStr, status: 'non_working', scheduledHours: 0, chargeableHours: 0 });
+      continue;
+    }
+
+    const holiday = holidayByDate.get(dateStr);
+    if (holiday) {
+      chargedHolidays.push(holiday);
+      days.push({ date: dateStr, status: 'public_holiday', scheduledHours, chargeableHours: 0, holidayName: holiday.name });
+      continue;
+    }
 
     let dayCharge = 1;
+    let dayHours = scheduledHours;
+    let requestedHours = null;
 
     if (isHalfDay && isSingleDay && dateStr === start_date) {
       dayCharge = 0.5;
+      dayHours = scheduledHours * dayCharge;
+    }
+
+    const overrideHours = getPartialDayHours(overrides[dateStr]);
+    if (overrideHours !== null && overrideHours > 0) {
+      requestedHours = overrideHours;
+      dayHours = Math.min(overrideHours, scheduledHours);
+      dayCharge = Math.round((dayHours / scheduledHours) * 100) / 100;
+      hasPartialHours = true;
     }
 
     chargeableDays += dayCharge;
+    hoursDeducted += dayHours;
+    days.push({
+      date: dateStr,
+      status: 'chargeable',
+      scheduledHours,
+      chargeableHours: dayHours,
+      dayFraction: dayCharge,
+      requestedHours,
+      exceedsRoster: requestedHours !== null && requestedHours > scheduledHours,
+    });
   }
 
-  const hoursPerDay =
-    Number.isFinite(employee.hours_per_week) && employee.hours_per_week > 0
-      ? employee.hours_per_week / 5
-      : 7.6;
+  chargeableDays = Math.round(chargeableDays * 100) / 100;
+  hoursDeducted = Math.round(hoursDeducted * 100) / 100;
 
-  const hoursDeducted = chargeableDays * hoursPerDay;
+  const hoursPerDay =
+    chargeableDays > 0
+      ? Math.round((hoursDeducted / chargeableDays) * 100) / 100
+      : getAverageHoursPerWorkDay(pattern);
 
   return {
     totalDays,
@@ -181,33 +307,39 @@ export async function calculateChargeableLeave(params) {
     hours_per_day: hoursPerDay,
     hours_deducted: hoursDeducted,
 
+    nonWorkingDayCount,
+    holidayCount: chargedHolidays.length,
+    holidays: chargedHolidays,
+    days,
+    usesWorkPattern: !pattern.is_default,
+    hasPartialHours,
+
     isHalfDay,
     partial_day_type,
   };
 }
 
-export async function applyApprovedLeave(leaveRequestId) {
-  if (!leaveRequestId) {
-    return { success: false, error: 'Leave request ID is required' };
-  }
-
-  const reqs = await LeaveRequest.filter({ id: leaveRequestId });
-  if (!reqs.length) {
-    return { success: false, error: 'Leave request not found' };
+/**
+ * Hours a leave request charges against the balance.
+ *
+ * Priority:
+ * 1. request.total_hours (stored at submission time)
+ * 2. Work-pattern hours for employees with a custom pattern or partial-hour days
+ * 3. Chargeable days × policy/default hours per day
+ */
+async function getRequestChargeableHours(request, employee) {
+  if (Number.isFinite(request.total_hours) && request.total_hours > 0) {
+    return request.total_hours;
   }
 
-  const request = reqs[0];
-
-  const employees = await Employee.filter({ id: request.employee_id });
-  if (!employees.length) {
-    return { success: false, error: 'Employee not found' };
-  }
-
-  const employee = employees[0];
+  const usePattern =
+    hasCustomWorkPattern(employee) ||
+    Object.keys(request.day_overrides || {}).length > 0;
 
   let chargeableDays = 0;
 
   if (
+    !usePattern &&
     Number.isFinite(request.total_days) &&
     request.total_days !== null &&
     request.total_days > 0
@@ -219,33 +351,49 @@ export async function applyApprovedLeave(leaveRequestId) {
       start_date: request.start_date,
       end_date: request.end_date,
       partial_day_type: request.partial_day_type || 'full',
+      day_overrides: request.day_overrides || null,
     });
 
+    if (usePattern) {
+      return breakdown.hoursDeducted || 0;
+    }
+
     chargeableDays = breakdown.chargeableDays || breakdown.chargeable_days || 0;
   }
 
-  const balanceLeaveType = await getBalanceLeaveType(request.leave_type_id);
+  const balanceLeaveType = await getBalanceBucketForLeaveTypeId(request.leave_type_id);
   const hoursPerDay = await getHoursPerDayForBalanceType(
     employee,
     balanceLeaveType,
   );
 
-  const hours = chargeableDays * hoursPerDay;
+  return chargeableDays * hoursPerDay;
+}
 
-  try {
-    await adjustEmployeeBalanceHours(
-      request.employee_id,
-      request.leave_type_id,
-      -hours,
-    );
-    return { success: true };
-  } catch (error) {
-    console.error('applyApprovedLeave error:', error);
-    return { success: false, error: error.message || 'Failed to apply leave' };
+/**
+ * Hours currently posted to the ledger for a request. Requests record this
+ * as applied_hours; older approved requests without it are taken to have
+ * their full chargeable hours applied.
+ *
+ * @param {Object} request - LeaveRequest
+ * @param {Object} employee - Employee record
+ * @returns {Promise<number>}
+ */
+export async function getAppliedLeaveHours(request, employee) {
+  if (Number.isFinite(request.applied_hours)) {
+    return request.applied_hours;
   }
+  return request.status === 'approved'
+    ? getRequestChargeableHours(request, employee)
+    : 0;
 }
 
-export async function revertLeave(leaveRequestId) {
+/**
+ * Post an approved request to the leave ledger. Only the difference from
+ * the hours already applied is posted, so approving an amendment to
+ * approved leave moves the balance by the change alone.
+ */
+export async function applyApprovedLeave(leaveRequestId) {
   if (!leaveRequestId) {
     return { success: false, error: 'Leave request ID is required' };
   }
@@ -257,10 +405,6 @@ export async function revertLeave(leaveRequestId) {
 
   const request = reqs[0];
 
-  if (request.status !== 'approved') {
-    return { success: true };
-  }
-
   const employees = await Employee.filter({ id: request.employee_id });
   if (!employees.length) {
     return { success: false, error: 'Employee not found' };
@@ -268,39 +412,77 @@ export async function revertLeave(leaveRequestId) {
 
   const employee = employees[0];
 
-  let chargeableDays = 0;
+  try {
+    const hours = await getRequestChargeableHours(request, employee);
+    const appliedHours = Number.isFinite(request.applied_hours) ? request.applied_hours : 0;
+    const delta = Math.round((hours - appliedHours) * 100) / 100;
+
+    if (delta !== 0) {
+      await adjustEmployeeBalanceHours(
+        request.employee_id,
+        request.leave_type_id,
+        -delta,
+        {
+          entryType: delta > 0 ? 'leave_taken' : 'reversal',
+          sourceType: 'LeaveRequest',
+          sourceId: request.id,
+          description: appliedHours > 0
+            ? `Amended leave ${request.start_date} to ${request.end_date}`
+            : `Leave ${request.start_date} to ${request.end_date}`,
+          effectiveDate: request.start_date,
+        },
+      );
+    }
+    await LeaveRequest.update(request.id, { applied_hours: hours });
+    return { success: true, hoursDelta: delta };
+  } catch (error) {
+    console.error('applyApprovedLeave error:', error);
+    return { success: false, error: error.message || 'Failed to apply leave' };
+  }
+}
 
-  if (
-    Number.isFinite(request.total_days) &&
-    request.total_days !== null &&
-    request.total_days > 0
-  ) {
-    chargeableDays = request.total_days;
-  } else {
-    const breakdown = await calculateChargeableLeave({
-      employee_id: request.employee_id,
-      start_date: request.start_date,
-      end_date: request.end_date,
-      partial_day_type: request.partial_day_type || 'full',
-    });
+/**
+ * Return the hours applied for a request to the balance (e.g. when approved
+ * leave is recalled).
+ */
+export async function revertLeave(leaveRequestId) {
+  if (!leaveRequestId) {
+    return { success: false, error: 'Leave request ID is required' };
+  }
 
-    chargeableDays = breakdown.chargeableDays || breakdown.chargeable_days || 0;
+  const reqs = await LeaveRequest.filter({ id: leaveRequestId });
+  if (!reqs.length) {
+    return { success: false, error: 'Leave request not found' };
   }
 
-  const balanceLeaveType = await getBalanceLeaveType(request.leave_type_id);
-  const hoursPerDay = await getHoursPerDayForBalanceType(
-    employee,
-    balanceLeaveType,
-  );
+  const request = reqs[0];
 
-  const hours = chargeableDays * hoursPerDay;
+  const employees = await Employee.filter({ id: request.employee_id });
+  if (!employees.length) {
+    return { success: false, error: 'Employee not found' };
+  }
+
+  const employee = employees[0];
 
   try {
+    const hours = await getAppliedLeaveHours(request, employee);
+    if (!hours) {
+      return { success: true };
+    }
+
     await adjustEmployeeBalanceHours(
       request.employee_id,
       request.leave_type_id,
       +hours,
+      {
+        entryType: 'reversal',
+        sourceType: 'LeaveRequest',
+        sourceId: request.id,
+        description: `Reversal of leave ${request.start_date} to ${request.end_date}`,
+        effectiveDate: request.start_date,
+      },
     );
+    await LeaveRequest.update(request.id, { applied_hours: 0 });
     return { success: true };
   } catch (error) {
     console.error('revertLeave error:', error);
@@ -355,4 +537,43 @@ export async function recalcAllLeaveForEmployee(employeeId) {
       error: error?.message || 'Failed to recalc leave for employee',
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Whether the user in this context can approve/decline a request right now,
+ * with a reason when they cannot (current step belongs to someone else,
+ * awaiting HR, staff mode).
+ *
+ * @param {Object} userContext - From getCurrentUserEmployeeContext
+ * @param {Object} request - LeaveRequest
+ * @param {string} [action] - 'approve' | 'decline'
+ * @returns {{canAct: boolean, reason: string|null}}
+ */
+export function canUserActOnLeave(userContext, request, action = 'approve') {
+  if (!userContext || !request) {
+    return { canAct: false, reason: 'Not signed in' };
+  }
+  if (request.status !== 'pending') {
+    return { canAct: false, reason: 'This request has already been processed' };
+  }
+
+  const canAct = canApproveLeave(
+    userContext.user,
+    request,
+    userContext.employee,
+    userContext.preferences,
+    userContext.approvalDelegatorIds || [],
+  );
+  if (canAct) {
+    return { canAct: true, reason: null };
+  }
+
+  const step = getCurrentApprovalStep(request);
+  let reason = `You cannot ${action} this request in your current mode`;
+  if (step?.approver_type === 'hr') {
+    reason = 'Awaiting HR approval';
+  } else if (step) {
+    reason = 'Awaiting another approver';
+  }
+  return { canAct: false, reason };
+}
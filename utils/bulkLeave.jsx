@@ -0,0 +1,371 @@
+import { base44 } from '@/api/base44Client';
+import { calculateChargeableLeave, revertLeave } from './LeaveEngine';
+import { checkLeaveBalance } from './leaveHelpers';
+import { CASUAL_EXCLUDED_LEAVE_TYPES } from './leaveAccrual';
+import { hasCustomWorkPattern } from './workPattern';
+import { getBalanceBucket, drawsFromBalance } from './leaveBalanceBuckets';
+import { postLedgerEntry } from './leaveLedger';
+import { safeNumber, formatHours } from './numberUtils';
+import { logForCurrentUser } from './audit';
+import { invalidateLeaveCache } from './leaveEngineCache';
+
+const Employee = base44.entities.Employee;
+const LeaveRequest = base44.entities.LeaveRequest;
+const LeaveBulkBatch = base44.entities.LeaveBulkBatch;
+
+/**
+ * Bulk Leave
+ *
+ * Enters the same leave for many employees at once, e.g. a Christmas
+ * shutdown. Each run is a LeaveBulkBatch:
+ *
+ *   {
+ *     name, leave_type_id, start_date, end_date, reason,
+ *     shortfall_handling,               // see SHORTFALL_HANDLING
+ *     unpaid_leave_type_id,             // for shortfalls taken as unpaid leave
+ *     filters: { entity_id, department_id, location_id },
+ *     status,                           // 'running' | 'completed' | 'failed' | 'rolled_back'
+ *     employee_count, request_count, total_hours,
+ *     created_by_id, completed_at, rolled_back_at, error,
+ *   }
+ *
+ * Requests are created already approved and tagged with bulk_batch_id. A
+ * batch that fails part way is rolled back, and a completed batch can be
+ * rolled back later: its requests are cancelled and their hours returned.
+ */
+
+export const SHORTFALL_HANDLING = {
+  unpaid: 'Take the shortfall as unpaid leave',
+  negative: 'Let the balance go negative, up to the policy limit (the rest unpaid)',
+  skip: 'Skip employees without enough balance',
+};
+
+export const BULK_BATCH_STATUSES = {
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+  rolled_back: 'Rolled back',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active employees matching the batch filters.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.entityId]
+ * @param {string} [filters.departmentId]
+ * @param {string} [filters.locationId]
+ * @returns {Promise<Array>}
+ */
+export async function getBulkLeaveEmployees({ entityId = null, departmentId = null, locationId = null } = {}) {
+  const employees = await Employee.filter({ status: 'active' });
+  return employees
+    .filter(e => !entityId || e.entity_id === entityId)
+    .filter(e => !departmentId || e.department_id === departmentId)
+    .filter(e => !locationId || e.location_id === locationId)
+    .sort((a, b) => `${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`));
+}
+
+function isCasualExcluded(employee, leaveType) {
+  if ((employee.employment_type || 'full_time') !== 'casual') return false;
+  const code = (leaveType?.code || leaveType?.name || '').toLowerCase();
+  return CASUAL_EXCLUDED_LEAVE_TYPES.some(paidType => code.includes(paidType));
+}
+
+/**
+ * Per-employee preview of a bulk leave run: chargeable hours, what their
+ * balance covers, and anything that stops leave being entered for them.
+ *
+ * @param {Object} params
+ * @param {Array} params.employees - Employee records
+ * @param {Object} params.leaveType - LeaveType record
+ * @param {string} params.startDate - 'yyyy-MM-dd'
+ * @param {string} params.endDate - 'yyyy-MM-dd'
+ * @returns {Promise<Array<{employee: Object, chargeableDays: number, hours: number, available: number|null, shortfallHours: number, overLimitHours: number, beyondPolicyLimit: boolean, skipReason: string|null}>>}
+ *   `overLimitHours` is the part of the shortfall beyond what the policy lets the balance go below zero
+ */
+export async function previewBulkLeave({ employees, leaveType, startDate, endDate }) {
+  const existing = await LeaveRequest.list();
+  const noBalance = !drawsFromBalance(getBalanceBucket(leaveType));
+  const rows = [];
+
+  // One employee at a time: each check reads policies and balances
+  for (const employee of employees) {
+    const row = {
+      employee,
+      chargeableDays: 0,
+      hours: 0,
+      available: null,
+      shortfallHours: 0,
+      overLimitHours: 0,
+      beyondPolicyLimit: false,
+      skipReason: null,
+    };
+    rows.push(row);
+
+    if (isCasualExcluded(employee, leaveType)) {
+      row.skipReason = 'Casual employees cannot take this leave type';
+      continue;
+    }
+
+    const overlapping = existing.some(r =>
+      r.employee_id === employee.id &&
+      (r.status === 'pending' || r.status === 'approved') &&
+      r.start_date <= endDate && r.end_date >= startDate
+    );
+    if (overlapping) {
+      row.skipReason = 'Already has leave on these dates';
+      continue;
+    }
+
+    const breakdown = await calculateChargeableLeave({
+      start_date: startDate,
+      end_date: endDate,
+      employee_id: employee.id,
+    });
+    row.chargeableDays = safeNumber(breakdown.chargeableDays ?? breakdown.chargeable_days, 0);
+    if (row.chargeableDays <= 0) {
+      row.skipReason = 'No working days in this period';
+      continue;
+    }
+
+    const balance = await checkLeaveBalance(
+      employee.id,
+      leaveType.id,
+      row.chargeableDays,
+      employee,
+      hasCustomWorkPattern(employee) ? safeNumber(breakdown.hoursDeducted, 0) : null,
+      startDate,
+    );
+    row.hours = round2(balance.needed);
+    if (!noBalance) {
+      row.available = balance.available;
+      row.shortfallHours = round2(Math.max(balance.needed - Math.max(balance.available, 0), 0));
+      if (!balance.sufficient) {
+        const bookable = Math.max(balance.available + safeNumber(balance.negativeLimitHours, 0), 0);
+        row.overLimitHours = round2(Math.max(balance.needed - bookable, 0));
+        row.beyondPolicyLimit = row.overLimitHours > 0;
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Split an employee's hours between the chosen leave type and unpaid leave.
+ * With 'negative', hours beyond the policy's negative limit are unpaid.
+ */
+function planEmployeeLeave(row, shortfallHandling) {
+  if (row.skipReason) return [];
+  if (row.shortfallHours <= 0) return [{ hours: row.hours, unpaid: false }];
+  if (shortfallHandling === 'skip') return [];
+
+  const unpaidHours = shortfallHandling === 'negative' ? row.overLimitHours : row.shortfallHours;
+  if (unpaidHours <= 0) return [{ hours: row.hours, unpaid: false }];
+
+  const paidHours = round2(row.hours - unpaidHours);
+  return [
+    paidHours > 0 ? { hours: paidHours, unpaid: false } : null,
+    { hours: unpaidHours, unpaid: true },
+  ].filter(Boolean);
+}
+
+/**
+ * Summary of what a run would create under a shortfall option.
+ */
+export function summariseBulkLeave(rows, shortfallHandling) {
+  const included = rows.filter(r => planEmployeeLeave(r, shortfallHandling).length > 0);
+  const unpaidParts = included.flatMap(r => planEmployeeLeave(r, shortfallHandling).filter(part => part.unpaid));
+  return {
+    employeeCount: included.length,
+    skippedCount: rows.length - included.length,
+    shortfallCount: included.filter(r => r.shortfallHours > 0).length,
+    totalHours: round2(included.reduce((sum, r) => sum + r.hours, 0)),
+    shortfallHours: round2(included.reduce((sum, r) => sum + r.shortfallHours, 0)),
+    unpaidCount: unpaidParts.length,
+    unpaidHours: round2(unpaidParts.reduce((sum, part) => sum + part.hours, 0)),
+  };
+}
+
+/**
+ * Create and approve leave for every employee in a preview, as one batch.
+ * If any request fails, everything created so far is rolled back.
+ *
+ * @param {Object} params
+ * @param {Array} params.rows - From previewBulkLeave
+ * @param {Object} params.leaveType - LeaveType record
+ * @param {Object} [params.unpaidLeaveType] - Leave type for hours taken as unpaid
+ * @param {string} params.startDate
+ * @param {string} params.endDate
+ * @param {string} [params.name] - Batch name, e.g. "Christmas shutdown 2025"
+ * @param {string} [params.reason] - Shown on each request
+ * @param {string} params.shortfallHandling - Key of SHORTFALL_HANDLING
+ * @param {Object} [params.filters] - Filters the employees were chosen by
+ * @param {Object} [params.currentEmployee] - Admin running the batch
+ * @returns {Promise<{success: boolean, batch?: Object, requestCount?: number, error?: string}>}
+ */
+export async function runBulkLeave({
+  rows,
+  leaveType,
+  unpaidLeaveType = null,
+  startDate,
+  endDate,
+  name = '',
+  reason = '',
+  shortfallHandling,
+  filters = {},
+  currentEmployee = null,
+}) {
+  if (!SHORTFALL_HANDLING[shortfallHandling]) {
+    return { success: false, error: 'Choose how to handle balance shortfalls' };
+  }
+
+  const plans = rows
+    .map(row => ({ row, parts: planEmployeeLeave(row, shortfallHandling) }))
+    .filter(plan => plan.parts.length > 0);
+  if (plans.length === 0) {
+    return { success: false, error: 'No employees to enter leave for' };
+  }
+  if (!unpaidLeaveType && plans.some(plan => plan.parts.some(part => part.unpaid))) {
+    return { success: false, error: 'Choose the unpaid leave type for shortfalls' };
+  }
+
+  const summary = summariseBulkLeave(rows, shortfallHandling);
+  const batch = await LeaveBulkBatch.create({
+    name: name.trim() || `${leaveType.name} ${startDate} to ${endDate}`,
+    leave_type_id: leaveType.id,
+    start_date: startDate,
+    end_date: endDate,
+    reason: reason || null,
+    shortfall_handling: shortfallHandling,
+    unpaid_leave_type_id: summary.unpaidCount > 0 ? unpaidLeaveType.id : null,
+    filters,
+    status: 'running',
+    employee_count: plans.length,
+    request_count: 0,
+    total_hours: summary.totalHours,
+    created_by_id: currentEmployee?.id || null,
+  });
+
+  let requestCount = 0;
+  try {
+    for (const { row, parts } of plans) {
+      for (const part of parts) {
+        const type = part.unpaid ? unpaidLeaveType : leaveType;
+        const request = await LeaveRequest.create({
+          employee_id: row.employee.id,
+          leave_type_id: type.id,
+          start_date: startDate,
+          end_date: endDate,
+          // Days are shared between the paid and unpaid parts by hours
+          total_days: round2(row.chargeableDays * (part.hours / row.hours)),
+          total_hours: part.hours,
+          partial_day_type: 'full',
+          status: 'approved',
+          reason: reason || batch.name,
+          approved_by_id: currentEmployee?.id || null,
+          approved_at: new Date().toISOString(),
+          manager_id: row.employee.manager_id || null,
+          in_advance: !part.unpaid && row.shortfallHours > 0,
+          // Set once the ledger post succeeds, so a rollback only returns
+          // hours that were actually taken from the balance.
+          applied_hours: 0,
+          bulk_batch_id: batch.id,
+          bulk_shortfall: part.unpaid,
+        });
+        requestCount++;
+
+        const bucket = getBalanceBucket(type);
+        if (drawsFromBalance(bucket)) {
+          const posted = await postLedgerEntry({
+            employeeId: row.employee.id,
+            leaveType: bucket,
+            entryType: 'leave_taken',
+            hours: -part.hours,
+            effectiveDate: startDate,
+            sourceType: 'LeaveRequest',
+            sourceId: request.id,
+            description: `${batch.name}: leave ${startDate} to ${endDate}`,
+          });
+          if (posted && posted.success === false) {
+            throw new Error(posted.error || 'Failed to post leave to the ledger');
+          }
+          await LeaveRequest.update(request.id, { applied_hours: part.hours });
+        }
+      }
+      invalidateLeaveCache(row.employee.id);
+    }
+  } catch (error) {
+    console.error('Bulk leave failed, rolling back:', error);
+    await rollbackBulkLeave(batch.id, { status: 'failed', error: error.message });
+    return {
+      success: false,
+      error: `Bulk leave stopped after ${requestCount} requests and was rolled back: ${error.message}`,
+    };
+  }
+
+  const completion = {
+    status: 'completed',
+    request_count: requestCount,
+    completed_at: new Date().toISOString(),
+  };
+  await LeaveBulkBatch.update(batch.id, completion);
+
+  await logForCurrentUser({
+    eventType: 'bulk_leave_created',
+    entityType: 'LeaveBulkBatch',
+    entityId: batch.id,
+    description: `Entered ${leaveType.name} for ${plans.length} employees from ${startDate} to ${endDate} (${formatHours(summary.totalHours)} hours, ${requestCount} requests, shortfalls: ${SHORTFALL_HANDLING[shortfallHandling].toLowerCase()})`,
+  });
+
+  return { success: true, batch: { ...batch, ...completion }, requestCount };
+}
+
+/**
+ * Undo a batch: cancel its approved requests and return their hours.
+ *
+ * @param {string} batchId - LeaveBulkBatch ID
+ * @param {Object} [options]
+ * @param {string} [options.status] - Final batch status ('rolled_back', or 'failed' after an error)
+ * @param {string} [options.error] - Why the batch failed
+ * @returns {Promise<{success: boolean, cancelledCount?: number, error?: string}>}
+ */
+export async function rollbackBulkLeave(batchId, { status = 'rolled_back', error = null } = {}) {
+  try {
+    const requests = await LeaveRequest.filter({ bulk_batch_id: batchId });
+    let cancelledCount = 0;
+
+    for (const request of requests) {
+      if (request.status !== 'approved' && request.status !== 'pending') continue;
+      await LeaveRequest.update(request.id, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+      });
+      await revertLeave(request.id);
+      invalidateLeaveCache(request.employee_id);
+      cancelledCount++;
+    }
+
+    await LeaveBulkBatch.update(batchId, {
+      status,
+      error,
+      rolled_back_at: new Date().toISOString(),
+    });
+
+    await logForCurrentUser({
+      eventType: 'bulk_leave_rolled_back',
+      entityType: 'LeaveBulkBatch',
+      entityId: batchId,
+      description: error
+        ? `Rolled back bulk leave after an error (${cancelledCount} requests cancelled): ${error}`
+        : `Rolled back bulk leave (${cancelledCount} requests cancelled)`,
+    });
+
+    return { success: true, cancelledCount };
+  } catch (err) {
+    console.error('Error rolling back bulk leave:', err);
+    return { success: false, error: err.message };
+  }
+}
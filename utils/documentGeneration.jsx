@@ -0,0 +1,443 @@
+/**
+ * Document Generation
+ *
+ * Renders contracts, offer letters and other documents for an employee from
+ * a DocumentTemplate with merge fields such as {{employee.first_name}},
+ * {{entity.name}}, {{compensation.base_salary}} and {{start_date}}.
+ *
+ * Templates are HTML (written in the template editor) or DOCX (uploaded).
+ * Every content change saves a DocumentTemplateVersion, and generated
+ * documents are stored as a Document plus its first DocumentVersion, both
+ * linked to the template version that produced them.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format, parseISO } from 'date-fns';
+import { logForCurrentUser } from './audit';
+import { formatCurrency } from './leavePayout';
+import { getLegalName } from './displayName';
+import { readZip, readZipText, writeZip } from './zipArchive';
+
+const DocumentTemplate = base44.entities.DocumentTemplate;
+const DocumentTemplateVersion = base44.entities.DocumentTemplateVersion;
+const Document = base44.entities.Document;
+const DocumentVersion = base44.entities.DocumentVersion;
+const Employee = base44.entities.Employee;
+const CompanyEntity = base44.entities.CompanyEntity;
+const Department = base44.entities.Department;
+const Location = base44.entities.Location;
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/** Template formats merge fields work in. Other uploads are kept as-is. */
+export const MERGEABLE_FORMATS = {
+  html: 'HTML',
+  docx: 'Word (DOCX)',
+};
+
+export const MERGE_FIELDS = [
+  { key: 'employee.first_name', label: 'First name', group: 'Employee' },
+  { key: 'employee.last_name', label: 'Last name', group: 'Employee' },
+  { key: 'employee.preferred_name', label: 'Preferred name', group: 'Employee' },
+  { key: 'employee.full_name', label: 'Full legal name', group: 'Employee' },
+  { key: 'employee.job_title', label: 'Job title', group: 'Employee' },
+  { key: 'employee.email', label: 'Work email', group: 'Employee' },
+  { key: 'employee.personal_email', label: 'Personal email', group: 'Employee' },
+  { key: 'employee.phone', label: 'Phone', group: 'Employee' },
+  { key: 'employee.address', label: 'Home address', group: 'Employee' },
+  { key: 'employee.employment_type', label: 'Employment type', group: 'Employee' },
+  { key: 'employee.hours_per_week', label: 'Hours per week', group: 'Employee' },
+  { key: 'entity.name', label: 'Entity name', group: 'Organisation' },
+  { key: 'entity.abbreviation', label: 'Entity abbreviation', group: 'Organisation' },
+  { key: 'department.name', label: 'Department', group: 'Organisation' },
+  { key: 'location.name', label: 'Location', group: 'Organisation' },
+  { key: 'location.address', label: 'Location address', group: 'Organisation' },
+  { key: 'manager.full_name', label: 'Manager name', group: 'Organisation' },
+  { key: 'manager.job_title', label: 'Manager job title', group: 'Organisation' },
+  { key: 'compensation.base_salary', label: 'Base salary', group: 'Compensation' },
+  { key: 'compensation.currency', label: 'Salary currency', group: 'Compensation' },
+  { key: 'compensation.pay_cycle', label: 'Pay cycle', group: 'Compensation' },
+  { key: 'start_date', label: 'Start date', group: 'Dates' },
+  { key: 'today', label: "Today's date", group: 'Dates' },
+];
+
+const KNOWN_FIELDS = new Set(MERGE_FIELDS.map(f => f.key));
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-z_]+(?:\.[a-z_]+)*)\s*\}\}/g;
+
+// Parts of a DOCX that can hold merge fields
+const WORD_PARTS = /^word\/(document|header\d*|footer\d*)\.xml$/;
+
+const EMPLOYMENT_TYPE_LABELS = {
+  full_time: 'Full-time',
+  part_time: 'Part-time',
+  casual: 'Casual',
+  contractor: 'Contractor',
+};
+
+const PAY_CYCLE_LABELS = {
+  weekly: 'Weekly',
+  fortnightly: 'Fortnightly',
+  monthly: 'Monthly',
+};
+
+const escapeMarkup = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const formatDate = (value) => (value ? format(typeof value === 'string' ? parseISO(value) : value, 'd MMMM yyyy') : '');
+const joinAddress = (parts) => parts.map(p => (p || '').trim()).filter(Boolean).join(', ');
+
+/**
+ * Merge field keys used in some text, in order of first use.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function findMergeFields(text) {
+  return [...new Set([...String(text || '').matchAll(MERGE_FIELD_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Keys that are not in MERGE_FIELDS (usually typos).
+ */
+export function getUnknownMergeFields(keys) {
+  return keys.filter(key => !KNOWN_FIELDS.has(key));
+}
+
+/**
+ * Merge field values for an employee.
+ *
+ * @param {Object} employee - Employee record
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - Overrides the employee's start date (e.g. the onboarding's)
+ * @returns {Promise<{values: Object, missing: Array<string>}>} Display values
+ *   keyed by merge field, and the keys with no value
+ */
+export async function buildMergeData(employee, { startDate = null } = {}) {
+  const [entities, managers, departments, locations] = await Promise.all([
+    employee.entity_id ? CompanyEntity.filter({ id: employee.entity_id }) : [],
+    employee.manager_id ? Employee.filter({ id: employee.manager_id }) : [],
+    employee.department_id ? Department.filter({ id: employee.department_id }) : [],
+    employee.location_id ? Location.filter({ id: employee.location_id }) : [],
+  ]);
+  const entity = entities[0];
+  const manager = managers[0];
+  const department = departments[0];
+  const location = locations[0];
+
+  const values = {
+    'employee.first_name': employee.first_name,
+    'employee.last_name': employee.last_name,
+    'employee.preferred_name': employee.preferred_name || employee.first_name,
+    'employee.full_name': getLegalName(employee),
+    'employee.job_title': employee.job_title,
+    'employee.email': employee.email,
+    'employee.personal_email': employee.personal_email,
+    'employee.phone': employee.phone,
+    'employee.address': joinAddress([
+      employee.address_line1, employee.address_line2, employee.city, employee.state, employee.postcode,
+    ]),
+    'employee.employment_type': EMPLOYMENT_TYPE_LABELS[employee.employment_type] || employee.employment_type,
+    'employee.hours_per_week': employee.hours_per_week ? String(employee.hours_per_week) : null,
+    'entity.name': entity?.name,
+    'entity.abbreviation': entity?.abbreviation,
+    'department.name': department?.name,
+    'location.name': location?.name,
+    'location.address': location
+      ? joinAddress([location.address_line1, location.address_line2, location.suburb, location.state, location.postcode])
+      : null,
+    'manager.full_name': manager ? getLegalName(manager) : null,
+    'manager.job_title': manager?.job_title,
+    'compensation.base_salary': employee.base_salary
+      ? formatCurrency(employee.base_salary, employee.salary_currency)
+      : null,
+    'compensation.currency': employee.salary_currency || (employee.base_salary ? 'AUD' : null),
+    'compensation.pay_cycle': PAY_CYCLE_LABELS[employee.pay_cycle] || employee.pay_cycle,
+    start_date: formatDate(startDate || employee.start_date),
+    today: formatDate(new Date()),
+  };
+
+  const missing = MERGE_FIELDS.map(f => f.key).filter(key => !values[key]);
+  return { values, missing };
+}
+
+/**
+ * Fill the merge fields in an HTML template. Values are escaped.
+ *
+ * @param {string} html
+ * @param {Object} values - From buildMergeData
+ * @returns {string}
+ */
+export function renderHtmlTemplate(html, values) {
+  return String(html || '').replace(MERGE_FIELD_PATTERN, (_, key) => escapeMarkup(values[key] ?? ''));
+}
+
+/**
+ * Replace merge fields in a WordprocessingML part. Word often splits
+ * "{{employee.first_name}}" over several runs, so each paragraph's text is
+ * matched as a whole and the value lands in the run where the field starts.
+ *
+ * @param {string} xml
+ * @param {function(string): string} resolve - Value for a merge field key
+ * @returns {string}
+ */
+function mergeWordXml(xml, resolve) {
+  return xml.replace(/<w:p[ >][\s\S]*?<\/w:p>/g, (paragraph) => {
+    const nodes = [...paragraph.matchAll(/(<w:t(?:\s[^>]*)?>)([^<]*)<\/w:t>/g)];
+    if (nodes.length === 0) return paragraph;
+
+    const texts = nodes.map(m => unescapeXml(m[2]));
+    const joined = texts.join('');
+    const matches = [...joined.matchAll(MERGE_FIELD_PATTERN)];
+    if (matches.length === 0) return paragraph;
+
+    // Which text node each character of the paragraph came from
+    const nodeOf = texts.flatMap((text, i) => Array(text.length).fill(i));
+    const output = texts.map(() => '');
+    let position = 0;
+    for (const match of matches) {
+      for (let i = position; i < match.index; i++) output[nodeOf[i]] += joined[i];
+      output[nodeOf[match.index]] += resolve(match[1]);
+      position = match.index + match[0].length;
+    }
+    for (let i = position; i < joined.length; i++) output[nodeOf[i]] += joined[i];
+
+    let index = 0;
+    return paragraph.replace(/(<w:t(?:\s[^>]*)?>)([^<]*)<\/w:t>/g, (_, open) => {
+      const tag = open.includes('xml:space') ? open : open.replace('<w:t', '<w:t xml:space="preserve"');
+      return `${tag}${escapeMarkup(output[index++])}</w:t>`;
+    });
+  });
+}
+
+/**
+ * Merge field keys used in a DOCX file.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<string>>}
+ */
+export async function findDocxMergeFields(buffer) {
+  const keys = new Set();
+  for (const entry of readZip(buffer).filter(e => WORD_PARTS.test(e.name))) {
+    mergeWordXml(await readZipText(entry), (key) => {
+      keys.add(key);
+      return '';
+    });
+  }
+  return [...keys];
+}
+
+/**
+ * Fill the merge fields in a DOCX file.
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {Object} values - From buildMergeData
+ * @returns {Promise<Blob>}
+ */
+export async function renderDocxTemplate(buffer, values) {
+  const entries = [];
+  for (const entry of readZip(buffer)) {
+    if (WORD_PARTS.test(entry.name)) {
+      const xml = mergeWordXml(await readZipText(entry), (key) => values[key] ?? '');
+      entries.push({ name: entry.name, data: xml });
+    } else {
+      entries.push(entry);
+    }
+  }
+  return new Blob([writeZip(entries)], { type: DOCX_MIME_TYPE });
+}
+
+async function fetchFile(fileUrl) {
+  const response = await fetch(fileUrl);
+  if (!response.ok) throw new Error('Could not download the template file');
+  return response.arrayBuffer();
+}
+
+/**
+ * Template format for an uploaded file name.
+ *
+ * @returns {'docx'|'file'}
+ */
+export function getUploadFormat(fileName) {
+  return /\.docx$/i.test(fileName || '') ? 'docx' : 'file';
+}
+
+/**
+ * Versions of a template, newest first.
+ *
+ * @param {string} templateId
+ * @returns {Promise<Array>}
+ */
+export async function getTemplateVersions(templateId) {
+  const versions = await DocumentTemplateVersion.filter({ template_id: templateId });
+  return versions.sort((a, b) => b.version_number - a.version_number);
+}
+
+/**
+ * Save new template content as the next version and make it current.
+ * Merge fields are checked so typos are caught before anything is generated.
+ *
+ * @param {Object} template - DocumentTemplate
+ * @param {Object} content
+ * @param {string} content.format - 'html', 'docx' or 'file'
+ * @param {string} [content.body_html] - For HTML templates
+ * @param {string} [content.file_url] - For uploaded templates
+ * @param {string} [content.file_name]
+ * @param {string} [content.notes] - What changed
+ * @param {Object} [currentUser]
+ * @returns {Promise<{success: boolean, version?: Object, error?: string}>}
+ */
+export async function saveTemplateVersion(template, content, currentUser = null) {
+  const { format: templateFormat, body_html = null, file_url = null, file_name = null, notes = null } = content;
+
+  let mergeFields = [];
+  try {
+    if (templateFormat === 'html') mergeFields = findMergeFields(body_html);
+    if (templateFormat === 'docx' && file_url) mergeFields = await findDocxMergeFields(await fetchFile(file_url));
+  } catch (error) {
+    console.error('Error reading template merge fields:', error);
+    return { success: false, error: 'Could not read the merge fields in this file' };
+  }
+
+  const unknown = getUnknownMergeFields(mergeFields);
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown merge fields: ${unknown.map(k => `{{${k}}}`).join(', ')}` };
+  }
+
+  const versions = await getTemplateVersions(template.id);
+  const versionNumber = (versions[0]?.version_number || 0) + 1;
+
+  const version = await DocumentTemplateVersion.create({
+    template_id: template.id,
+    version_number: versionNumber,
+    format: templateFormat,
+    body_html: templateFormat === 'html' ? body_html : null,
+    file_url: templateFormat === 'html' ? null : file_url,
+    file_name: templateFormat === 'html' ? null : file_name,
+    merge_fields: mergeFields,
+    created_by_id: currentUser?.id || null,
+    notes: notes || null,
+  });
+
+  await DocumentTemplate.update(template.id, {
+    format: templateFormat,
+    current_version_id: version.id,
+    current_version_number: versionNumber,
+  });
+
+  await logForCurrentUser({
+    eventType: 'document_template_version_created',
+    entityType: 'DocumentTemplate',
+    entityId: template.id,
+    description: `Saved version ${versionNumber} of document template "${template.name}"`,
+  });
+
+  return { success: true, version };
+}
+
+/**
+ * The version documents are generated from, or null.
+ *
+ * @param {Object} template - DocumentTemplate
+ * @returns {Promise<Object|null>}
+ */
+export async function getCurrentTemplateVersion(template) {
+  if (!template?.current_version_id) return null;
+  const versions = await DocumentTemplateVersion.filter({ id: template.current_version_id });
+  return versions[0] || null;
+}
+
+/**
+ * Whether documents can be generated from a template.
+ */
+export function isMergeableTemplate(template) {
+  return template?.is_active !== false && !!MERGEABLE_FORMATS[template?.format] && !!template?.current_version_id;
+}
+
+/**
+ * Generate a document for an employee from the template's current version
+ * and store it on their profile.
+ *
+ * @param {Object} params
+ * @param {Object} params.template - DocumentTemplate
+ * @param {Object} params.employee - Employee record
+ * @param {Object} [params.currentUser]
+ * @param {string} [params.fileName] - Without extension (default: template and employee name)
+ * @param {string} [params.startDate] - Overrides {{start_date}}
+ * @param {string} [params.onboardingTaskId] - Links the document to an onboarding task
+ * @returns {Promise<{success: boolean, document?: Object, missing?: Array<string>, error?: string}>}
+ */
+export async function generateDocumentFromTemplate({
+  template,
+  employee,
+  currentUser = null,
+  fileName = null,
+  startDate = null,
+  onboardingTaskId = null,
+}) {
+  const version = await getCurrentTemplateVersion(template);
+  if (!version || !MERGEABLE_FORMATS[version.format]) {
+    return { success: false, error: 'This template has no HTML or DOCX version to generate from' };
+  }
+
+  const { values, missing } = await buildMergeData(employee, { startDate });
+  const baseName = (fileName || `${template.name} - ${getLegalName(employee)}`).replace(/[\\/:*?"<>|]/g, '').trim();
+
+  let file;
+  if (version.format === 'html') {
+    const body = renderHtmlTemplate(version.body_html, values);
+    const html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeMarkup(baseName)}</title>\n</head>\n<body>\n${body}\n</body>\n</html>\n`;
+    file = new File([html], `${baseName}.html`, { type: 'text/html' });
+  } else {
+    const blob = await renderDocxTemplate(await fetchFile(version.file_url), values);
+    file = new File([blob], `${baseName}.docx`, { type: DOCX_MIME_TYPE });
+  }
+
+  const { file_url } = await base44.integrations.Core.UploadFile({ file });
+  const notes = `Generated from "${template.name}" version ${version.version_number}`;
+
+  const document = await Document.create({
+    owner_employee_id: employee.id,
+    uploaded_by_id: currentUser?.id || null,
+    file_url,
+    file_name: file.name,
+    file_size: file.size,
+    file_type: file.type,
+    category: template.category === 'employment_agreement' ? 'contract' : 'other',
+    visibility: 'employee',
+    notes,
+    related_onboarding_task_id: onboardingTaskId || null,
+    template_id: template.id,
+    template_version_id: version.id,
+  });
+
+  await DocumentVersion.create({
+    document_id: document.id,
+    version_number: 1,
+    file_url,
+    file_name: file.name,
+    uploaded_by_id: currentUser?.id || null,
+    notes,
+    template_id: template.id,
+    template_version_id: version.id,
+  });
+
+  await logForCurrentUser({
+    eventType: 'document_generated',
+    entityType: 'Document',
+    entityId: document.id,
+    relatedEmployeeId: employee.id,
+    description: `Generated "${file.name}" from template "${template.name}" version ${version.version_number}`,
+  });
+
+  return { success: true, document, missing };
+}
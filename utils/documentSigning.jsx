@@ -0,0 +1,788 @@
+/**
+ * Document Signing
+ *
+ * Built-in e-signature for Document records. A SignatureRequest routes one
+ * document through its signers in order:
+ *   {
+ *     document_id, document_file_url, document_file_name,
+ *     document_hash,                    // SHA-256 of the file as sent
+ *     owner_employee_id, onboarding_task_id, requested_by_id, message,
+ *     status: 'pending' | 'completed' | 'declined' | 'cancelled',
+ *     signers: [{ role, employee_id, user_id, name, email, status, viewed_at,
+ *                 consented_at, signed_at, signature_method, typed_name,
+ *                 signature_url, ip_address, user_agent, decline_reason }],
+ *     signer_employee_ids,              // signers' employee IDs, for querying by signer
+ *     current_signer,                   // index of the signer whose turn it is
+ *     events: [{ type, signer_index, employee_id, name, at, ip_address, user_agent }],
+ *     signed_file_url, signed_file_hash, completed_at,
+ *   }
+ * Signers run employee → manager → entity signatory (any of them can be
+ * left out). Every signature re-checks the document hash, so a file changed
+ * after sending can't be signed. `ip_address` and `user_agent` are stamped
+ * onto each event (and onto the signer when they sign or decline) by the
+ * recordSignatureEvent backend function, from the connection that recorded
+ * it, since the browser can't report either in a way that can be trusted.
+ *
+ * When the last signer signs, the document, the signatures and a
+ * certificate page with the event trail are sealed into a PDF that becomes
+ * the document's next version, and a linked onboarding task is completed.
+ *
+ * Only documents generated from HTML or DOCX templates can be signed (see
+ * canRequestSignature). The sealed PDF carries their text, headings and
+ * lists but not table layout or other formatting; the original file stays
+ * as the previous version and is tied to the seal by its hash.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { invokeFunction } from '@/api/functions';
+import { sendNotification } from './notifications';
+import { logForCurrentUser } from './audit';
+import { getLegalName } from './displayName';
+import { readZip, readZipText } from './zipArchive';
+import { createPdf, PAGE_MARGIN } from './pdfWriter';
+import { completeTask } from '@/components/onboarding/onboardingEngine';
+
+const SignatureRequest = base44.entities.SignatureRequest;
+const Document = base44.entities.Document;
+const DocumentVersion = base44.entities.DocumentVersion;
+const Employee = base44.entities.Employee;
+const CompanyEntity = base44.entities.CompanyEntity;
+const EmployeeOnboardingTask = base44.entities.EmployeeOnboardingTask;
+
+export const SIGNER_ROLES = {
+  employee: 'Employee',
+  manager: 'Manager',
+  signatory: 'Entity signatory',
+};
+
+export const SIGNER_STATUSES = {
+  waiting: 'Waiting',
+  pending: 'Awaiting signature',
+  signed: 'Signed',
+  declined: 'Declined',
+};
+
+export const SIGNATURE_REQUEST_STATUSES = {
+  pending: 'Awaiting signatures',
+  completed: 'Signed',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+};
+
+export const SIGNATURE_EVENT_LABELS = {
+  sent: 'Sent for signature',
+  viewed: 'Viewed',
+  signed: 'Signed',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+  completed: 'Sealed',
+};
+
+/** What a signer agrees to before their signature is accepted. */
+export const ESIGN_CONSENT =
+  'I agree to sign this document electronically and that my electronic signature is as binding as a handwritten signature.';
+
+const SIGNER_ORDER = ['employee', 'manager', 'signatory'];
+
+const nowIso = () => new Date().toISOString();
+const formatTimestamp = (iso) => (iso ? `${iso.replace('T', ' ').slice(0, 19)} UTC` : '—');
+
+async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error('Could not download the document');
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Have the server stamp an event just saved on the request with this
+ * connection's IP address and user agent. A failure leaves the event
+ * unstamped rather than undoing it.
+ */
+async function stampSignatureEvent(requestId, event) {
+  try {
+    await invokeFunction('recordSignatureEvent', {
+      request_id: requestId,
+      event_type: event.type,
+      event_at: event.at,
+    });
+  } catch (error) {
+    console.error('Error recording signature event:', error);
+  }
+}
+
+function signerFor(employee, role) {
+  return {
+    role,
+    employee_id: employee.id,
+    user_id: employee.user_id || null,
+    name: getLegalName(employee),
+    email: employee.email || null,
+  };
+}
+
+async function notifySigner(signer, request, title) {
+  if (!signer?.user_id) return;
+  try {
+    await sendNotification({
+      userId: signer.user_id,
+      type: 'signature_requested',
+      title,
+      message: request.document_file_name,
+      link: '/SignDocuments',
+      relatedEmployeeId: request.owner_employee_id,
+    });
+  } catch (error) {
+    console.error('Error sending signature notification:', error);
+  }
+}
+
+async function notifyRequester(request, type, title, message) {
+  if (!request.requested_by_id) return;
+  try {
+    await sendNotification({
+      userId: request.requested_by_id,
+      type,
+      title,
+      message,
+      link: `/EmployeeProfile?id=${request.owner_employee_id}`,
+      relatedEmployeeId: request.owner_employee_id,
+    });
+  } catch (error) {
+    console.error('Error sending signature notification:', error);
+  }
+}
+
+/**
+ * Whether a document can be sent for signature: generated from a template
+ * as HTML or DOCX, the formats whose text is laid out in the sealed PDF.
+ */
+export function canRequestSignature(document) {
+  return !!document?.template_id && /\.(html?|docx)$/i.test(document.file_name || '');
+}
+
+/**
+ * Who would sign for each role. A role is null when nobody fills it, e.g.
+ * the employee has no manager or the entity has no signatory.
+ *
+ * @param {Object} employee - Document owner
+ * @returns {Promise<{employee: Object|null, manager: Object|null, signatory: Object|null}>}
+ */
+export async function getAvailableSigners(employee) {
+  const [managers, entities] = await Promise.all([
+    employee.manager_id ? Employee.filter({ id: employee.manager_id }) : [],
+    employee.entity_id ? CompanyEntity.filter({ id: employee.entity_id }) : [],
+  ]);
+  const signatoryId = entities[0]?.signatory_employee_id;
+  const signatories = signatoryId ? await Employee.filter({ id: signatoryId }) : [];
+
+  return {
+    employee: signerFor(employee, 'employee'),
+    manager: managers[0] ? signerFor(managers[0], 'manager') : null,
+    signatory: signatories[0] ? signerFor(signatories[0], 'signatory') : null,
+  };
+}
+
+/**
+ * The open (or latest) signature request for a document.
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getSignatureRequestForDocument(documentId) {
+  const requests = await SignatureRequest.filter({ document_id: documentId });
+  requests.sort((a, b) => (b.created_date || '').localeCompare(a.created_date || ''));
+  return requests.find(r => r.status === 'pending') || requests[0] || null;
+}
+
+/**
+ * Requests an employee is a signer on, newest first. Filtered on the
+ * server by signer_employee_ids so other people's requests never load.
+ *
+ * @param {string} employeeId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSignatureRequestsForSigner(employeeId) {
+  if (!employeeId) return [];
+  return SignatureRequest.filter({ signer_employee_ids: employeeId }, '-created_date');
+}
+
+/**
+ * Whether it's this employee's turn to sign.
+ */
+export function isAwaitingSigner(request, employeeId) {
+  if (request?.status !== 'pending') return false;
+  const signer = request.signers?.[request.current_signer];
+  return signer?.status === 'pending' && signer.employee_id === employeeId;
+}
+
+/**
+ * Every signer has signed but the sealed PDF hasn't been saved yet, e.g.
+ * because sealing failed on the last signer's device.
+ */
+export function isReadyToSeal(request) {
+  return request?.status === 'pending'
+    && (request.signers || []).length > 0
+    && request.signers.every(s => s.status === 'signed');
+}
+
+/**
+ * Send a document for signature.
+ *
+ * @param {Object} params
+ * @param {Object} params.document - Document record
+ * @param {Object} params.employee - Document owner
+ * @param {Array<string>} params.roles - Keys of SIGNER_ROLES to include
+ * @param {string} [params.message] - Shown to every signer
+ * @param {Object} [params.currentUser]
+ * @returns {Promise<{success: boolean, request?: Object, error?: string}>}
+ */
+export async function createSignatureRequest({ document, employee, roles, message = '', currentUser = null }) {
+  if (!canRequestSignature(document)) {
+    return { success: false, error: 'Only documents generated from an HTML or DOCX template can be sent for signature' };
+  }
+  const existing = await getSignatureRequestForDocument(document.id);
+  if (existing?.status === 'pending') {
+    return { success: false, error: 'This document is already out for signature' };
+  }
+
+  const available = await getAvailableSigners(employee);
+  const signers = [];
+  for (const role of SIGNER_ORDER.filter(r => roles.includes(r))) {
+    const signer = available[role];
+    if (!signer) {
+      return { success: false, error: `No one is set up as the ${SIGNER_ROLES[role].toLowerCase()} for ${getLegalName(employee)}` };
+    }
+    if (signers.some(s => s.employee_id === signer.employee_id)) continue;
+    signers.push({ ...signer, status: signers.length === 0 ? 'pending' : 'waiting' });
+  }
+  if (signers.length === 0) {
+    return { success: false, error: 'Choose at least one signer' };
+  }
+
+  const documentHash = await sha256(await fetchBytes(document.file_url));
+  const sentEvent = {
+    type: 'sent',
+    signer_index: null,
+    employee_id: null,
+    name: currentUser?.full_name || currentUser?.email || null,
+    at: nowIso(),
+  };
+
+  const request = await SignatureRequest.create({
+    document_id: document.id,
+    document_file_url: document.file_url,
+    document_file_name: document.file_name,
+    document_hash: documentHash,
+    owner_employee_id: employee.id,
+    onboarding_task_id: document.related_onboarding_task_id || null,
+    requested_by_id: currentUser?.id || null,
+    message: message.trim() || null,
+    status: 'pending',
+    signers,
+    signer_employee_ids: signers.map(s => s.employee_id),
+    current_signer: 0,
+    events: [sentEvent],
+  });
+  await stampSignatureEvent(request.id, sentEvent);
+
+  await Document.update(document.id, {
+    signature_request_id: request.id,
+    signature_status: 'pending',
+  });
+
+  await logForCurrentUser({
+    eventType: 'signature_requested',
+    entityType: 'Document',
+    entityId: document.id,
+    relatedEmployeeId: employee.id,
+    description: `Sent "${document.file_name}" for signature by ${signers.map(s => s.name).join(', ')}`,
+    metadata: { signature_request_id: request.id, document_hash: documentHash },
+  });
+
+  await notifySigner(signers[0], request, 'Document to sign');
+
+  return { success: true, request };
+}
+
+/**
+ * Record the first time a signer opens the document.
+ *
+ * @returns {Promise<Object>} The request, updated if this was the first view
+ */
+export async function recordSignatureView(request, employeeId) {
+  const index = (request.signers || []).findIndex(s => s.employee_id === employeeId);
+  if (index < 0 || request.status !== 'pending' || request.signers[index].viewed_at) return request;
+
+  const at = nowIso();
+  const signers = request.signers.map((s, i) => (i === index ? { ...s, viewed_at: at } : s));
+  const event = { type: 'viewed', signer_index: index, employee_id: employeeId, name: signers[index].name, at };
+  const events = [...(request.events || []), event];
+  await SignatureRequest.update(request.id, { signers, events });
+  await stampSignatureEvent(request.id, event);
+  return { ...request, signers, events };
+}
+
+/**
+ * Sign as the current signer. The last signature seals the document.
+ *
+ * @param {string} requestId
+ * @param {Object} params
+ * @param {string} params.employeeId - Signer's employee ID
+ * @param {'drawn'|'typed'} params.method
+ * @param {Blob} params.image - JPEG of the signature
+ * @param {string} [params.typedName] - For typed signatures
+ * @param {boolean} params.consent - Agreed to ESIGN_CONSENT
+ * @returns {Promise<{success: boolean, request?: Object, completed?: boolean, error?: string}>}
+ */
+export async function signDocument(requestId, { employeeId, method, image, typedName = null, consent }) {
+  const requests = await SignatureRequest.filter({ id: requestId });
+  const request = requests[0];
+  if (!request) return { success: false, error: 'Signature request not found' };
+  if (!isAwaitingSigner(request, employeeId)) {
+    return { success: false, error: 'This document is not waiting for your signature' };
+  }
+  if (!consent) return { success: false, error: 'You need to agree to sign electronically' };
+  if (!image) return { success: false, error: 'Add your signature first' };
+  if (method === 'typed' && !typedName?.trim()) return { success: false, error: 'Type your name to sign' };
+
+  const currentHash = await sha256(await fetchBytes(request.document_file_url));
+  if (currentHash !== request.document_hash) {
+    return { success: false, error: 'The document has changed since it was sent for signature. Ask HR to send it again.' };
+  }
+
+  const index = request.current_signer;
+  const { file_url: signatureUrl } = await base44.integrations.Core.UploadFile({
+    file: new File([image], `signature-${request.id}-${index + 1}.jpg`, { type: 'image/jpeg' }),
+  });
+  const at = nowIso();
+
+  const signers = request.signers.map((s, i) => (i === index ? {
+    ...s,
+    status: 'signed',
+    viewed_at: s.viewed_at || at,
+    consented_at: at,
+    signed_at: at,
+    signature_method: method,
+    typed_name: method === 'typed' ? typedName.trim() : null,
+    signature_url: signatureUrl,
+  } : s));
+  const nextIndex = index + 1 < signers.length ? index + 1 : null;
+  if (nextIndex !== null) signers[nextIndex] = { ...signers[nextIndex], status: 'pending' };
+
+  const event = { type: 'signed', signer_index: index, employee_id: employeeId, name: signers[index].name, at };
+
+  await SignatureRequest.update(request.id, {
+    signers,
+    events: [...(request.events || []), event],
+    current_signer: nextIndex ?? index,
+  });
+  await stampSignatureEvent(request.id, event);
+
+  // Re-read so the stamped IP addresses reach the certificate
+  const [updated] = await SignatureRequest.filter({ id: request.id });
+
+  await logForCurrentUser({
+    eventType: 'document_signed',
+    entityType: 'Document',
+    entityId: request.document_id,
+    relatedEmployeeId: request.owner_employee_id,
+    description: `${signers[index].name} signed "${request.document_file_name}" as ${SIGNER_ROLES[signers[index].role].toLowerCase()}`,
+    metadata: { signature_request_id: request.id },
+  });
+
+  if (nextIndex !== null) {
+    await notifySigner(signers[nextIndex], updated, 'Document to sign');
+    return { success: true, request: updated, completed: false };
+  }
+
+  const sealed = await sealSignatureRequest(updated);
+  return { ...sealed, request: sealed.request || updated, completed: sealed.success };
+}
+
+/**
+ * Decline to sign. Ends the request for every signer.
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function declineSignatureRequest(requestId, { employeeId, reason }) {
+  const requests = await SignatureRequest.filter({ id: requestId });
+  const request = requests[0];
+  if (!request) return { success: false, error: 'Signature request not found' };
+  if (!isAwaitingSigner(request, employeeId)) {
+    return { success: false, error: 'This document is not waiting for your signature' };
+  }
+  if (!reason?.trim()) return { success: false, error: 'Give a reason for declining' };
+
+  const index = request.current_signer;
+  const signers = request.signers.map((s, i) => (i === index ? {
+    ...s, status: 'declined', decline_reason: reason.trim(),
+  } : s));
+  const event = { type: 'declined', signer_index: index, employee_id: employeeId, name: signers[index].name, at: nowIso() };
+
+  await SignatureRequest.update(request.id, {
+    status: 'declined',
+    signers,
+    events: [...(request.events || []), event],
+  });
+  await stampSignatureEvent(request.id, event);
+  await Document.update(request.document_id, { signature_status: 'declined' });
+
+  await logForCurrentUser({
+    eventType: 'signature_declined',
+    entityType: 'Document',
+    entityId: request.document_id,
+    relatedEmployeeId: request.owner_employee_id,
+    description: `${signers[index].name} declined to sign "${request.document_file_name}": ${reason.trim()}`,
+    metadata: { signature_request_id: request.id },
+  });
+
+  await notifyRequester(
+    request,
+    'signature_declined',
+    'Signature declined',
+    `${signers[index].name} declined to sign "${request.document_file_name}"`
+  );
+
+  return { success: true };
+}
+
+/**
+ * Withdraw a pending request.
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelSignatureRequest(request, currentUser = null) {
+  if (request.status !== 'pending') {
+    return { success: false, error: 'Only pending requests can be cancelled' };
+  }
+  const event = {
+    type: 'cancelled',
+    signer_index: null,
+    employee_id: null,
+    name: currentUser?.full_name || currentUser?.email || null,
+    at: nowIso(),
+  };
+  await SignatureRequest.update(request.id, {
+    status: 'cancelled',
+    events: [...(request.events || []), event],
+  });
+  await stampSignatureEvent(request.id, event);
+  await Document.update(request.document_id, { signature_status: null });
+
+  await logForCurrentUser({
+    eventType: 'signature_request_cancelled',
+    entityType: 'Document',
+    entityId: request.document_id,
+    relatedEmployeeId: request.owner_employee_id,
+    description: `Cancelled the signature request for "${request.document_file_name}"`,
+    metadata: { signature_request_id: request.id },
+  });
+
+  return { success: true };
+}
+
+// ============================================
+// Sealing
+// ============================================
+
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'TR', 'UL', 'OL', 'TABLE',
+  'BLOCKQUOTE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'PRE',
+]);
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TITLE']);
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+/** Headings, paragraphs and list items of an HTML document. */
+function htmlBlocks(html) {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  const blocks = [];
+  let current = null;
+
+  const flush = () => {
+    const text = (current?.text || '').replace(/[ \t\r\f]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    if (text) blocks.push({ style: current.style, text });
+    current = null;
+  };
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === TEXT_NODE) {
+        if (!current) current = { style: 'paragraph', text: '' };
+        current.text += child.textContent.replace(/\s+/g, ' ');
+      } else if (child.nodeType === ELEMENT_NODE && !SKIPPED_TAGS.has(child.tagName)) {
+        if (child.tagName === 'BR') {
+          if (current) current.text += '\n';
+        } else if (child.tagName === 'TD' || child.tagName === 'TH') {
+          walk(child);
+          if (current) current.text += '    ';
+        } else if (BLOCK_TAGS.has(child.tagName)) {
+          flush();
+          if (/^H[1-6]$/.test(child.tagName)) current = { style: 'heading', text: '' };
+          else if (child.tagName === 'LI') current = { style: 'bullet', text: '' };
+          walk(child);
+          flush();
+        } else {
+          walk(child);
+        }
+      }
+    }
+  };
+
+  if (body) walk(body);
+  flush();
+  return blocks;
+}
+
+/** Paragraphs of a DOCX main document part. */
+async function docxBlocks(bytes) {
+  const entry = readZip(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+    .find(e => e.name === 'word/document.xml');
+  if (!entry) return null;
+
+  const xml = new DOMParser().parseFromString(await readZipText(entry), 'application/xml');
+  const blocks = [];
+  for (const paragraph of xml.getElementsByTagName('w:p')) {
+    let text = '';
+    for (const node of paragraph.getElementsByTagName('*')) {
+      if (node.tagName === 'w:t') text += node.textContent;
+      else if (node.tagName === 'w:tab') text += '\t';
+      else if (node.tagName === 'w:br') text += '\n';
+    }
+    if (!text.trim()) continue;
+    const style = paragraph.getElementsByTagName('w:pStyle')[0]?.getAttribute('w:val') || '';
+    blocks.push({
+      style: /^(Heading|Title)/i.test(style) ? 'heading' : paragraph.getElementsByTagName('w:numPr').length > 0 ? 'bullet' : 'paragraph',
+      text: text.trim(),
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Text content of the signed HTML or DOCX file, or null when it can't be read.
+ */
+async function extractDocumentBlocks(bytes, fileName) {
+  const name = (fileName || '').toLowerCase();
+  try {
+    if (name.endsWith('.html') || name.endsWith('.htm')) return htmlBlocks(new TextDecoder().decode(bytes));
+    if (name.endsWith('.docx')) return await docxBlocks(bytes);
+  } catch (error) {
+    console.error('Could not read document text for sealing:', error);
+  }
+  return null;
+}
+
+function writeLabelledRows(pdf, rows) {
+  for (const [label, value] of rows) {
+    pdf.ensureSpace(16);
+    pdf.text(label, PAGE_MARGIN, pdf.y + 9, { size: 9, bold: true, color: [75, 85, 99] });
+    pdf.paragraph(value || '—', { size: 9, indent: 130, after: 3 });
+  }
+}
+
+function buildSignedPdf(request, blocks, signatureBytes, sealedAt) {
+  const pdf = createPdf({ title: request.document_file_name });
+  const signatureImages = signatureBytes.map(bytes => (bytes ? pdf.addJpeg(bytes) : null));
+  pdf.addPage();
+
+  // The document
+  for (const block of blocks) {
+    if (block.style === 'heading') {
+      pdf.space(4).paragraph(block.text, { size: 13, bold: true, after: 6 });
+    } else if (block.style === 'bullet') {
+      pdf.ensureSpace(14);
+      pdf.text('•', PAGE_MARGIN + 4, pdf.y + 10, { size: 10 });
+      pdf.paragraph(block.text, { size: 10, indent: 16, after: 4 });
+    } else {
+      pdf.paragraph(block.text, { size: 10, after: 8 });
+    }
+  }
+
+  // Signatures
+  pdf.space(16).ensureSpace(40);
+  pdf.paragraph('Signatures', { size: 13, bold: true, after: 10 });
+  request.signers.forEach((signer, i) => {
+    pdf.ensureSpace(110);
+    const image = signatureImages[i];
+    const top = pdf.y;
+    if (image) {
+      const scale = Math.min(200 / image.width, 60 / image.height);
+      pdf.image(image, PAGE_MARGIN, top, image.width * scale, image.height * scale);
+    }
+    pdf.line(PAGE_MARGIN, top + 64, PAGE_MARGIN + 220, top + 64, { width: 0.75, color: [107, 114, 128] });
+    pdf.y = top + 70;
+    pdf.paragraph(`${signer.name} (${SIGNER_ROLES[signer.role]})`, { size: 10, bold: true, after: 2 });
+    pdf.paragraph(`Signed ${formatTimestamp(signer.signed_at)}`, { size: 9, color: [75, 85, 99], after: 18 });
+  });
+
+  // Certificate
+  pdf.addPage();
+  pdf.paragraph('Certificate of Completion', { size: 18, bold: true, after: 14 });
+  writeLabelledRows(pdf, [
+    ['Document', request.document_file_name],
+    ['Request ID', request.id],
+    ['Document SHA-256', request.document_hash],
+    ['Sent', formatTimestamp(request.events?.[0]?.at)],
+    ['Completed', formatTimestamp(sealedAt)],
+  ]);
+
+  pdf.space(12).paragraph('Signers', { size: 12, bold: true, after: 6 });
+  request.signers.forEach((signer, i) => {
+    pdf.ensureSpace(80);
+    pdf.paragraph(`${i + 1}. ${signer.name}, ${SIGNER_ROLES[signer.role]}`, { size: 10, bold: true, after: 3 });
+    writeLabelledRows(pdf, [
+      ['Email', signer.email],
+      ['Signature', signer.signature_method === 'typed' ? `Typed ("${signer.typed_name}")` : 'Drawn'],
+      ['Agreed to e-signing', formatTimestamp(signer.consented_at)],
+      ['Signed', formatTimestamp(signer.signed_at)],
+      ['IP address', signer.ip_address],
+      ['User agent', signer.user_agent],
+    ]);
+    pdf.space(6);
+  });
+
+  pdf.space(6).paragraph('Event history', { size: 12, bold: true, after: 6 });
+  for (const event of request.events || []) {
+    pdf.paragraph(
+      `${formatTimestamp(event.at)}   ${SIGNATURE_EVENT_LABELS[event.type] || event.type}` +
+      `${event.name ? ` by ${event.name}` : ''}` +
+      `${event.ip_address ? ` from ${event.ip_address}` : ''}`,
+      { size: 9, after: 2 }
+    );
+  }
+  pdf.paragraph(
+    `${formatTimestamp(sealedAt)}   ${SIGNATURE_EVENT_LABELS.completed}`,
+    { size: 9, after: 2 }
+  );
+
+  pdf.space(14).paragraph(
+    `Each signer agreed to the statement "${ESIGN_CONSENT}" before signing. ` +
+    'Signatures were accepted only while the document matched the SHA-256 fingerprint above; ' +
+    'the fingerprint of this sealed PDF is kept with the signature request. ' +
+    'IP addresses and user agents were recorded by the server from the connection that made each change.',
+    { size: 8, color: [107, 114, 128] }
+  );
+
+  return pdf.toBlob();
+}
+
+/**
+ * Build the sealed PDF once every signer has signed, save it as the
+ * document's next version and complete any linked onboarding task.
+ * Safe to call again if a previous attempt failed part-way: a version
+ * already saved for this request is reused rather than created again.
+ *
+ * @param {Object} request - SignatureRequest with every signer signed
+ * @returns {Promise<{success: boolean, request?: Object, error?: string}>}
+ */
+export async function sealSignatureRequest(request) {
+  if (!isReadyToSeal(request)) {
+    return { success: false, error: 'Not every signer has signed yet' };
+  }
+
+  try {
+    // A previous attempt may have saved the signed version before failing
+    const versions = await DocumentVersion.filter({ document_id: request.document_id });
+    let sealedVersion = versions.find(v => v.signature_request_id === request.id) || null;
+    let sealedAt;
+    let bytes;
+
+    if (sealedVersion) {
+      sealedAt = sealedVersion.created_date || nowIso();
+      bytes = await fetchBytes(sealedVersion.file_url);
+    } else {
+      const original = await fetchBytes(request.document_file_url);
+      if (await sha256(original) !== request.document_hash) {
+        return { success: false, error: 'The document has changed since it was sent for signature' };
+      }
+
+      const blocks = await extractDocumentBlocks(original, request.document_file_name);
+      if (!blocks || blocks.length === 0) {
+        return { success: false, error: 'The document text could not be read to create the signed PDF' };
+      }
+      const signatureBytes = [];
+      for (const signer of request.signers) {
+        signatureBytes.push(signer.signature_url ? await fetchBytes(signer.signature_url) : null);
+      }
+
+      sealedAt = nowIso();
+      const blob = buildSignedPdf(request, blocks, signatureBytes, sealedAt);
+      bytes = new Uint8Array(await blob.arrayBuffer());
+
+      const baseName = request.document_file_name.replace(/\.[^.]+$/, '');
+      const file = new File([bytes], `${baseName} (signed).pdf`, { type: 'application/pdf' });
+      const { file_url } = await base44.integrations.Core.UploadFile({ file });
+
+      const versionNumber = versions.reduce((max, v) => Math.max(max, v.version_number || 0), 0) + 1;
+      sealedVersion = await DocumentVersion.create({
+        document_id: request.document_id,
+        version_number: versionNumber,
+        file_url,
+        file_name: file.name,
+        uploaded_by_id: null,
+        notes: `Signed by ${request.signers.map(s => s.name).join(', ')}`,
+        signature_request_id: request.id,
+      });
+    }
+
+    const signedHash = await sha256(bytes);
+    const file_url = sealedVersion.file_url;
+    await Document.update(request.document_id, {
+      file_url,
+      file_name: sealedVersion.file_name,
+      file_size: bytes.byteLength,
+      file_type: 'application/pdf',
+      signature_status: 'signed',
+    });
+
+    const events = [...(request.events || []), {
+      type: 'completed', signer_index: null, employee_id: null, name: null, at: sealedAt,
+    }];
+    await SignatureRequest.update(request.id, {
+      status: 'completed',
+      completed_at: sealedAt,
+      signed_file_url: file_url,
+      signed_file_hash: signedHash,
+      events,
+    });
+    const completed = {
+      ...request, status: 'completed', completed_at: sealedAt, signed_file_url: file_url, signed_file_hash: signedHash, events,
+    };
+
+    await logForCurrentUser({
+      eventType: 'signature_completed',
+      entityType: 'Document',
+      entityId: request.document_id,
+      relatedEmployeeId: request.owner_employee_id,
+      description: `"${request.document_file_name}" signed by all parties and sealed`,
+      metadata: { signature_request_id: request.id, signed_file_hash: signedHash },
+    });
+
+    if (request.onboarding_task_id) {
+      const tasks = await EmployeeOnboardingTask.filter({ id: request.onboarding_task_id });
+      if (tasks[0] && tasks[0].status !== 'completed') {
+        try {
+          await completeTask(request.onboarding_task_id);
+        } catch (error) {
+          console.error('Error completing onboarding task after signing:', error);
+        }
+      }
+    }
+
+    await notifyRequester(
+      request,
+      'signature_completed',
+      'Document signed',
+      `"${request.document_file_name}" has been signed by everyone`
+    );
+
+    return { success: true, request: completed };
+  } catch (error) {
+    console.error('Error sealing signed document:', error);
+    return { success: false, error: 'Signatures were saved but the signed PDF could not be created. Try again from the document.' };
+  }
+}
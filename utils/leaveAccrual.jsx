@@ -5,12 +5,21 @@ import {
   format,
   isAfter,
   isSameDay,
+  subDays,
 } from 'date-fns';
+import { getLedgerBalance, postLedgerEntry } from './leaveLedger';
 
 const LeavePolicy = base44.entities.LeavePolicy;
 const LeaveBalance = base44.entities.LeaveBalance;
 const Employee = base44.entities.Employee;
 const EmploymentAgreement = base44.entities.EmploymentAgreement;
+const TimesheetEntry = base44.entities.TimesheetEntry;
+
+/**
+ * Paid leave buckets casual employees never accrue (NES: casuals are paid a
+ * loading instead). Unpaid, community service and long service leave remain.
+ */
+export const CASUAL_EXCLUDED_LEAVE_TYPES = ['annual', 'personal', 'sick'];
 
 /**
  * Leave Accrual Engine (legacy / policy helper)
@@ -152,8 +161,29 @@ export async function getApplicablePolicyForEmployee(
   return null;
 }
 
+/**
+ * Whether an employee is engaged on a casual basis
+ * @param {Object} employee - Employee record
+ * @returns {boolean}
+ */
+export function isCasualEmployee(employee) {
+  return employee?.employment_type === 'casual';
+}
+
+/**
+ * Whether a leave type is excluded from accrual for this employee
+ * (paid annual/personal leave for casuals)
+ * @param {Object} employee - Employee record
+ * @param {string} leaveType - Balance bucket, e.g. 'annual'
+ * @returns {boolean}
+ */
+export function isAccrualExcludedForEmployee(employee, leaveType) {
+  return isCasualEmployee(employee) && CASUAL_EXCLUDED_LEAVE_TYPES.includes(leaveType);
+}
+
 /**
  * Calculate FTE fraction for an employee
+ * Casuals have no ongoing hours, so they have no FTE for pro-rata purposes.
  * @param {Object} employee - Employee object with hours_per_week and employment_type
  * @param {Object} policy - LeavePolicy for reference hours
  * @returns {number} - FTE fraction (0 to 1)
@@ -166,12 +196,17 @@ export function calculateEmployeeFTE(employee, policy = null) {
     return 1.0;
   }
 
+  // Casuals do not accrue pro-rata paid leave
+  if (isCasualEmployee(employee)) {
+    return 0;
+  }
+
   // Part-time with hours_per_week set
   if (employee?.employment_type === 'part_time' && employee.hours_per_week) {
     return Math.min(employee.hours_per_week / fullTimeHours, 1.0);
   }
 
-  // Casual/contractor with hours set
+  // Contractor with hours set
   if (employee?.hours_per_week) {
     return Math.min(employee.hours_per_week / fullTimeHours, 1.0);
   }
@@ -238,7 +273,7 @@ export function calculateAccrualForPeriod(
  * @param {Object} employee - Employee record
  * @param {Date} asOfDate - Date to calculate up to
  * @param {Date} lastAccrualDate - Date of last accrual
- * @returns {Object} - { accruedHours, eligible, yearsOfService, eligibilityDate }
+ * @returns {Object} - { accruedHours, eligible, yearsOfService, eligibilityDate, unvestedHours }
  */
 export function calculateLSLAccrual(
   policy,
@@ -268,13 +303,22 @@ export function calculateLSLAccrual(
   const eligibilityDate = new Date(startDate);
   eligibilityDate.setFullYear(eligibilityDate.getFullYear() + minYears);
 
-  // Not yet eligible
+  // Use accrual_rate_after_threshold if set, otherwise use standard accrual_rate
+  const rateToUse = policy.accrual_rate_after_threshold || policy.accrual_rate;
+
+  // Not yet eligible. unvestedHours is service to date at the policy rate,
+  // for valuing the balance pro-rata before it can be taken.
   if (yearsOfService < minYears) {
     return {
       accruedHours: 0,
       eligible: false,
       yearsOfService: Math.round(yearsOfService * 100) / 100,
       eligibilityDate: format(eligibilityDate, 'yyyy-MM-dd'),
+      unvestedHours: calculateAccrualForPeriod(
+        policy,
+        differenceInDays(asOfDate, startDate),
+        rateToUse
+      ),
       message: `Not yet eligible. ${minYears} years of service required.`,
     };
   }
@@ -298,8 +342,6 @@ export function calculateLSLAccrual(
     };
   }
 
-  // Use accrual_rate_after_threshold if set, otherwise use standard accrual_rate
-  const rateToUse = policy.accrual_rate_after_threshold || policy.accrual_rate;
   const accruedHours = calculateAccrualForPeriod(
     policy,
     daysToAccrue,
@@ -315,6 +357,103 @@ export function calculateLSLAccrual(
   };
 }
 
+/**
+ * Long service leave accrual for a casual employee
+ * Continuous service (from the service start date) decides eligibility;
+ * the amount accrues on hours actually worked, from timesheets, at the
+ * policy's full-time rate per ordinary hour
+ * (e.g. 8.67 weeks per 10 years = 1/60 of each hour worked).
+ * @param {Object} policy - LeavePolicy with LSL config
+ * @param {Object} employee - Employee record
+ * @param {Date} asOfDate - Date to calculate up to
+ * @param {Date} lastAccrualDate - Date of last accrual
+ * @param {Array} timesheetEntries - TimesheetEntry records ({ work_date, hours })
+ * @returns {Object} - { accruedHours, eligible, yearsOfService, eligibilityDate, hoursWorked, unvestedHours }
+ */
+export function calculateCasualLSLAccrual(
+  policy,
+  employee,
+  asOfDate,
+  lastAccrualDate,
+  timesheetEntries = []
+) {
+  const serviceStartDate = getServiceStartDate(employee);
+  if (!serviceStartDate) {
+    return {
+      accruedHours: 0,
+      eligible: false,
+      yearsOfService: 0,
+      eligibilityDate: null,
+      hoursWorked: 0,
+      message: 'No service start date set for employee',
+    };
+  }
+
+  const startDate = parseISO(serviceStartDate);
+  const yearsOfService = differenceInDays(asOfDate, startDate) / 365;
+  const minYears = policy.min_service_years_before_accrual || 0;
+
+  const eligibilityDate = new Date(startDate);
+  eligibilityDate.setFullYear(eligibilityDate.getFullYear() + minYears);
+
+  const toStr = format(asOfDate, 'yyyy-MM-dd');
+
+  // Timesheet hours in (fromStr, toStr]; the start day was already counted
+  const sumHoursWorked = (fromStr) => timesheetEntries
+    .filter((e) => e.work_date > fromStr && e.work_date <= toStr)
+    .reduce((sum, e) => sum + (parseFloat(e.hours) || 0), 0);
+
+  // Full-time hours accrued per year of service, spread over a full-time year
+  const fullTimeYearHours = calculateAccrualForPeriod(
+    policy,
+    365,
+    policy.accrual_rate_after_threshold || policy.accrual_rate
+  );
+  const ordinaryHoursPerYear = (policy.hours_per_week_reference || 38) * 52;
+  const toAccruedHours = (hours) => Math.round(
+    (hours * fullTimeYearHours / ordinaryHoursPerYear) * 100
+  ) / 100;
+
+  // Not yet eligible. unvestedHours is accrual on all hours worked so far,
+  // for valuing the balance pro-rata before it can be taken.
+  if (yearsOfService < minYears) {
+    return {
+      accruedHours: 0,
+      eligible: false,
+      yearsOfService: Math.round(yearsOfService * 100) / 100,
+      eligibilityDate: format(eligibilityDate, 'yyyy-MM-dd'),
+      hoursWorked: 0,
+      unvestedHours: toAccruedHours(sumHoursWorked(format(subDays(startDate, 1), 'yyyy-MM-dd'))),
+      message: `Not yet eligible. ${minYears} years of continuous service required.`,
+    };
+  }
+
+  const effectiveStartDate = isAfter(lastAccrualDate, eligibilityDate)
+    ? lastAccrualDate
+    : eligibilityDate;
+  const hoursWorked = sumHoursWorked(format(effectiveStartDate, 'yyyy-MM-dd'));
+  const accruedHours = toAccruedHours(hoursWorked);
+
+  return {
+    accruedHours,
+    eligible: true,
+    yearsOfService: Math.round(yearsOfService * 100) / 100,
+    eligibilityDate: format(eligibilityDate, 'yyyy-MM-dd'),
+    hoursWorked: Math.round(hoursWorked * 100) / 100,
+  };
+}
+
+/**
+ * Timesheet entries for an employee (hours actually worked)
+ * Rejected entries are ignored.
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Array>} TimesheetEntry records
+ */
+export async function getTimesheetEntries(employeeId) {
+  const entries = await TimesheetEntry.filter({ employee_id: employeeId });
+  return entries.filter((e) => e.status !== 'rejected');
+}
+
 /**
  * Get the service start date for an employee (for leave accrual).
  * Priority: service_start_date > start_date
@@ -342,12 +481,14 @@ export function getServiceStartDateOrToday(employee) {
 
 /**
  * Get or create a leave balance for an employee and leave type
- * (legacy LeaveBalance table)
+ * (legacy LeaveBalance table). With `dryRun` a missing balance is returned
+ * unsaved (id: null).
  */
 export async function getOrCreateLeaveBalance(
   employeeId,
   leaveType,
-  employee = null
+  employee = null,
+  { dryRun = false } = {}
 ) {
   const balances = await LeaveBalance.filter({
     employee_id: employeeId,
@@ -376,7 +517,7 @@ export async function getOrCreateLeaveBalance(
     }
   }
 
-  const newBalance = await LeaveBalance.create({
+  const balanceFields = {
     employee_id: employeeId,
     leave_type: leaveType,
     opening_balance_hours: 0,
@@ -385,7 +526,12 @@ export async function getOrCreateLeaveBalance(
     adjusted_hours: 0,
     available_hours: 0,
     last_accrual_date: startDate,
-  });
+  };
+  if (dryRun) {
+    return { id: null, ...balanceFields };
+  }
+
+  const newBalance = await LeaveBalance.create(balanceFields);
 
   return newBalance;
 }
@@ -395,11 +541,16 @@ export async function getOrCreateLeaveBalance(
  * Skips accrual if already accrued today (prevents double-accruing)
  * @param {string} employeeId - Employee ID
  * @param {Date|string} asOfDate - Date to accrue up to (default: today)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Calculate only; nothing is saved or posted
+ * @param {string} [options.sourceType] - Ledger source for the accrual (default: the policy)
+ * @param {string} [options.sourceId]
  * @returns {Object} - Result with accrual details per leave type
  */
 export async function accrueLeaveForEmployee(
   employeeId,
-  asOfDate = new Date()
+  asOfDate = new Date(),
+  { dryRun = false, sourceType = null, sourceId = null } = {}
 ) {
   const asOfDateParsed =
     typeof asOfDate === 'string' ? parseISO(asOfDate) : asOfDate;
@@ -432,10 +583,19 @@ export async function accrueLeaveForEmployee(
     );
     if (!policy) continue;
 
-    const balance = await getOrCreateLeaveBalance(employeeId, leaveType, employee);
+    if (isAccrualExcludedForEmployee(employee, leaveType)) {
+      results[leaveType] = {
+        accrued: 0,
+        excluded: true,
+        message: 'Casual employees do not accrue paid leave',
+      };
+      continue;
+    }
+
+    const balance = await getOrCreateLeaveBalance(employeeId, leaveType, employee, { dryRun });
 
     // Link balance to resolved policy if not already linked
-    if (!balance.policy_id && policy.id) {
+    if (!dryRun && !balance.policy_id && policy.id) {
       await LeaveBalance.update(balance.id, { policy_id: policy.id });
     }
 
@@ -492,14 +652,23 @@ export async function accrueLeaveForEmployee(
     let accruedHours;
     if (
       leaveType === 'long_service' &&
-      policy.min_service_years_before_accrual
+      (policy.min_service_years_before_accrual || isCasualEmployee(employee))
     ) {
-      const lslResult = calculateLSLAccrual(
-        policy,
-        employee,
-        asOfDateParsed,
-        lastAccrualDate
-      );
+      // Casual LSL accrues on timesheet hours rather than elapsed days
+      const lslResult = isCasualEmployee(employee)
+        ? calculateCasualLSLAccrual(
+          policy,
+          employee,
+          asOfDateParsed,
+          lastAccrualDate,
+          await getTimesheetEntries(employeeId)
+        )
+        : calculateLSLAccrual(
+          policy,
+          employee,
+          asOfDateParsed,
+          lastAccrualDate
+        );
 
       if (!lslResult.eligible) {
         results[leaveType] = {
@@ -524,25 +693,36 @@ export async function accrueLeaveForEmployee(
       );
     }
 
-    // Update balance
-    const newAccruedTotal = (balance.accrued_hours || 0) + accruedHours;
-    const newAvailable =
-      (balance.opening_balance_hours || 0) +
-      newAccruedTotal +
-      (balance.adjusted_hours || 0) -
-      (balance.taken_hours || 0);
-
-    await LeaveBalance.update(balance.id, {
-      accrued_hours: newAccruedTotal,
-      available_hours: Math.round(newAvailable * 100) / 100,
-      last_accrual_date: asOfDateStr,
-    });
+    // Post to the ledger, which also moves the balance's last accrual date
+    let availableHours;
+    if (dryRun) {
+      availableHours = (await getLedgerBalance(employeeId, leaveType)) + accruedHours;
+    } else {
+      const posted = await postLedgerEntry({
+        employeeId,
+        leaveType,
+        entryType: 'accrual',
+        hours: accruedHours,
+        effectiveDate: asOfDateStr,
+        sourceType: sourceType || 'LeavePolicy',
+        sourceId: sourceType ? sourceId : policy.id,
+        description: `Accrual for ${daysSinceLastAccrual} days (${policy.name})`,
+        accruedThrough: asOfDateStr,
+      });
+      if (!posted.success) {
+        results[leaveType] = { accrued: 0, error: posted.error };
+        continue;
+      }
+      availableHours = posted.newBalance;
+    }
 
     results[leaveType] = {
       accrued: accruedHours,
       days_in_period: daysSinceLastAccrual,
-      available_hours: Math.round(newAvailable * 100) / 100,
+      available_hours: Math.round(availableHours * 100) / 100,
       policy_name: policy.name,
+      balance_id: balance.id,
+      previous_last_accrual_date: balance.last_accrual_date || null,
     };
   }
 
@@ -588,6 +768,15 @@ export async function recalculateAllBalancesForEmployee(employeeId) {
     );
     if (!policy) continue;
 
+    if (isAccrualExcludedForEmployee(employee, leaveType)) {
+      results[leaveType] = {
+        accrued: 0,
+        excluded: true,
+        message: 'Casual employees do not accrue paid leave',
+      };
+      continue;
+    }
+
     const balance = await getOrCreateLeaveBalance(employeeId, leaveType, employee);
 
     // Calculate total accrual from service start to today
@@ -606,9 +795,11 @@ export async function recalculateAllBalancesForEmployee(employeeId) {
     let totalAccruedHours;
     if (
       leaveType === 'long_service' &&
-      policy.min_service_years_before_accrual
+      (policy.min_service_years_before_accrual || isCasualEmployee(employee))
     ) {
-      const lslResult = calculateLSLAccrual(policy, employee, today, startDate);
+      const lslResult = isCasualEmployee(employee)
+        ? calculateCasualLSLAccrual(policy, employee, today, startDate, await getTimesheetEntries(employeeId))
+        : calculateLSLAccrual(policy, employee, today, startDate);
 
       if (!lslResult.eligible) {
         results[leaveType] = {
@@ -620,14 +811,17 @@ export async function recalculateAllBalancesForEmployee(employeeId) {
           eligibility_date: lslResult.eligibilityDate,
           message: lslResult.message,
         };
-        // Still update balance to show 0 accrued
-        await LeaveBalance.update(balance.id, {
-          accrued_hours: 0,
-          available_hours:
-            (balance.opening_balance_hours || 0) +
-            (balance.adjusted_hours || 0) -
-            (balance.taken_hours || 0),
-          last_accrual_date: todayStr,
+        // Still post back any accrual so the balance shows 0 accrued
+        await postLedgerEntry({
+          employeeId,
+          leaveType,
+          entryType: 'accrual',
+          hours: -(balance.accrued_hours || 0),
+          effectiveDate: todayStr,
+          sourceType: 'LeavePolicy',
+          sourceId: policy.id,
+          description: 'Recalculation: not yet eligible',
+          accruedThrough: todayStr,
         });
         continue;
       }
@@ -643,23 +837,24 @@ export async function recalculateAllBalancesForEmployee(employeeId) {
       );
     }
 
-    // Recalculate available (keep opening, taken, adjusted as-is)
-    const newAvailable =
-      (balance.opening_balance_hours || 0) +
-      totalAccruedHours +
-      (balance.adjusted_hours || 0) -
-      (balance.taken_hours || 0);
-
-    await LeaveBalance.update(balance.id, {
-      accrued_hours: Math.round(totalAccruedHours * 100) / 100,
-      available_hours: Math.round(newAvailable * 100) / 100,
-      last_accrual_date: todayStr,
+    // Post the difference so the ledger matches the recalculated accrual
+    // (opening, taken and adjusted hours are left as they are)
+    const posted = await postLedgerEntry({
+      employeeId,
+      leaveType,
+      entryType: 'accrual',
+      hours: totalAccruedHours - (balance.accrued_hours || 0),
+      effectiveDate: todayStr,
+      sourceType: 'LeavePolicy',
+      sourceId: policy.id,
+      description: `Recalculated from service start (${policy.name})`,
+      accruedThrough: todayStr,
     });
 
     results[leaveType] = {
       recalculated: true,
       accrued_hours: Math.round(totalAccruedHours * 100) / 100,
-      available_hours: Math.round(newAvailable * 100) / 100,
+      available_hours: posted.newBalance,
       days_since_start: daysSinceStart,
     };
   }
@@ -710,7 +905,8 @@ export async function recalculateAllBalancesForEntity(
 }
 
 /**
- * Apply a manual adjustment to an employee's leave balance
+ * Apply a manual adjustment to an employee's leave balance.
+ * Recorded on the leave ledger with the reason given.
  */
 export async function adjustLeaveBalance(
   employeeId,
@@ -720,21 +916,20 @@ export async function adjustLeaveBalance(
 ) {
   const balance = await getOrCreateLeaveBalance(employeeId, leaveType);
 
-  const newAdjusted = (balance.adjusted_hours || 0) + adjustmentHours;
-  const newAvailable =
-    (balance.opening_balance_hours || 0) +
-    (balance.accrued_hours || 0) +
-    newAdjusted -
-    (balance.taken_hours || 0);
-
-  await LeaveBalance.update(balance.id, {
-    adjusted_hours: newAdjusted,
-    available_hours: Math.round(newAvailable * 100) / 100,
+  const posted = await postLedgerEntry({
+    employeeId,
+    leaveType,
+    entryType: 'adjustment',
+    hours: adjustmentHours,
+    sourceType: 'LeaveBalance',
+    sourceId: balance.id,
+    description: reason || 'Manual adjustment',
   });
+  if (!posted.success) return posted;
 
   return {
     success: true,
-    new_available_hours: Math.round(newAvailable * 100) / 100,
+    new_available_hours: posted.newBalance,
   };
 }
 
@@ -742,23 +937,19 @@ export async function adjustLeaveBalance(
  * Deduct hours from balance when leave is taken/approved
  */
 export async function deductFromBalance(employeeId, leaveType, hoursToDeduct) {
-  const balance = await getOrCreateLeaveBalance(employeeId, leaveType);
-
-  const newTaken = (balance.taken_hours || 0) + hoursToDeduct;
-  const newAvailable =
-    (balance.opening_balance_hours || 0) +
-    (balance.accrued_hours || 0) +
-    (balance.adjusted_hours || 0) -
-    newTaken;
+  await getOrCreateLeaveBalance(employeeId, leaveType);
 
-  await LeaveBalance.update(balance.id, {
-    taken_hours: newTaken,
-    available_hours: Math.round(newAvailable * 100) / 100,
+  const posted = await postLedgerEntry({
+    employeeId,
+    leaveType,
+    entryType: 'leave_taken',
+    hours: -hoursToDeduct,
   });
+  if (!posted.success) return posted;
 
   return {
     success: true,
-    new_available_hours: Math.round(newAvailable * 100) / 100,
+    new_available_hours: posted.newBalance,
   };
 }
 
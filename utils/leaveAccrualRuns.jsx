@@ -0,0 +1,394 @@
+/**
+ * Leave Accrual Runs
+ *
+ * Pay-period accrual for an entity, run on purpose rather than whenever
+ * someone opens a balance. A run is previewed first (dry run: before/after
+ * balances and anomalies per employee), then committed. Committed runs are
+ * stored as LeaveAccrualRun records:
+ *
+ *   {
+ *     entity_id, period_end, pay_cycle,
+ *     status,                           // see ACCRUAL_RUN_STATUSES
+ *     employee_count, total_hours,
+ *     totals_by_leave_type,             // { annual: 112.5, personal: 56.2 }
+ *     anomaly_count,
+ *     lines: [{ employee_id, employee_name, leave_type, before, accrued, after,
+ *               balance_id, previous_last_accrual_date, anomalies,
+ *               reversed_at }],                    // set as each line is reversed
+ *     committed_by_id, committed_at, reversed_at,
+ *   }
+ *
+ * Accruals are posted to the ledger with source LeaveAccrualRun, so a run
+ * can be reversed as one unit. Reversing moves last_accrual_date back, so
+ * only the latest run across all entities can be reversed, and only while no
+ * balance in it has been accrued past the run's period end.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format, parseISO, addDays, addMonths, endOfMonth } from 'date-fns';
+import {
+  accrueLeaveForEmployee,
+  getServiceStartDate,
+  isCasualEmployee,
+} from './leaveAccrual';
+import { getLedgerBalance, postLedgerEntry } from './leaveLedger';
+import { logForCurrentUser } from './audit';
+import { invalidateLeaveCache } from './leaveEngineCache';
+import { safeNumber, formatHours } from './numberUtils';
+
+const Employee = base44.entities.Employee;
+const LeaveAccrualRun = base44.entities.LeaveAccrualRun;
+const LeaveBalance = base44.entities.LeaveBalance;
+
+export const ACCRUAL_RUN_STATUSES = {
+  running: 'Running',
+  committed: 'Committed',
+  reversed: 'Reversed',
+};
+
+export const PAY_CYCLES = {
+  weekly: 'Weekly',
+  fortnightly: 'Fortnightly',
+  monthly: 'Monthly',
+};
+
+export const ACCRUAL_ANOMALIES = {
+  no_service_start: 'No service start date',
+  zero_fte: 'Zero or missing FTE',
+  large_jump: 'Large accrual',
+  error: 'Accrual failed',
+};
+
+/** Accruals above these are flagged for a second look (e.g. missed runs). */
+export const LARGE_JUMP_HOURS = 38;
+export const LARGE_JUMP_DAYS = 45;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Period end that follows the last run for a pay cycle. Without a previous
+ * run, today.
+ *
+ * @param {Object|null} lastRun - Latest committed LeaveAccrualRun
+ * @param {string} payCycle - Key of PAY_CYCLES
+ * @returns {string} 'yyyy-MM-dd'
+ */
+export function getNextPeriodEnd(lastRun, payCycle) {
+  if (!lastRun?.period_end) return format(new Date(), 'yyyy-MM-dd');
+
+  const last = parseISO(lastRun.period_end);
+  if (payCycle === 'weekly') return format(addDays(last, 7), 'yyyy-MM-dd');
+  if (payCycle === 'fortnightly') return format(addDays(last, 14), 'yyyy-MM-dd');
+  return format(endOfMonth(addMonths(last, 1)), 'yyyy-MM-dd');
+}
+
+/**
+ * Accrual runs for an entity, newest period first.
+ *
+ * @param {string|null} entityId - null for runs across all entities
+ * @returns {Promise<Array>}
+ */
+export async function getAccrualRuns(entityId = null) {
+  const runs = (await LeaveAccrualRun.list()).filter(r => (r.entity_id || null) === entityId);
+  return runs.sort((a, b) =>
+    (b.period_end || '').localeCompare(a.period_end || '') ||
+    (b.committed_at || '').localeCompare(a.committed_at || '')
+  );
+}
+
+/**
+ * Anomalies that don't depend on the accrual amount.
+ */
+function getEmployeeAnomalies(employee) {
+  const anomalies = [];
+  if (!getServiceStartDate(employee)) anomalies.push('no_service_start');
+
+  // Part-timers without hours accrue as full-time, which is rarely intended
+  const hours = employee.hours_per_week;
+  const hasHours = hours !== null && hours !== undefined && hours !== '';
+  if (
+    !isCasualEmployee(employee) &&
+    ((hasHours && Number(hours) === 0) || (employee.employment_type === 'part_time' && !hasHours))
+  ) {
+    anomalies.push('zero_fte');
+  }
+  return anomalies;
+}
+
+/**
+ * Per-employee lines for one employee's accrual result.
+ */
+async function buildLines(employee, result) {
+  const baseAnomalies = getEmployeeAnomalies(employee);
+  const employeeName = `${employee.first_name || ''} ${employee.last_name || ''}`.trim();
+
+  if (!result.success) {
+    return [{
+      employee_id: employee.id,
+      employee_name: employeeName,
+      leave_type: null,
+      before: null,
+      accrued: 0,
+      after: null,
+      anomalies: [...baseAnomalies, 'error'],
+      message: result.error,
+    }];
+  }
+
+  const lines = [];
+  for (const [leaveType, detail] of Object.entries(result.results || {})) {
+    if (detail.excluded) continue;
+
+    const before = await getLedgerBalance(employee.id, leaveType);
+    const accrued = safeNumber(detail.accrued, 0);
+    const anomalies = [...baseAnomalies];
+    if (accrued > LARGE_JUMP_HOURS || safeNumber(detail.days_in_period, 0) > LARGE_JUMP_DAYS) {
+      anomalies.push('large_jump');
+    }
+
+    lines.push({
+      employee_id: employee.id,
+      employee_name: employeeName,
+      leave_type: leaveType,
+      before,
+      accrued,
+      after: round2(before + accrued),
+      days_in_period: detail.days_in_period || 0,
+      balance_id: detail.balance_id || null,
+      previous_last_accrual_date: detail.previous_last_accrual_date || null,
+      anomalies,
+      message: detail.message || null,
+    });
+  }
+
+  // Employees with nothing to accrue still show up when something looks wrong
+  if (lines.length === 0 && baseAnomalies.length > 0) {
+    lines.push({
+      employee_id: employee.id,
+      employee_name: employeeName,
+      leave_type: null,
+      before: null,
+      accrued: 0,
+      after: null,
+      anomalies: baseAnomalies,
+      message: null,
+    });
+  }
+
+  return lines;
+}
+
+function summariseLines(lines) {
+  const totalsByLeaveType = {};
+  for (const line of lines) {
+    if (!line.leave_type || line.accrued <= 0) continue;
+    totalsByLeaveType[line.leave_type] = round2((totalsByLeaveType[line.leave_type] || 0) + line.accrued);
+  }
+  return {
+    employeeCount: new Set(lines.map(l => l.employee_id)).size,
+    totalHours: round2(Object.values(totalsByLeaveType).reduce((sum, h) => sum + h, 0)),
+    totalsByLeaveType,
+    anomalyCount: new Set(lines.filter(l => l.anomalies.length > 0).map(l => l.employee_id)).size,
+  };
+}
+
+async function getRunEmployees(entityId) {
+  return entityId
+    ? Employee.filter({ entity_id: entityId, status: 'active' })
+    : Employee.filter({ status: 'active' });
+}
+
+/**
+ * Dry run: what an accrual run to `periodEnd` would post, without saving.
+ *
+ * @param {Object} params
+ * @param {string|null} params.entityId
+ * @param {string} params.periodEnd - 'yyyy-MM-dd'
+ * @param {function} [params.onProgress]
+ * @returns {Promise<{success: boolean, lines?: Array, summary?: Object, error?: string}>}
+ */
+export async function previewAccrualRun({ entityId = null, periodEnd, onProgress = null }) {
+  if (!periodEnd) {
+    return { success: false, error: 'Choose a period end date' };
+  }
+
+  const employees = await getRunEmployees(entityId);
+  const lines = [];
+  let processed = 0;
+
+  for (const employee of employees) {
+    const result = await accrueLeaveForEmployee(employee.id, periodEnd, { dryRun: true });
+    lines.push(...(await buildLines(employee, result)));
+    processed++;
+    if (onProgress) onProgress({ processed, total: employees.length });
+  }
+
+  return { success: true, lines, summary: summariseLines(lines) };
+}
+
+/**
+ * Commit an accrual run and store it with its totals.
+ *
+ * @param {Object} params
+ * @param {string|null} params.entityId
+ * @param {string} params.periodEnd - 'yyyy-MM-dd'
+ * @param {string} [params.payCycle]
+ * @param {Array<string>} [params.excludeEmployeeIds] - e.g. employees with anomalies to fix first
+ * @param {Object} [params.currentEmployee]
+ * @param {function} [params.onProgress]
+ * @returns {Promise<{success: boolean, run?: Object, errors?: Array, error?: string}>}
+ */
+export async function commitAccrualRun({
+  entityId = null,
+  periodEnd,
+  payCycle = null,
+  excludeEmployeeIds = [],
+  currentEmployee = null,
+  onProgress = null,
+}) {
+  if (!periodEnd) {
+    return { success: false, error: 'Choose a period end date' };
+  }
+
+  const excluded = new Set(excludeEmployeeIds);
+  const employees = (await getRunEmployees(entityId)).filter(e => !excluded.has(e.id));
+
+  const run = await LeaveAccrualRun.create({
+    entity_id: entityId,
+    period_end: periodEnd,
+    pay_cycle: payCycle,
+    status: 'running',
+    committed_by_id: currentEmployee?.id || null,
+  });
+
+  const lines = [];
+  const errors = [];
+  let processed = 0;
+
+  for (const employee of employees) {
+    try {
+      const result = await accrueLeaveForEmployee(employee.id, periodEnd, {
+        sourceType: 'LeaveAccrualRun',
+        sourceId: run.id,
+      });
+      const employeeLines = await buildLines(employee, result);
+      // Balances before the run: the ledger already includes what was just posted
+      for (const line of employeeLines) {
+        if (line.before !== null) {
+          line.after = line.before;
+          line.before = round2(line.before - line.accrued);
+        }
+      }
+      lines.push(...employeeLines);
+      if (!result.success) errors.push({ employeeId: employee.id, error: result.error });
+      invalidateLeaveCache(employee.id);
+    } catch (error) {
+      errors.push({ employeeId: employee.id, error: error.message });
+    }
+    processed++;
+    if (onProgress) onProgress({ processed, total: employees.length });
+  }
+
+  const summary = summariseLines(lines);
+  const completion = {
+    status: 'committed',
+    employee_count: summary.employeeCount,
+    total_hours: summary.totalHours,
+    totals_by_leave_type: summary.totalsByLeaveType,
+    anomaly_count: summary.anomalyCount,
+    excluded_employee_ids: [...excluded],
+    lines: lines.filter(l => l.accrued > 0 || l.anomalies.length > 0),
+    committed_at: new Date().toISOString(),
+  };
+  await LeaveAccrualRun.update(run.id, completion);
+
+  await logForCurrentUser({
+    eventType: 'leave_accrual_run',
+    entityType: 'LeaveAccrualRun',
+    entityId: run.id,
+    description: `Accrual run to ${periodEnd}: ${summary.employeeCount} employees, ${formatHours(summary.totalHours)}h accrued${errors.length > 0 ? `, ${errors.length} failed` : ''}`,
+  });
+
+  return { success: errors.length === 0, run: { ...run, ...completion }, errors };
+}
+
+/**
+ * Reverse a committed run: post the opposite of each accrual and move each
+ * balance's last accrual date back, so the period can be run again.
+ * Each line is marked as it is reversed, so a run that fails part way can be
+ * reversed again without reversing any line twice.
+ *
+ * @param {Object} runToReverse - LeaveAccrualRun
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function reverseAccrualRun(runToReverse) {
+  // Lines reversed by an earlier attempt are only on the stored run
+  const run = (await LeaveAccrualRun.filter({ id: runToReverse.id }))[0] || runToReverse;
+  if (run.status !== 'committed') {
+    return { success: false, error: 'Only committed runs can be reversed' };
+  }
+
+  // Runs for one entity and for all entities can cover the same balances
+  const later = (await LeaveAccrualRun.list()).find(r =>
+    r.id !== run.id &&
+    r.status === 'committed' &&
+    ((r.period_end || '') > run.period_end ||
+      (r.period_end === run.period_end && (r.committed_at || '') > (run.committed_at || '')))
+  );
+  if (later) {
+    return { success: false, error: `Reverse the later run to ${later.period_end} first` };
+  }
+
+  const lines = (run.lines || []).map(line => ({ ...line }));
+  const pending = lines.filter(line => line.leave_type && line.accrued > 0 && !line.reversed_at);
+
+  // Moving the date back past accrual made since the run would accrue it twice
+  for (const line of pending) {
+    if (!line.balance_id) continue;
+    const balance = (await LeaveBalance.filter({ id: line.balance_id }))[0];
+    if (balance?.last_accrual_date && balance.last_accrual_date > run.period_end) {
+      return {
+        success: false,
+        error: `${line.employee_name || 'An employee'}'s ${line.leave_type} leave has been accrued to ${balance.last_accrual_date} since this run`,
+      };
+    }
+  }
+
+  try {
+    for (const line of pending) {
+      const posted = await postLedgerEntry({
+        employeeId: line.employee_id,
+        leaveType: line.leave_type,
+        entryType: 'reversal',
+        hours: -line.accrued,
+        effectiveDate: run.period_end,
+        sourceType: 'LeaveAccrualRun',
+        sourceId: run.id,
+        description: `Reversal of accrual run to ${run.period_end}`,
+        accruedThrough: line.previous_last_accrual_date,
+      });
+      if (!posted.success) throw new Error(posted.error);
+
+      line.reversed_at = new Date().toISOString();
+      await LeaveAccrualRun.update(run.id, { lines });
+      invalidateLeaveCache(line.employee_id);
+    }
+
+    await LeaveAccrualRun.update(run.id, {
+      status: 'reversed',
+      reversed_at: new Date().toISOString(),
+    });
+
+    await logForCurrentUser({
+      eventType: 'leave_accrual_run_reversed',
+      entityType: 'LeaveAccrualRun',
+      entityId: run.id,
+      description: `Reversed accrual run to ${run.period_end} (${formatHours(run.total_hours)}h)`,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error reversing accrual run:', error);
+    return { success: false, error: error.message };
+  }
+}
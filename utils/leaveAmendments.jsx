@@ -0,0 +1,180 @@
+import { format, parseISO } from 'date-fns';
+import { formatHours } from './numberUtils';
+
+/**
+ * Leave Request Amendments
+ *
+ * A submitted request can be amended to new dates or hours instead of being
+ * cancelled and resubmitted, so it keeps its id and approval history. Every
+ * version is kept in LeaveRequest.revisions:
+ *
+ *   {
+ *     revision,                         // 1 = as first submitted
+ *     start_date, end_date, partial_day_type, day_overrides,
+ *     total_days, total_hours,
+ *     status,                           // see REVISION_STATUSES
+ *     approval_steps, current_step,     // the chain this version went through
+ *     reason,                           // why it was amended (none for revision 1)
+ *     proposed_by_id, proposed_at, decided_at,
+ *   }
+ *
+ * The request itself always holds the latest version. Amending approved
+ * leave puts it back to 'pending' with amendment_pending: true; if the
+ * amendment is declined the last approved version is restored. The balance
+ * moves only by the difference: applied_hours records what is posted to the
+ * ledger for the request (see applyApprovedLeave).
+ */
+
+export const REVISION_STATUSES = {
+  submitted: 'Submitted',
+  proposed: 'Proposed',
+  approved: 'Approved',
+  declined: 'Declined',
+  superseded: 'Superseded',
+};
+
+/** Request fields that make up a version of the leave. */
+export const REVISION_FIELDS = [
+  'start_date',
+  'end_date',
+  'partial_day_type',
+  'day_overrides',
+  'total_days',
+  'total_hours',
+];
+
+/**
+ * Revisions recorded on a request, oldest first.
+ */
+export function getRequestRevisions(request) {
+  return Array.isArray(request?.revisions) ? request.revisions : [];
+}
+
+/**
+ * The version fields of a request (or revision).
+ */
+export function pickRevisionFields(source) {
+  const fields = {};
+  for (const field of REVISION_FIELDS) {
+    fields[field] = source?.[field] ?? null;
+  }
+  return fields;
+}
+
+/**
+ * Whether proposed dates/hours differ from the request's current version.
+ */
+export function isAmendmentChanged(request, proposed) {
+  const current = pickRevisionFields(request);
+  return (
+    current.start_date !== proposed.start_date ||
+    current.end_date !== proposed.end_date ||
+    (current.partial_day_type || 'full') !== (proposed.partial_day_type || 'full') ||
+    JSON.stringify(current.day_overrides || null) !== JSON.stringify(proposed.day_overrides || null)
+  );
+}
+
+/**
+ * Revision history after proposing an amendment. The first amendment also
+ * records the request as originally submitted; an earlier proposal that was
+ * never decided is marked superseded.
+ *
+ * @param {Object} request - LeaveRequest before the amendment
+ * @param {Object} proposed - New version fields (see REVISION_FIELDS)
+ * @param {Object} params
+ * @param {string} params.status - 'proposed', or 'approved' when no approval is needed
+ * @param {string} [params.reason] - Why the request was amended
+ * @param {string} [params.proposedById] - Employee who amended it
+ * @param {Array} [params.approvalSteps] - Approval chain for the new version
+ * @returns {Array}
+ */
+export function buildAmendmentRevisions(request, proposed, { status, reason = null, proposedById = null, approvalSteps = [] }) {
+  const now = new Date().toISOString();
+  let revisions = getRequestRevisions(request).map(r => ({ ...r }));
+
+  if (revisions.length === 0) {
+    revisions = [{
+      revision: 1,
+      ...pickRevisionFields(request),
+      status: request.status === 'approved' ? 'approved' : 'submitted',
+      approval_steps: request.approval_steps || [],
+      current_step: request.current_step ?? 0,
+      reason: null,
+      proposed_by_id: request.employee_id,
+      proposed_at: request.created_date || null,
+      decided_at: request.approved_at || null,
+    }];
+  }
+
+  const last = revisions[revisions.length - 1];
+  if (last.status === 'proposed' || last.status === 'submitted') {
+    last.status = 'superseded';
+    last.approval_steps = request.approval_steps || last.approval_steps || [];
+    last.decided_at = now;
+  }
+
+  revisions.push({
+    revision: last.revision + 1,
+    ...pickRevisionFields(proposed),
+    status,
+    approval_steps: approvalSteps,
+    current_step: 0,
+    reason: reason || null,
+    proposed_by_id: proposedById,
+    proposed_at: now,
+    decided_at: status === 'approved' ? now : null,
+  });
+
+  return revisions;
+}
+
+/**
+ * Revision history with the latest version decided.
+ *
+ * @param {Array} revisions
+ * @param {'approved'|'declined'} status
+ * @param {Object} [params]
+ * @param {Array} [params.approvalSteps] - The chain as decided
+ * @returns {Array}
+ */
+export function resolveLatestRevision(revisions, status, { approvalSteps = null } = {}) {
+  if (!Array.isArray(revisions) || revisions.length === 0) return revisions;
+
+  return revisions.map((revision, index) => {
+    if (index !== revisions.length - 1) return revision;
+    return {
+      ...revision,
+      status,
+      approval_steps: approvalSteps || revision.approval_steps,
+      decided_at: new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * The approved version to fall back to when an amendment is declined.
+ *
+ * @returns {Object|null} Revision, or null when the request has none
+ */
+export function getRestorableRevision(request) {
+  const revisions = getRequestRevisions(request);
+  for (let i = revisions.length - 2; i >= 0; i--) {
+    if (revisions[i].status === 'approved') return revisions[i];
+  }
+  return null;
+}
+
+/**
+ * Short description of a version, e.g. "05 Mar – 07 Mar 2025 · 22.8h".
+ */
+export function describeRevision(revision) {
+  const start = format(parseISO(revision.start_date), 'dd MMM');
+  const end = format(parseISO(revision.end_date), 'dd MMM yyyy');
+  const dates = revision.start_date === revision.end_date ? end : `${start} – ${end}`;
+  const halfDay = revision.partial_day_type === 'half_am'
+    ? ' (AM)'
+    : revision.partial_day_type === 'half_pm' ? ' (PM)' : '';
+  return Number.isFinite(revision.total_hours)
+    ? `${dates}${halfDay} · ${formatHours(revision.total_hours)}h`
+    : `${dates}${halfDay}`;
+}
@@ -0,0 +1,366 @@
+/**
+ * Leave Approval Chains
+ *
+ * Routes leave requests through one or more approval steps, with time-boxed
+ * delegation. Stale steps are escalated daily by the escalateLeaveApprovals
+ * backend function (functions/escalateLeaveApprovals.ts), which builds steps
+ * the same way as newStep below.
+ *
+ * LeaveApprovalChain records (configured per leave type and/or entity):
+ *   {
+ *     name, leave_type_id, entity_id,   // null = any
+ *     steps: [{ approver: 'manager' | 'senior_manager' | 'hr', min_days }],
+ *     escalate_after_days,              // null = never escalate
+ *     is_active,
+ *   }
+ * A step with `min_days` only applies to requests longer than that many days.
+ * Without a matching chain a request goes to the employee's manager only.
+ *
+ * Each request records its steps on `approval_steps`:
+ *   { approver_type, approver_id, status, started_at, acted_by_id, acted_at,
+ *     comment, delegated_from_id, escalated_from_id }
+ * with `current_step` pointing at the step awaiting a decision.
+ *
+ * LeaveApprovalDelegation records let an approver hand their approvals to
+ * another employee between two dates.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format } from 'date-fns';
+import { NotificationCategory } from './notificationHelpers';
+import { sendNotification } from './notifications';
+import { logForCurrentUser } from './audit';
+import { safeNumber } from './numberUtils';
+
+const Employee = base44.entities.Employee;
+const LeaveApprovalChain = base44.entities.LeaveApprovalChain;
+const LeaveApprovalDelegation = base44.entities.LeaveApprovalDelegation;
+
+export const APPROVER_TYPES = {
+  manager: 'Manager',
+  senior_manager: "Manager's manager",
+  hr: 'HR / admin',
+};
+
+export const APPROVAL_STEP_STATUSES = {
+  waiting: 'Waiting',
+  pending: 'Awaiting decision',
+  approved: 'Approved',
+  declined: 'Declined',
+  escalated: 'Escalated',
+};
+
+function todayStr() {
+  return format(new Date(), 'yyyy-MM-dd');
+}
+
+// ============================================
+// Delegation
+// ============================================
+
+/**
+ * Employees who have delegated their approvals to this employee on a date.
+ *
+ * @param {string} delegateId - Employee ID of the delegate
+ * @param {string} [date] - yyyy-MM-dd (default: today)
+ * @returns {Promise<Array<string>>} Delegator employee IDs
+ */
+export async function getActiveDelegatorIds(delegateId, date = todayStr()) {
+  if (!delegateId) return [];
+  const delegations = await LeaveApprovalDelegation.filter({ delegate_id: delegateId });
+  return delegations
+    .filter((d) => d.is_active !== false && d.start_date <= date && d.end_date >= date)
+    .map((d) => d.delegator_id);
+}
+
+/**
+ * Employees currently acting for this approver.
+ *
+ * @param {string} delegatorId - Employee ID of the approver
+ * @param {string} [date] - yyyy-MM-dd (default: today)
+ * @returns {Promise<Array<string>>} Delegate employee IDs
+ */
+export async function getActiveDelegateIds(delegatorId, date = todayStr()) {
+  if (!delegatorId) return [];
+  const delegations = await LeaveApprovalDelegation.filter({ delegator_id: delegatorId });
+  return delegations
+    .filter((d) => d.is_active !== false && d.start_date <= date && d.end_date >= date)
+    .map((d) => d.delegate_id);
+}
+
+/**
+ * Delegate an approver's leave approvals to another employee for a period.
+ *
+ * @param {Object} params
+ * @param {Object} params.delegator - Approver's employee record
+ * @param {string} params.delegateId - Employee ID acting on their behalf
+ * @param {string} params.startDate - yyyy-MM-dd
+ * @param {string} params.endDate - yyyy-MM-dd
+ * @param {string} [params.reason] - e.g. 'Annual leave'
+ * @returns {Promise<{success: boolean, delegation?: Object, error?: string}>}
+ */
+export async function createApprovalDelegation({ delegator, delegateId, startDate, endDate, reason = '' }) {
+  if (!delegator?.id || !delegateId) {
+    return { success: false, error: 'Choose who will approve on your behalf' };
+  }
+  if (delegateId === delegator.id) {
+    return { success: false, error: 'You cannot delegate approvals to yourself' };
+  }
+  if (!startDate || !endDate || endDate < startDate) {
+    return { success: false, error: 'End date must be on or after the start date' };
+  }
+
+  try {
+    const delegation = await LeaveApprovalDelegation.create({
+      delegator_id: delegator.id,
+      delegate_id: delegateId,
+      start_date: startDate,
+      end_date: endDate,
+      reason: reason || null,
+      is_active: true,
+    });
+
+    await logForCurrentUser({
+      eventType: 'leave_approval_delegated',
+      entityType: 'LeaveApprovalDelegation',
+      entityId: delegation.id,
+      relatedEmployeeId: delegator.id,
+      description: `Delegated leave approvals from ${startDate} to ${endDate}`,
+      metadata: { delegateId },
+    });
+
+    return { success: true, delegation };
+  } catch (error) {
+    console.error('Error creating approval delegation:', error);
+    return { success: false, error: error.message || 'Failed to save delegation' };
+  }
+}
+
+/**
+ * End a delegation early.
+ *
+ * @param {Object} delegation - LeaveApprovalDelegation record
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function cancelApprovalDelegation(delegation) {
+  try {
+    await LeaveApprovalDelegation.update(delegation.id, { is_active: false });
+    await logForCurrentUser({
+      eventType: 'leave_approval_delegation_cancelled',
+      entityType: 'LeaveApprovalDelegation',
+      entityId: delegation.id,
+      relatedEmployeeId: delegation.delegator_id,
+      description: 'Cancelled leave approval delegation',
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling approval delegation:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// Chains and steps
+// ============================================
+
+/**
+ * Most specific active chain for a request: leave type + entity, then leave
+ * type, then entity, then a catch-all chain.
+ *
+ * @param {Object} request - LeaveRequest (or payload) with leave_type_id
+ * @param {Object} employee - Employee record
+ * @returns {Promise<Object|null>} LeaveApprovalChain or null
+ */
+export async function getApprovalChainForRequest(request, employee) {
+  const chains = await LeaveApprovalChain.list();
+
+  let best = null;
+  let bestScore = -1;
+  for (const chain of chains) {
+    if (chain.is_active === false) continue;
+    if (chain.leave_type_id && chain.leave_type_id !== request.leave_type_id) continue;
+    if (chain.entity_id && chain.entity_id !== employee?.entity_id) continue;
+
+    const score = (chain.leave_type_id ? 2 : 0) + (chain.entity_id ? 1 : 0);
+    if (score > bestScore) {
+      best = chain;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+async function getManagerId(employeeId) {
+  if (!employeeId) return null;
+  const employees = await Employee.filter({ id: employeeId });
+  return employees[0]?.manager_id || null;
+}
+
+function newStep(approverType, approverId, extra = {}) {
+  return {
+    approver_type: approverType,
+    approver_id: approverId,
+    status: 'waiting',
+    started_at: null,
+    acted_by_id: null,
+    acted_at: null,
+    comment: null,
+    delegated_from_id: null,
+    escalated_from_id: null,
+    ...extra,
+  };
+}
+
+/**
+ * Build the approval steps for a new request.
+ *
+ * @param {Object} request - Request payload (leave_type_id, total_days)
+ * @param {Object} employee - Employee record
+ * @param {Object} [options]
+ * @param {boolean} [options.requireHr] - Always end with an HR step (e.g. leave in advance)
+ * @returns {Promise<{steps: Array, chain: Object|null}>} Empty steps = nothing to approve
+ */
+export async function buildApprovalSteps(request, employee, { requireHr = false } = {}) {
+  const chain = await getApprovalChainForRequest(request, employee);
+  const chainSteps = chain?.steps?.length ? chain.steps : [{ approver: 'manager' }];
+  const days = safeNumber(request.total_days, 0);
+
+  const steps = [];
+  for (const step of chainSteps) {
+    if (Number.isFinite(step.min_days) && days <= step.min_days) continue;
+
+    let approverType = step.approver;
+    let approverId = null;
+    if (approverType === 'manager') {
+      approverId = employee.manager_id || null;
+    } else if (approverType === 'senior_manager') {
+      approverId = await getManagerId(employee.manager_id);
+    }
+
+    // Without a default chain, employees with no manager are auto-approved
+    if (!chain && !approverId) continue;
+
+    // A manager step nobody can fill goes to HR
+    if (approverType !== 'hr' && !approverId) approverType = 'hr';
+
+    const previous = steps[steps.length - 1];
+    if (previous && previous.approver_type === approverType && previous.approver_id === approverId) continue;
+
+    steps.push(newStep(approverType, approverId));
+  }
+
+  if (requireHr && steps[steps.length - 1]?.approver_type !== 'hr') {
+    steps.push(newStep('hr', null));
+  }
+
+  if (steps.length > 0) {
+    steps[0] = { ...steps[0], status: 'pending', started_at: new Date().toISOString() };
+  }
+
+  return { steps, chain };
+}
+
+/**
+ * The step currently awaiting a decision.
+ *
+ * @param {Object} request - LeaveRequest
+ * @returns {Object|null}
+ */
+export function getCurrentApprovalStep(request) {
+  const steps = request?.approval_steps;
+  if (!Array.isArray(steps) || steps.length === 0) return null;
+  return steps[request.current_step || 0] || null;
+}
+
+/**
+ * Whether a request is waiting on one of these employees (directly or
+ * through delegation).
+ *
+ * @param {Object} request - LeaveRequest
+ * @param {Array<string>} employeeIds - Approver employee IDs
+ * @returns {boolean}
+ */
+export function isAwaitingApprover(request, employeeIds) {
+  if (request?.status !== 'pending') return false;
+  const step = getCurrentApprovalStep(request);
+  const approverId = step ? step.approver_id : request.manager_id;
+  return !!approverId && employeeIds.includes(approverId);
+}
+
+/**
+ * Record a decision on the current step.
+ *
+ * @param {Object} request - LeaveRequest with approval_steps
+ * @param {Object} params
+ * @param {string} params.decision - 'approved' | 'declined'
+ * @param {string} [params.actorId] - Employee ID of whoever acted
+ * @param {Array<string>} [params.delegatorIds] - Delegations held by the actor
+ * @param {string} [params.comment]
+ * @returns {{approval_steps: Array, current_step: number, isComplete: boolean, nextStep: Object|null}}
+ */
+export function recordApprovalDecision(request, { decision, actorId = null, delegatorIds = [], comment = '' }) {
+  const steps = (request.approval_steps || []).map((s) => ({ ...s }));
+  const index = request.current_step || 0;
+  const now = new Date().toISOString();
+  const step = steps[index];
+
+  if (step) {
+    const viaDelegation = step.approver_id && step.approver_id !== actorId && delegatorIds.includes(step.approver_id);
+    steps[index] = {
+      ...step,
+      status: decision,
+      acted_by_id: actorId,
+      acted_at: now,
+      comment: comment || null,
+      delegated_from_id: viaDelegation ? step.approver_id : null,
+    };
+  }
+
+  const nextIndex = index + 1;
+  const hasNext = decision === 'approved' && nextIndex < steps.length;
+  if (hasNext) {
+    steps[nextIndex] = { ...steps[nextIndex], status: 'pending', started_at: now };
+  }
+
+  return {
+    approval_steps: steps,
+    current_step: hasNext ? nextIndex : index,
+    isComplete: !hasNext,
+    nextStep: hasNext ? steps[nextIndex] : null,
+  };
+}
+
+/**
+ * Notify the approver of a step (and anyone acting for them) that a
+ * request is waiting. HR steps appear in the admin queue instead.
+ *
+ * @param {Object} step - Approval step
+ * @param {Object} request - LeaveRequest
+ * @param {Object} employee - Requesting employee
+ */
+export async function notifyStepApprover(step, request, employee) {
+  if (!step?.approver_id) return;
+
+  try {
+    const recipientIds = [step.approver_id, ...(await getActiveDelegateIds(step.approver_id))];
+    const recipients = await Promise.all(recipientIds.map((id) => Employee.filter({ id })));
+    const employeeName = `${employee?.preferred_name || employee?.first_name || 'An employee'} ${employee?.last_name || ''}`.trim();
+
+    for (const [recipient] of recipients) {
+      if (!recipient?.user_id) continue;
+      await sendNotification({
+        userId: recipient.user_id,
+        type: 'leave_submitted',
+        title: step.escalated_from_id ? 'Leave request escalated to you' : 'Leave request awaiting approval',
+        message: `${employeeName}'s leave request from ${request.start_date} to ${request.end_date} needs your approval`,
+        category: NotificationCategory.LEAVE_REQUESTS,
+        link: '/LeaveApprovals',
+        sendEmail: true,
+        relatedEmployeeId: request.employee_id,
+        relatedRequestId: request.id,
+      });
+    }
+  } catch (error) {
+    console.error('Error notifying approver:', error);
+  }
+}
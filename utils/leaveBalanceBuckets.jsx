@@ -0,0 +1,135 @@
+/**
+ * Leave Balance Buckets
+ *
+ * Maps leave types to the balance they draw from. A LeaveType may set
+ * `balance_bucket` explicitly to one of BALANCE_BUCKETS, or to NO_BALANCE
+ * for unpaid / uncapped types (e.g. unpaid, compassionate, FDV, community
+ * service) that never deduct from a balance.
+ *
+ * Leave types without an explicit mapping are inferred from their code/name
+ * so existing data keeps working.
+ */
+
+import { base44 } from '@/api/base44Client';
+
+const LeaveType = base44.entities.LeaveType;
+
+/** Leave types mapped to this value are not deducted from any balance. */
+export const NO_BALANCE = 'none';
+
+/** Balance buckets, keyed to match LeavePolicy.leave_type. */
+export const BALANCE_BUCKET_LABELS = {
+  annual: 'Annual Leave',
+  personal: 'Personal/Carer\'s Leave',
+  long_service: 'Long Service Leave',
+  parental: 'Parental Leave',
+  compassionate: 'Compassionate Leave',
+  other: 'Other Leave',
+};
+
+export const BALANCE_BUCKETS = ['annual', 'personal', 'long_service', 'parental', 'compassionate', 'other'];
+
+/** Buckets every employee has, regardless of leave type configuration. */
+export const DEFAULT_BALANCE_BUCKETS = ['annual', 'personal', 'long_service'];
+
+/**
+ * Infer the bucket for a leave type without an explicit mapping.
+ *
+ * @param {Object} leaveType - LeaveType record
+ * @returns {string} Bucket key or NO_BALANCE
+ */
+export function inferBalanceBucket(leaveType) {
+  if (!leaveType) return 'annual';
+
+  const code = (leaveType.code || leaveType.name || '').toLowerCase();
+
+  if (leaveType.is_paid === false || code.includes('unpaid')) return NO_BALANCE;
+  if (code.includes('personal') || code.includes('sick') || code.includes('carer')) return 'personal';
+  if (code.includes('long') || code.includes('lsl')) return 'long_service';
+  if (
+    code.includes('compassionate') ||
+    code.includes('bereave') ||
+    code.includes('fdv') ||
+    code.includes('domestic') ||
+    code.includes('community') ||
+    code.includes('jury')
+  ) {
+    return NO_BALANCE;
+  }
+
+  return 'annual';
+}
+
+/**
+ * Resolve the bucket a leave type draws from.
+ *
+ * @param {Object} leaveType - LeaveType record
+ * @returns {string} Bucket key or NO_BALANCE
+ */
+export function getBalanceBucket(leaveType) {
+  const configured = leaveType?.balance_bucket;
+  if (configured === NO_BALANCE) return NO_BALANCE;
+  if (configured === 'sick') return 'personal';
+  if (configured && BALANCE_BUCKETS.includes(configured)) return configured;
+  return inferBalanceBucket(leaveType);
+}
+
+/**
+ * Resolve the bucket for a leave type ID.
+ *
+ * @param {string} leaveTypeId - LeaveType ID
+ * @param {Array} [allLeaveTypes] - Preloaded leave types (fetched if omitted)
+ * @returns {Promise<string>} Bucket key or NO_BALANCE
+ */
+export async function getBalanceBucketForLeaveTypeId(leaveTypeId, allLeaveTypes = null) {
+  let leaveType;
+  if (allLeaveTypes) {
+    leaveType = allLeaveTypes.find((lt) => lt.id === leaveTypeId);
+  } else {
+    const matches = await LeaveType.filter({ id: leaveTypeId });
+    leaveType = matches[0];
+  }
+
+  if (!leaveType) return 'annual';
+  return getBalanceBucket(leaveType);
+}
+
+/**
+ * Whether leave in this bucket deducts from a balance.
+ *
+ * @param {string} bucket - Bucket key
+ * @returns {boolean}
+ */
+export function drawsFromBalance(bucket) {
+  return !!bucket && bucket !== NO_BALANCE;
+}
+
+/**
+ * Buckets to show for an organisation: the defaults plus any bucket
+ * an active leave type is mapped to.
+ *
+ * @param {Array} leaveTypes - LeaveType records
+ * @returns {string[]} Bucket keys in display order
+ */
+export function getActiveBalanceBuckets(leaveTypes = []) {
+  const used = new Set(DEFAULT_BALANCE_BUCKETS);
+  for (const lt of leaveTypes) {
+    if (lt.is_active === false) continue;
+    const bucket = getBalanceBucket(lt);
+    if (drawsFromBalance(bucket)) used.add(bucket);
+  }
+  return BALANCE_BUCKETS.filter((bucket) => used.has(bucket));
+}
+
+/**
+ * Active leave types that draw from a bucket (for "Covers: …" labels).
+ *
+ * @param {string} bucket - Bucket key
+ * @param {Array} leaveTypes - LeaveType records
+ * @returns {Array} Matching LeaveType records
+ */
+export function getLeaveTypesForBucket(bucket, leaveTypes = []) {
+  return leaveTypes.filter(
+    (lt) => lt.is_active !== false && getBalanceBucket(lt) === bucket,
+  );
+}
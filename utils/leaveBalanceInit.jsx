@@ -1,10 +1,13 @@
 import { base44 } from '@/api/base44Client';
+import { getBalanceBucket, drawsFromBalance } from './leaveBalanceBuckets';
 
 const EmployeeLeaveBalance = base44.entities.EmployeeLeaveBalance;
+const LeaveType = base44.entities.LeaveType;
 
 /**
  * Initialize leave balance records for a new employee.
- * Creates annual and personal leave balance records with 0 hours.
+ * Creates a 0-hour record for annual and personal leave, plus any other
+ * balance bucket an active leave type draws from.
  * 
  * @param {string} employeeId - The employee ID
  * @param {string} startDate - The employee's start date (optional, defaults to today)
@@ -16,7 +19,12 @@ export async function initializeLeaveBalances(employeeId, startDate = null) {
   const existing = await EmployeeLeaveBalance.filter({ employee_id: employeeId });
   
   const existingTypes = new Set(existing.map(b => b.leave_type));
-  const leaveTypes = ['annual', 'personal'];
+  const activeTypes = await LeaveType.filter({ is_active: true });
+  const leaveTypes = new Set(['annual', 'personal']);
+  for (const lt of activeTypes) {
+    const bucket = getBalanceBucket(lt);
+    if (drawsFromBalance(bucket)) leaveTypes.add(bucket);
+  }
   
   const toCreate = [];
   
@@ -5,9 +5,25 @@ import {
   getApplicablePolicyForEmployee,
   calculateAccrualForPeriod,
   calculateLSLAccrual,
+  calculateCasualLSLAccrual,
+  getTimesheetEntries,
+  isCasualEmployee,
+  isAccrualExcludedForEmployee,
 } from './leaveAccrual';
 import { calculateChargeableLeave } from './LeaveEngine';
 import { safeNumber } from './numberUtils';
+import {
+  getWorkPattern,
+  hasCustomWorkPattern,
+  getAverageHoursPerWorkDay,
+} from './workPattern';
+import {
+  getBalanceBucketForLeaveTypeId,
+  getActiveBalanceBuckets,
+  getLeaveTypesForBucket,
+} from './leaveBalanceBuckets';
+import { getLedgerEntries, summarizeLedgerEntries } from './leaveLedger';
+import { getStateLslForEmployee } from './lslRules';
 
 const Employee = base44.entities.Employee;
 const LeaveRequest = base44.entities.LeaveRequest;
@@ -19,66 +35,51 @@ const LeaveBalance = base44.entities.LeaveBalance;
  *
  * Single source of truth for computing leave balances per employee.
  * Used by dashboard tiles, My Leave page, and any other leave balance views.
+ * Balances are read from the leave ledger (see leaveLedger).
  *
  * This service is side-effect free - it only computes and returns balances.
  * It does NOT write to the database.
  */
 
 /**
- * Map a leave type ID to a balance category ('annual', 'personal', 'long_service')
- *
- * @param {string} leaveTypeId - The leave type ID
- * @param {Array} allLeaveTypes - All leave types (optional, will be fetched if not provided)
- * @returns {Promise<string>} The balance category
- */
-async function getBalanceCategory(leaveTypeId, allLeaveTypes = null) {
-  if (!allLeaveTypes) {
-    allLeaveTypes = await LeaveType.list();
-  }
-
-  const leaveType = allLeaveTypes.find((lt) => lt.id === leaveTypeId);
-  if (!leaveType) return 'annual';
-
-  const code = (leaveType.code || leaveType.name || '').toLowerCase();
-
-  if (code.includes('personal') || code.includes('sick') || code.includes('carer')) {
-    return 'personal';
-  }
-  if (code.includes('long') || code.includes('lsl')) {
-    return 'long_service';
-  }
-  return 'annual';
-}
-
-/**
- * Calculate used leave hours for an employee and leave type category.
- * Includes APPROVED and PENDING requests (pending = reserved).
+ * Calculate leave hours reserved by requests but not yet on the ledger.
+ * Approved requests are posted to the ledger on approval (applied_hours), so
+ * this is mostly PENDING requests and pending amendments that add hours.
  *
  * @param {string} employeeId - The employee ID
- * @param {string} category - 'annual', 'personal', or 'long_service'
+ * @param {string} category - Balance bucket (see leaveBalanceBuckets)
  * @param {Object} employee - Employee object (for hours calculation)
  * @param {Object} policy - Policy object (for standard_hours_per_day)
  * @param {Array} allLeaveTypes - All leave types
- * @returns {Promise<{approved: number, pending: number, total: number}>} Used hours breakdown
+ * @param {string} [excludeRequestId] - Request to leave out (e.g. the one being checked)
+ * @returns {Promise<{approved: number, pending: number, total: number, futureApproved: number}>}
+ *   Unposted hours by request status; futureApproved is all approved hours starting after today
  */
 async function calculateUsedLeaveHours(
   employeeId,
   category,
   employee,
   policy,
-  allLeaveTypes
+  allLeaveTypes,
+  excludeRequestId = null
 ) {
   // Get all leave requests for this employee
   const allRequests = await LeaveRequest.filter({ employee_id: employeeId });
 
   // Filter to approved and pending
   const relevantRequests = allRequests.filter(
-    (r) => r.status === 'approved' || r.status === 'pending'
+    (r) =>
+      (r.status === 'approved' || r.status === 'pending') &&
+      r.id !== excludeRequestId
   );
+  const todayStr = format(new Date(), 'yyyy-MM-dd');
 
   // Derive hoursPerDay
+  const usePattern = hasCustomWorkPattern(employee);
   let hoursPerDay;
-  if (
+  if (usePattern) {
+    hoursPerDay = getAverageHoursPerWorkDay(getWorkPattern(employee));
+  } else if (
     Number.isFinite(policy?.standard_hours_per_day) &&
     policy.standard_hours_per_day > 0
   ) {
@@ -94,31 +95,46 @@ async function calculateUsedLeaveHours(
 
   let approvedHours = 0;
   let pendingHours = 0;
+  let futureApprovedHours = 0;
 
   for (const req of relevantRequests) {
     // Check if this request belongs to this category
-    const reqCategory = await getBalanceCategory(req.leave_type_id, allLeaveTypes);
+    const reqCategory = await getBalanceBucketForLeaveTypeId(req.leave_type_id, allLeaveTypes);
     if (reqCategory !== category) continue;
 
-    // Use total_days from request (which already includes half-day adjustments)
-    // or calculate chargeable days if missing
-    let chargeableDays = req.total_days;
-    if (!chargeableDays || chargeableDays <= 0) {
+    // Prefer total_hours stored at submission (already work-pattern aware),
+    // then total_days (which already includes half-day adjustments),
+    // else calculate chargeable leave if missing
+    const hasDayOverrides = Object.keys(req.day_overrides || {}).length > 0;
+    let hours;
+    if (Number.isFinite(req.total_hours) && req.total_hours > 0) {
+      hours = req.total_hours;
+    } else if (!usePattern && !hasDayOverrides && req.total_days > 0) {
+      hours = req.total_days * hoursPerDay;
+    } else {
       const breakdown = await calculateChargeableLeave({
         start_date: req.start_date,
         end_date: req.end_date,
         employee_id: employeeId,
         partial_day_type: req.partial_day_type || 'full',
+        day_overrides: req.day_overrides || null,
       });
-      chargeableDays = breakdown.chargeableDays || 0;
+      hours = usePattern || hasDayOverrides
+        ? breakdown.hoursDeducted || 0
+        : (breakdown.chargeableDays || 0) * hoursPerDay;
     }
 
-    const hours = chargeableDays * hoursPerDay;
+    // Approved requests from before applied_hours are fully posted
+    const appliedHours = Number.isFinite(req.applied_hours)
+      ? req.applied_hours
+      : req.status === 'approved' ? hours : 0;
+    const unposted = Math.max(0, hours - appliedHours);
 
     if (req.status === 'approved') {
-      approvedHours += hours;
+      approvedHours += unposted;
+      if (req.start_date > todayStr) futureApprovedHours += hours;
     } else {
-      pendingHours += hours;
+      pendingHours += unposted;
     }
   }
 
@@ -126,6 +142,7 @@ async function calculateUsedLeaveHours(
     approved: Math.round(approvedHours * 100) / 100,
     pending: Math.round(pendingHours * 100) / 100,
     total: Math.round((approvedHours + pendingHours) * 100) / 100,
+    futureApproved: Math.round(futureApprovedHours * 100) / 100,
   };
 }
 
@@ -137,13 +154,17 @@ async function calculateUsedLeaveHours(
  * @param {string} leaveType - 'annual', 'personal', or 'long_service'
  * @param {Object} policy - Applicable leave policy
  * @param {Date} asOfDate - Date to calculate up to
- * @returns {Promise<{accrued: number, eligible: boolean, message?: string}>}
+ * @returns {Promise<{accrued: number, eligible: boolean, message?: string, unvestedHours?: number, lsl?: Object}>}
  */
 async function calculateAccruedHours(employee, leaveType, policy, asOfDate) {
   if (!policy) {
     return { accrued: 0, eligible: false, message: 'No applicable policy' };
   }
 
+  if (isAccrualExcludedForEmployee(employee, leaveType)) {
+    return { accrued: 0, eligible: false, message: 'Casual employees do not accrue paid leave' };
+  }
+
   const serviceStartDate = getServiceStartDate(employee);
   if (!serviceStartDate) {
     return { accrued: 0, eligible: false, message: 'No employment start date set' };
@@ -156,9 +177,34 @@ async function calculateAccruedHours(employee, leaveType, policy, asOfDate) {
     return { accrued: 0, eligible: true, message: 'Employment not yet started' };
   }
 
+  // Long Service Leave under state legislation, selected by work location.
+  // Policies can opt out to keep their own min-service/accrual settings.
+  if (leaveType === 'long_service' && policy.lsl_use_state_rules !== false) {
+    const lsl = await getStateLslForEmployee(employee, asOfDate);
+    if (lsl) {
+      return {
+        accrued: lsl.accessible ? lsl.accruedHours : 0,
+        eligible: lsl.accessible,
+        yearsOfService: lsl.serviceYears,
+        eligibilityDate: lsl.accessDate,
+        unvestedHours: lsl.accessible ? 0 : lsl.accruedHours,
+        message: lsl.accessible
+          ? undefined
+          : `Long service leave can be taken after ${lsl.accessYears} years of continuous service (${lsl.state})`,
+        lsl,
+      };
+    }
+  }
+
   // Special handling for Long Service Leave
-  if (leaveType === 'long_service' && policy.min_service_years_before_accrual) {
-    const lslResult = calculateLSLAccrual(policy, employee, asOfDate, startDate);
+  if (
+    leaveType === 'long_service' &&
+    (policy.min_service_years_before_accrual || isCasualEmployee(employee))
+  ) {
+    // Casual LSL accrues on timesheet hours within continuous service
+    const lslResult = isCasualEmployee(employee)
+      ? calculateCasualLSLAccrual(policy, employee, asOfDate, startDate, await getTimesheetEntries(employee.id))
+      : calculateLSLAccrual(policy, employee, asOfDate, startDate);
 
     if (!lslResult.eligible) {
       return {
@@ -166,6 +212,7 @@ async function calculateAccruedHours(employee, leaveType, policy, asOfDate) {
         eligible: false,
         yearsOfService: lslResult.yearsOfService,
         eligibilityDate: lslResult.eligibilityDate,
+        unvestedHours: Math.round(safeNumber(lslResult.unvestedHours, 0) * 100) / 100,
         message: lslResult.message,
       };
     }
@@ -198,13 +245,22 @@ async function calculateAccruedHours(employee, leaveType, policy, asOfDate) {
  * This is the main entry point for computing leave balances.
  * Side-effect free - only computes and returns balances.
  *
+ * The balance is the employee's ledger total (as on the ledger statement and
+ * EmployeeLeaveBalance), plus accrual not yet posted between the balance's
+ * last accrual date and `asOfDate`, less requests not yet posted (pending
+ * requests and amendments). A future date gives the projected balance
+ * available for leave starting then.
+ *
  * @param {string} employeeId - The employee ID
  * @param {Date|string} asOfDate - Date to calculate up to (default: today)
- * @returns {Promise<Object>} Balance object with annual, personal, long_service
+ * @param {Object} [options]
+ * @param {string} [options.excludeRequestId] - Request to leave out of used hours
+ * @returns {Promise<Object>} Balance object keyed by bucket, plus `categories`
  */
 export async function getLeaveBalancesForEmployee(
   employeeId,
-  asOfDate = new Date()
+  asOfDate = new Date(),
+  { excludeRequestId = null } = {}
 ) {
   const asOfDateParsed =
     typeof asOfDate === 'string' ? parseISO(asOfDate) : asOfDate;
@@ -219,11 +275,19 @@ export async function getLeaveBalancesForEmployee(
   // Load all leave types for category mapping
   const allLeaveTypes = await LeaveType.list();
 
-  // Load existing balance records for opening/adjusted values
+  // Accrual is posted up to each balance's last_accrual_date
   const existingBalances = await LeaveBalance.filter({ employee_id: employeeId });
 
-  const categories = ['annual', 'personal', 'long_service'];
+  // The request being checked is left off the ledger as well as the requests
+  const ledgerEntries = (await getLedgerEntries(employeeId)).filter(
+    (e) => !excludeRequestId || e.source_type !== 'LeaveRequest' || e.source_id !== excludeRequestId
+  );
+  const asOfDateStr = format(asOfDateParsed, 'yyyy-MM-dd');
+
+  // Default buckets plus any other bucket an active leave type draws from
+  const categories = getActiveBalanceBuckets(allLeaveTypes);
   const result = {};
+  const usePatternHours = hasCustomWorkPattern(employee);
 
   for (const category of categories) {
     // Get applicable policy
@@ -241,37 +305,62 @@ export async function getLeaveBalancesForEmployee(
       asOfDateParsed
     );
 
-    // Calculate used (approved + pending)
+    // Requests not yet posted (pending)
     const usedResult = await calculateUsedLeaveHours(
       employeeId,
       category,
       employee,
       policy,
-      allLeaveTypes
+      allLeaveTypes,
+      excludeRequestId
     );
 
-    // Get opening/adjusted from stored balance (if exists)
+    const bucketEntries = ledgerEntries.filter((e) => e.leave_type === category);
+    const ledger = summarizeLedgerEntries(bucketEntries);
+
+    // Accrual between the last posted accrual and asOfDate (negative for an
+    // earlier date). With no accrual posted yet, all accrual to date counts.
     const storedBalance = existingBalances.find(
       (b) => b.leave_type === category
     );
-    const openingHours = safeNumber(storedBalance?.opening_balance_hours, 0);
-    const adjustedHours = safeNumber(storedBalance?.adjusted_hours, 0);
+    const lastAccrualDate = storedBalance?.last_accrual_date;
+    let unpostedAccrual;
+    if (lastAccrualDate) {
+      const postedThrough = await calculateAccruedHours(
+        employee,
+        category,
+        policy,
+        parseISO(lastAccrualDate)
+      );
+      unpostedAccrual = accrualResult.accrued - postedThrough.accrued;
+    } else {
+      const hasAccrual = bucketEntries.some((e) => e.entry_type === 'accrual');
+      unpostedAccrual = hasAccrual ? 0 : accrualResult.accrued;
+    }
+
+    const accruedHours = Math.round((ledger.accrued + unpostedAccrual) * 100) / 100;
+    const usedApproved = Math.round((ledger.taken + usedResult.approved) * 100) / 100;
+    const used = Math.round((usedApproved + usedResult.pending) * 100) / 100;
 
-    // Calculate available = accrued + opening + adjusted - used
-    // Never return negative
+    // available = opening + accrued + adjusted + settled - used (settled is
+    // negative). Never return negative
     const totalEntitlement =
-      accrualResult.accrued + openingHours + adjustedHours;
-    const available = Math.max(0, totalEntitlement - usedResult.total);
+      ledger.opening + accruedHours + ledger.adjusted + ledger.settled;
+    const available = Math.max(0, totalEntitlement - used);
     const roundedAvailable = Math.round(available * 100) / 100;
 
     result[category] = {
-      accrued: accrualResult.accrued,
-      openingBalance: openingHours,
-      adjusted: adjustedHours,
+      accrued: accruedHours,
+      openingBalance: ledger.opening,
+      adjusted: ledger.adjusted,
+      settled: ledger.settled,
+      // Ledger total, as on the statement and EmployeeLeaveBalance
+      ledgerBalance: ledger.balance,
       totalEntitlement: Math.round(totalEntitlement * 100) / 100,
-      used: usedResult.total,
-      usedApproved: usedResult.approved,
+      used,
+      usedApproved,
       usedPending: usedResult.pending,
+      usedFutureApproved: usedResult.futureApproved,
       // main field
       available: roundedAvailable,
       // alias for any consumers expecting `availableHours`
@@ -281,19 +370,71 @@ export async function getLeaveBalancesForEmployee(
       yearsOfService: accrualResult.yearsOfService,
       eligibilityDate: accrualResult.eligibilityDate,
       daysOfService: accrualResult.daysOfService,
-      standardHoursPerDay: policy?.standard_hours_per_day || 7.6,
+      // Accrued but not yet accessible (LSL before the service threshold)
+      unvestedHours: safeNumber(accrualResult.unvestedHours, 0),
+      // State LSL position (accrued weeks, access/pro-rata dates), when a state calculator applies
+      lsl: accrualResult.lsl || null,
+      standardHoursPerDay: usePatternHours
+        ? getAverageHoursPerWorkDay(getWorkPattern(employee))
+        : policy?.standard_hours_per_day || 7.6,
       policyName: policy?.name || null,
+      leaveTypeNames: getLeaveTypesForBucket(category, allLeaveTypes).map((lt) => lt.name),
     };
   }
 
   // Add metadata
+  result.categories = categories;
   result.employeeId = employeeId;
-  result.asOfDate = format(asOfDateParsed, 'yyyy-MM-dd');
+  result.asOfDate = asOfDateStr;
   result.employmentStartDate = getServiceStartDate(employee);
 
   return result;
 }
 
+/**
+ * Project an employee's balances to the start date of a future request.
+ *
+ * Includes accrual between today and the start date and deducts other
+ * approved/pending leave (including leave booked after today). Each bucket
+ * also gets `accruedUntilDate`: the accrual still to come before that date.
+ *
+ * @param {string} employeeId - The employee ID
+ * @param {string} startDate - Leave start date (yyyy-MM-dd)
+ * @param {Object} [options]
+ * @param {string} [options.excludeRequestId] - Request being edited, if any
+ * @returns {Promise<Object>} Balance object as getLeaveBalancesForEmployee, plus `isProjection`
+ */
+export async function getProjectedLeaveBalances(
+  employeeId,
+  startDate,
+  { excludeRequestId = null } = {}
+) {
+  const todayStr = format(new Date(), 'yyyy-MM-dd');
+  const isProjection = !!startDate && startDate > todayStr;
+
+  const projected = await getLeaveBalancesForEmployee(
+    employeeId,
+    isProjection ? startDate : todayStr,
+    { excludeRequestId }
+  );
+  if (projected.error || !isProjection) {
+    return { ...projected, isProjection: false };
+  }
+
+  const current = await getLeaveBalancesForEmployee(employeeId, todayStr, {
+    excludeRequestId,
+  });
+
+  for (const category of projected.categories) {
+    const accruedNow = current[category]?.accrued || 0;
+    projected[category].accruedUntilDate =
+      Math.round(Math.max(0, projected[category].accrued - accruedNow) * 100) / 100;
+  }
+
+  projected.isProjection = true;
+  return projected;
+}
+
 /**
  * Get leave balance for the current user.
  * Convenience wrapper that determines the employee from the current user.
@@ -5,21 +5,68 @@
  * and provides formatted warning messages.
  */
 
+import { format, parseISO } from 'date-fns';
 import { safeNumber, formatHours } from './numberUtils';
+import { getProjectedLeaveBalances } from './leaveBalanceService';
+import {
+  getWorkPattern,
+  hasCustomWorkPattern,
+  getAverageHoursPerWorkDay,
+} from './workPattern';
+
+/**
+ * Who must approve leave that takes a balance below zero (leave in advance).
+ * Stored on LeavePolicy.advance_leave_approver.
+ */
+export const ADVANCE_LEAVE_APPROVERS = {
+  manager: 'Manager or HR',
+  hr: 'HR / admin only',
+};
+
+/**
+ * How far below zero a policy lets the balance go, in hours.
+ *
+ * - allow_negative_balance false → 0
+ * - negative_balance_limit_hours and/or negative_balance_limit_days → the
+ *   stricter of the two (days converted at the employee's hours per day)
+ * - allow_negative_balance with no limit set → unlimited
+ *
+ * @param {Object} policy - Leave policy record
+ * @param {number} hoursPerDay - Employee's hours per day
+ * @returns {number} Limit in hours (Infinity when unlimited)
+ */
+export function getNegativeBalanceLimitHours(policy, hoursPerDay) {
+  if (!policy?.allow_negative_balance) return 0;
+
+  const limits = [];
+  if (Number.isFinite(policy.negative_balance_limit_hours)) {
+    limits.push(Math.max(0, policy.negative_balance_limit_hours));
+  }
+  if (Number.isFinite(policy.negative_balance_limit_days)) {
+    limits.push(Math.max(0, policy.negative_balance_limit_days * safeNumber(hoursPerDay, 7.6)));
+  }
+  return limits.length > 0 ? Math.min(...limits) : Infinity;
+}
 
 /**
  * Get the hours per day for an employee.
  * Priority:
- * 1. Policy standard_hours_per_day
- * 2. Employee hours_per_week / 5
- * 3. Default 7.6 hours
+ * 1. Employee work pattern (average rostered hours per working day)
+ * 2. Policy standard_hours_per_day
+ * 3. Employee hours_per_week / 5
+ * 4. Default 7.6 hours
  * 
  * @param {Object} employee - Employee record
  * @param {Object} policy - Leave policy record
  * @returns {number} Hours per day (always finite, minimum 1)
  */
 export function getHoursPerDay(employee, policy) {
-  // Try policy first
+  // Custom rosters (e.g. Tue–Thu 8h, Sat/Sun) take precedence
+  if (hasCustomWorkPattern(employee)) {
+    return getAverageHoursPerWorkDay(getWorkPattern(employee));
+  }
+
+  // Try policy next
   if (policy?.standard_hours_per_day && Number.isFinite(policy.standard_hours_per_day)) {
     return policy.standard_hours_per_day;
   }
@@ -63,6 +110,22 @@ export function getAvailableHours(balance) {
   return safeNumber(hours, 0);
 }
 
+/**
+ * Hours left to book against a balance from getLeaveBalancesForEmployee.
+ * Unlike `available` this is not clamped at zero, so leave already taken
+ * in advance counts towards the policy's negative limit.
+ *
+ * @param {Object} balance - Balance bucket from getLeaveBalancesForEmployee
+ * @returns {number} Hours (may be negative)
+ */
+export function getBookableHours(balance) {
+  if (!balance) return 0;
+  if (Number.isFinite(balance.totalEntitlement) && Number.isFinite(balance.used)) {
+    return Math.round((balance.totalEntitlement - balance.used) * 100) / 100;
+  }
+  return getAvailableHours(balance);
+}
+
 /**
  * Check if a leave request would exceed available balance.
  * 
@@ -71,21 +134,82 @@ export function getAvailableHours(balance) {
  * @param {number} params.chargeableDays - Number of chargeable days
  * @param {Object} params.employee - Employee record
  * @param {Object} params.policy - Leave policy record (optional)
- * @returns {{ isInsufficient: boolean, availableHours: number, neededHours: number, hoursPerDay: number }}
+ * @param {number} [params.chargeableHours] - Exact chargeable hours from calculateChargeableLeave (optional)
+ * @param {string} [params.asOfDate] - Date the balance is projected to (yyyy-MM-dd, optional)
+ * @returns {{ isInsufficient: boolean, inAdvance: boolean, exceedsNegativeLimit: boolean, negativeLimitHours: number, advanceApprover: string, availableHours: number, neededHours: number, hoursPerDay: number, asOfDate: string|null }}
  */
-export function checkLeaveBalance({ balance, chargeableDays, employee, policy }) {
+export function checkLeaveBalance({ balance, chargeableDays, employee, policy, chargeableHours, asOfDate = null }) {
   const availableHours = getAvailableHours(balance);
   const hoursPerDay = getHoursPerDay(employee, policy);
-  const neededHours = calculateNeededHours(chargeableDays, employee, policy);
+  const neededHours = Number.isFinite(chargeableHours)
+    ? safeNumber(chargeableHours, 0)
+    : calculateNeededHours(chargeableDays, employee, policy);
   
   // Small epsilon tolerance (0.01 hours) to avoid floating point issues
   const isInsufficient = neededHours > availableHours + 0.01;
+  const negativeLimitHours = getNegativeBalanceLimitHours(policy, hoursPerDay);
+  const exceedsNegativeLimit = neededHours > availableHours + negativeLimitHours + 0.01;
   
   return {
     isInsufficient,
+    inAdvance: isInsufficient && !exceedsNegativeLimit,
+    exceedsNegativeLimit,
+    negativeLimitHours,
+    advanceApprover: policy?.advance_leave_approver === 'hr' ? 'hr' : 'manager',
     availableHours,
     neededHours,
     hoursPerDay,
+    asOfDate,
+  };
+}
+
+/**
+ * Check a request against the balance projected to its start date.
+ * Accrual up to the start date is included and other approved/pending
+ * leave is deducted (see getProjectedLeaveBalances). Leave starting today
+ * or earlier is checked against today's balance.
+ *
+ * This is the one balance check for leave requests: the request form and
+ * the create/approve/amend checks in leaveHelpers both use it.
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.employeeId - Employee ID
+ * @param {string} params.bucket - Balance bucket the leave type draws from
+ * @param {string|null} params.startDate - Leave start date (yyyy-MM-dd)
+ * @param {string} [params.excludeRequestId] - Request being edited, if any
+ * @param {number} params.chargeableDays - Number of chargeable days
+ * @param {Object} params.employee - Employee record
+ * @param {Object} params.policy - Leave policy record (optional)
+ * @param {number} [params.chargeableHours] - Exact chargeable hours (optional)
+ * @returns {Promise<Object>} checkLeaveBalance result plus `isProjection`, `accruedUntilDate` and `balance`
+ */
+export async function checkProjectedLeaveBalance({
+  employeeId,
+  bucket,
+  startDate,
+  excludeRequestId = null,
+  chargeableDays,
+  employee,
+  policy,
+  chargeableHours,
+}) {
+  const projected = await getProjectedLeaveBalances(employeeId, startDate, { excludeRequestId });
+  const balance = projected[bucket] || null;
+
+  const result = checkLeaveBalance({
+    balance: { available_hours: getBookableHours(balance) },
+    chargeableDays,
+    employee,
+    policy,
+    chargeableHours,
+    asOfDate: projected.isProjection ? startDate : null,
+  });
+
+  return {
+    ...result,
+    isProjection: !!projected.isProjection,
+    accruedUntilDate: safeNumber(balance?.accruedUntilDate, 0),
+    balance,
   };
 }
 
@@ -95,6 +219,26 @@ export function checkLeaveBalance({ balance, chargeableDays, employee, policy })
  * @param {Object} params - Parameters from checkLeaveBalance
  * @returns {string} Formatted warning message
  */
-export function formatBalanceWarning({ availableHours, neededHours }) {
-  return `Insufficient leave balance. You have ${formatHours(availableHours)} hours available but need ${formatHours(neededHours)} hours.`;
+export function formatBalanceWarning({
+  availableHours,
+  neededHours,
+  asOfDate,
+  inAdvance = false,
+  negativeLimitHours = 0,
+  advanceApprover = 'manager',
+}) {
+  const available = asOfDate
+    ? `You will have ${formatHours(availableHours)} hours available on ${format(parseISO(asOfDate), 'd MMM yyyy')}`
+    : `You have ${formatHours(availableHours)} hours available`;
+
+  if (inAdvance) {
+    const shortfall = formatHours(neededHours - availableHours);
+    const approver = advanceApprover === 'hr' ? 'HR' : 'your manager';
+    return `${available} but need ${formatHours(neededHours)} hours. This is leave in advance: your balance will go ${shortfall} hours below zero and the request must be approved by ${approver}.`;
+  }
+
+  const limit = negativeLimitHours > 0 && Number.isFinite(negativeLimitHours)
+    ? ` Your policy allows at most ${formatHours(negativeLimitHours)} hours below zero.`
+    : '';
+  return `Insufficient leave balance. ${available} but need ${formatHours(neededHours)} hours.${limit}`;
 }
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { base44 } from '@/api/base44Client';
+import { format, parseISO, eachDayOfInterval } from 'date-fns';
+
+const LeaveBlackoutPeriod = base44.entities.LeaveBlackoutPeriod;
+
+/**
+ * Leave Blackout Periods
+ *
+ * Company, entity, department or location periods when leave is discouraged
+ * (stocktake week) or not allowed (EOFY close). Fields:
+ *
+ *   name, start_date, end_date   'yyyy-MM-dd', inclusive
+ *   entity_id / department_id / location_id
+ *                                optional scope; blank = everyone
+ *   enforcement                  'warn' | 'block'
+ *   message                      shown to employees, e.g. why and who to ask
+ *   is_active
+ *
+ * 'warn' periods never stop a request; the request is flagged with the
+ * period so the approver sees it. 'block' periods reject new requests.
+ */
+
+export const BLACKOUT_ENFORCEMENT = {
+  warn: 'Discouraged',
+  block: 'Blocked',
+};
+
+/**
+ * Whether a period's scope covers an employee.
+ *
+ * @param {Object} period - LeaveBlackoutPeriod
+ * @param {Object} employee - Employee record
+ * @returns {boolean}
+ */
+export function blackoutAppliesToEmployee(period, employee) {
+  if (period.entity_id && period.entity_id !== employee?.entity_id) return false;
+  if (period.department_id && period.department_id !== employee?.department_id) return false;
+  if (period.location_id && period.location_id !== employee?.location_id) return false;
+  return true;
+}
+
+/**
+ * Active blackout periods overlapping a date range.
+ *
+ * @param {string} startDate - 'yyyy-MM-dd'
+ * @param {string} endDate - 'yyyy-MM-dd'
+ * @param {Object} [options]
+ * @param {Object} [options.employee] - Only periods covering this employee
+ * @param {string} [options.entityId] - Only periods for this entity (or company-wide)
+ * @returns {Promise<Array>} Periods sorted by start date
+ */
+export async function getBlackoutPeriodsInRange(startDate, endDate, { employee = null, entityId = null } = {}) {
+  const periods = await LeaveBlackoutPeriod.filter({ is_active: true });
+
+  return periods
+    .filter(p => p.start_date <= endDate && p.end_date >= startDate)
+    .filter(p => (employee ? blackoutAppliesToEmployee(p, employee) : true))
+    .filter(p => (entityId ? !p.entity_id || p.entity_id === entityId : true))
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+}
+
+/**
+ * Blackout periods a leave request falls in, split by enforcement.
+ *
+ * @param {Object} employee - Employee record
+ * @param {string} startDate - 'yyyy-MM-dd'
+ * @param {string} endDate - 'yyyy-MM-dd'
+ * @returns {Promise<{blocked: Array, warnings: Array}>}
+ */
+export async function checkBlackoutPeriods(employee, startDate, endDate) {
+  const periods = await getBlackoutPeriodsInRange(startDate, endDate, { employee });
+  return {
+    blocked: periods.filter(p => p.enforcement === 'block'),
+    warnings: periods.filter(p => p.enforcement !== 'block'),
+  };
+}
+
+/**
+ * Human-readable description of a period, e.g. "Stocktake (01 Jul – 05 Jul)".
+ */
+export function describeBlackoutPeriod(period) {
+  const start = format(parseISO(period.start_date), 'dd MMM');
+  const end = format(parseISO(period.end_date), 'dd MMM');
+  return `${period.name} (${start === end ? start : `${start} – ${end}`})`;
+}
+
+/**
+ * Map of 'yyyy-MM-dd' -> periods covering that day, for calendar shading.
+ * Blocking periods sort first so callers can style by the first entry.
+ *
+ * @param {Array} periods - LeaveBlackoutPeriod records
+ * @returns {Object}
+ */
+export function buildBlackoutDateMap(periods) {
+  const map = {};
+  for (const period of periods) {
+    const days = eachDayOfInterval({ start: parseISO(period.start_date), end: parseISO(period.end_date) });
+    for (const day of days) {
+      const key = format(day, 'yyyy-MM-dd');
+      (map[key] = map[key] || []).push(period);
+    }
+  }
+  for (const key of Object.keys(map)) {
+    map[key].sort((a, b) => (a.enforcement === 'block' ? 0 : 1) - (b.enforcement === 'block' ? 0 : 1));
+  }
+  return map;
+}
@@ -0,0 +1,230 @@
+import { base44 } from '@/api/base44Client';
+import { format, parseISO, addDays } from 'date-fns';
+import { canViewLeaveEvidence, hasAdminPowers } from './permissions';
+import { logForCurrentUser } from './audit';
+
+const LeaveEvidence = base44.entities.LeaveEvidence;
+const LeaveRequest = base44.entities.LeaveRequest;
+
+/**
+ * Leave Evidence
+ *
+ * Supporting documents for leave requests (medical certificates, statutory
+ * declarations). Each leave type can set:
+ *
+ *   evidence_required_after_days  evidence needed when a request is longer
+ *                                 than this many days (0 = always; blank = never)
+ *   evidence_due_days             days after the leave ends that evidence is due
+ *                                 (blank = due when the request is made)
+ *   evidence_confidential         files are private and visible only to HR and
+ *                                 the employee (see canViewLeaveEvidence)
+ *   evidence_description          what to provide, e.g. "Medical certificate"
+ *
+ * Requests record evidence_required, evidence_due_date and evidence_status
+ * ('required' | 'provided'). Confidential files go through UploadPrivateFile
+ * and are opened with a short-lived signed URL; others use UploadFile.
+ */
+
+export const EVIDENCE_STATUS_LABELS = {
+  not_required: 'Not required',
+  outstanding: 'Evidence due',
+  overdue: 'Evidence overdue',
+  provided: 'Evidence provided',
+};
+
+const SIGNED_URL_EXPIRY_SECONDS = 300;
+
+/**
+ * Whether a leave type has any evidence settings.
+ */
+export function leaveTypeAcceptsEvidence(leaveType) {
+  return !!leaveType && (
+    Number.isFinite(leaveType.evidence_required_after_days) ||
+    leaveType.evidence_confidential === true
+  );
+}
+
+/**
+ * Evidence a request needs under its leave type's rules.
+ *
+ * @param {Object} leaveType - LeaveType record
+ * @param {Object} params
+ * @param {string} params.endDate - Last day of leave ('yyyy-MM-dd')
+ * @param {number} params.days - Days requested
+ * @param {Date} [params.today]
+ * @returns {{required: boolean, dueDate: string|null, confidential: boolean, description: string}}
+ */
+export function getEvidenceRequirement(leaveType, { endDate, days, today = new Date() }) {
+  const threshold = leaveType?.evidence_required_after_days;
+  const required = Number.isFinite(threshold) && days > threshold;
+
+  let dueDate = null;
+  if (required) {
+    const todayStr = format(today, 'yyyy-MM-dd');
+    const dueDays = leaveType.evidence_due_days;
+    const fromEnd = Number.isFinite(dueDays) ? format(addDays(parseISO(endDate), dueDays), 'yyyy-MM-dd') : todayStr;
+    dueDate = fromEnd < todayStr ? todayStr : fromEnd;
+  }
+
+  return {
+    required,
+    dueDate,
+    confidential: leaveType?.evidence_confidential === true,
+    description: leaveType?.evidence_description || 'Supporting evidence',
+  };
+}
+
+/**
+ * Short sentence describing a leave type's evidence rule, for request forms.
+ */
+export function describeEvidenceRule(leaveType) {
+  const threshold = leaveType?.evidence_required_after_days;
+  if (!Number.isFinite(threshold)) {
+    return leaveType?.evidence_confidential
+      ? 'Any evidence you attach is confidential and only seen by HR.'
+      : null;
+  }
+  const what = leaveType.evidence_description || 'Supporting evidence';
+  const when = threshold === 0 ? 'for every request' : `for more than ${threshold} ${threshold === 1 ? 'day' : 'days'}`;
+  const due = Number.isFinite(leaveType.evidence_due_days)
+    ? `, due within ${leaveType.evidence_due_days} days of returning`
+    : '';
+  const confidential = leaveType.evidence_confidential ? ' It is confidential and only seen by HR.' : '';
+  return `${what} is required ${when}${due}.${confidential}`;
+}
+
+/**
+ * Current evidence status of a request.
+ *
+ * @param {Object} request - LeaveRequest
+ * @param {Date} [today]
+ * @returns {'not_required'|'outstanding'|'overdue'|'provided'}
+ */
+export function getEvidenceStatus(request, today = new Date()) {
+  if (request?.evidence_status === 'provided') return 'provided';
+  if (!request?.evidence_required) return 'not_required';
+  if (request.evidence_due_date && request.evidence_due_date < format(today, 'yyyy-MM-dd')) return 'overdue';
+  return 'outstanding';
+}
+
+/**
+ * Attach a file to a leave request.
+ *
+ * @param {Object} params
+ * @param {Object} params.request - LeaveRequest
+ * @param {File} params.file - File to upload
+ * @param {boolean} [params.confidential] - Store privately (forced on for confidential leave types)
+ * @param {Object} [params.leaveType] - LeaveType, for its confidentiality rule
+ * @param {Object} [params.user] - Current user
+ * @returns {Promise<{success: boolean, evidence?: Object, error?: string}>}
+ */
+export async function uploadLeaveEvidence({ request, file, confidential = false, leaveType = null, user = null }) {
+  if (!request || !file) {
+    return { success: false, error: 'Choose a file to upload' };
+  }
+
+  const isConfidential = confidential || leaveType?.evidence_confidential === true;
+
+  try {
+    let fileFields;
+    if (isConfidential) {
+      const { file_uri } = await base44.integrations.Core.UploadPrivateFile({ file });
+      fileFields = { file_uri, file_url: null };
+    } else {
+      const { file_url } = await base44.integrations.Core.UploadFile({ file });
+      fileFields = { file_url, file_uri: null };
+    }
+
+    const evidence = await LeaveEvidence.create({
+      leave_request_id: request.id,
+      employee_id: request.employee_id,
+      ...fileFields,
+      file_name: file.name,
+      is_confidential: isConfidential,
+      uploaded_by_user_id: user?.id || null,
+      uploaded_at: new Date().toISOString(),
+    });
+
+    if (request.evidence_status !== 'provided') {
+      await LeaveRequest.update(request.id, { evidence_status: 'provided' });
+    }
+
+    // Confidential evidence is logged without the file name
+    await logForCurrentUser({
+      eventType: 'leave_evidence_uploaded',
+      entityType: 'LeaveRequest',
+      entityId: request.id,
+      relatedEmployeeId: request.employee_id,
+      description: isConfidential
+        ? 'Confidential leave evidence uploaded'
+        : `Leave evidence uploaded: ${file.name}`,
+    });
+
+    return { success: true, evidence };
+  } catch (error) {
+    console.error('Error uploading leave evidence:', error);
+    return { success: false, error: error.message || 'Upload failed' };
+  }
+}
+
+/**
+ * Evidence for a request that the current user may see. `hiddenCount` is the
+ * number of confidential files withheld, so approvers know evidence exists.
+ *
+ * @param {Object} request - LeaveRequest
+ * @param {Object} userContext - { user, employee, preferences }
+ * @returns {Promise<{visible: Array, hiddenCount: number}>}
+ */
+export async function getLeaveEvidenceForRequest(request, userContext) {
+  const all = await LeaveEvidence.filter({ leave_request_id: request.id });
+  const visible = all.filter(e =>
+    canViewLeaveEvidence(userContext?.user, request, e, userContext?.employee, userContext?.preferences)
+  );
+  return {
+    visible: visible.sort((a, b) => (a.uploaded_at || '').localeCompare(b.uploaded_at || '')),
+    hiddenCount: all.length - visible.length,
+  };
+}
+
+/**
+ * URL to open a piece of evidence. Private files get a short-lived signed URL
+ * after the permission check.
+ *
+ * @returns {Promise<string|null>}
+ */
+export async function getLeaveEvidenceUrl(evidence, request, userContext) {
+  if (!canViewLeaveEvidence(userContext?.user, request, evidence, userContext?.employee, userContext?.preferences)) {
+    return null;
+  }
+  if (evidence.file_url) return evidence.file_url;
+
+  const { signed_url } = await base44.integrations.Core.CreateFileSignedUrl({
+    file_uri: evidence.file_uri,
+    expires_in: SIGNED_URL_EXPIRY_SECONDS,
+  });
+  return signed_url;
+}
+
+/**
+ * Remove a piece of evidence. HR/admins, or the employee before approval.
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteLeaveEvidence(evidence, request, userContext) {
+  const isOwner = userContext?.employee?.id === request.employee_id;
+  if (!hasAdminPowers(userContext?.user, userContext?.preferences) && !(isOwner && request.status === 'pending')) {
+    return { success: false, error: 'You cannot remove this evidence' };
+  }
+
+  try {
+    await LeaveEvidence.delete(evidence.id);
+    const remaining = await LeaveEvidence.filter({ leave_request_id: request.id });
+    if (remaining.length === 0) {
+      await LeaveRequest.update(request.id, { evidence_status: request.evidence_required ? 'required' : null });
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting leave evidence:', error);
+    return { success: false, error: error.message };
+  }
+}
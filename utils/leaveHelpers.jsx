@@ -1,24 +1,55 @@
 import { base44 } from '@/api/base44Client';
+import { format, parseISO } from 'date-fns';
 import { NotificationCategory, shouldSendEmail } from './notificationHelpers';
 import {
   canActAsAdmin,
   canCreateLeaveRequest,
   canApproveLeave,
   canCancelLeaveRequest,
+  canAmendLeaveRequest,
 } from './permissions';
 import {
   calculateChargeableLeave,
   applyApprovedLeave,
   revertLeave,
+  getAppliedLeaveHours,
+  validateDayOverrides,
 } from './LeaveEngine';
 import { safeNumber, formatHours } from './numberUtils';
 import { sendNotification } from './notifications';
 import { logForCurrentUser } from './audit';
 import { invalidateLeaveCache } from './leaveEngineCache';
+import { checkBlackoutPeriods, describeBlackoutPeriod } from './leaveBlackouts';
+import { getEvidenceRequirement, uploadLeaveEvidence } from './leaveEvidence';
+import {
+  getApplicablePolicyForEmployee,
+  CASUAL_EXCLUDED_LEAVE_TYPES,
+} from './leaveAccrual';
+import { hasCustomWorkPattern } from './workPattern';
+import {
+  getBalanceBucketForLeaveTypeId,
+  drawsFromBalance,
+} from './leaveBalanceBuckets';
+import {
+  checkLeaveBalance as checkHoursAgainstBalance,
+  checkProjectedLeaveBalance,
+} from './leaveBalanceWarning';
+import {
+  buildApprovalSteps,
+  recordApprovalDecision,
+  notifyStepApprover,
+  getActiveDelegatorIds,
+} from './leaveApprovalChain';
+import { postLedgerEntry } from './leaveLedger';
+import {
+  buildAmendmentRevisions,
+  resolveLatestRevision,
+  getRestorableRevision,
+  isAmendmentChanged,
+  pickRevisionFields,
+} from './leaveAmendments';
 
 const LeaveBalance = base44.entities.LeaveBalance;
-const EmployeeLeaveBalance = base44.entities.EmployeeLeaveBalance;
-const LeavePolicy = base44.entities.LeavePolicy;
 const LeaveType = base44.entities.LeaveType;
 const UserPreferences = base44.entities.UserPreferences;
 const LeaveRequest = base44.entities.LeaveRequest;
@@ -27,7 +58,7 @@ const LeaveRequest = base44.entities.LeaveRequest;
  * Paid leave types that casual employees cannot access.
  * These codes/names are matched case-insensitively.
  */
-const PAID_LEAVE_TYPES = ['annual', 'personal', 'sick'];
+const PAID_LEAVE_TYPES = CASUAL_EXCLUDED_LEAVE_TYPES;
 
 /**
  * Check if two date ranges overlap.
@@ -44,9 +75,10 @@ function dateRangesOverlap(from1, to1, from2, to2) {
  * @param {string} employeeId - The employee ID
  * @param {string} startDate - Start date (yyyy-MM-dd)
  * @param {string} endDate - End date (yyyy-MM-dd)
+ * @param {string} [excludeRequestId] - Request to ignore (when amending it)
  * @returns {Promise<Array>} Overlapping leave requests
  */
-async function findOverlappingLeaveRequests(employeeId, startDate, endDate) {
+async function findOverlappingLeaveRequests(employeeId, startDate, endDate, excludeRequestId = null) {
   // Get all pending or approved requests for this employee
   const allRequests = await LeaveRequest.filter({ employee_id: employeeId });
 
@@ -55,6 +87,9 @@ async function findOverlappingLeaveRequests(employeeId, startDate, endDate) {
     if (req.status !== 'pending' && req.status !== 'approved') {
       return false;
     }
+    if (req.id === excludeRequestId) {
+      return false;
+    }
     return dateRangesOverlap(startDate, endDate, req.start_date, req.end_date);
   });
 
@@ -78,55 +113,36 @@ async function isPaidLeaveType(leaveTypeId) {
 }
 
 /**
- * Map leave type ID to balance leave_type ('annual' or 'personal')
- */
-async function getBalanceLeaveType(leaveTypeId) {
-  const leaveTypes = await LeaveType.filter({ id: leaveTypeId });
-  if (leaveTypes.length === 0) return 'annual';
-
-  const leaveType = leaveTypes[0];
-  const code = (leaveType.code || leaveType.name || '').toLowerCase();
-
-  if (code.includes('personal') || code.includes('sick')) {
-    return 'personal';
-  }
-  return 'annual';
-}
-
-/**
- * Deduct leave hours from an employee's EmployeeLeaveBalance.
+ * Deduct leave hours from an employee's balance by posting a
+ * `leave_taken` entry to the leave ledger.
  * This is called when a leave request is approved.
  *
  * @param {string} employeeId - The employee's ID
  * @param {string} leaveTypeId - The leave type ID
  * @param {number} hours - Number of hours to deduct
+ * @param {Object} [source] - Originating record for the ledger entry
+ * @param {Object} [source.request] - The leave request
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function deductLeaveBalance(employeeId, leaveTypeId, hours) {
+export async function deductLeaveBalance(employeeId, leaveTypeId, hours, { request = null } = {}) {
   try {
-    const leaveType = await getBalanceLeaveType(leaveTypeId);
-
-    const balances = await EmployeeLeaveBalance.filter({
-      employee_id: employeeId,
-      leave_type: leaveType,
-    });
-
-    if (balances.length === 0) {
-      console.warn(
-        `No leave balance found for employee ${employeeId}, leave type ${leaveType}`,
-      );
+    const leaveType = await getBalanceBucketForLeaveTypeId(leaveTypeId);
+    if (!drawsFromBalance(leaveType)) {
       return { success: true };
     }
 
-    const balance = balances[0];
-    const newBalanceHours = (balance.balance_hours || 0) - hours;
-
-    await EmployeeLeaveBalance.update(balance.id, {
-      balance_hours: newBalanceHours,
-      last_calculated_date: new Date().toISOString().split('T')[0],
+    return await postLedgerEntry({
+      employeeId,
+      leaveType,
+      entryType: 'leave_taken',
+      hours: -hours,
+      effectiveDate: request?.start_date || null,
+      sourceType: request ? 'LeaveRequest' : null,
+      sourceId: request?.id || null,
+      description: request
+        ? `Leave ${request.start_date} to ${request.end_date}`
+        : '',
     });
-
-    return { success: true };
   } catch (error) {
     console.error('Error deducting leave balance:', error);
     return { success: false, error: error.message };
@@ -134,39 +150,36 @@ export async function deductLeaveBalance(employeeId, leaveTypeId, hours) {
 }
 
 /**
- * Restore leave hours to an employee's EmployeeLeaveBalance.
+ * Restore leave hours to an employee's balance by posting a
+ * `reversal` entry to the leave ledger.
  * This is called when a leave request is cancelled.
  *
  * @param {string} employeeId - The employee's ID
  * @param {string} leaveTypeId - The leave type ID
  * @param {number} hours - Number of hours to restore
+ * @param {Object} [source] - Originating record for the ledger entry
+ * @param {Object} [source.request] - The leave request
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function restoreLeaveBalance(employeeId, leaveTypeId, hours) {
+export async function restoreLeaveBalance(employeeId, leaveTypeId, hours, { request = null } = {}) {
   try {
-    const leaveType = await getBalanceLeaveType(leaveTypeId);
-
-    const balances = await EmployeeLeaveBalance.filter({
-      employee_id: employeeId,
-      leave_type: leaveType,
-    });
-
-    if (balances.length === 0) {
-      console.warn(
-        `No leave balance found for employee ${employeeId}, leave type ${leaveType}`,
-      );
+    const leaveType = await getBalanceBucketForLeaveTypeId(leaveTypeId);
+    if (!drawsFromBalance(leaveType)) {
       return { success: true };
     }
 
-    const balance = balances[0];
-    const newBalanceHours = (balance.balance_hours || 0) + hours;
-
-    await EmployeeLeaveBalance.update(balance.id, {
-      balance_hours: newBalanceHours,
-      last_calculated_date: new Date().toISOString().split('T')[0],
+    return await postLedgerEntry({
+      employeeId,
+      leaveType,
+      entryType: 'reversal',
+      hours,
+      effectiveDate: request?.start_date || null,
+      sourceType: request ? 'LeaveRequest' : null,
+      sourceId: request?.id || null,
+      description: request
+        ? `Reversal of leave ${request.start_date} to ${request.end_date}`
+        : '',
     });
-
-    return { success: true };
   } catch (error) {
     console.error('Error restoring leave balance:', error);
     return { success: false, error: error.message };
@@ -176,74 +189,97 @@ export async function restoreLeaveBalance(employeeId, leaveTypeId, hours) {
 /**
  * Check if employee has sufficient leave balance
  *
- * Uses the same logic as the front-end:
- * - Derives hoursPerDay from policy.standard_hours_per_day, employee.hours_per_week/5, or default 7.6
- * - Computes neededHours = chargeableDays * hoursPerDay
+ * Uses the same projection as the request form (checkProjectedLeaveBalance):
+ * - Uses chargeableHours when provided (work-pattern hours from calculateChargeableLeave)
+ * - Otherwise derives hoursPerDay from the employee's work pattern, policy.standard_hours_per_day,
+ *   employee.hours_per_week/5, or default 7.6 and computes neededHours = chargeableDays * hoursPerDay
  * - Compares with small epsilon tolerance (0.01)
+ * - Leave types mapped to no balance (unpaid / uncapped) are always sufficient
+ * - The balance is projected to asOfDate: accrual up to that date is added and
+ *   other approved and pending leave is deducted
+ * - The balance may go below zero by the policy's negative limit; such requests
+ *   are leave in advance (`inAdvance`) and may need HR approval (`advanceApprover`)
  *
  * @param {string} employeeId - The employee's ID
  * @param {string} leaveTypeId - The leave type ID
  * @param {number} chargeableDays - Number of chargeable business days
- * @param {Object} employee - Employee object (for hours_per_week)
- * @returns {Promise<{sufficient: boolean, available: number, needed: number, hoursPerDay: number, allowNegative: boolean}>}
+ * @param {Object} employee - Employee object (for work_pattern / hours_per_week)
+ * @param {number|null} [chargeableHours] - Exact chargeable hours, if already known
+ * @param {string|null} [asOfDate] - Leave start date (yyyy-MM-dd) to project the balance to
+ * @param {string|null} [excludeRequestId] - Request being approved or amended, left out of used hours
+ * @returns {Promise<{sufficient: boolean, available: number, needed: number, hoursPerDay: number, allowNegative: boolean, negativeLimitHours: number, inAdvance: boolean, advanceApprover: string, blockedReason: string|null, noBalance: boolean, projectedAccrual: number}>}
  */
 export async function checkLeaveBalance(
   employeeId,
   leaveTypeId,
   chargeableDays,
   employee = null,
+  chargeableHours = null,
+  asOfDate = null,
+  excludeRequestId = null,
 ) {
-  const leaveType = await getBalanceLeaveType(leaveTypeId);
-
-  // Get balance
-  const balances = await EmployeeLeaveBalance.filter({
-    employee_id: employeeId,
-    leave_type: leaveType,
-  });
-
-  const available =
-    balances.length > 0 ? safeNumber(balances[0].balance_hours, 0) : 0;
+  const leaveType = await getBalanceBucketForLeaveTypeId(leaveTypeId);
+  const noBalance = !drawsFromBalance(leaveType);
+
+  // Unpaid / uncapped types have no balance or policy; only the hours matter
+  if (noBalance) {
+    const check = checkHoursAgainstBalance({
+      balance: null,
+      chargeableDays,
+      employee,
+      policy: null,
+      chargeableHours: Number.isFinite(chargeableHours) ? chargeableHours : undefined,
+    });
+    return {
+      sufficient: true,
+      available: 0,
+      needed: check.neededHours,
+      hoursPerDay: check.hoursPerDay,
+      allowNegative: false,
+      negativeLimitHours: 0,
+      inAdvance: false,
+      advanceApprover: 'manager',
+      blockedReason: null,
+      noBalance,
+      projectedAccrual: 0,
+    };
+  }
 
-  // Get policy to check allow_negative_balance and standard_hours_per_day
-  const policies = await LeavePolicy.filter({
-    leave_type: leaveType,
-    is_default: true,
-    is_active: true,
+  const policy = await getApplicablePolicyForEmployee(employeeId, leaveType, employee);
+  const check = await checkProjectedLeaveBalance({
+    employeeId,
+    bucket: leaveType,
+    startDate: asOfDate,
+    excludeRequestId,
+    chargeableDays,
+    employee,
+    policy,
+    chargeableHours: Number.isFinite(chargeableHours) ? chargeableHours : undefined,
   });
 
-  const policy = policies.length > 0 ? policies[0] : null;
-  const allowNegative = policy?.allow_negative_balance || false;
-
-  // Derive hoursPerDay using same logic as front-end
-  let hoursPerDay;
-  if (
-    Number.isFinite(policy?.standard_hours_per_day) &&
-    policy.standard_hours_per_day > 0
-  ) {
-    hoursPerDay = policy.standard_hours_per_day;
-  } else if (
-    Number.isFinite(employee?.hours_per_week) &&
-    employee.hours_per_week > 0
-  ) {
-    hoursPerDay = employee.hours_per_week / 5;
-  } else {
-    hoursPerDay = 7.6;
+  const sufficient = !check.exceedsNegativeLimit;
+  let blockedReason = null;
+  if (!sufficient) {
+    const availableText = check.asOfDate
+      ? `${formatHours(check.availableHours)} hours will be available on ${format(parseISO(check.asOfDate), 'd MMM yyyy')}`
+      : `${formatHours(check.availableHours)} hours are available`;
+    blockedReason = check.negativeLimitHours > 0
+      ? `Insufficient leave balance. ${availableText} but ${formatHours(check.neededHours)} hours are needed, and the leave policy allows at most ${formatHours(check.negativeLimitHours)} hours below zero.`
+      : `Insufficient leave balance. ${availableText} but ${formatHours(check.neededHours)} hours are needed, and the leave policy does not allow leave in advance.`;
   }
 
-  // Calculate needed hours
-  const days = safeNumber(chargeableDays, 0);
-  const neededHours = days * hoursPerDay;
-
-  // Use epsilon tolerance for comparison (same as front-end)
-  const EPS = 0.01;
-  const sufficient = neededHours <= available + EPS || allowNegative;
-
   return {
     sufficient,
-    available,
-    needed: neededHours,
-    hoursPerDay,
-    allowNegative,
+    available: check.availableHours,
+    needed: check.neededHours,
+    hoursPerDay: check.hoursPerDay,
+    allowNegative: policy?.allow_negative_balance || false,
+    negativeLimitHours: check.negativeLimitHours,
+    inAdvance: check.inAdvance,
+    advanceApprover: check.advanceApprover,
+    blockedReason,
+    noBalance,
+    projectedAccrual: check.accruedUntilDate,
   };
 }
 
@@ -251,8 +287,14 @@ export async function checkLeaveBalance(
  * Create a leave request with proper status based on whether employee has a manager.
  * Auto-approves and deducts balance if no manager is assigned.
  *
- * Validates sufficient balance before creating (unless allow_negative_balance=true).
- * Supports half-day leave (AM/PM) for single-day requests.
+ * Validates sufficient balance before creating, allowing the policy's negative
+ * limit. Requests that take the balance below zero (leave in advance) always
+ * go to approval. Requests in a blocking blackout period are rejected; those
+ * in a warning period are flagged for the approver. Evidence rules on the
+ * leave type set the request's evidence due date; attached files are uploaded
+ * after the request is created.
+ * Supports half-day leave (AM/PM) for single-day requests, and hour-based
+ * partial days (start/end times or explicit hours) on any day of the request.
  *
  * @param {Object} params
  * @param {Object} params.employee - The target employee object
@@ -260,11 +302,13 @@ export async function checkLeaveBalance(
  * @param {string} params.startDate - Start date
  * @param {string} params.endDate - End date
  * @param {string} [params.reason] - Optional reason
- * @param {string} [params.partialDayType] - 'full', 'half_am', or 'half_pm' (default: 'full')
+ * @param {string} [params.partialDayType] - 'full', 'half_am', 'half_pm' or 'hours' (default: 'full')
+ * @param {Object} [params.dayOverrides] - Map of 'yyyy-MM-dd' -> { hours } | { start_time, end_time }
  * @param {Object} [params.currentUser] - Current user (for permission check)
  * @param {Object} [params.currentEmployee] - Current user's employee record
  * @param {Object} [params.preferences] - User preferences with acting_mode
- * @returns {Promise<{success: boolean, autoApproved: boolean, hoursDeducted?: number, error?: string}>}
+ * @param {File[]} [params.attachments] - Evidence files (e.g. medical certificate)
+ * @returns {Promise<{success: boolean, autoApproved: boolean, inAdvance?: boolean, hoursDeducted?: number, blackoutWarnings?: Array, evidenceRequired?: boolean, evidenceDueDate?: string, evidenceError?: string, error?: string}>}
  */
 export async function createLeaveRequest(params) {
   const {
@@ -274,11 +318,15 @@ export async function createLeaveRequest(params) {
     endDate,
     reason,
     partialDayType = 'full',
+    dayOverrides = null,
     currentUser,
     currentEmployee,
     preferences,
+    attachments = [],
   } = params;
 
+  const hasDayOverrides = !!dayOverrides && Object.keys(dayOverrides).length > 0;
+
   // Permission check: if user/preferences provided, validate permission
   if (currentUser && preferences) {
     if (
@@ -313,6 +361,16 @@ export async function createLeaveRequest(params) {
     };
   }
 
+  const overrideError = validateDayOverrides(dayOverrides, startDate, endDate);
+  if (overrideError) {
+    return {
+      success: false,
+      autoApproved: false,
+      error: 'INVALID_PARTIAL_HOURS',
+      message: overrideError,
+    };
+  }
+
   // =====================================================
   // 1) Casual employee guard - block paid leave types
   // =====================================================
@@ -347,38 +405,87 @@ export async function createLeaveRequest(params) {
     };
   }
 
-  // Calculate chargeable leave using leaveEngine (includes half-day support)
+  // =====================================================
+  // 3) Blackout periods - block, or flag for the approver
+  // =====================================================
+  const blackouts = await checkBlackoutPeriods(employee, startDate, endDate);
+
+  if (blackouts.blocked.length > 0) {
+    const period = blackouts.blocked[0];
+    return {
+      success: false,
+      autoApproved: false,
+      error: 'BLACKOUT_PERIOD',
+      message: `Leave can't be requested during ${describeBlackoutPeriod(period)}.${period.message ? ` ${period.message}` : ''}`,
+      details: blackouts.blocked,
+    };
+  }
+
+  // Calculate chargeable leave using leaveEngine (includes half-day and partial-hour support)
   const chargeableResult = await calculateChargeableLeave({
     start_date: startDate,
     end_date: endDate,
     employee_id: employee.id,
     partial_day_type: partialDayType,
+    day_overrides: hasDayOverrides ? dayOverrides : null,
   });
   const chargeableDays = safeNumber(
     chargeableResult.chargeableDays ?? chargeableResult.chargeable_days,
     0,
   );
 
+  const overRosteredDay = (chargeableResult.days || []).find((d) => d.exceedsRoster);
+  if (overRosteredDay) {
+    return {
+      success: false,
+      autoApproved: false,
+      error: 'INVALID_PARTIAL_HOURS',
+      message: `${formatHours(overRosteredDay.requestedHours)} hours requested on ${overRosteredDay.date}, but only ${formatHours(overRosteredDay.scheduledHours)} hours are rostered that day.`,
+    };
+  }
+
+  // Custom work patterns and partial-hour days are charged their exact hours
+  const chargeableHours =
+    hasCustomWorkPattern(employee) || chargeableResult.hasPartialHours
+      ? safeNumber(chargeableResult.hoursDeducted, 0)
+      : null;
+
   // Check balance using chargeableDays (same logic as front-end)
   const balanceCheck = await checkLeaveBalance(
     employee.id,
     leaveTypeId,
     chargeableDays,
     employee,
+    chargeableHours,
+    startDate,
   );
 
   if (!balanceCheck.sufficient) {
     return {
       success: false,
       autoApproved: false,
-      error: `Insufficient leave balance. You have ${formatHours(
-        balanceCheck.available,
-      )} hours available but need ${formatHours(balanceCheck.needed)} hours.`,
+      error: balanceCheck.blockedReason,
     };
   }
 
+  // Route through the approval chain. Leave in advance is never auto-approved:
+  // it ends with HR when the policy says so, or when there is no manager.
   const hasManager = !!employee.manager_id;
-  const status = hasManager ? 'pending' : 'approved';
+  const { steps: approvalSteps, chain } = await buildApprovalSteps(
+    { leave_type_id: leaveTypeId, total_days: chargeableDays },
+    employee,
+    {
+      requireHr:
+        balanceCheck.inAdvance &&
+        (balanceCheck.advanceApprover === 'hr' || !hasManager),
+    },
+  );
+  const status = approvalSteps.length > 0 ? 'pending' : 'approved';
+
+  const leaveTypes = await LeaveType.filter({ id: leaveTypeId });
+  const leaveType = leaveTypes[0] || null;
+  const evidence = getEvidenceRequirement(leaveType, { endDate, days: chargeableDays });
+  const hasAttachments = attachments.length > 0;
 
   const payload = {
     employee_id: employee.id,
@@ -386,9 +493,24 @@ export async function createLeaveRequest(params) {
     start_date: startDate,
     end_date: endDate,
     total_days: chargeableDays,
+    total_hours: balanceCheck.needed,
     partial_day_type: partialDayType || 'full',
+    day_overrides: hasDayOverrides ? dayOverrides : null,
     status: status,
     reason: reason || null,
+    in_advance: balanceCheck.inAdvance,
+    advance_approver: balanceCheck.inAdvance ? balanceCheck.advanceApprover : null,
+    approval_steps: approvalSteps,
+    current_step: 0,
+    approval_chain_id: chain?.id || null,
+    escalate_after_days: chain?.escalate_after_days || null,
+    blackout_warnings: blackouts.warnings.length > 0
+      ? blackouts.warnings.map(describeBlackoutPeriod)
+      : null,
+    evidence_required: evidence.required,
+    evidence_due_date: evidence.dueDate,
+    evidence_status: evidence.required ? 'required' : null,
+    applied_hours: status === 'approved' ? balanceCheck.needed : null,
   };
 
   // Only include manager_id if employee has a manager
@@ -400,19 +522,32 @@ export async function createLeaveRequest(params) {
     const createdRequest = await LeaveRequest.create(payload);
 
     // If auto-approved (no manager), deduct balance immediately and notify employee
-    if (!hasManager) {
-      await deductLeaveBalance(employee.id, leaveTypeId, balanceCheck.needed);
+    if (status === 'approved') {
+      await deductLeaveBalance(employee.id, leaveTypeId, balanceCheck.needed, {
+        request: createdRequest,
+      });
       await notifyEmployeeOfAutoApproval(employee, startDate, endDate);
-    } else {
+    } else if (approvalSteps[0].approver_id === employee.manager_id) {
       // Notify manager about the new leave request
       await notifyManagerOfLeaveRequest(employee, createdRequest, leaveTypeId);
+    } else {
+      await notifyStepApprover(approvalSteps[0], createdRequest, employee);
+    }
+
+    // Attach evidence; a failed upload leaves the request in place
+    let evidenceError = null;
+    for (const file of attachments) {
+      const upload = await uploadLeaveEvidence({
+        request: createdRequest,
+        file,
+        leaveType,
+        user: currentUser,
+      });
+      if (!upload.success) evidenceError = upload.error;
     }
 
     // Audit log
-    const LeaveType = base44.entities.LeaveType;
-    const leaveTypes = await LeaveType.filter({ id: leaveTypeId });
-    const leaveTypeName =
-      leaveTypes.length > 0 ? leaveTypes[0].name : 'Leave';
+    const leaveTypeName = leaveType ? leaveType.name : 'Leave';
     await logForCurrentUser({
       eventType: 'leave_requested',
       entityType: 'LeaveRequest',
@@ -426,8 +561,13 @@ export async function createLeaveRequest(params) {
 
     return {
       success: true,
-      autoApproved: !hasManager,
+      autoApproved: status === 'approved',
+      inAdvance: balanceCheck.inAdvance,
       hoursDeducted: balanceCheck.needed,
+      blackoutWarnings: blackouts.warnings,
+      evidenceRequired: evidence.required && (!hasAttachments || !!evidenceError),
+      evidenceDueDate: evidence.dueDate,
+      evidenceError,
     };
   } catch (error) {
     console.error('Error creating leave request:', error);
@@ -438,7 +578,7 @@ export async function createLeaveRequest(params) {
 /**
  * Send in-app notification to employee when leave is declined by manager.
  */
-async function notifyEmployeeOfDecline(leaveRequest) {
+async function notifyEmployeeOfDecline(leaveRequest, { amendment = false } = {}) {
   try {
     const Employee = base44.entities.Employee;
     const employees = await Employee.filter({ id: leaveRequest.employee_id });
@@ -449,8 +589,10 @@ async function notifyEmployeeOfDecline(leaveRequest) {
     await sendNotification({
       userId: employee.user_id,
       type: 'leave_declined',
-      title: 'Leave declined',
-      message: `Your leave request has been declined.`,
+      title: amendment ? 'Leave change declined' : 'Leave declined',
+      message: amendment
+        ? 'The change to your leave has been declined. Your previously approved leave still stands.'
+        : `Your leave request has been declined.`,
       category: NotificationCategory.LEAVE_DECLINES,
       link: '/MyLeave',
       sendEmail: true,
@@ -561,13 +703,24 @@ async function notifyManagerOfLeaveRequest(employee, leaveRequest, leaveTypeId)
  * PERMISSION CHECK: Validates that the current user can approve this request.
  * In staff mode, users cannot approve any leave requests.
  *
+ * BALANCE CHECK: Re-checks the balance against the policy's negative limit.
+ * Leave in advance under a policy with advance_leave_approver = 'hr' can only
+ * be approved by an admin.
+ *
+ * APPROVAL CHAIN: Requests with approval_steps are approved one step at a
+ * time. Until the last step, the request stays pending and the next approver
+ * is notified (finalApproved: false); balance is only deducted at the end.
+ *
+ * AMENDMENTS: For an amendment to approved leave only the change in hours is
+ * checked against the balance and posted to the ledger.
+ *
  * @param {Object} request - The leave request object
  * @param {Object} employee - The employee object (for calculating hours)
  * @param {string} [managerComment] - Optional manager comment
  * @param {Object} [currentUser] - Current user (for permission check)
  * @param {Object} [currentEmployee] - Current user's employee record
  * @param {Object} [preferences] - User preferences with acting_mode
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, finalApproved?: boolean, error?: string}>}
  */
 export async function approveLeaveRequest(
   request,
@@ -589,18 +742,85 @@ export async function approveLeaveRequest(
     };
   }
 
+  // Approvals delegated to the current user (e.g. while their manager is away)
+  const delegatorIds = currentEmployee?.id
+    ? await getActiveDelegatorIds(currentEmployee.id)
+    : [];
+
   // Permission check: if user/preferences provided, validate permission
   if (currentUser && preferences) {
-    if (!canApproveLeave(currentUser, request, currentEmployee, preferences)) {
+    if (!canApproveLeave(currentUser, request, currentEmployee, preferences, delegatorIds)) {
       return {
         success: false,
         error:
-          'Permission denied: You cannot approve this leave request in staff mode.',
+          'Permission denied: You are not the approver for the current step of this leave request.',
       };
     }
   }
 
+  const hasApprovalSteps = request.approval_steps?.length > 0;
+  const stepResult = hasApprovalSteps
+    ? recordApprovalDecision(request, {
+      decision: 'approved',
+      actorId: currentEmployee?.id || null,
+      delegatorIds,
+      comment: managerComment,
+    })
+    : null;
+
+  // Re-check the balance: other leave may have been approved since submission.
+  // The request itself is left out of the projection's used hours.
+  const balanceCheck = await checkLeaveBalance(
+    request.employee_id,
+    request.leave_type_id,
+    request.total_days,
+    employee,
+    Number.isFinite(request.total_hours) && request.total_hours > 0
+      ? request.total_hours
+      : null,
+    request.start_date,
+    request.id,
+  );
+  if (!balanceCheck.sufficient) {
+    return {
+      success: false,
+      error: balanceCheck.blockedReason,
+    };
+  }
+  if (
+    balanceCheck.inAdvance &&
+    balanceCheck.advanceApprover === 'hr' &&
+    (!stepResult || stepResult.isComplete) &&
+    currentUser &&
+    !canActAsAdmin(currentUser, preferences)
+  ) {
+    return {
+      success: false,
+      error: `This is leave in advance (${formatHours(
+        balanceCheck.needed - balanceCheck.available,
+      )} hours below zero) and must be approved by HR.`,
+    };
+  }
+
   try {
+    // Intermediate step: record it and hand over to the next approver
+    if (stepResult && !stepResult.isComplete) {
+      await LeaveRequest.update(request.id, {
+        approval_steps: stepResult.approval_steps,
+        current_step: stepResult.current_step,
+      });
+      await notifyStepApprover(stepResult.nextStep, request, employee);
+      await logForCurrentUser({
+        eventType: 'leave_approval_step',
+        entityType: 'LeaveRequest',
+        entityId: request.id,
+        relatedEmployeeId: request.employee_id,
+        description: `Approved step ${stepResult.current_step} of ${stepResult.approval_steps.length} for leave from ${request.start_date} to ${request.end_date}`,
+      });
+      invalidateLeaveCache(request.employee_id);
+      return { success: true, finalApproved: false };
+    }
+
     // Update request status with audit fields
     const updatePayload = {
       status: 'approved',
@@ -608,8 +828,21 @@ export async function approveLeaveRequest(
       approved_at: new Date().toISOString(),
       rejected_at: null,
       rejection_reason: null,
+      in_advance: balanceCheck.inAdvance,
     };
 
+    if (stepResult) {
+      updatePayload.approval_steps = stepResult.approval_steps;
+      updatePayload.current_step = stepResult.current_step;
+    }
+
+    if (request.revisions?.length > 0) {
+      updatePayload.revisions = resolveLatestRevision(request.revisions, 'approved', {
+        approvalSteps: updatePayload.approval_steps,
+      });
+      updatePayload.amendment_pending = false;
+    }
+
     // Set approved_by_id if we have the current employee
     if (currentEmployee?.id) {
       updatePayload.approved_by_id = currentEmployee.id;
@@ -636,13 +869,13 @@ export async function approveLeaveRequest(
       entityType: 'LeaveRequest',
       entityId: request.id,
       relatedEmployeeId: employee.id,
-      description: `Approved ${employee.first_name} ${employee.last_name}'s ${leaveTypeName} from ${request.start_date} to ${request.end_date}`,
+      description: `Approved ${request.amendment_pending ? 'the change to ' : ''}${employee.first_name} ${employee.last_name}'s ${leaveTypeName} from ${request.start_date} to ${request.end_date}`,
     });
 
     // Invalidate leave cache after approval
     invalidateLeaveCache(request.employee_id);
 
-    return { success: true };
+    return { success: true, finalApproved: true };
   } catch (error) {
     console.error('Error approving leave request:', error);
     return { success: false, error: error.message };
@@ -656,6 +889,9 @@ export async function approveLeaveRequest(
  * PERMISSION CHECK: Validates that the current user can decline this request.
  * In staff mode, users cannot decline any leave requests.
  *
+ * Declining an amendment to approved leave restores the last approved
+ * version; the request stays approved and the balance is unchanged.
+ *
  * @param {Object} request - The leave request object
  * @param {string} declineReason - Required reason for declining
  * @param {Object} [currentUser] - Current user (for permission check)
@@ -682,13 +918,17 @@ export async function declineLeaveRequest(
     };
   }
 
+  const delegatorIds = currentEmployee?.id
+    ? await getActiveDelegatorIds(currentEmployee.id)
+    : [];
+
   // Permission check: if user/preferences provided, validate permission
   if (currentUser && preferences) {
-    if (!canApproveLeave(currentUser, request, currentEmployee, preferences)) {
+    if (!canApproveLeave(currentUser, request, currentEmployee, preferences, delegatorIds)) {
       return {
         success: false,
         error:
-          'Permission denied: You cannot decline this leave request in staff mode.',
+          'Permission denied: You are not the approver for the current step of this leave request.',
       };
     }
   }
@@ -707,18 +947,49 @@ export async function declineLeaveRequest(
       approved_at: null,
     };
 
+    // A decline at any step ends the chain
+    if (request.approval_steps?.length > 0) {
+      const stepResult = recordApprovalDecision(request, {
+        decision: 'declined',
+        actorId: currentEmployee?.id || null,
+        delegatorIds,
+        comment: declineReason,
+      });
+      updatePayload.approval_steps = stepResult.approval_steps;
+      updatePayload.current_step = stepResult.current_step;
+    }
+
     // Set approved_by_id (tracks who processed the request, even for rejections)
     if (currentEmployee?.id) {
       updatePayload.approved_by_id = currentEmployee.id;
     }
 
+    // A declined amendment falls back to the last approved version
+    const restored = request.amendment_pending ? getRestorableRevision(request) : null;
+    if (request.revisions?.length > 0) {
+      updatePayload.revisions = resolveLatestRevision(request.revisions, 'declined', {
+        approvalSteps: updatePayload.approval_steps,
+      });
+    }
+    if (restored) {
+      Object.assign(updatePayload, pickRevisionFields(restored), {
+        status: 'approved',
+        approval_steps: restored.approval_steps || [],
+        current_step: restored.current_step ?? 0,
+        amendment_pending: false,
+        rejection_reason: null,
+        rejected_at: null,
+        approved_at: restored.decided_at || null,
+      });
+    }
+
     await LeaveRequest.update(request.id, updatePayload);
 
     // Send email notification to employee with decline reason
     await sendLeaveNotification(request.employee_id, 'declined', declineReason);
 
     // Send in-app notification to employee
-    await notifyEmployeeOfDecline(request);
+    await notifyEmployeeOfDecline(request, { amendment: !!restored });
 
     // Audit log
     const Employee = base44.entities.Employee;
@@ -733,7 +1004,7 @@ export async function declineLeaveRequest(
       entityType: 'LeaveRequest',
       entityId: request.id,
       relatedEmployeeId: request.employee_id,
-      description: `Declined ${emp?.first_name || ''} ${
+      description: `Declined ${restored ? 'the change to ' : ''}${emp?.first_name || ''} ${
         emp?.last_name || ''
       }'s ${leaveTypeName} request`,
     });
@@ -750,10 +1021,11 @@ export async function declineLeaveRequest(
 
 /**
  * Create leave on behalf of an employee (manager/admin use).
- * Auto-approves the leave and deducts balance immediately.
+ * Auto-approves the leave and deducts balance immediately, unless the
+ * approval chain has steps beyond the manager (returned with pending: true).
  *
  * Reuses all existing validation:
- * - Balance check
+ * - Balance check (including the policy's negative limit and advance approver)
  * - Overlap check
  * - Casual restrictions for paid leave
  *
@@ -767,7 +1039,7 @@ export async function declineLeaveRequest(
  * @param {Object} params.currentUser - Current user object (for role check)
  * @param {Object} params.managerEmployee - Manager's employee record
  * @param {Object} [params.preferences] - User preferences
- * @returns {Promise<{success: boolean, leave?: Object, error?: string, message?: string}>}
+ * @returns {Promise<{success: boolean, pending?: boolean, leave?: Object, error?: string, message?: string}>}
  */
 export async function createLeaveAsManager(params) {
   const {
@@ -862,42 +1134,103 @@ export async function createLeaveAsManager(params) {
     0,
   );
 
-  // 7. Check balance
+  // 7. Check balance (work-pattern hours for employees on a custom pattern)
+  const chargeableHours = hasCustomWorkPattern(employee)
+    ? safeNumber(chargeableResult.hoursDeducted, 0)
+    : null;
   const balanceCheck = await checkLeaveBalance(
     employeeId,
     leaveTypeId,
     chargeableDays,
     employee,
+    chargeableHours,
+    startDate,
   );
   if (!balanceCheck.sufficient) {
     return {
       success: false,
       error: 'INSUFFICIENT_BALANCE',
-      message: `Insufficient leave balance. Employee has ${formatHours(
-        balanceCheck.available,
-      )} hours available but needs ${formatHours(balanceCheck.needed)} hours.`,
+      message: balanceCheck.blockedReason,
+    };
+  }
+  if (balanceCheck.inAdvance && balanceCheck.advanceApprover === 'hr' && !isAdmin) {
+    return {
+      success: false,
+      error: 'ADVANCE_LEAVE_REQUIRES_HR',
+      message: `This would take the employee's balance ${formatHours(
+        balanceCheck.needed - balanceCheck.available,
+      )} hours below zero. Leave in advance under this policy must be approved by HR.`,
     };
   }
 
-  // 8. Create the leave request as approved
+  // 8. Apply the approval chain: the manager signs off their own steps, any
+  //    later steps (e.g. HR for long leave) stay pending. Admins approve outright.
+  let approval = null;
+  if (!isAdmin) {
+    const { steps, chain } = await buildApprovalSteps(
+      { leave_type_id: leaveTypeId, total_days: chargeableDays },
+      employee,
+    );
+    approval = { approval_steps: steps, current_step: 0, isComplete: steps.length === 0, chain };
+    while (!approval.isComplete && approval.approval_steps[approval.current_step].approver_id === managerId) {
+      approval = {
+        ...recordApprovalDecision(approval, { decision: 'approved', actorId: managerId }),
+        chain,
+      };
+    }
+  }
+  const isPending = !!approval && !approval.isComplete;
+
   const payload = {
     employee_id: employeeId,
     leave_type_id: leaveTypeId,
     start_date: startDate,
     end_date: endDate,
     total_days: chargeableDays,
-    status: 'approved',
+    total_hours: balanceCheck.needed,
+    status: isPending ? 'pending' : 'approved',
     reason: reason || null,
-    approved_by_id: managerId,
-    approved_at: new Date().toISOString(),
+    approved_by_id: isPending ? null : managerId,
+    approved_at: isPending ? null : new Date().toISOString(),
     manager_id: employee.manager_id || null,
+    in_advance: balanceCheck.inAdvance,
+    applied_hours: isPending ? null : balanceCheck.needed,
   };
+  if (approval?.approval_steps.length > 0) {
+    payload.approval_steps = approval.approval_steps;
+    payload.current_step = approval.current_step;
+    payload.approval_chain_id = approval.chain?.id || null;
+    payload.escalate_after_days = approval.chain?.escalate_after_days || null;
+  }
 
   try {
     const createdRequest = await LeaveRequest.create(payload);
 
+    if (isPending) {
+      await notifyStepApprover(
+        approval.approval_steps[approval.current_step],
+        createdRequest,
+        employee,
+      );
+      await logForCurrentUser({
+        eventType: 'leave_created_by_manager',
+        entityType: 'LeaveRequest',
+        entityId: createdRequest.id,
+        relatedEmployeeId: employeeId,
+        description: `Created leave for ${employee.first_name} ${employee.last_name} from ${startDate} to ${endDate}, pending further approval`,
+      });
+      invalidateLeaveCache(employeeId);
+      return {
+        success: true,
+        pending: true,
+        leave: createdRequest,
+      };
+    }
+
     // 9. Deduct leave balance
-    await deductLeaveBalance(employeeId, leaveTypeId, balanceCheck.needed);
+    await deductLeaveBalance(employeeId, leaveTypeId, balanceCheck.needed, {
+      request: createdRequest,
+    });
 
     // 10. Notify employee
     await notifyEmployeeOfApproval(createdRequest, employee);
@@ -970,7 +1303,20 @@ export async function cancelLeaveRequest(
   }
 
   try {
-    const wasApproved = request.status === 'approved';
+    // Approved requests, and approved requests sent back for re-approval by
+    // an amendment, still hold a ledger debit that must be returned.
+    const hasAppliedHours =
+      request.status === 'approved' ||
+      request.amendment_pending ||
+      safeNumber(request.applied_hours, 0) > 0;
+
+    // Restore any charged hours using centralised LeaveEngine function. This
+    // runs before the status change so requests approved before applied_hours
+    // was recorded are still charged back at their chargeable hours.
+    if (hasAppliedHours) {
+      console.log('revertLeave called for request', request.id);
+      await revertLeave(request.id);
+    }
 
     // Update request status to cancelled with audit field
     await LeaveRequest.update(request.id, {
@@ -979,12 +1325,6 @@ export async function cancelLeaveRequest(
     });
     console.log('LeaveRequest updated to cancelled', request.id);
 
-    // If the request was approved, restore the hours using centralised LeaveEngine function
-    if (wasApproved) {
-      console.log('revertLeave called for request', request.id);
-      await revertLeave(request.id);
-    }
-
     // Audit log
     const LeaveType = base44.entities.LeaveType;
     const leaveTypes = await LeaveType.filter({ id: request.leave_type_id });
@@ -1011,6 +1351,247 @@ export async function cancelLeaveRequest(
   }
 }
 
+/**
+ * Amend a pending or approved leave request to new dates or hours, keeping
+ * the request and its approval history (see leaveAmendments).
+ *
+ * Runs the same checks as a new request (overlap with other leave, blackout
+ * periods, rostered hours, balance) and recomputes chargeable hours. The
+ * amendment goes back through the approval chain; when the chain is empty it
+ * is approved straight away. Only the difference from the hours already
+ * applied is checked against the balance and, once approved, posted.
+ *
+ * @param {Object} params
+ * @param {Object} params.request - The leave request to amend
+ * @param {Object} params.employee - The request's employee
+ * @param {string} params.startDate - New start date (yyyy-MM-dd)
+ * @param {string} params.endDate - New end date (yyyy-MM-dd)
+ * @param {string} [params.partialDayType] - 'full', 'half_am', 'half_pm' or 'hours'
+ * @param {Object} [params.dayOverrides] - Map of 'yyyy-MM-dd' -> { hours } | { start_time, end_time }
+ * @param {string} [params.reason] - Why the leave is changing
+ * @param {Object} [params.currentUser] - Current user (for permission check)
+ * @param {Object} [params.currentEmployee] - Current user's employee record
+ * @param {Object} [params.preferences] - User preferences with acting_mode
+ * @returns {Promise<{success: boolean, autoApproved?: boolean, hoursDelta?: number, blackoutWarnings?: Array, error?: string, message?: string}>}
+ */
+export async function amendLeaveRequest(params) {
+  const {
+    request,
+    employee,
+    startDate,
+    endDate,
+    partialDayType = 'full',
+    dayOverrides = null,
+    reason = '',
+    currentUser = null,
+    currentEmployee = null,
+    preferences = null,
+  } = params;
+
+  const hasDayOverrides = !!dayOverrides && Object.keys(dayOverrides).length > 0;
+
+  if (currentUser && preferences) {
+    if (!canAmendLeaveRequest(currentUser, request, currentEmployee, preferences)) {
+      return {
+        success: false,
+        error: 'PERMISSION_DENIED',
+        message: 'This leave request can no longer be changed.',
+      };
+    }
+  }
+
+  if (!startDate || !endDate || endDate < startDate) {
+    return {
+      success: false,
+      error: 'INVALID_DATES',
+      message: 'Choose a start date and an end date on or after it.',
+    };
+  }
+
+  const isHalfDay = partialDayType === 'half_am' || partialDayType === 'half_pm';
+  if (isHalfDay && startDate !== endDate) {
+    return {
+      success: false,
+      error: 'HALF_DAY_MUST_BE_SINGLE_DAY',
+      message:
+        'Half-day leave is only available for single-day requests. Please make the start and end date the same or choose Full day.',
+    };
+  }
+
+  const overrideError = validateDayOverrides(dayOverrides, startDate, endDate);
+  if (overrideError) {
+    return { success: false, error: 'INVALID_PARTIAL_HOURS', message: overrideError };
+  }
+
+  const proposedVersion = {
+    start_date: startDate,
+    end_date: endDate,
+    partial_day_type: partialDayType || 'full',
+    day_overrides: hasDayOverrides ? dayOverrides : null,
+  };
+  if (!isAmendmentChanged(request, proposedVersion)) {
+    return {
+      success: false,
+      error: 'NO_CHANGES',
+      message: 'The dates and hours are the same as the current request.',
+    };
+  }
+
+  const overlappingRequests = await findOverlappingLeaveRequests(
+    employee.id,
+    startDate,
+    endDate,
+    request.id,
+  );
+  if (overlappingRequests.length > 0) {
+    return {
+      success: false,
+      error: 'OVERLAPPING_LEAVE',
+      details: overlappingRequests,
+    };
+  }
+
+  const blackouts = await checkBlackoutPeriods(employee, startDate, endDate);
+  if (blackouts.blocked.length > 0) {
+    const period = blackouts.blocked[0];
+    return {
+      success: false,
+      error: 'BLACKOUT_PERIOD',
+      message: `Leave can't be requested during ${describeBlackoutPeriod(period)}.${period.message ? ` ${period.message}` : ''}`,
+      details: blackouts.blocked,
+    };
+  }
+
+  const chargeableResult = await calculateChargeableLeave({
+    start_date: startDate,
+    end_date: endDate,
+    employee_id: employee.id,
+    partial_day_type: partialDayType,
+    day_overrides: proposedVersion.day_overrides,
+  });
+  const chargeableDays = safeNumber(
+    chargeableResult.chargeableDays ?? chargeableResult.chargeable_days,
+    0,
+  );
+
+  const overRosteredDay = (chargeableResult.days || []).find((d) => d.exceedsRoster);
+  if (overRosteredDay) {
+    return {
+      success: false,
+      error: 'INVALID_PARTIAL_HOURS',
+      message: `${formatHours(overRosteredDay.requestedHours)} hours requested on ${overRosteredDay.date}, but only ${formatHours(overRosteredDay.scheduledHours)} hours are rostered that day.`,
+    };
+  }
+
+  const chargeableHours =
+    hasCustomWorkPattern(employee) || chargeableResult.hasPartialHours
+      ? safeNumber(chargeableResult.hoursDeducted, 0)
+      : null;
+
+  // Full hours of the new version against the balance without the current
+  // version, which the projection would otherwise count as used
+  const appliedHours = await getAppliedLeaveHours(request, employee);
+  const balanceCheck = await checkLeaveBalance(
+    employee.id,
+    request.leave_type_id,
+    chargeableDays,
+    employee,
+    chargeableHours,
+    startDate,
+    request.id,
+  );
+  const totalHours = balanceCheck.needed;
+  if (!balanceCheck.sufficient) {
+    return { success: false, error: balanceCheck.blockedReason };
+  }
+
+  const hasManager = !!employee.manager_id;
+  const { steps: approvalSteps, chain } = await buildApprovalSteps(
+    { leave_type_id: request.leave_type_id, total_days: chargeableDays },
+    employee,
+    {
+      requireHr:
+        balanceCheck.inAdvance &&
+        (balanceCheck.advanceApprover === 'hr' || !hasManager),
+    },
+  );
+  const status = approvalSteps.length > 0 ? 'pending' : 'approved';
+
+  const leaveTypes = await LeaveType.filter({ id: request.leave_type_id });
+  const leaveType = leaveTypes[0] || null;
+  const evidence = getEvidenceRequirement(leaveType, { endDate, days: chargeableDays });
+
+  const proposed = {
+    ...proposedVersion,
+    total_days: chargeableDays,
+    total_hours: totalHours,
+  };
+
+  const payload = {
+    ...proposed,
+    status,
+    approval_steps: approvalSteps,
+    current_step: 0,
+    approval_chain_id: chain?.id || null,
+    escalate_after_days: chain?.escalate_after_days || null,
+    in_advance: balanceCheck.inAdvance,
+    advance_approver: balanceCheck.inAdvance ? balanceCheck.advanceApprover : null,
+    blackout_warnings: blackouts.warnings.length > 0
+      ? blackouts.warnings.map(describeBlackoutPeriod)
+      : null,
+    evidence_required: evidence.required,
+    evidence_due_date: evidence.dueDate,
+    evidence_status: request.evidence_status === 'provided'
+      ? 'provided'
+      : evidence.required ? 'required' : null,
+    revisions: buildAmendmentRevisions(request, proposed, {
+      status: status === 'approved' ? 'approved' : 'proposed',
+      reason,
+      proposedById: currentEmployee?.id || null,
+      approvalSteps,
+    }),
+    amendment_pending: status === 'pending' && appliedHours > 0,
+    applied_hours: appliedHours,
+    amended_at: new Date().toISOString(),
+  };
+  if (status === 'approved') {
+    payload.approved_at = new Date().toISOString();
+  }
+
+  try {
+    await LeaveRequest.update(request.id, payload);
+    const amendedRequest = { ...request, ...payload };
+
+    if (status === 'approved') {
+      await applyApprovedLeave(request.id);
+    } else if (approvalSteps[0].approver_id === employee.manager_id) {
+      await notifyManagerOfLeaveRequest(employee, amendedRequest, request.leave_type_id);
+    } else {
+      await notifyStepApprover(approvalSteps[0], amendedRequest, employee);
+    }
+
+    await logForCurrentUser({
+      eventType: 'leave_amended',
+      entityType: 'LeaveRequest',
+      entityId: request.id,
+      relatedEmployeeId: employee.id,
+      description: `Amended ${leaveType?.name || 'leave'} for ${employee.first_name} ${employee.last_name} from ${request.start_date} – ${request.end_date} to ${startDate} – ${endDate}${status === 'pending' ? ', pending approval' : ''}`,
+    });
+
+    invalidateLeaveCache(employee.id);
+
+    return {
+      success: true,
+      autoApproved: status === 'approved',
+      hoursDelta: totalHours - appliedHours,
+      blackoutWarnings: blackouts.warnings,
+    };
+  } catch (error) {
+    console.error('Error amending leave request:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Send a leave notification to an employee.
  * Checks user notification preferences before sending.
@@ -0,0 +1,343 @@
+import { base44 } from '@/api/base44Client';
+import { getFunctionUrl } from '@/api/functions';
+import { format, addDays, addMonths, subMonths, parseISO } from 'date-fns';
+import { canViewTeamTimeOff } from './permissions';
+import { getPersonalLeaveForCalendar, getTeamLeaveForCalendar } from './leaveCalendarHelpers';
+import { getPublicHolidaysInRange } from './publicHolidays';
+import { logForCurrentUser } from './audit';
+
+const LeaveType = base44.entities.LeaveType;
+const CalendarFeedToken = base44.entities.CalendarFeedToken;
+
+/**
+ * Leave iCalendar (.ics) export
+ *
+ * Builds RFC 5545 calendars of approved leave and public holidays, for
+ * one-off download or as a subscription feed.
+ *
+ * Scopes:
+ *   personal - the employee's own approved leave
+ *   team     - approved leave for everyone the user can see on the team
+ *              calendar (requires canViewTeamTimeOff)
+ * Both include the employee's public holidays.
+ *
+ * Subscription feeds are addressed by a per-user CalendarFeedToken:
+ *   { user_id, employee_id, scope, token, is_active, last_accessed_at }
+ * Calendar clients poll the leaveCalendarFeed backend function
+ * (functions/leaveCalendarFeed.ts) with the token. It builds the same
+ * calendar as buildLeaveCalendarIcs and re-checks the owner's access on
+ * every fetch, so revoked access or a reset link stops the feed.
+ */
+
+export const CALENDAR_FEED_SCOPES = {
+  personal: 'My leave',
+  team: 'Team leave',
+};
+
+// Backend function serving subscription feeds
+const CALENDAR_FEED_FUNCTION = 'leaveCalendarFeed';
+
+// Feeds cover recent history and the year ahead (kept in step with
+// functions/leaveCalendarFeed.ts)
+const FEED_MONTHS_BACK = 3;
+const FEED_MONTHS_AHEAD = 12;
+
+const PRODID = '-//HR Platform//Leave Calendar//EN';
+
+// ============================================
+// RFC 5545 formatting
+// ============================================
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatIcsDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar document of all-day events.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown in the client
+ * @param {Array<Object>} params.events - { uid, startDate, endDate, summary, description, tentative }
+ *   with inclusive yyyy-MM-dd dates
+ * @returns {string} text/calendar content with CRLF line endings
+ */
+export function buildIcsCalendar({ name, events }) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  for (const event of events) {
+    // DTEND is exclusive for all-day events
+    const endExclusive = format(addDays(parseISO(event.endDate), 1), 'yyyy-MM-dd');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(endExclusive)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    lines.push(
+      `STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// Leave calendars
+// ============================================
+
+function partialDayLabel(partialDayType) {
+  if (partialDayType === 'half_am') return ' (AM)';
+  if (partialDayType === 'half_pm') return ' (PM)';
+  if (partialDayType === 'hours') return ' (part day)';
+  return '';
+}
+
+/**
+ * Build the leave calendar for a user.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - User record
+ * @param {Object} params.employee - User's employee record
+ * @param {Object} params.preferences - UserPreferences
+ * @param {boolean} params.hasDirectReports
+ * @param {string} [params.scope] - 'personal' | 'team'
+ * @param {Date} [params.asOfDate] - Centre of the date window (default: today)
+ * @returns {Promise<{success: boolean, ics?: string, error?: string}>}
+ */
+export async function buildLeaveCalendarIcs({
+  user,
+  employee,
+  preferences,
+  hasDirectReports = false,
+  scope = 'personal',
+  asOfDate = new Date(),
+}) {
+  if (!employee) {
+    return { success: false, error: 'No employee profile linked to this account' };
+  }
+  if (scope === 'team' && !canViewTeamTimeOff(user, employee, preferences, hasDirectReports)) {
+    return { success: false, error: 'You do not have permission to view team leave' };
+  }
+
+  const startDate = format(subMonths(asOfDate, FEED_MONTHS_BACK), 'yyyy-MM-dd');
+  const endDate = format(addMonths(asOfDate, FEED_MONTHS_AHEAD), 'yyyy-MM-dd');
+
+  const leaveTypes = await LeaveType.list();
+  const leaveTypeName = (id) => leaveTypes.find((t) => t.id === id)?.name || 'Leave';
+
+  let leave;
+  if (scope === 'team') {
+    const team = await getTeamLeaveForCalendar({
+      startDate,
+      endDate,
+      user,
+      currentEmployee: employee,
+      preferences,
+      statusFilter: ['approved'],
+    });
+    leave = team.leave;
+  } else {
+    leave = (await getPersonalLeaveForCalendar(employee.id, startDate, endDate))
+      .filter((l) => l.status === 'approved');
+  }
+
+  const events = leave.map((l) => ({
+    uid: `leave-${l.id}@leave-calendar`,
+    startDate: l.startDate,
+    endDate: l.endDate,
+    summary: scope === 'team'
+      ? `${l.employeeName} – ${leaveTypeName(l.leaveTypeId)}${partialDayLabel(l.partialDayType)}`
+      : `${leaveTypeName(l.leaveTypeId)}${partialDayLabel(l.partialDayType)}`,
+    // Reasons are private to the employee
+    description: scope === 'personal' ? l.reason : l.departmentName,
+  }));
+
+  const holidays = await getPublicHolidaysInRange(
+    employee.entity_id || null,
+    parseISO(startDate),
+    parseISO(endDate)
+  );
+  for (const h of holidays) {
+    events.push({
+      uid: `holiday-${h.id}@leave-calendar`,
+      startDate: h.date,
+      endDate: h.date,
+      summary: `Public holiday: ${h.name}`,
+      description: h.state_region || null,
+    });
+  }
+
+  events.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  return {
+    success: true,
+    ics: buildIcsCalendar({ name: CALENDAR_FEED_SCOPES[scope] || 'Leave', events }),
+  };
+}
+
+/**
+ * Download the current user's leave calendar as an .ics file.
+ *
+ * @param {Object} userContext - From getCurrentUserEmployeeContext
+ * @param {string} [scope] - 'personal' | 'team'
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function downloadLeaveCalendarIcs(userContext, scope = 'personal') {
+  const result = await buildLeaveCalendarIcs({
+    user: userContext?.user,
+    employee: userContext?.employee,
+    preferences: userContext?.preferences,
+    hasDirectReports: (userContext?.directReports || []).length > 0,
+    scope,
+  });
+  if (!result.success) return result;
+
+  const blob = new Blob([result.ics], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${scope === 'team' ? 'team-leave' : 'my-leave'}-${format(new Date(), 'yyyy-MM-dd')}.ics`;
+  link.click();
+  URL.revokeObjectURL(url);
+  return { success: true };
+}
+
+// ============================================
+// Subscription feeds
+// ============================================
+
+function generateFeedToken() {
+  const bytes = new Uint8Array(24);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Subscription URL for a feed token
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+export function getCalendarFeedUrl(token) {
+  return `${getFunctionUrl(CALENDAR_FEED_FUNCTION)}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * The user's active feed token for a scope, creating one if needed.
+ *
+ * @param {Object} userContext - From getCurrentUserEmployeeContext
+ * @param {string} scope - 'personal' | 'team'
+ * @returns {Promise<{success: boolean, feed?: Object, error?: string}>}
+ */
+export async function getOrCreateCalendarFeed(userContext, scope) {
+  const { user, employee } = userContext || {};
+  if (!user || !employee) {
+    return { success: false, error: 'No employee profile linked to this account' };
+  }
+  if (scope === 'team' && !userContext.permissions?.canViewTeamTimeOff) {
+    return { success: false, error: 'You do not have permission to view team leave' };
+  }
+
+  const existing = await CalendarFeedToken.filter({ user_id: user.id, scope, is_active: true });
+  if (existing.length > 0) {
+    return { success: true, feed: existing[0] };
+  }
+
+  const feed = await CalendarFeedToken.create({
+    user_id: user.id,
+    employee_id: employee.id,
+    scope,
+    token: generateFeedToken(),
+    is_active: true,
+  });
+
+  await logForCurrentUser({
+    eventType: 'calendar_feed_created',
+    entityType: 'CalendarFeedToken',
+    entityId: feed.id,
+    relatedEmployeeId: employee.id,
+    description: `Created ${CALENDAR_FEED_SCOPES[scope] || scope} calendar feed`,
+  });
+
+  return { success: true, feed };
+}
+
+/**
+ * Revoke a feed and issue a new token (e.g. if the URL was shared).
+ *
+ * @param {Object} userContext - From getCurrentUserEmployeeContext
+ * @param {Object} feed - CalendarFeedToken to replace
+ * @returns {Promise<{success: boolean, feed?: Object, error?: string}>}
+ */
+export async function regenerateCalendarFeed(userContext, feed) {
+  try {
+    await CalendarFeedToken.update(feed.id, { is_active: false });
+    await logForCurrentUser({
+      eventType: 'calendar_feed_revoked',
+      entityType: 'CalendarFeedToken',
+      entityId: feed.id,
+      relatedEmployeeId: feed.employee_id,
+      description: 'Revoked calendar feed link',
+    });
+    return await getOrCreateCalendarFeed(userContext, feed.scope);
+  } catch (error) {
+    console.error('Error regenerating calendar feed:', error);
+    return { success: false, error: error.message || 'Failed to reset link' };
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Leave Balance Ledger
+ *
+ * Append-only history of every movement on an employee's leave balance,
+ * stored as LeaveAccrualEntry records:
+ *
+ *   {
+ *     employee_id, leave_type,          // leave_type is the balance bucket
+ *     entry_type,                       // see LEDGER_ENTRY_TYPES
+ *     hours,                            // signed: + credits, − debits
+ *     effective_date: 'yyyy-MM-dd',
+ *     source_type, source_id,           // e.g. 'LeaveRequest', request.id
+ *     description,
+ *   }
+ *
+ * Entries are never updated or deleted; corrections are posted as new
+ * entries (e.g. a reversal). EmployeeLeaveBalance.balance_hours and the
+ * legacy LeaveBalance row are caches written from the ledger on every post,
+ * so existing readers keep working; balances are never edited directly.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format } from 'date-fns';
+import { safeNumber } from './numberUtils';
+
+const LeaveAccrualEntry = base44.entities.LeaveAccrualEntry;
+const EmployeeLeaveBalance = base44.entities.EmployeeLeaveBalance;
+const LeaveBalance = base44.entities.LeaveBalance;
+
+export const LEDGER_ENTRY_TYPES = {
+  opening: 'Opening balance',
+  accrual: 'Accrual',
+  leave_taken: 'Leave taken',
+  reversal: 'Reversal',
+  adjustment: 'Manual adjustment',
+  carryover: 'Carryover',
+  payout: 'Payout',
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function todayStr() {
+  return format(new Date(), 'yyyy-MM-dd');
+}
+
+/**
+ * Chronological order: effective date, then creation time.
+ */
+function compareEntries(a, b) {
+  const byDate = (a.effective_date || '').localeCompare(b.effective_date || '');
+  if (byDate !== 0) return byDate;
+  return (a.created_date || '').localeCompare(b.created_date || '');
+}
+
+/**
+ * Get ledger entries for an employee, oldest first.
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {string} [leaveType] - Balance bucket (all buckets when omitted)
+ * @returns {Promise<Array>} LeaveAccrualEntry records
+ */
+export async function getLedgerEntries(employeeId, leaveType = null) {
+  const filter = { employee_id: employeeId };
+  if (leaveType) filter.leave_type = leaveType;
+
+  const entries = await LeaveAccrualEntry.filter(filter);
+  return entries.filter((e) => e.entry_type).sort(compareEntries);
+}
+
+/**
+ * Sum ledger entries into a balance.
+ *
+ * @param {Array} entries - Ledger entries
+ * @param {string} [asOfDate] - Only include entries effective on/before this date
+ * @returns {number} Balance in hours
+ */
+export function sumLedgerEntries(entries, asOfDate = null) {
+  const total = entries
+    .filter((e) => !asOfDate || (e.effective_date || '') <= asOfDate)
+    .reduce((sum, e) => sum + safeNumber(e.hours, 0), 0);
+  return round2(total);
+}
+
+/**
+ * Split ledger entries into the parts of a balance. Reversals of accrual
+ * runs count against accrual; every other reversal gives back leave taken.
+ *
+ * @param {Array} entries - Ledger entries for one bucket
+ * @returns {{opening: number, accrued: number, taken: number, adjusted: number, settled: number, balance: number}}
+ *   `taken` is positive; `settled` (carryover and payout) is negative
+ */
+export function summarizeLedgerEntries(entries) {
+  const summary = { opening: 0, accrued: 0, taken: 0, adjusted: 0, settled: 0 };
+
+  for (const entry of entries) {
+    const hours = safeNumber(entry.hours, 0);
+    switch (entry.entry_type) {
+      case 'opening':
+        summary.opening += hours;
+        break;
+      case 'accrual':
+        summary.accrued += hours;
+        break;
+      case 'adjustment':
+        summary.adjusted += hours;
+        break;
+      case 'carryover':
+      case 'payout':
+        summary.settled += hours;
+        break;
+      case 'reversal':
+        if (entry.source_type === 'LeaveAccrualRun') summary.accrued += hours;
+        else summary.taken -= hours;
+        break;
+      default:
+        summary.taken -= hours;
+    }
+  }
+
+  return {
+    opening: round2(summary.opening),
+    accrued: round2(summary.accrued),
+    taken: round2(summary.taken),
+    adjusted: round2(summary.adjusted),
+    settled: round2(summary.settled),
+    balance: sumLedgerEntries(entries),
+  };
+}
+
+/**
+ * Current ledger balance for an employee and bucket.
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {string} leaveType - Balance bucket
+ * @returns {Promise<number>} Balance in hours
+ */
+export async function getLedgerBalance(employeeId, leaveType) {
+  const entries = await getLedgerEntries(employeeId, leaveType);
+  return sumLedgerEntries(entries);
+}
+
+/**
+ * Build a statement with a running total after each entry.
+ *
+ * @param {Array} entries - Ledger entries (any order)
+ * @returns {Array} Entries oldest first, each with `running_balance`
+ */
+export function buildLedgerStatement(entries) {
+  let running = 0;
+  return [...entries].sort(compareEntries).map((entry) => {
+    running = round2(running + safeNumber(entry.hours, 0));
+    return { ...entry, running_balance: running };
+  });
+}
+
+/**
+ * Find or create the cached EmployeeLeaveBalance row for a bucket.
+ * When the employee has a stored balance but no ledger yet, an opening
+ * entry is posted so the ledger total matches what they had before.
+ */
+async function getOrCreateCachedBalance(employeeId, leaveType, existingEntries) {
+  const existing = await EmployeeLeaveBalance.filter({
+    employee_id: employeeId,
+    leave_type: leaveType,
+  });
+
+  if (existing.length === 0) {
+    return EmployeeLeaveBalance.create({
+      employee_id: employeeId,
+      leave_type: leaveType,
+      balance_hours: 0,
+      last_calculated_date: todayStr(),
+    });
+  }
+
+  const record = existing[0];
+  const storedHours = safeNumber(record.balance_hours, 0);
+  if (existingEntries.length === 0 && storedHours !== 0) {
+    const opening = await LeaveAccrualEntry.create({
+      employee_id: employeeId,
+      leave_type: leaveType,
+      entry_type: 'opening',
+      hours: storedHours,
+      effective_date: record.last_calculated_date || todayStr(),
+      source_type: 'EmployeeLeaveBalance',
+      source_id: record.id,
+      description: 'Balance brought forward',
+    });
+    existingEntries.push(opening);
+  }
+
+  return record;
+}
+
+/**
+ * Rewrite the legacy LeaveBalance row from the ledger. The row also records
+ * how far accrual has been posted (last_accrual_date), which only accrual
+ * posts move. A missing row is left for accrual to create.
+ */
+async function refreshLeaveBalanceCache(employeeId, leaveType, entries, accruedThrough) {
+  const rows = await LeaveBalance.filter({
+    employee_id: employeeId,
+    leave_type: leaveType,
+  });
+  if (rows.length === 0) return;
+
+  const summary = summarizeLedgerEntries(entries);
+  const fields = {
+    opening_balance_hours: summary.opening,
+    accrued_hours: summary.accrued,
+    taken_hours: summary.taken,
+    adjusted_hours: round2(summary.adjusted + summary.settled),
+    available_hours: summary.balance,
+  };
+  if (accruedThrough) fields.last_accrual_date = accruedThrough;
+
+  await LeaveBalance.update(rows[0].id, fields);
+}
+
+/**
+ * Append an entry to the ledger and refresh the cached balances.
+ *
+ * @param {Object} params
+ * @param {string} params.employeeId - Employee ID
+ * @param {string} params.leaveType - Balance bucket
+ * @param {string} params.entryType - One of LEDGER_ENTRY_TYPES
+ * @param {number} params.hours - Signed hours (+ credit, − debit)
+ * @param {string} [params.effectiveDate] - yyyy-MM-dd (default: today)
+ * @param {string} [params.sourceType] - Originating entity, e.g. 'LeaveRequest'
+ * @param {string} [params.sourceId] - Originating record ID
+ * @param {string} [params.description] - Human-readable description
+ * @param {string} [params.accruedThrough] - yyyy-MM-dd accrual is now posted to
+ *   (accrual posts and their reversals only)
+ * @returns {Promise<{success: boolean, entry?: Object, newBalance?: number, error?: string}>}
+ */
+export async function postLedgerEntry({
+  employeeId,
+  leaveType,
+  entryType,
+  hours,
+  effectiveDate = null,
+  sourceType = null,
+  sourceId = null,
+  description = '',
+  accruedThrough = null,
+}) {
+  if (!employeeId || !leaveType) {
+    return { success: false, error: 'Employee and leave type are required' };
+  }
+  if (!LEDGER_ENTRY_TYPES[entryType]) {
+    return { success: false, error: `Unknown ledger entry type: ${entryType}` };
+  }
+
+  const amount = round2(safeNumber(hours, 0));
+  const entries = await getLedgerEntries(employeeId, leaveType);
+  const balanceRecord = await getOrCreateCachedBalance(employeeId, leaveType, entries);
+
+  let entry = null;
+  if (amount !== 0) {
+    entry = await LeaveAccrualEntry.create({
+      employee_id: employeeId,
+      leave_type: leaveType,
+      entry_type: entryType,
+      hours: amount,
+      effective_date: effectiveDate || todayStr(),
+      source_type: sourceType,
+      source_id: sourceId,
+      description: description || LEDGER_ENTRY_TYPES[entryType],
+    });
+    entries.push(entry);
+  }
+
+  const newBalance = sumLedgerEntries(entries);
+
+  await EmployeeLeaveBalance.update(balanceRecord.id, {
+    balance_hours: newBalance,
+    last_calculated_date: todayStr(),
+  });
+  await refreshLeaveBalanceCache(employeeId, leaveType, entries, accruedThrough);
+
+  return { success: true, entry, newBalance };
+}
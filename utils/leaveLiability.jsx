@@ -0,0 +1,221 @@
+/**
+ * Leave Liability
+ *
+ * Values leave balances in dollars for the balance sheet. Each employee's
+ * annual and long service leave balance is multiplied by their ordinary
+ * hourly rate (see getHourlyRate), plus the policy's leave loading, plus an
+ * on-cost percentage (super, payroll tax, workers comp) set on the report.
+ *
+ * Annual leave is always a current liability. Long service leave is current
+ * once the employee has the service to take it (the state access years, or
+ * `lslCurrentYears` when given) and non-current before that. Balances that
+ * are not yet accessible include the accrued hours, as for a pro-rata payout.
+ *
+ * Casual employees carry long service leave only (accrued on timesheet
+ * hours); personal leave (not paid out) is left out.
+ */
+
+import { getLeaveBalancesForEmployee } from './leaveBalanceService';
+import { getApplicablePolicyForEmployee, isCasualEmployee } from './leaveAccrual';
+import { getHourlyRate, calculatePayoutAmount } from './leavePayout';
+import { BALANCE_BUCKET_LABELS } from './leaveBalanceBuckets';
+import { safeNumber } from './numberUtils';
+
+/** Balances that carry a liability. */
+export const LIABILITY_BUCKETS = ['annual', 'long_service'];
+
+export const LIABILITY_GROUPINGS = {
+  entity: 'Entity',
+  department: 'Department',
+  cost_centre: 'Cost centre',
+};
+
+/** LSL current/non-current split when no state rules apply. */
+export const DEFAULT_LSL_CURRENT_YEARS = 7;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a long service leave balance is a current liability.
+ */
+function isCurrentLsl(balance, lslCurrentYears) {
+  const serviceYears = safeNumber(balance.lsl?.serviceYears ?? balance.yearsOfService, 0);
+  const threshold = Number.isFinite(lslCurrentYears)
+    ? lslCurrentYears
+    : balance.lsl?.accessYears ?? DEFAULT_LSL_CURRENT_YEARS;
+  return serviceYears >= threshold;
+}
+
+/**
+ * Liability for one employee.
+ *
+ * @param {Object} employee - Employee record
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOfDate] - Balance date (default: today)
+ * @param {number} [options.onCostPercent] - Added on top of base pay and loading
+ * @param {number|null} [options.lslCurrentYears] - Overrides the state access years
+ * @returns {Promise<{employee: Object, hourlyRate: number|null, lines: Array,
+ *   currentAmount: number, nonCurrentAmount: number, totalAmount: number, error?: string}>}
+ */
+export async function calculateEmployeeLiability(
+  employee,
+  { asOfDate = new Date(), onCostPercent = 0, lslCurrentYears = null } = {}
+) {
+  const empty = { employee, hourlyRate: null, lines: [], currentAmount: 0, nonCurrentAmount: 0, totalAmount: 0 };
+  const buckets = isCasualEmployee(employee)
+    ? LIABILITY_BUCKETS.filter(bucket => bucket !== 'annual')
+    : LIABILITY_BUCKETS;
+
+  const rate = getHourlyRate(employee);
+  if (!rate) return { ...empty, error: 'No base salary recorded' };
+
+  const balances = await getLeaveBalancesForEmployee(employee.id, asOfDate);
+  if (balances.error) return { ...empty, hourlyRate: rate.hourlyRate, error: balances.error };
+
+  const onCost = Math.max(0, safeNumber(onCostPercent, 0));
+  const lines = [];
+
+  for (const bucket of buckets) {
+    const balance = balances[bucket];
+    if (!balance) continue;
+
+    let hours = balance.available;
+    let current = true;
+    if (bucket === 'long_service') {
+      // Not yet accessible: the balance excludes accrual, so add it back
+      hours = round2(balance.available + safeNumber(balance.unvestedHours, 0));
+      current = isCurrentLsl(balance, lslCurrentYears);
+    }
+    if (hours <= 0) continue;
+
+    const policy = await getApplicablePolicyForEmployee(employee.id, bucket, employee);
+    const amount = calculatePayoutAmount({ hours, hourlyRate: rate.hourlyRate, policy });
+    const onCostAmount = round2((amount.baseAmount + amount.loadingAmount) * onCost / 100);
+
+    lines.push({
+      bucket,
+      label: BALANCE_BUCKET_LABELS[bucket],
+      current,
+      serviceYears: round2(safeNumber(balance.lsl?.serviceYears ?? balance.yearsOfService, 0)),
+      ...amount,
+      onCostPercent: onCost,
+      onCostAmount,
+      totalAmount: round2(amount.totalAmount + onCostAmount),
+    });
+  }
+
+  const currentAmount = round2(lines.filter(l => l.current).reduce((sum, l) => sum + l.totalAmount, 0));
+  const nonCurrentAmount = round2(lines.filter(l => !l.current).reduce((sum, l) => sum + l.totalAmount, 0));
+
+  return {
+    employee,
+    hourlyRate: rate.hourlyRate,
+    lines,
+    currentAmount,
+    nonCurrentAmount,
+    totalAmount: round2(currentAmount + nonCurrentAmount),
+  };
+}
+
+/**
+ * Liability for a list of employees.
+ *
+ * @param {Array<Object>} employees
+ * @param {Object} [options] - As calculateEmployeeLiability, plus onProgress
+ * @returns {Promise<Array>} One result per employee
+ */
+export async function calculateLeaveLiability(employees, { onProgress = null, ...options } = {}) {
+  const results = [];
+  let processed = 0;
+  for (const employee of employees) {
+    try {
+      results.push(await calculateEmployeeLiability(employee, options));
+    } catch (error) {
+      console.error(`Error calculating leave liability for ${employee.id}:`, error);
+      results.push({ employee, hourlyRate: null, lines: [], currentAmount: 0, nonCurrentAmount: 0, totalAmount: 0, error: error.message });
+    }
+    processed++;
+    if (onProgress) onProgress({ processed, total: employees.length });
+  }
+  return results;
+}
+
+/**
+ * Split of an employee result into annual, LSL current and LSL non-current.
+ */
+export function getLiabilityBreakdown(result) {
+  const sum = (lines) => round2(lines.reduce((total, l) => total + l.totalAmount, 0));
+  const hours = (lines) => round2(lines.reduce((total, l) => total + l.hours, 0));
+  const annual = result.lines.filter(l => l.bucket === 'annual');
+  const lslCurrent = result.lines.filter(l => l.bucket === 'long_service' && l.current);
+  const lslNonCurrent = result.lines.filter(l => l.bucket === 'long_service' && !l.current);
+  return {
+    annualHours: hours(annual),
+    annualAmount: sum(annual),
+    lslCurrentHours: hours(lslCurrent),
+    lslCurrentAmount: sum(lslCurrent),
+    lslNonCurrentHours: hours(lslNonCurrent),
+    lslNonCurrentAmount: sum(lslNonCurrent),
+    loadingAmount: round2(result.lines.reduce((total, l) => total + l.loadingAmount, 0)),
+    onCostAmount: round2(result.lines.reduce((total, l) => total + l.onCostAmount, 0)),
+  };
+}
+
+/**
+ * Group key and label for an employee.
+ *
+ * @param {Object} employee
+ * @param {string} groupBy - Key of LIABILITY_GROUPINGS
+ * @param {Object} [lookups] - { entities, departments } for names
+ * @returns {{key: string, label: string}}
+ */
+export function getLiabilityGroup(employee, groupBy, { entities = [], departments = [] } = {}) {
+  if (groupBy === 'entity') {
+    const entity = entities.find(e => e.id === employee.entity_id);
+    return { key: employee.entity_id || 'none', label: entity ? entity.abbreviation || entity.name : 'No entity' };
+  }
+  if (groupBy === 'department') {
+    const department = departments.find(d => d.id === employee.department_id);
+    return { key: employee.department_id || 'none', label: department?.name || 'No department' };
+  }
+  const costCentre = (employee.cost_centre || '').trim();
+  return { key: costCentre || 'none', label: costCentre || 'No cost centre' };
+}
+
+/**
+ * Totals per group, largest liability first.
+ *
+ * @param {Array} results - From calculateLeaveLiability
+ * @param {string} groupBy - Key of LIABILITY_GROUPINGS
+ * @param {Object} [lookups] - { entities, departments }
+ * @returns {Array<{key, label, employeeCount, annualAmount, lslCurrentAmount, lslNonCurrentAmount, currentAmount, nonCurrentAmount, totalAmount}>}
+ */
+export function groupLeaveLiability(results, groupBy, lookups = {}) {
+  const groups = {};
+  for (const result of results) {
+    const { key, label } = getLiabilityGroup(result.employee, groupBy, lookups);
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        label,
+        employeeCount: 0,
+        annualAmount: 0,
+        lslCurrentAmount: 0,
+        lslNonCurrentAmount: 0,
+        currentAmount: 0,
+        nonCurrentAmount: 0,
+        totalAmount: 0,
+      };
+    }
+    const group = groups[key];
+    const breakdown = getLiabilityBreakdown(result);
+    group.employeeCount++;
+    group.annualAmount = round2(group.annualAmount + breakdown.annualAmount);
+    group.lslCurrentAmount = round2(group.lslCurrentAmount + breakdown.lslCurrentAmount);
+    group.lslNonCurrentAmount = round2(group.lslNonCurrentAmount + breakdown.lslNonCurrentAmount);
+    group.currentAmount = round2(group.currentAmount + result.currentAmount);
+    group.nonCurrentAmount = round2(group.nonCurrentAmount + result.nonCurrentAmount);
+    group.totalAmount = round2(group.totalAmount + result.totalAmount);
+  }
+  return Object.values(groups).sort((a, b) => b.totalAmount - a.totalAmount);
+}
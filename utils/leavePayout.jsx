@@ -0,0 +1,454 @@
+/**
+ * Leave Payout
+ *
+ * Turns leave balances into dollar amounts, for termination pays and for
+ * cash-out requests from active employees.
+ *
+ * Hourly rate: annual `base_salary` / (ordinary weekly hours × 52). Weekly
+ * hours come from the work pattern, then `hours_per_week`, then 38.
+ *
+ * Policy fields:
+ *   payout_on_termination          false = balance is not paid on exit (default true)
+ *   leave_loading_percent          e.g. 17.5; added to payouts and cash-outs
+ *   leave_loading_on_termination   false = no loading on termination pays (default true)
+ *   cashout_allowed                true = employees may request a cash-out
+ *   cashout_min_remaining_hours    balance that must remain after a cash-out (default 152, 4 weeks)
+ *
+ * Approved cash-outs are posted to the leave ledger as 'payout' entries.
+ *
+ * Long service leave under state rules (see lslRules) is paid in full once
+ * accessible, and pro-rata on exit when the state's service and exit-type
+ * conditions are met.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format } from 'date-fns';
+import { getLeaveBalancesForEmployee } from './leaveBalanceService';
+import { getApplicablePolicyForEmployee } from './leaveAccrual';
+import { postLedgerEntry } from './leaveLedger';
+import { BALANCE_BUCKET_LABELS } from './leaveBalanceBuckets';
+import { hasCustomWorkPattern, getWorkPattern, getPatternWeeklyHours } from './workPattern';
+import { canViewSalary } from './permissions';
+import { NotificationCategory } from './notificationHelpers';
+import { sendNotification } from './notifications';
+import { logForCurrentUser } from './audit';
+import { invalidateLeaveCache } from './leaveEngineCache';
+import { safeNumber, formatHours } from './numberUtils';
+import { getLslExitEntitlement } from './lslRules';
+
+const Employee = base44.entities.Employee;
+const LeaveCashOutRequest = base44.entities.LeaveCashOutRequest;
+
+const DEFAULT_WEEKLY_HOURS = 38;
+const DEFAULT_CASHOUT_MIN_REMAINING_HOURS = 152;
+
+/** Balances paid out on termination. */
+export const PAYOUT_BUCKETS = ['annual', 'long_service'];
+
+export const CASH_OUT_STATUSES = {
+  pending: 'Pending',
+  approved: 'Approved',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+};
+
+const PAY_CYCLE_WEEKS = {
+  weekly: 1,
+  fortnightly: 2,
+  monthly: 52 / 12,
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a dollar amount for display.
+ *
+ * @param {number} amount
+ * @param {string} [currency] - Defaults to AUD
+ * @returns {string}
+ */
+export function formatCurrency(amount, currency = 'AUD') {
+  return new Intl.NumberFormat('en-AU', {
+    style: 'currency',
+    currency: currency || 'AUD',
+  }).format(safeNumber(amount, 0));
+}
+
+/**
+ * Ordinary weekly hours for an employee.
+ *
+ * @param {Object} employee - Employee record
+ * @returns {number}
+ */
+export function getWeeklyHours(employee) {
+  if (hasCustomWorkPattern(employee)) {
+    return getPatternWeeklyHours(getWorkPattern(employee));
+  }
+  if (Number.isFinite(employee?.hours_per_week) && employee.hours_per_week > 0) {
+    return employee.hours_per_week;
+  }
+  return DEFAULT_WEEKLY_HOURS;
+}
+
+/**
+ * Ordinary hourly rate derived from annual salary.
+ *
+ * @param {Object} employee - Employee record
+ * @returns {{hourlyRate: number, weeklyHours: number, payCycleAmount: number|null}|null}
+ *   null when the employee has no salary recorded
+ */
+export function getHourlyRate(employee) {
+  const salary = safeNumber(employee?.base_salary, 0);
+  if (salary <= 0) return null;
+
+  const weeklyHours = getWeeklyHours(employee);
+  if (weeklyHours <= 0) return null;
+
+  const cycleWeeks = PAY_CYCLE_WEEKS[employee.pay_cycle];
+  return {
+    hourlyRate: round2(salary / (weeklyHours * 52)),
+    weeklyHours,
+    payCycleAmount: cycleWeeks ? round2((salary / 52) * cycleWeeks) : null,
+  };
+}
+
+/**
+ * Dollar value of a number of leave hours.
+ *
+ * @param {Object} params
+ * @param {number} params.hours - Hours to pay
+ * @param {number} params.hourlyRate - Ordinary hourly rate
+ * @param {Object} [params.policy] - LeavePolicy for the balance
+ * @param {boolean} [params.onTermination] - Apply the termination loading rule
+ * @returns {{hours: number, baseAmount: number, loadingPercent: number, loadingAmount: number, totalAmount: number}}
+ */
+export function calculatePayoutAmount({ hours, hourlyRate, policy = null, onTermination = false }) {
+  const paidHours = round2(Math.max(0, safeNumber(hours, 0)));
+  const baseAmount = round2(paidHours * safeNumber(hourlyRate, 0));
+
+  let loadingPercent = Math.max(0, safeNumber(policy?.leave_loading_percent, 0));
+  if (onTermination && policy?.leave_loading_on_termination === false) {
+    loadingPercent = 0;
+  }
+  const loadingAmount = round2(baseAmount * loadingPercent / 100);
+
+  return {
+    hours: paidHours,
+    baseAmount,
+    loadingPercent,
+    loadingAmount,
+    totalAmount: round2(baseAmount + loadingAmount),
+  };
+}
+
+/**
+ * Final annual and long service leave payout for an exiting employee.
+ *
+ * @param {string} employeeId - Employee ID
+ * @param {Date|string} [asOfDate] - Termination date (default: today)
+ * @param {Object} [options]
+ * @param {string} [options.exitType] - Offboarding exit type, for state LSL pro-rata rules
+ * @returns {Promise<{success: boolean, employee?: Object, rate?: Object, lines?: Array, totalAmount?: number, error?: string}>}
+ */
+export async function calculateTerminationPayout(employeeId, asOfDate = new Date(), { exitType = null } = {}) {
+  const employees = await Employee.filter({ id: employeeId });
+  if (employees.length === 0) {
+    return { success: false, error: 'Employee not found' };
+  }
+  const employee = employees[0];
+
+  const rate = getHourlyRate(employee);
+  if (!rate) {
+    return { success: false, employee, error: 'No base salary recorded for this employee' };
+  }
+
+  const balances = await getLeaveBalancesForEmployee(employeeId, asOfDate);
+  if (balances.error) {
+    return { success: false, employee, error: balances.error };
+  }
+
+  const lines = [];
+  for (const bucket of PAYOUT_BUCKETS) {
+    const balance = balances[bucket];
+    if (!balance) continue;
+
+    const policy = await getApplicablePolicyForEmployee(employeeId, bucket, employee);
+
+    let reason = null;
+    let payableHours = balance.available;
+    let note = null;
+    if (policy?.payout_on_termination === false) {
+      reason = 'Not paid on termination under this policy';
+    } else if (balance.lsl && !balance.lsl.accessible) {
+      // Not yet accessible: the balance excludes accrual, so add the pro-rata amount back
+      const exit = getLslExitEntitlement(balance.lsl, exitType);
+      if (exit.payable) {
+        payableHours = round2(balance.available + balance.lsl.accruedHours);
+        note = exit.reason;
+      } else {
+        reason = exit.reason;
+      }
+    } else if (balance.eligible === false) {
+      reason = balance.message || 'Not yet eligible';
+    }
+
+    const amount = calculatePayoutAmount({
+      hours: reason ? 0 : payableHours,
+      hourlyRate: rate.hourlyRate,
+      policy,
+      onTermination: true,
+    });
+
+    lines.push({
+      bucket,
+      label: BALANCE_BUCKET_LABELS[bucket],
+      balanceHours: reason ? balance.available : payableHours,
+      payable: !reason,
+      reason,
+      note,
+      ...amount,
+    });
+  }
+
+  return {
+    success: true,
+    employee,
+    rate,
+    lines,
+    totalAmount: round2(lines.reduce((sum, line) => sum + line.totalAmount, 0)),
+  };
+}
+
+/**
+ * Check a cash-out against the policy and current balance.
+ *
+ * @param {Object} employee - Employee record
+ * @param {string} leaveType - Balance bucket
+ * @param {number} hours - Hours to cash out
+ * @returns {Promise<{valid: boolean, error?: string, policy?: Object, available?: number}>}
+ */
+export async function validateCashOut(employee, leaveType, hours) {
+  const requested = safeNumber(hours, 0);
+  if (requested <= 0) {
+    return { valid: false, error: 'Enter the number of hours to cash out' };
+  }
+
+  const policy = await getApplicablePolicyForEmployee(employee.id, leaveType, employee);
+  if (!policy?.cashout_allowed) {
+    return { valid: false, error: `${BALANCE_BUCKET_LABELS[leaveType] || 'This leave'} cannot be cashed out under your leave policy` };
+  }
+
+  const balances = await getLeaveBalancesForEmployee(employee.id);
+  const available = safeNumber(balances[leaveType]?.available, 0);
+  const minRemaining = Number.isFinite(policy.cashout_min_remaining_hours)
+    ? policy.cashout_min_remaining_hours
+    : DEFAULT_CASHOUT_MIN_REMAINING_HOURS;
+
+  if (available - requested < minRemaining) {
+    const maxHours = Math.max(0, round2(available - minRemaining));
+    return {
+      valid: false,
+      error: `At least ${formatHours(minRemaining)} hours must remain after a cash-out. You can cash out up to ${formatHours(maxHours)} hours.`,
+      policy,
+      available,
+    };
+  }
+
+  return { valid: true, policy, available };
+}
+
+/**
+ * Request to cash out part of a leave balance.
+ *
+ * @param {Object} params
+ * @param {Object} params.employee - Employee record
+ * @param {string} [params.leaveType] - Balance bucket (default 'annual')
+ * @param {number} params.hours - Hours to cash out
+ * @param {string} [params.reason] - Employee's reason
+ * @returns {Promise<{success: boolean, request?: Object, error?: string}>}
+ */
+export async function createCashOutRequest({ employee, leaveType = 'annual', hours, reason = '' }) {
+  try {
+    const check = await validateCashOut(employee, leaveType, hours);
+    if (!check.valid) {
+      return { success: false, error: check.error };
+    }
+
+    const rate = getHourlyRate(employee);
+    const amount = rate
+      ? calculatePayoutAmount({ hours, hourlyRate: rate.hourlyRate, policy: check.policy })
+      : null;
+
+    const request = await LeaveCashOutRequest.create({
+      employee_id: employee.id,
+      leave_type: leaveType,
+      hours: round2(safeNumber(hours, 0)),
+      hourly_rate: rate?.hourlyRate ?? null,
+      loading_percent: amount?.loadingPercent ?? 0,
+      estimated_amount: amount?.totalAmount ?? null,
+      reason: reason || null,
+      status: 'pending',
+      requested_at: new Date().toISOString(),
+    });
+
+    await logForCurrentUser({
+      eventType: 'leave_cashout_requested',
+      entityType: 'LeaveCashOutRequest',
+      entityId: request.id,
+      relatedEmployeeId: employee.id,
+      description: `Requested to cash out ${formatHours(request.hours)}h of ${BALANCE_BUCKET_LABELS[leaveType] || leaveType}`,
+    });
+
+    return { success: true, request };
+  } catch (error) {
+    console.error('Error creating cash-out request:', error);
+    return { success: false, error: error.message || 'Failed to submit cash-out request' };
+  }
+}
+
+async function notifyEmployeeOfCashOutDecision(request, status) {
+  try {
+    const employees = await Employee.filter({ id: request.employee_id });
+    if (employees.length === 0 || !employees[0].user_id) return;
+
+    await sendNotification({
+      userId: employees[0].user_id,
+      type: `leave_cashout_${status}`,
+      title: status === 'approved' ? 'Cash-out approved' : 'Cash-out declined',
+      message: `Your request to cash out ${formatHours(request.hours)} hours of leave has been ${status}.`,
+      category: status === 'approved' ? NotificationCategory.LEAVE_APPROVALS : NotificationCategory.LEAVE_DECLINES,
+      link: '/MyLeave',
+      sendEmail: true,
+      relatedEmployeeId: request.employee_id,
+    });
+  } catch (error) {
+    console.error('Error notifying employee of cash-out decision:', error);
+  }
+}
+
+/**
+ * Approve a cash-out: re-check the balance, fix the amount at the current
+ * rate and post the hours to the ledger as a payout.
+ *
+ * @param {Object} request - LeaveCashOutRequest record
+ * @param {Object} params
+ * @param {Object} params.currentUser - Approving user
+ * @param {Object} [params.currentEmployee] - Approver's employee record
+ * @param {Object} params.preferences - Approver's UserPreferences
+ * @param {string} [params.comment] - Approver comment
+ * @returns {Promise<{success: boolean, amount?: Object, error?: string}>}
+ */
+export async function approveCashOutRequest(request, { currentUser, currentEmployee = null, preferences, comment = '' }) {
+  if (!canViewSalary(currentUser, preferences)) {
+    return { success: false, error: 'Permission denied: only HR or admins can approve cash-outs.' };
+  }
+  if (request.status !== 'pending') {
+    return { success: false, error: 'This cash-out request has already been processed.' };
+  }
+
+  try {
+    const employees = await Employee.filter({ id: request.employee_id });
+    if (employees.length === 0) {
+      return { success: false, error: 'Employee not found' };
+    }
+    const employee = employees[0];
+
+    const check = await validateCashOut(employee, request.leave_type, request.hours);
+    if (!check.valid) {
+      return { success: false, error: check.error };
+    }
+
+    const rate = getHourlyRate(employee);
+    if (!rate) {
+      return { success: false, error: 'No base salary recorded for this employee' };
+    }
+    const amount = calculatePayoutAmount({
+      hours: request.hours,
+      hourlyRate: rate.hourlyRate,
+      policy: check.policy,
+    });
+
+    const ledgerResult = await postLedgerEntry({
+      employeeId: employee.id,
+      leaveType: request.leave_type,
+      entryType: 'payout',
+      hours: -amount.hours,
+      effectiveDate: format(new Date(), 'yyyy-MM-dd'),
+      sourceType: 'LeaveCashOutRequest',
+      sourceId: request.id,
+      description: `Cashed out ${formatHours(amount.hours)}h (${formatCurrency(amount.totalAmount, employee.salary_currency)})`,
+    });
+    if (!ledgerResult.success) {
+      return { success: false, error: ledgerResult.error };
+    }
+
+    await LeaveCashOutRequest.update(request.id, {
+      status: 'approved',
+      hourly_rate: rate.hourlyRate,
+      loading_percent: amount.loadingPercent,
+      approved_amount: amount.totalAmount,
+      decided_by_id: currentEmployee?.id || null,
+      decided_at: new Date().toISOString(),
+      decision_comment: comment || null,
+    });
+
+    invalidateLeaveCache(employee.id);
+    await notifyEmployeeOfCashOutDecision(request, 'approved');
+
+    await logForCurrentUser({
+      eventType: 'leave_cashout_approved',
+      entityType: 'LeaveCashOutRequest',
+      entityId: request.id,
+      relatedEmployeeId: employee.id,
+      description: `Approved cash-out of ${formatHours(amount.hours)}h for ${formatCurrency(amount.totalAmount, employee.salary_currency)}`,
+      metadata: { ...amount, hourlyRate: rate.hourlyRate },
+    });
+
+    return { success: true, amount };
+  } catch (error) {
+    console.error('Error approving cash-out request:', error);
+    return { success: false, error: error.message || 'Failed to approve cash-out' };
+  }
+}
+
+/**
+ * Decline a cash-out request.
+ *
+ * @param {Object} request - LeaveCashOutRequest record
+ * @param {Object} params - As approveCashOutRequest
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function declineCashOutRequest(request, { currentUser, currentEmployee = null, preferences, comment = '' }) {
+  if (!canViewSalary(currentUser, preferences)) {
+    return { success: false, error: 'Permission denied: only HR or admins can decline cash-outs.' };
+  }
+  if (request.status !== 'pending') {
+    return { success: false, error: 'This cash-out request has already been processed.' };
+  }
+
+  try {
+    await LeaveCashOutRequest.update(request.id, {
+      status: 'declined',
+      decided_by_id: currentEmployee?.id || null,
+      decided_at: new Date().toISOString(),
+      decision_comment: comment || null,
+    });
+
+    await notifyEmployeeOfCashOutDecision(request, 'declined');
+
+    await logForCurrentUser({
+      eventType: 'leave_cashout_declined',
+      entityType: 'LeaveCashOutRequest',
+      entityId: request.id,
+      relatedEmployeeId: request.employee_id,
+      description: `Declined cash-out of ${formatHours(request.hours)}h`,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error declining cash-out request:', error);
+    return { success: false, error: error.message || 'Failed to decline cash-out' };
+  }
+}
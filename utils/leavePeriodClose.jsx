@@ -0,0 +1,205 @@
+/**
+ * Leave Period Close (year-end carryover)
+ *
+ * At the end of each leave year a policy's `max_carryover_hours` caps how
+ * much balance carries into the next year. The excess is either forfeited
+ * or paid out, according to the policy's `carryover_excess_action`.
+ *
+ * Policy fields:
+ *   carryover_allowed         false = nothing carries over (cap of 0)
+ *   max_carryover_hours       null = unlimited
+ *   carryover_period          'calendar' | 'financial' | 'anniversary'
+ *   carryover_excess_action   'forfeit' | 'payout'
+ *
+ * Excess is posted to the leave ledger effective on the period end date,
+ * so re-running a close for the same period finds nothing left to do.
+ */
+
+import { base44 } from '@/api/base44Client';
+import { format, parseISO, subDays, setYear, isAfter } from 'date-fns';
+import { getApplicablePolicyForEmployee, getServiceStartDate } from './leaveAccrual';
+import { getLedgerEntries, sumLedgerEntries, postLedgerEntry } from './leaveLedger';
+import { logForCurrentUser } from './audit';
+import { invalidateLeaveCache } from './leaveEngineCache';
+import { safeNumber, formatHours } from './numberUtils';
+
+const Employee = base44.entities.Employee;
+const LeavePolicy = base44.entities.LeavePolicy;
+
+export const CARRYOVER_PERIODS = {
+  calendar: 'Calendar year (ends 31 Dec)',
+  financial: 'Financial year (ends 30 Jun)',
+  anniversary: 'Employment anniversary',
+};
+
+export const CARRYOVER_EXCESS_ACTIONS = {
+  forfeit: 'Forfeit excess',
+  payout: 'Pay out excess',
+};
+
+/**
+ * Whether period close has anything to enforce for this policy.
+ *
+ * @param {Object} policy - LeavePolicy record
+ * @returns {boolean}
+ */
+export function hasCarryoverLimit(policy) {
+  if (!policy) return false;
+  if (policy.carryover_allowed === false) return true;
+  return Number.isFinite(policy.max_carryover_hours) && policy.max_carryover_hours >= 0;
+}
+
+/**
+ * Hours that may carry over for this policy (Infinity when unlimited).
+ *
+ * @param {Object} policy - LeavePolicy record
+ * @returns {number}
+ */
+export function getCarryoverCap(policy) {
+  if (policy?.carryover_allowed === false) return 0;
+  return Number.isFinite(policy?.max_carryover_hours) ? policy.max_carryover_hours : Infinity;
+}
+
+/**
+ * Most recent period end on or before the reference date.
+ *
+ * @param {Object} policy - LeavePolicy record
+ * @param {Object} employee - Employee record (for anniversary periods)
+ * @param {Date} [referenceDate] - Defaults to today
+ * @returns {string|null} yyyy-MM-dd, or null when it cannot be determined
+ */
+export function getPeriodEndDate(policy, employee, referenceDate = new Date()) {
+  const year = referenceDate.getFullYear();
+  const period = policy?.carryover_period || 'calendar';
+
+  let periodEnd;
+  if (period === 'financial') {
+    periodEnd = new Date(year, 5, 30);
+  } else if (period === 'anniversary') {
+    const serviceStart = getServiceStartDate(employee);
+    if (!serviceStart) return null;
+    // The period ends the day before each anniversary of the service start
+    periodEnd = subDays(setYear(parseISO(serviceStart), year), 1);
+  } else {
+    periodEnd = new Date(year, 11, 31);
+  }
+
+  if (isAfter(periodEnd, referenceDate)) {
+    periodEnd = period === 'anniversary'
+      ? subDays(setYear(parseISO(getServiceStartDate(employee)), year - 1), 1)
+      : new Date(year - 1, periodEnd.getMonth(), periodEnd.getDate());
+  }
+
+  return format(periodEnd, 'yyyy-MM-dd');
+}
+
+/**
+ * Preview a period close for one policy without writing anything.
+ *
+ * @param {string} policyId - LeavePolicy ID
+ * @param {Object} [options]
+ * @param {string} [options.entityId] - Only employees in this entity
+ * @param {Date} [options.referenceDate] - Close the period ending on/before this date
+ * @returns {Promise<{success: boolean, policy?: Object, rows?: Array, error?: string}>}
+ */
+export async function previewPeriodClose(policyId, { entityId = null, referenceDate = new Date() } = {}) {
+  const policies = await LeavePolicy.filter({ id: policyId });
+  if (policies.length === 0) {
+    return { success: false, error: 'Policy not found' };
+  }
+  const policy = policies[0];
+
+  if (!hasCarryoverLimit(policy)) {
+    return { success: false, error: 'This policy has no carryover limit to apply' };
+  }
+
+  const filter = { status: 'active' };
+  if (entityId) filter.entity_id = entityId;
+  const employees = await Employee.filter(filter);
+
+  const cap = getCarryoverCap(policy);
+  const action = policy.carryover_excess_action === 'payout' ? 'payout' : 'forfeit';
+  const rows = [];
+
+  for (const employee of employees) {
+    // Only employees this policy actually applies to
+    const applicable = await getApplicablePolicyForEmployee(employee.id, policy.leave_type, employee);
+    if (applicable?.id !== policy.id) continue;
+
+    const periodEnd = getPeriodEndDate(policy, employee, referenceDate);
+    if (!periodEnd) continue;
+
+    const entries = await getLedgerEntries(employee.id, policy.leave_type);
+    const balanceAtPeriodEnd = sumLedgerEntries(entries, periodEnd);
+    const excess = Math.max(0, Math.round((balanceAtPeriodEnd - cap) * 100) / 100);
+
+    rows.push({
+      employee,
+      periodEnd,
+      balance: balanceAtPeriodEnd,
+      cap,
+      carriedOver: balanceAtPeriodEnd - excess,
+      excess,
+      action,
+      alreadyClosed: entries.some(
+        (e) => e.source_type === 'LeavePeriodClose' && e.source_id === `${policy.id}:${periodEnd}`,
+      ),
+    });
+  }
+
+  return { success: true, policy, rows };
+}
+
+/**
+ * Commit a previewed period close: post the excess to each ledger.
+ *
+ * @param {Object} policy - LeavePolicy record (from previewPeriodClose)
+ * @param {Array} rows - Rows from previewPeriodClose
+ * @returns {Promise<{success: boolean, processed: number, totalExcess: number, errors: Array}>}
+ */
+export async function commitPeriodClose(policy, rows) {
+  let processed = 0;
+  let totalExcess = 0;
+  const errors = [];
+
+  for (const row of rows) {
+    if (safeNumber(row.excess, 0) <= 0) continue;
+
+    const isPayout = row.action === 'payout';
+    const result = await postLedgerEntry({
+      employeeId: row.employee.id,
+      leaveType: policy.leave_type,
+      entryType: isPayout ? 'payout' : 'carryover',
+      hours: -row.excess,
+      effectiveDate: row.periodEnd,
+      sourceType: 'LeavePeriodClose',
+      sourceId: `${policy.id}:${row.periodEnd}`,
+      description: isPayout
+        ? `Paid out ${formatHours(row.excess)}h above the ${formatHours(row.cap)}h carryover cap`
+        : `Forfeited ${formatHours(row.excess)}h above the ${formatHours(row.cap)}h carryover cap`,
+    });
+
+    if (!result.success) {
+      errors.push({ employeeId: row.employee.id, error: result.error });
+      continue;
+    }
+
+    processed++;
+    totalExcess += row.excess;
+    invalidateLeaveCache(row.employee.id);
+  }
+
+  await logForCurrentUser({
+    eventType: 'leave_period_closed',
+    entityType: 'LeavePolicy',
+    entityId: policy.id,
+    description: `Closed leave period for ${policy.name}: ${processed} employees, ${formatHours(totalExcess)}h ${policy.carryover_excess_action === 'payout' ? 'paid out' : 'forfeited'}`,
+  });
+
+  return {
+    success: errors.length === 0,
+    processed,
+    totalExcess: Math.round(totalExcess * 100) / 100,
+    errors,
+  };
+}
@@ -30,6 +30,52 @@ export function checkNESCompliance(policies, leaveTypes = [], employees = []) {
 
     const policyIssues = checkSinglePolicyCompliance(policy);
     issues.push(...policyIssues);
+    issues.push(...checkCasualAccrualExposure(policy, employees));
+  }
+
+  return issues;
+}
+
+// Employee override fields that point at paid leave policies
+const PAID_POLICY_OVERRIDE_FIELDS = {
+  annual: 'annual_leave_policy_id',
+  personal: 'personal_leave_policy_id',
+};
+
+/**
+ * Flag paid annual/personal policies that would reach casual employees,
+ * either assigned directly or through an 'any' employment type scope.
+ * The accrual engine skips paid leave for casuals, so these policies
+ * accrue nothing for them - but the configuration is misleading.
+ */
+function checkCasualAccrualExposure(policy, employees = []) {
+  const issues = [];
+  const overrideField = PAID_POLICY_OVERRIDE_FIELDS[policy.leave_type];
+  if (!overrideField || !(parseFloat(policy.accrual_rate) > 0)) return issues;
+
+  const casuals = employees.filter(e => e.employment_type === 'casual' && e.status !== 'terminated');
+  if (casuals.length === 0) return issues;
+
+  const leaveLabel = policy.leave_type === 'annual' ? 'annual' : 'personal/carer\'s';
+  const assigned = casuals.filter(e => e[overrideField] === policy.id);
+  if (assigned.length > 0) {
+    issues.push({
+      policyId: policy.id,
+      policyName: policy.name || 'Unnamed Policy',
+      severity: 'error',
+      message: `This paid ${leaveLabel} leave policy is assigned to ${assigned.length} casual employee${assigned.length === 1 ? '' : 's'}. Casuals are not entitled to paid ${leaveLabel} leave under NES and will not accrue it.`,
+      rule: 'CASUAL_ASSIGNED_PAID_POLICY',
+    });
+  }
+
+  if (policy.is_default && policy.employment_type_scope === 'any') {
+    issues.push({
+      policyId: policy.id,
+      policyName: policy.name || 'Unnamed Policy',
+      severity: 'info',
+      message: `This default policy covers all employment types. ${casuals.length} casual employee${casuals.length === 1 ? ' is' : 's are'} excluded from its accrual automatically.`,
+      rule: 'CASUAL_EXCLUDED_FROM_ANY_SCOPE',
+    });
   }
 
   return issues;
@@ -0,0 +1,299 @@
+import { base44 } from '@/api/base44Client';
+import { parseISO, differenceInCalendarDays, addDays, format, subWeeks } from 'date-fns';
+import { getServiceStartDate, getTimesheetEntries, isCasualEmployee } from './leaveAccrual';
+import { hasCustomWorkPattern, getWorkPattern, getPatternWeeklyHours } from './workPattern';
+
+const Location = base44.entities.Location;
+const LeaveRequest = base44.entities.LeaveRequest;
+const LeaveType = base44.entities.LeaveType;
+
+/**
+ * State Long Service Leave Rules
+ *
+ * Australian LSL is set by state and territory legislation, not the NES.
+ * Each state has a calculator selected by the employee's work location:
+ *
+ *   weeksPerYear      - entitlement accrued per year of continuous service
+ *   accessYears       - service needed before leave can be taken
+ *   proRataExitYears  - service after which a pro-rata amount is paid on exit
+ *   exitTypes         - exit types (see StartOffboardingWizard) that qualify
+ *                       for pro-rata payment; null = any exit
+ *   unpaidLeaveCountsAsService - whether unpaid leave adds to service
+ *                       (it never breaks continuity)
+ *
+ * Calculators are plain objects with a `calculate` function so a state (or
+ * an enterprise agreement) can be replaced with registerLslCalculator.
+ *
+ * NOTE: Simplified for configuration purposes - special cases (e.g. VIC
+ * parental leave counting as service, WA's 5-yearly further entitlements)
+ * are not modelled. Not legal advice.
+ */
+
+const DEFAULT_WEEKLY_HOURS = 38;
+const DAYS_PER_YEAR = 365.25;
+
+// 2 months per 10 years = 8.6667 weeks
+const TWO_MONTHS_PER_TEN_YEARS = 8.6667 / 10;
+// 1/60th of service
+const ONE_SIXTIETH = 52 / 60;
+
+export const LSL_STATE_RULES = {
+  NSW: {
+    label: 'New South Wales',
+    weeksPerYear: TWO_MONTHS_PER_TEN_YEARS,
+    accessYears: 10,
+    proRataExitYears: 5,
+    exitTypes: ['involuntary', 'redundancy'],
+    exitNote: 'Between 5 and 10 years, paid if dismissed (other than for serious misconduct) or on resignation due to illness, incapacity or domestic necessity.',
+    unpaidLeaveCountsAsService: false,
+  },
+  VIC: {
+    label: 'Victoria',
+    weeksPerYear: ONE_SIXTIETH,
+    accessYears: 7,
+    proRataExitYears: 7,
+    exitTypes: null,
+    exitNote: 'Paid on any exit after 7 years.',
+    unpaidLeaveCountsAsService: false,
+  },
+  QLD: {
+    label: 'Queensland',
+    weeksPerYear: TWO_MONTHS_PER_TEN_YEARS,
+    accessYears: 10,
+    proRataExitYears: 7,
+    exitTypes: ['involuntary', 'redundancy'],
+    exitNote: 'Between 7 and 10 years, paid if dismissed (other than for serious misconduct), made redundant, or on resignation due to illness, incapacity or domestic necessity.',
+    unpaidLeaveCountsAsService: false,
+  },
+  WA: {
+    label: 'Western Australia',
+    weeksPerYear: TWO_MONTHS_PER_TEN_YEARS,
+    accessYears: 10,
+    proRataExitYears: 7,
+    exitTypes: null,
+    exitNote: 'Paid on any exit after 7 years.',
+    unpaidLeaveCountsAsService: false,
+  },
+  SA: {
+    label: 'South Australia',
+    weeksPerYear: 13 / 10,
+    accessYears: 10,
+    proRataExitYears: 7,
+    exitTypes: null,
+    exitNote: 'Paid on exit after 7 years, except dismissal for serious misconduct.',
+    unpaidLeaveCountsAsService: false,
+  },
+  TAS: {
+    label: 'Tasmania',
+    weeksPerYear: TWO_MONTHS_PER_TEN_YEARS,
+    accessYears: 10,
+    proRataExitYears: 7,
+    exitTypes: ['involuntary', 'redundancy'],
+    exitNote: 'Between 7 and 10 years, paid if dismissed (other than for serious misconduct) or on resignation due to illness or domestic necessity.',
+    unpaidLeaveCountsAsService: false,
+  },
+  ACT: {
+    label: 'Australian Capital Territory',
+    weeksPerYear: ONE_SIXTIETH,
+    accessYears: 7,
+    proRataExitYears: 5,
+    exitTypes: null,
+    exitNote: 'Paid on exit after 5 years, except dismissal for serious misconduct.',
+    unpaidLeaveCountsAsService: false,
+  },
+  NT: {
+    label: 'Northern Territory',
+    weeksPerYear: 13 / 10,
+    accessYears: 10,
+    proRataExitYears: 7,
+    exitTypes: ['involuntary', 'redundancy'],
+    exitNote: 'Between 7 and 10 years, paid if dismissed (other than for serious misconduct) or on resignation due to illness or domestic necessity.',
+    unpaidLeaveCountsAsService: false,
+  },
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Standard calculator for a rule set.
+ *
+ * @param {Object} rule - Entry from LSL_STATE_RULES
+ * @param {Object} params
+ * @param {Date} params.serviceStart - Continuous service start
+ * @param {Date} params.asOfDate
+ * @param {number} params.weeklyHours - Ordinary weekly hours
+ * @param {number} [params.unpaidLeaveDays] - Unpaid leave days in the period
+ * @returns {{serviceYears: number, accruedWeeks: number, accruedHours: number,
+ *   accessible: boolean, accessDate: string, proRataExitDate: string}}
+ */
+function calculateWithRule(rule, { serviceStart, asOfDate, weeklyHours, unpaidLeaveDays = 0 }) {
+  const elapsedDays = Math.max(0, differenceInCalendarDays(asOfDate, serviceStart));
+  const excludedDays = rule.unpaidLeaveCountsAsService ? 0 : unpaidLeaveDays;
+  const serviceDays = Math.max(0, elapsedDays - excludedDays);
+  const serviceYears = serviceDays / DAYS_PER_YEAR;
+
+  const accruedWeeks = serviceYears * rule.weeksPerYear;
+
+  // Unpaid leave pushes the access dates back day for day
+  const yearsToDate = (years) =>
+    format(addDays(serviceStart, Math.ceil(years * DAYS_PER_YEAR) + excludedDays), 'yyyy-MM-dd');
+
+  return {
+    serviceYears: round2(serviceYears),
+    accruedWeeks: round2(accruedWeeks),
+    accruedHours: round2(accruedWeeks * weeklyHours),
+    accessible: serviceYears >= rule.accessYears,
+    accessDate: yearsToDate(rule.accessYears),
+    proRataExitDate: yearsToDate(rule.proRataExitYears),
+  };
+}
+
+const calculators = {};
+
+/**
+ * Register (or replace) the calculator for a state.
+ *
+ * @param {string} state - e.g. 'NSW'
+ * @param {Object} calculator - { ...rule, calculate(params) } as LSL_STATE_RULES
+ */
+export function registerLslCalculator(state, calculator) {
+  calculators[state] = calculator;
+}
+
+for (const [state, rule] of Object.entries(LSL_STATE_RULES)) {
+  registerLslCalculator(state, { ...rule, calculate: (params) => calculateWithRule(rule, params) });
+}
+
+/**
+ * Calculator for a state, or null when none is registered.
+ *
+ * @param {string} state
+ * @returns {Object|null}
+ */
+export function getLslCalculator(state) {
+  return (state && calculators[String(state).toUpperCase()]) || null;
+}
+
+/**
+ * State of the employee's work location.
+ *
+ * @param {Object} employee - Employee record
+ * @returns {Promise<string|null>}
+ */
+export async function getEmployeeLslState(employee) {
+  if (!employee?.location_id) return null;
+  const locations = await Location.filter({ id: employee.location_id });
+  return locations[0]?.state ? String(locations[0].state).toUpperCase() : null;
+}
+
+/**
+ * Ordinary weekly hours used to convert LSL weeks to hours. Casuals use
+ * their average over the last 52 weeks of timesheets.
+ */
+async function getLslWeeklyHours(employee, asOfDate) {
+  if (isCasualEmployee(employee)) {
+    const from = format(subWeeks(asOfDate, 52), 'yyyy-MM-dd');
+    const to = format(asOfDate, 'yyyy-MM-dd');
+    const entries = await getTimesheetEntries(employee.id);
+    const hours = entries
+      .filter((e) => e.work_date > from && e.work_date <= to)
+      .reduce((sum, e) => sum + (parseFloat(e.hours) || 0), 0);
+    return round2(hours / 52);
+  }
+  if (hasCustomWorkPattern(employee)) {
+    return getPatternWeeklyHours(getWorkPattern(employee));
+  }
+  return employee.hours_per_week > 0 ? employee.hours_per_week : DEFAULT_WEEKLY_HOURS;
+}
+
+/**
+ * Calendar days of approved unpaid leave up to a date.
+ */
+async function getUnpaidLeaveDays(employeeId, asOfDateStr) {
+  const [requests, leaveTypes] = await Promise.all([
+    LeaveRequest.filter({ employee_id: employeeId, status: 'approved' }),
+    LeaveType.list(),
+  ]);
+  const unpaidTypeIds = new Set(leaveTypes.filter((t) => t.is_paid === false).map((t) => t.id));
+
+  return requests
+    .filter((r) => unpaidTypeIds.has(r.leave_type_id) && r.start_date <= asOfDateStr)
+    .reduce((sum, r) => {
+      const end = r.end_date < asOfDateStr ? r.end_date : asOfDateStr;
+      return sum + differenceInCalendarDays(parseISO(end), parseISO(r.start_date)) + 1;
+    }, 0);
+}
+
+/**
+ * State LSL position for an employee.
+ *
+ * @param {Object} employee - Employee record
+ * @param {Date} [asOfDate]
+ * @returns {Promise<Object|null>} null when no state calculator applies; otherwise
+ *   { state, stateLabel, serviceYears, accruedWeeks, accruedHours, weeklyHours,
+ *     accessible, accessDate, proRataExitDate, exitNote, unpaidLeaveDays }
+ */
+export async function getStateLslForEmployee(employee, asOfDate = new Date()) {
+  const state = await getEmployeeLslState(employee);
+  const calculator = getLslCalculator(state);
+  const serviceStartDate = getServiceStartDate(employee);
+  if (!calculator || !serviceStartDate) return null;
+
+  const asOfDateStr = format(asOfDate, 'yyyy-MM-dd');
+  const [weeklyHours, unpaidLeaveDays] = await Promise.all([
+    getLslWeeklyHours(employee, asOfDate),
+    getUnpaidLeaveDays(employee.id, asOfDateStr),
+  ]);
+
+  const result = calculator.calculate({
+    serviceStart: parseISO(serviceStartDate),
+    asOfDate,
+    weeklyHours,
+    unpaidLeaveDays,
+  });
+
+  return {
+    state,
+    stateLabel: calculator.label,
+    weeklyHours,
+    unpaidLeaveDays,
+    accessYears: calculator.accessYears,
+    proRataExitYears: calculator.proRataExitYears,
+    exitNote: calculator.exitNote,
+    ...result,
+  };
+}
+
+/**
+ * Whether LSL is paid out on exit, given the state position and exit type.
+ *
+ * @param {Object} lsl - Result of getStateLslForEmployee at the exit date
+ * @param {string} [exitType] - 'voluntary' | 'involuntary' | 'redundancy' | 'other'
+ * @returns {{payable: boolean, proRata: boolean, reason: string}}
+ */
+export function getLslExitEntitlement(lsl, exitType = null) {
+  if (!lsl) return { payable: false, proRata: false, reason: 'No state long service leave rules apply' };
+
+  if (lsl.accessible) {
+    return { payable: true, proRata: false, reason: `Entitlement reached after ${lsl.accessYears} years` };
+  }
+  if (lsl.serviceYears < lsl.proRataExitYears) {
+    return {
+      payable: false,
+      proRata: false,
+      reason: `Less than ${lsl.proRataExitYears} years of service (${lsl.state})`,
+    };
+  }
+
+  const calculator = getLslCalculator(lsl.state);
+  const qualifies = !calculator?.exitTypes || (exitType && calculator.exitTypes.includes(exitType));
+  return {
+    payable: !!qualifies,
+    proRata: true,
+    reason: qualifies
+      ? `Pro-rata on exit after ${lsl.proRataExitYears} years (${lsl.state})`
+      : `Pro-rata only in some circumstances: ${lsl.exitNote}`,
+  };
+}
@@ -186,6 +186,9 @@ export const SELF_EDITABLE_FIELDS = [
   'postcode',
   'country',
   'date_of_birth',
+  'emergency_contact_name',
+  'emergency_contact_relationship',
+  'emergency_contact_phone',
 ];
 
 /**
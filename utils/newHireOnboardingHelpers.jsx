@@ -113,6 +113,7 @@ function buildEmployeeRecord(newHire) {
     employment_type: employment.employment_type || 'full_time',
     hours_per_week: employment.hours_per_week || 38,
     employment_agreement_id: employment.employment_agreement_id || null,
+    visa_required: employment.visa_required === true,
 
     // Dates
     start_date: personal.start_date || null,
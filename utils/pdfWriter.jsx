@@ -0,0 +1,312 @@
+/**
+ * PDF Writer
+ *
+ * Just enough of PDF 1.4 to lay out wrapped text, rules and JPEG images on
+ * A4 pages. Text uses the standard Helvetica fonts so nothing is embedded;
+ * characters outside WinAnsi are written as "?". Positions are in points
+ * measured from the top-left corner of the page.
+ */
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+export const PAGE_MARGIN = 56;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Unicode punctuation with a WinAnsi code outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+};
+
+function toWinAnsi(text) {
+  let out = '';
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) out += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    else if (char === '\t') out += '    ';
+    else if (code < 32) continue;
+    else if (code <= 255) out += char;
+    else out += '?';
+  }
+  return out;
+}
+
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, '\\$&');
+}
+
+function latin1Bytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function formatNumber(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function formatColor([r, g, b]) {
+  return [r, g, b].map(c => formatNumber(c / 255)).join(' ');
+}
+
+/**
+ * Width of a string in points. Bold text is treated as slightly wider than
+ * regular rather than carrying a second width table.
+ */
+export function measureText(text, size, bold = false) {
+  let units = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size * (bold ? 1.06 : 1)) / 1000;
+}
+
+/**
+ * Break text into lines that fit a width, splitting on spaces and breaking
+ * words that are longer than a line.
+ *
+ * @returns {Array<string>}
+ */
+export function wrapText(text, size, maxWidth, bold = false) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (measureText(line, size, bold) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measureText(line.slice(0, cut), size, bold) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Width and height of a baseline or progressive JPEG.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, components: number}}
+ * @throws {Error} When the bytes are not a JPEG
+ */
+function readJpegSize(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error('Not a JPEG image');
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) {
+      i++;
+      continue;
+    }
+    const marker = bytes[i + 1];
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        components: bytes[i + 9],
+      };
+    }
+    i += 2 + length;
+  }
+  throw new Error('Could not read the JPEG image size');
+}
+
+/**
+ * Start a PDF. Content flows down from the top margin with `paragraph`,
+ * adding pages as needed; `text`, `line` and `image` draw at fixed
+ * positions on the current page.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title in the PDF metadata
+ * @returns {Object} Writer
+ */
+export function createPdf({ title = '' } = {}) {
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  const writer = {
+    /** Distance of the next flowing line from the top of the page. */
+    y: PAGE_MARGIN,
+    contentWidth: PAGE_WIDTH - PAGE_MARGIN * 2,
+
+    addPage() {
+      page = { ops: [], images: new Set() };
+      pages.push(page);
+      writer.y = PAGE_MARGIN;
+      return writer;
+    },
+
+    /** Start a new page unless `height` more points fit on this one. */
+    ensureSpace(height) {
+      if (!page || writer.y + height > PAGE_HEIGHT - PAGE_MARGIN) writer.addPage();
+      return writer;
+    },
+
+    space(height) {
+      writer.y += height;
+      return writer;
+    },
+
+    /**
+     * Draw one line of text with its baseline at `y`.
+     */
+    text(value, x, y, { size = 10, bold = false, color = [17, 24, 39] } = {}) {
+      if (!page) writer.addPage();
+      page.ops.push(
+        `BT ${formatColor(color)} rg /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+        `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapePdfString(toWinAnsi(value))}) Tj ET`
+      );
+      return writer;
+    },
+
+    /**
+     * Wrapped text at the flow position, moving the flow down past it.
+     */
+    paragraph(value, { size = 10, bold = false, color, indent = 0, after = 4 } = {}) {
+      const leading = size * 1.35;
+      for (const line of wrapText(value, size, writer.contentWidth - indent, bold)) {
+        writer.ensureSpace(leading);
+        writer.text(line, PAGE_MARGIN + indent, writer.y + size, { size, bold, color });
+        writer.y += leading;
+      }
+      writer.y += after;
+      return writer;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [209, 213, 219] } = {}) {
+      if (!page) writer.addPage();
+      page.ops.push(
+        `${formatColor(color)} RG ${formatNumber(width)} w ` +
+        `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+      );
+      return writer;
+    },
+
+    /**
+     * Register a JPEG for drawing with `image`.
+     *
+     * @param {Uint8Array} bytes
+     * @returns {{name: string, width: number, height: number}}
+     */
+    addJpeg(bytes) {
+      const { width, height, components } = readJpegSize(bytes);
+      const image = { name: `Im${images.length + 1}`, bytes, width, height, components };
+      images.push(image);
+      return image;
+    },
+
+    /** Draw a registered image with its top-left corner at (x, y). */
+    image(image, x, y, width, height) {
+      if (!page) writer.addPage();
+      page.images.add(image);
+      page.ops.push(
+        `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ` +
+        `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} cm /${image.name} Do Q`
+      );
+      return writer;
+    },
+
+    pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+      if (pages.length === 0) writer.addPage();
+      return buildPdf(pages, images, title);
+    },
+  };
+
+  return writer;
+}
+
+function buildPdf(pages, images, title) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream = null) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then page + content pairs
+  const imageIds = new Map(images.map((image, i) => [image, 6 + i]));
+  const firstPageId = 6 + images.length;
+  const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+  push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  object(5, `<< /Title (${escapePdfString(toWinAnsi(title))}) /CreationDate (D:${created}Z) >>`);
+
+  for (const image of images) {
+    const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    object(
+      imageIds.get(image),
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+      image.bytes
+    );
+  }
+
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const content = latin1Bytes(page.ops.join('\n'));
+    const xObjects = [...page.images].map(image => `/${image.name} ${imageIds.get(image)} 0 R`).join(' ');
+    object(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+      `/Contents ${pageId + 1} 0 R >>`
+    );
+    object(pageId + 1, `<< /Length ${content.length} >>`, content);
+  });
+
+  const objectCount = firstPageId + pages.length * 2;
+  const xrefOffset = length;
+  let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objectCount; id++) {
+    xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  push(xref);
+  push(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
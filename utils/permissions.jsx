@@ -288,6 +288,25 @@ export function canViewLeaveRequest(user, leaveRequest, currentEmployee, prefere
   return currentEmployee && leaveRequest.employee_id === currentEmployee.id;
 }
 
+/**
+ * Check if user can view a piece of leave evidence (e.g. a medical certificate).
+ * Confidential evidence (e.g. family and domestic violence leave) is limited
+ * to HR/admins and the employee it belongs to; managers cannot see it.
+ * @param {Object} user - Current user
+ * @param {Object} leaveRequest - Leave request the evidence belongs to
+ * @param {Object} evidence - LeaveEvidence with is_confidential
+ * @param {Object} currentEmployee - Current user's employee record
+ * @param {Object} preferences - UserPreferences with acting_mode
+ * @returns {boolean}
+ */
+export function canViewLeaveEvidence(user, leaveRequest, evidence, currentEmployee, preferences) {
+  if (!canViewLeaveRequest(user, leaveRequest, currentEmployee, preferences)) return false;
+  if (!evidence?.is_confidential) return true;
+
+  if (hasAdminPowers(user, preferences)) return true;
+  return !!currentEmployee && leaveRequest.employee_id === currentEmployee.id;
+}
+
 /**
  * Check if user can view leave for a specific employee
  * Used when loading leave history or calendar for another employee.
@@ -347,13 +366,19 @@ export function canManageEmployeeLeave(user, targetEmployee, currentEmployee, pr
 
 /**
  * Check if user can approve/decline a leave request
+ *
+ * Requests routed through an approval chain (approval_steps) can be actioned
+ * by the approver of the current step, or by anyone that approver has
+ * delegated to. HR steps need admin powers.
+ *
  * @param {Object} user - Current user
- * @param {Object} leaveRequest - Leave request with manager_id
+ * @param {Object} leaveRequest - Leave request with manager_id / approval_steps
  * @param {Object} currentEmployee - Current user's employee record
  * @param {Object} preferences - UserPreferences with acting_mode
+ * @param {Array<string>} [delegatorIds] - Employees currently delegating approvals to this user
  * @returns {boolean}
  */
-export function canApproveLeave(user, leaveRequest, currentEmployee, preferences) {
+export function canApproveLeave(user, leaveRequest, currentEmployee, preferences, delegatorIds = []) {
   if (!user || !leaveRequest) return false;
   
   // Admin in admin mode: can approve any request
@@ -361,9 +386,22 @@ export function canApproveLeave(user, leaveRequest, currentEmployee, preferences
   
   // Admin in staff mode: cannot approve (treated as regular employee)
   if (isInStaffMode(user, preferences)) return false;
+
+  if (!currentEmployee) return false;
+
+  // Approval chain: only the current step's approver (or their delegate)
+  const steps = leaveRequest.approval_steps;
+  if (Array.isArray(steps) && steps.length > 0) {
+    const step = steps[leaveRequest.current_step || 0];
+    if (!step || step.approver_type === 'hr') return false;
+    return step.approver_id === currentEmployee.id || delegatorIds.includes(step.approver_id);
+  }
+
+  // Delegate acting for the assigned manager
+  if (leaveRequest.manager_id && delegatorIds.includes(leaveRequest.manager_id)) return true;
   
   // Manager: can approve ONLY if they are the assigned manager OR have is_manager flag
-  if (currentEmployee?.is_manager && currentEmployee) {
+  if (currentEmployee.is_manager) {
     return leaveRequest.manager_id === currentEmployee.id;
   }
   
@@ -469,6 +507,29 @@ export function canCancelLeaveRequest(user, leaveRequest, currentEmployee, prefe
   return false;
 }
 
+/**
+ * Check if user can amend a leave request (propose new dates or hours).
+ * Same rules as cancelling: pending requests, or approved leave that has
+ * not started, by the employee or an admin.
+ * @param {Object} user - Current user
+ * @param {Object} leaveRequest - The leave request
+ * @param {Object} currentEmployee - Current user's employee record
+ * @param {Object} preferences - UserPreferences with acting_mode
+ * @returns {boolean}
+ */
+export function canAmendLeaveRequest(user, leaveRequest, currentEmployee, preferences) {
+  if (!user || !leaveRequest) return false;
+
+  const isAdmin = hasAdminPowers(user, preferences);
+  const isSelf = currentEmployee && leaveRequest.employee_id === currentEmployee.id;
+  if (!isAdmin && !isSelf) return false;
+
+  if (leaveRequest.status === LEAVE_REQUEST_STATUS.PENDING) return true;
+
+  const today = new Date().toISOString().split('T')[0];
+  return leaveRequest.status === LEAVE_REQUEST_STATUS.APPROVED && leaveRequest.start_date >= today;
+}
+
 // ============================================
 // Onboarding Permissions
 // ============================================
@@ -886,7 +947,8 @@ export function buildPermissions(context) {
     canViewPeople: canViewPeople(user),
     canViewSalary: canViewSalary(user, preferences),
     canViewTeamTimeOff: canViewTeamTimeOff(user, employee, preferences, hasReports),
-    canApproveLeave: canApproveLeaveGeneral(user, employee, preferences, hasReports),
+    canApproveLeave: canApproveLeaveGeneral(user, employee, preferences, hasReports)
+      || (context.approvalDelegatorIds?.length > 0 && !isInStaffMode(user, preferences)),
     canManageOnboarding: canManageOnboarding(user, employee, preferences, hasReports),
     canManageOffboarding: canManageOffboarding(user, employee, preferences, hasReports),
     canViewReports: canViewReports(user, employee, preferences, hasReports),
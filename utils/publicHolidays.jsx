@@ -1,5 +1,5 @@
 import { base44 } from '@/api/base44Client';
-import { parseISO, startOfYear, endOfYear, format } from 'date-fns';
+import { startOfYear, endOfYear, format, addDays, getDay, isWeekend } from 'date-fns';
 
 const PublicHoliday = base44.entities.PublicHoliday;
 const CompanyEntity = base44.entities.CompanyEntity;
@@ -100,43 +100,237 @@ export async function getPublicHolidaysInRange(entityId, startDate, endDate, opt
   return allHolidays.filter(h => h.date >= startStr && h.date <= endStr);
 }
 
+// ============================================
+// Rule-based holiday generation
+// ============================================
+
 /**
- * Copy holidays from one year to another (adjusting dates)
- * 
- * @param {number} sourceYear - Year to copy from
- * @param {number} targetYear - Year to copy to
- * @param {string|null} entityId - Entity to copy for (null = global only)
- * @param {string} userId - User performing the copy
- * @returns {Promise<number>} - Number of holidays created
+ * Holiday rules describe how a holiday's date is worked out each year:
+ *   { name, type: 'fixed', month, day }                  e.g. 25 Dec
+ *   { name, type: 'nth_weekday', month, weekday, n }     e.g. 2nd Monday in June
+ *                                                        (weekday 0 = Sun, n = -1 for last)
+ *   { name, type: 'easter', offset }                     e.g. Good Friday = -2
+ * Add `substitute: true` when an extra weekday off is given for a holiday
+ * that falls on a weekend (the next weekday that isn't already a holiday).
+ * Months are 1-12.
  */
-export async function copyHolidaysToYear(sourceYear, targetYear, entityId, userId) {
-  const sourceHolidays = await getPublicHolidaysForEntity(entityId, sourceYear);
-  
-  // Filter to only entity-specific or global based on entityId
-  const holidaysToCopy = entityId 
-    ? sourceHolidays.filter(h => h.entity_id === entityId)
-    : sourceHolidays.filter(h => !h.entity_id);
-  
-  const yearDiff = targetYear - sourceYear;
+
+/**
+ * Easter Sunday for a year (Anonymous Gregorian algorithm)
+ *
+ * @param {number} year
+ * @returns {Date}
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Nth weekday of a month, or the last one when n = -1
+ */
+function getNthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month, 0);
+    return addDays(last, -((getDay(last) - weekday + 7) % 7));
+  }
+  const first = new Date(year, month - 1, 1);
+  const offset = (weekday - getDay(first) + 7) % 7;
+  return addDays(first, offset + (n - 1) * 7);
+}
+
+/**
+ * Date a rule falls on in a given year
+ *
+ * @param {Object} rule - Holiday rule
+ * @param {number} year
+ * @returns {Date|null} null for an unknown rule type
+ */
+export function resolveHolidayRuleDate(rule, year) {
+  switch (rule.type) {
+    case 'fixed':
+      return new Date(year, rule.month - 1, rule.day);
+    case 'nth_weekday':
+      return getNthWeekdayOfMonth(year, rule.month, rule.weekday, rule.n);
+    case 'easter':
+      return addDays(getEasterSunday(year), rule.offset || 0);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate a year's holidays from a set of rules, including any
+ * substitute days for holidays that fall on a weekend.
+ *
+ * @param {Array<Object>} rules - Holiday rules
+ * @param {number} year
+ * @returns {Array<{name: string, date: string, is_substitute: boolean}>} Sorted by date
+ */
+export function generateHolidaysFromRules(rules, year) {
+  const base = rules
+    .map((rule) => ({ rule, date: resolveHolidayRuleDate(rule, year) }))
+    .filter((h) => h.date)
+    .sort((a, b) => a.date - b.date);
+
+  const taken = new Set(base.map((h) => format(h.date, 'yyyy-MM-dd')));
+  const holidays = base.map((h) => ({
+    name: h.rule.name,
+    date: format(h.date, 'yyyy-MM-dd'),
+    is_substitute: false,
+  }));
+
+  // In date order, so Boxing Day's substitute lands after Christmas Day's
+  for (const { rule, date } of base) {
+    if (!rule.substitute || !isWeekend(date)) continue;
+    let substitute = addDays(date, 1);
+    while (isWeekend(substitute) || taken.has(format(substitute, 'yyyy-MM-dd'))) {
+      substitute = addDays(substitute, 1);
+    }
+    const substituteStr = format(substitute, 'yyyy-MM-dd');
+    taken.add(substituteStr);
+    holidays.push({ name: `${rule.name} (additional day)`, date: substituteStr, is_substitute: true });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Compare generated holidays with the rows already stored for the same year,
+ * entity and state/region. Rows are matched on date first, then by name:
+ * a row on a holiday's date under another name (e.g. Queen's Birthday
+ * renamed King's Birthday) is renamed, and a row with the holiday's name on
+ * another date is moved. Rows matching neither are left for the user to
+ * keep, remove, or use for one of the added holidays (see
+ * applyHolidayGeneration).
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.rules - Holiday rules
+ * @param {number} params.year
+ * @param {string|null} params.entityId - null = global holidays
+ * @param {string|null} params.stateRegion - null = national holidays
+ * @returns {Promise<{add: Array, change: Array, rename: Array, unchanged: Array, notInRules: Array}>}
+ *   `change` items are { existing, date }; `rename` items are { existing, name }
+ */
+export async function previewHolidayGeneration({ rules, year, entityId = null, stateRegion = null }) {
+  const generated = generateHolidaysFromRules(rules, year);
+  const existing = (await getPublicHolidaysForEntity(entityId, year)).filter(
+    (h) => (h.entity_id || null) === entityId && (h.state_region || null) === stateRegion
+  );
+
+  const normalise = (name) => (name || '').trim().toLowerCase();
+  const generatedNames = new Set(generated.map((h) => normalise(h.name)));
+
+  const preview = { add: [], change: [], rename: [], unchanged: [], notInRules: [] };
+  const matched = new Set();
+  const take = (predicate) => {
+    const row = existing.find((h) => !matched.has(h.id) && predicate(h));
+    if (row) matched.add(row.id);
+    return row;
+  };
+
+  // Same date and name
+  let remaining = [];
+  for (const holiday of generated) {
+    const current = take((h) => h.date === holiday.date && normalise(h.name) === normalise(holiday.name));
+    if (current) preview.unchanged.push(current);
+    else remaining.push(holiday);
+  }
+
+  // Same date, renamed; a row named after another holiday is moved instead
+  const unmatched = [];
+  for (const holiday of remaining) {
+    const current = take((h) => h.date === holiday.date && !generatedNames.has(normalise(h.name)));
+    if (current) preview.rename.push({ existing: current, name: holiday.name });
+    else unmatched.push(holiday);
+  }
+  remaining = unmatched;
+
+  // Same name, moved to another date
+  for (const holiday of remaining) {
+    const current = take((h) => normalise(h.name) === normalise(holiday.name));
+    if (current) preview.change.push({ existing: current, date: holiday.date });
+    else preview.add.push(holiday);
+  }
+
+  preview.notInRules = existing.filter((h) => !matched.has(h.id));
+  return preview;
+}
+
+/**
+ * Write a previewed generation: create new holidays, move and rename
+ * matched ones, and resolve rows the rules no longer produce.
+ *
+ * @param {Object} preview - Result of previewHolidayGeneration
+ * @param {Object} params
+ * @param {string|null} params.entityId
+ * @param {string|null} params.stateRegion
+ * @param {string} params.userId - User performing the generation
+ * @param {Object} [params.resolutions] - For `notInRules` rows, by row ID:
+ *   'keep' (default), 'remove', or the name of an added holiday to turn the
+ *   row into instead of creating it
+ * @returns {Promise<{created: number, updated: number, removed: number}>}
+ */
+export async function applyHolidayGeneration(preview, { entityId = null, stateRegion = null, userId, resolutions = {} }) {
   let created = 0;
-  
-  for (const holiday of holidaysToCopy) {
-    const sourceDate = parseISO(holiday.date);
-    const targetDate = new Date(sourceDate);
-    targetDate.setFullYear(targetDate.getFullYear() + yearDiff);
-    
+  let updated = 0;
+  let removed = 0;
+
+  const replaced = new Set();
+  for (const row of preview.notInRules) {
+    const resolution = resolutions[row.id] || 'keep';
+    if (resolution === 'keep') continue;
+
+    if (resolution === 'remove') {
+      await PublicHoliday.delete(row.id);
+      removed++;
+      continue;
+    }
+
+    const holiday = preview.add.find((h) => h.name === resolution && !replaced.has(h.name));
+    if (!holiday) continue;
+    await PublicHoliday.update(row.id, { name: holiday.name, date: holiday.date });
+    replaced.add(holiday.name);
+    updated++;
+  }
+
+  for (const holiday of preview.add) {
+    if (replaced.has(holiday.name)) continue;
     await PublicHoliday.create({
-      entity_id: holiday.entity_id || null,
-      country: holiday.country,
-      state_region: holiday.state_region,
-      date: format(targetDate, 'yyyy-MM-dd'),
+      entity_id: entityId,
+      country: 'AU',
+      state_region: stateRegion,
+      date: holiday.date,
       name: holiday.name,
-      is_paid: holiday.is_paid,
+      is_paid: true,
       is_active: true,
       created_by_user_id: userId,
     });
     created++;
   }
-  
-  return created;
-}
\ No newline at end of file
+
+  for (const { existing, date } of preview.change) {
+    await PublicHoliday.update(existing.id, { date });
+    updated++;
+  }
+
+  for (const { existing, name } of preview.rename) {
+    await PublicHoliday.update(existing.id, { name });
+    updated++;
+  }
+
+  return { created, updated, removed };
+}
@@ -1,23 +1,104 @@
 import { base44 } from '@/api/base44Client';
-import { parseISO, isWithinInterval, areIntervalsOverlapping } from 'date-fns';
+import { parseISO, format, eachDayOfInterval, getDay, differenceInCalendarDays } from 'date-fns';
+import { DAY_KEYS } from './workPattern';
 
 const StaffingRule = base44.entities.StaffingRule;
 const Employee = base44.entities.Employee;
 const LeaveRequest = base44.entities.LeaveRequest;
 
 /**
- * Get the applicable staffing rule for an employee
+ * Staffing Rules
+ *
+ * A rule sets a minimum number of staff working and/or a maximum number on
+ * leave at once, checked day by day across a leave request. Rule fields:
+ *
+ *   entity_id / department_id  scope to the requester's entity or department
+ *   location_id                only applies to employees at this location
+ *   per_location               count staff at the requester's location only
+ *   job_title / skill          only count (and apply to) staff with this job
+ *                              title or skill, e.g. "at least 2 pharmacists
+ *                              per location"
+ *   start_date / end_date      optional window the rule is in force
+ *   days_of_week               optional weekdays the rule is in force ('mon'...)
+ *   min_active_headcount       minimum staff working each day
+ *   max_concurrent_leave       maximum staff on leave each day
+ *
+ * Rules without a location, job title or skill are general rules; only the
+ * most specific one applies (department+entity > entity > global). Every
+ * matching targeted rule applies as well.
+ */
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Skills recorded on an employee, as lower-case strings.
+ * Accepts an array or a comma-separated string.
+ */
+export function getEmployeeSkills(employee) {
+  const skills = Array.isArray(employee?.skills)
+    ? employee.skills
+    : String(employee?.skills || '').split(',');
+  return skills.map(normalize).filter(Boolean);
+}
+
+/**
+ * Parse comma-separated skills input into a clean array.
+ */
+export function parseSkills(value) {
+  const skills = [];
+  for (const skill of String(value || '').split(',').map((s) => s.trim())) {
+    if (skill && !skills.some((s) => s.toLowerCase() === skill.toLowerCase())) {
+      skills.push(skill);
+    }
+  }
+  return skills;
+}
+
+function isTargetedRule(rule) {
+  return !!(rule.location_id || rule.job_title || rule.skill);
+}
+
+function matchesRole(rule, employee) {
+  if (rule.job_title && normalize(rule.job_title) !== normalize(employee.job_title)) return false;
+  if (rule.skill && !getEmployeeSkills(employee).includes(normalize(rule.skill))) return false;
+  return true;
+}
+
+function ruleAppliesTo(rule, employee) {
+  if (rule.entity_id && rule.entity_id !== employee.entity_id) return false;
+  if (rule.department_id && rule.department_id !== employee.department_id) return false;
+  if (rule.location_id && rule.location_id !== employee.location_id) return false;
+  return matchesRole(rule, employee);
+}
+
+/**
+ * Short description of who a rule counts, e.g. "Pharmacist per location".
+ */
+export function describeStaffingRule(rule) {
+  const parts = [];
+  if (rule.job_title) parts.push(rule.job_title);
+  if (rule.skill) parts.push(`${rule.skill} skill`);
+  const who = parts.length > 0 ? parts.join(' with ') : 'Staff';
+  if (rule.per_location || rule.location_id) return `${who} per location`;
+  if (rule.department_id) return `${who} in department`;
+  if (rule.entity_id) return `${who} in entity`;
+  return `${who} company-wide`;
+}
+
+/**
+ * Get the applicable general staffing rule for an employee
  * Priority: department+entity > entity-only > global
  */
-export async function getApplicableStaffingRule(employee) {
+export async function getApplicableStaffingRule(employee, rules = null) {
   if (!employee) return null;
   
-  const rules = await StaffingRule.filter({ is_active: true });
-  if (rules.length === 0) return null;
+  const activeRules = rules || await StaffingRule.filter({ is_active: true });
+  const generalRules = activeRules.filter(r => !isTargetedRule(r));
+  if (generalRules.length === 0) return null;
   
   // Priority 1: Entity + Department match
   if (employee.entity_id && employee.department_id) {
-    const deptRule = rules.find(r => 
+    const deptRule = generalRules.find(r => 
       r.entity_id === employee.entity_id && 
       r.department_id === employee.department_id
     );
@@ -26,7 +107,7 @@ export async function getApplicableStaffingRule(employee) {
   
   // Priority 2: Entity-only (no department)
   if (employee.entity_id) {
-    const entityRule = rules.find(r => 
+    const entityRule = generalRules.find(r => 
       r.entity_id === employee.entity_id && 
       !r.department_id
     );
@@ -34,101 +115,175 @@ export async function getApplicableStaffingRule(employee) {
   }
   
   // Priority 3: Global rule (no entity, no department)
-  const globalRule = rules.find(r => !r.entity_id && !r.department_id);
+  const globalRule = generalRules.find(r => !r.entity_id && !r.department_id);
   return globalRule || null;
 }
 
 /**
- * Check for staffing conflicts if a leave request is approved
- * @returns {Object} { hasConflict, warnings[], overlappingLeave[], stats }
+ * All staffing rules that apply to an employee: the most specific general
+ * rule plus every matching targeted (location/job title/skill) rule.
  */
-export async function checkStaffingConflict(leaveRequest, employee) {
-  if (!employee || !leaveRequest) {
-    return { hasConflict: false, warnings: [], overlappingLeave: [], stats: null };
+export async function getApplicableStaffingRules(employee) {
+  if (!employee) return [];
+
+  const rules = await StaffingRule.filter({ is_active: true });
+  const generalRule = await getApplicableStaffingRule(employee, rules);
+  const targetedRules = rules.filter(r => isTargetedRule(r) && ruleAppliesTo(r, employee));
+
+  return [...(generalRule ? [generalRule] : []), ...targetedRules];
+}
+
+/**
+ * Whether a rule is in force on a date (window and weekdays).
+ */
+export function isRuleInForce(rule, dateStr) {
+  if (rule.start_date && dateStr < rule.start_date) return false;
+  if (rule.end_date && dateStr > rule.end_date) return false;
+  if (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0) {
+    return rule.days_of_week.includes(DAY_KEYS[getDay(parseISO(dateStr))]);
   }
-  
-  const rule = await getApplicableStaffingRule(employee);
-  if (!rule) {
-    return { hasConflict: false, warnings: [], overlappingLeave: [], stats: null };
+  return true;
+}
+
+function getRuleMembers(rule, employee, activeEmployees) {
+  const perLocation = rule.per_location || rule.location_id;
+  return activeEmployees.filter(e => {
+    if (rule.department_id && e.department_id !== employee.department_id) return false;
+    if (rule.entity_id && e.entity_id !== employee.entity_id) return false;
+    if (perLocation && e.location_id !== employee.location_id) return false;
+    return matchesRole(rule, e);
+  });
+}
+
+function formatDayRanges(dates) {
+  const ranges = [];
+  for (const dateStr of dates) {
+    const last = ranges[ranges.length - 1];
+    const date = parseISO(dateStr);
+    if (last && differenceInCalendarDays(date, last.end) === 1) {
+      last.end = date;
+    } else {
+      ranges.push({ start: date, end: date });
+    }
   }
+  return ranges
+    .map(r => (r.start.getTime() === r.end.getTime()
+      ? format(r.start, 'dd MMM')
+      : `${format(r.start, 'dd MMM')}–${format(r.end, 'dd MMM')}`))
+    .join(', ');
+}
+
+/**
+ * Check for staffing conflicts if a leave request is approved.
+ * Each applicable rule is evaluated for every day of the request.
+ *
+ * @returns {Object} { hasConflict, warnings[], breaches[], overlappingLeave[], stats }
+ *   breaches: one entry per day and rule broken -
+ *   { date, ruleId, ruleLabel, type, working, onLeave, limit }
+ */
+export async function checkStaffingConflict(leaveRequest, employee) {
+  const empty = { hasConflict: false, warnings: [], breaches: [], overlappingLeave: [], stats: null };
+  if (!employee || !leaveRequest) return empty;
   
-  const startDate = parseISO(leaveRequest.start_date);
-  const endDate = parseISO(leaveRequest.end_date);
-  const requestInterval = { start: startDate, end: endDate };
-  
-  // Get all employees in the same scope (entity/department)
-  let scopeFilter = { status: 'active' };
-  let scopeLabel = 'company';
-  
-  if (rule.department_id && employee.department_id) {
-    scopeFilter.department_id = employee.department_id;
-    scopeLabel = 'department';
-  } else if (rule.entity_id && employee.entity_id) {
-    scopeFilter.entity_id = employee.entity_id;
-    scopeLabel = 'entity';
+  const rules = await getApplicableStaffingRules(employee);
+  if (rules.length === 0) return empty;
+
+  const requestDays = eachDayOfInterval({
+    start: parseISO(leaveRequest.start_date),
+    end: parseISO(leaveRequest.end_date),
+  }).map(d => format(d, 'yyyy-MM-dd'));
+
+  const [activeEmployees, allApprovedLeave] = await Promise.all([
+    Employee.filter({ status: 'active' }),
+    LeaveRequest.filter({ status: 'approved' }),
+  ]);
+
+  // Approved leave of other employees that touches the request
+  const firstDay = requestDays[0];
+  const lastDay = requestDays[requestDays.length - 1];
+  const otherLeave = allApprovedLeave.filter(lr =>
+    lr.employee_id !== leaveRequest.employee_id &&
+    lr.start_date <= lastDay &&
+    lr.end_date >= firstDay
+  );
+
+  const breaches = [];
+  const overlapping = new Map();
+  let stats = null;
+
+  for (const rule of rules) {
+    const members = getRuleMembers(rule, employee, activeEmployees);
+    const memberIds = new Set(members.map(e => e.id));
+    const ruleLabel = describeStaffingRule(rule);
+    const ruleLeave = otherLeave.filter(lr => memberIds.has(lr.employee_id));
+    let peak = null;
+
+    for (const dateStr of requestDays) {
+      if (!isRuleInForce(rule, dateStr)) continue;
+
+      const onLeaveToday = ruleLeave.filter(lr => lr.start_date <= dateStr && lr.end_date >= dateStr);
+      onLeaveToday.forEach(lr => overlapping.set(lr.id, lr));
+
+      const onLeave = onLeaveToday.length + 1; // +1 for the current request
+      const working = members.length - onLeave;
+      if (!peak || onLeave > peak.onLeave) peak = { onLeave, working };
+
+      if (rule.min_active_headcount && working < rule.min_active_headcount) {
+        breaches.push({ date: dateStr, ruleId: rule.id, ruleLabel, type: 'min_headcount', working, onLeave, limit: rule.min_active_headcount });
+      }
+      if (rule.max_concurrent_leave && onLeave > rule.max_concurrent_leave) {
+        breaches.push({ date: dateStr, ruleId: rule.id, ruleLabel, type: 'max_concurrent', working, onLeave, limit: rule.max_concurrent_leave });
+      }
+    }
+
+    // Stats describe the first (general where present) rule in force
+    if (!stats && peak) {
+      stats = {
+        totalHeadcount: members.length,
+        concurrentLeaveCount: peak.onLeave,
+        activeAfterApproval: peak.working,
+        scopeLabel: ruleLabel.toLowerCase(),
+        rule,
+      };
+    }
   }
-  
-  const employeesInScope = await Employee.filter(scopeFilter);
-  const totalHeadcount = employeesInScope.length;
-  
-  // Get all approved leave requests that overlap with the requested dates
-  const allApprovedLeave = await LeaveRequest.filter({ status: 'approved' });
-  
-  const overlappingLeave = allApprovedLeave.filter(lr => {
-    // Must be from an employee in scope (not the requesting employee)
-    const isInScope = employeesInScope.some(e => e.id === lr.employee_id);
-    if (!isInScope) return false;
-    if (lr.employee_id === leaveRequest.employee_id) return false;
-    
-    // Check date overlap
-    const lrStart = parseISO(lr.start_date);
-    const lrEnd = parseISO(lr.end_date);
-    const lrInterval = { start: lrStart, end: lrEnd };
-    
-    return areIntervalsOverlapping(requestInterval, lrInterval, { inclusive: true });
-  });
-  
-  const concurrentLeaveCount = overlappingLeave.length + 1; // +1 for the current request
-  const activeAfterApproval = totalHeadcount - concurrentLeaveCount;
-  
+
+  // One warning per rule and limit, naming the days it is broken
   const warnings = [];
-  let hasConflict = false;
-  
-  // Check min_active_headcount
-  if (rule.min_active_headcount && activeAfterApproval < rule.min_active_headcount) {
-    hasConflict = true;
-    warnings.push({
-      type: 'min_headcount',
-      message: `Approving this leave will leave only ${activeAfterApproval} active staff in the ${scopeLabel}, below the configured minimum of ${rule.min_active_headcount}.`,
-      severity: 'warning',
-      activeAfterApproval,
-      minRequired: rule.min_active_headcount,
-    });
+  const grouped = new Map();
+  for (const breach of breaches) {
+    const key = `${breach.ruleId}:${breach.type}`;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(breach);
   }
-  
-  // Check max_concurrent_leave
-  if (rule.max_concurrent_leave && concurrentLeaveCount > rule.max_concurrent_leave) {
-    hasConflict = true;
-    warnings.push({
-      type: 'max_concurrent',
-      message: `Approving this leave will result in ${concurrentLeaveCount} employees on leave at once, exceeding the maximum of ${rule.max_concurrent_leave}.`,
-      severity: 'warning',
-      concurrentCount: concurrentLeaveCount,
-      maxAllowed: rule.max_concurrent_leave,
-    });
+  for (const group of grouped.values()) {
+    const first = group[0];
+    const days = formatDayRanges(group.map(b => b.date));
+    warnings.push(first.type === 'min_headcount'
+      ? {
+        type: 'min_headcount',
+        message: `${first.ruleLabel}: fewer than ${first.limit} working on ${days} (as low as ${Math.min(...group.map(b => b.working))}).`,
+        severity: 'warning',
+        activeAfterApproval: Math.min(...group.map(b => b.working)),
+        minRequired: first.limit,
+        dates: group.map(b => b.date),
+      }
+      : {
+        type: 'max_concurrent',
+        message: `${first.ruleLabel}: more than ${first.limit} on leave on ${days} (up to ${Math.max(...group.map(b => b.onLeave))}).`,
+        severity: 'warning',
+        concurrentCount: Math.max(...group.map(b => b.onLeave)),
+        maxAllowed: first.limit,
+        dates: group.map(b => b.date),
+      });
   }
-  
+
   return {
-    hasConflict,
+    hasConflict: breaches.length > 0,
     warnings,
-    overlappingLeave,
-    stats: {
-      totalHeadcount,
-      concurrentLeaveCount,
-      activeAfterApproval,
-      scopeLabel,
-      rule,
-    }
+    breaches,
+    overlappingLeave: [...overlapping.values()],
+    stats,
   };
 }
 
@@ -143,4 +298,4 @@ export async function enrichOverlappingLeave(overlappingLeave, employees) {
       employee_name: emp ? `${emp.first_name} ${emp.last_name}` : 'Unknown',
     };
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,262 @@
+/**
+ * Work Pattern Utility
+ *
+ * Resolves the days and hours an employee is rostered to work so that leave
+ * is only charged for days they would otherwise have worked.
+ *
+ * An employee may carry an optional `work_pattern` of the shape:
+ *
+ *   {
+ *     cycle_weeks: 1 | 2,
+ *     anchor_date: 'yyyy-MM-dd',   // any date in week 1 of the rotation
+ *     weeks: [
+ *       { mon: 0, tue: 8, wed: 8, thu: 8, fri: 0, sat: 0, sun: 0 },
+ *       // second week only when cycle_weeks is 2
+ *     ],
+ *   }
+ *
+ * Employees without a pattern fall back to Monday–Friday with
+ * hours_per_week / 5 per day (7.6h when hours_per_week is not set).
+ */
+
+import { parseISO, startOfWeek, differenceInCalendarWeeks } from 'date-fns';
+import { safeNumber } from './numberUtils';
+
+/** Day keys indexed by Date#getDay() (0 = Sunday). */
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Day keys in display order (Monday first). */
+export const WEEKDAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+export const DAY_LABELS = {
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+  sun: 'Sun',
+};
+
+const DEFAULT_HOURS_PER_DAY = 7.6;
+const MAX_CYCLE_WEEKS = 2;
+
+function toDate(date) {
+  return typeof date === 'string' ? parseISO(date) : date;
+}
+
+function normaliseWeek(week) {
+  const result = {};
+  for (const key of WEEKDAY_ORDER) {
+    const hours = safeNumber(week?.[key], 0);
+    result[key] = hours > 0 ? Math.min(hours, 24) : 0;
+  }
+  return result;
+}
+
+function weekTotal(week) {
+  return WEEKDAY_ORDER.reduce((sum, key) => sum + safeNumber(week?.[key], 0), 0);
+}
+
+/**
+ * Build the standard Monday–Friday pattern for a given weekly hours figure.
+ *
+ * @param {number} [hoursPerWeek] - Contracted hours per week
+ * @returns {Object} Work pattern
+ */
+export function buildDefaultWorkPattern(hoursPerWeek) {
+  const hoursPerDay =
+    Number.isFinite(hoursPerWeek) && hoursPerWeek > 0
+      ? hoursPerWeek / 5
+      : DEFAULT_HOURS_PER_DAY;
+
+  return {
+    cycle_weeks: 1,
+    anchor_date: null,
+    weeks: [
+      { mon: hoursPerDay, tue: hoursPerDay, wed: hoursPerDay, thu: hoursPerDay, fri: hoursPerDay, sat: 0, sun: 0 },
+    ],
+    is_default: true,
+  };
+}
+
+/**
+ * Whether the employee has an explicit work pattern with at least one working day.
+ *
+ * @param {Object} employee - Employee record
+ * @returns {boolean}
+ */
+export function hasCustomWorkPattern(employee) {
+  const weeks = employee?.work_pattern?.weeks;
+  if (!Array.isArray(weeks) || weeks.length === 0) return false;
+  return weeks.some((week) => weekTotal(week) > 0);
+}
+
+/**
+ * Resolve the effective work pattern for an employee.
+ * Always returns a normalised pattern (never null).
+ *
+ * @param {Object} employee - Employee record
+ * @returns {Object} Work pattern with `weeks`, `cycle_weeks`, `anchor_date`, `is_default`
+ */
+export function getWorkPattern(employee) {
+  if (!hasCustomWorkPattern(employee)) {
+    return buildDefaultWorkPattern(employee?.hours_per_week);
+  }
+
+  const raw = employee.work_pattern;
+  const cycleWeeks = Math.min(
+    Math.max(Math.round(safeNumber(raw.cycle_weeks, raw.weeks.length)), 1),
+    MAX_CYCLE_WEEKS,
+  );
+
+  const weeks = [];
+  for (let i = 0; i < cycleWeeks; i++) {
+    weeks.push(normaliseWeek(raw.weeks[i] || raw.weeks[0]));
+  }
+
+  return {
+    cycle_weeks: cycleWeeks,
+    anchor_date: raw.anchor_date || null,
+    weeks,
+    is_default: false,
+  };
+}
+
+/**
+ * Which week of the rotation a date falls in (0-based).
+ * Weeks start on Monday; a missing anchor treats the date's week as week 1.
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @param {Date|string} date - Date to test
+ * @returns {number}
+ */
+export function getRotationWeekIndex(pattern, date) {
+  const cycleWeeks = pattern?.weeks?.length || 1;
+  if (cycleWeeks <= 1 || !pattern.anchor_date) return 0;
+
+  const diff = differenceInCalendarWeeks(
+    startOfWeek(toDate(date), { weekStartsOn: 1 }),
+    startOfWeek(toDate(pattern.anchor_date), { weekStartsOn: 1 }),
+    { weekStartsOn: 1 },
+  );
+
+  return ((diff % cycleWeeks) + cycleWeeks) % cycleWeeks;
+}
+
+/**
+ * Rostered hours for a specific date (0 for non-working days).
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @param {Date|string} date - Date to test
+ * @returns {number}
+ */
+export function getScheduledHoursForDate(pattern, date) {
+  const d = toDate(date);
+  const week = pattern?.weeks?.[getRotationWeekIndex(pattern, d)];
+  return safeNumber(week?.[DAY_KEYS[d.getDay()]], 0);
+}
+
+/**
+ * Whether the employee is rostered to work on a date.
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @param {Date|string} date - Date to test
+ * @returns {boolean}
+ */
+export function isScheduledWorkDay(pattern, date) {
+  return getScheduledHoursForDate(pattern, date) > 0;
+}
+
+/**
+ * Average weekly hours across the rotation.
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @returns {number}
+ */
+export function getPatternWeeklyHours(pattern) {
+  const weeks = pattern?.weeks || [];
+  if (weeks.length === 0) return 0;
+  const total = weeks.reduce((sum, week) => sum + weekTotal(week), 0);
+  return Math.round((total / weeks.length) * 100) / 100;
+}
+
+/**
+ * Average hours per rostered working day across the rotation.
+ * Used to express hour balances as days for this employee.
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @returns {number} Hours per working day (defaults to 7.6)
+ */
+export function getAverageHoursPerWorkDay(pattern) {
+  let hours = 0;
+  let days = 0;
+  for (const week of pattern?.weeks || []) {
+    for (const key of WEEKDAY_ORDER) {
+      const h = safeNumber(week[key], 0);
+      if (h > 0) {
+        hours += h;
+        days++;
+      }
+    }
+  }
+  return days > 0 ? Math.round((hours / days) * 100) / 100 : DEFAULT_HOURS_PER_DAY;
+}
+
+/**
+ * Short human-readable summary, e.g. "Tue 8h, Wed 8h, Thu 8h".
+ * Fortnightly patterns are prefixed per week ("Wk 1: … · Wk 2: …").
+ *
+ * @param {Object} pattern - Work pattern from getWorkPattern
+ * @returns {string}
+ */
+export function describeWorkPattern(pattern) {
+  const weeks = pattern?.weeks || [];
+  const describeWeek = (week) => {
+    const days = WEEKDAY_ORDER.filter((key) => safeNumber(week[key], 0) > 0);
+    if (days.length === 0) return 'No working days';
+    return days.map((key) => `${DAY_LABELS[key]} ${safeNumber(week[key], 0)}h`).join(', ');
+  };
+
+  if (weeks.length <= 1) return describeWeek(weeks[0] || {});
+  return weeks.map((week, i) => `Wk ${i + 1}: ${describeWeek(week)}`).join(' · ');
+}
+
+/**
+ * Validate a work pattern before saving.
+ *
+ * @param {Object} pattern - Raw work pattern from a form
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateWorkPattern(pattern) {
+  const errors = [];
+  const weeks = pattern?.weeks;
+
+  if (!Array.isArray(weeks) || weeks.length === 0) {
+    errors.push('At least one week must be defined.');
+    return errors;
+  }
+
+  const cycleWeeks = safeNumber(pattern.cycle_weeks, weeks.length);
+  if (cycleWeeks < 1 || cycleWeeks > MAX_CYCLE_WEEKS) {
+    errors.push(`Rotation must be between 1 and ${MAX_CYCLE_WEEKS} weeks.`);
+  }
+  if (cycleWeeks > 1 && !pattern.anchor_date) {
+    errors.push('A rotation start date is required for fortnightly patterns.');
+  }
+
+  weeks.slice(0, cycleWeeks).forEach((week, i) => {
+    for (const key of WEEKDAY_ORDER) {
+      const hours = Number(week?.[key] ?? 0);
+      if (!Number.isFinite(hours) || hours < 0 || hours > 24) {
+        errors.push(`Week ${i + 1} ${DAY_LABELS[key]}: hours must be between 0 and 24.`);
+      }
+    }
+  });
+
+  if (!weeks.slice(0, cycleWeeks).some((week) => weekTotal(week) > 0)) {
+    errors.push('The pattern must include at least one working day.');
+  }
+
+  return errors;
+}
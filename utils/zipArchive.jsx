@@ -0,0 +1,167 @@
+/**
+ * Zip Archive
+ *
+ * Just enough of the zip format to open a DOCX, change some of its XML
+ * parts and save it again. Deflated entries are inflated with the browser's
+ * DecompressionStream; rewritten entries are stored uncompressed and
+ * untouched entries keep their original compressed bytes. ZIP64 and
+ * encrypted archives are not supported.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the entries of a zip archive.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{name: string, method: number, crc: number, compressed: Uint8Array,
+ *   size: number, read: function(): Promise<Uint8Array>}>}
+ * @throws {Error} When the buffer is not a zip archive
+ */
+export function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER) throw new Error('Corrupt zip archive');
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error('Corrupt zip archive');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      name,
+      method,
+      crc,
+      compressed,
+      size,
+      read: () => {
+        if (method === 0) return Promise.resolve(compressed);
+        if (method === 8) return inflateRaw(compressed);
+        return Promise.reject(new Error(`Unsupported compression in ${name}`));
+      },
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read one entry as text.
+ */
+export async function readZipText(entry) {
+  return textDecoder.decode(await entry.read());
+}
+
+/**
+ * Write a zip archive. Entries with `data` are stored uncompressed; entries
+ * from readZip without `data` are copied as they were.
+ *
+ * @param {Array<Object>} entries - { name, data?: Uint8Array|string } or readZip entries
+ * @returns {Blob}
+ */
+export function writeZip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = textEncoder.encode(entry.name);
+    let method, crc, compressed, size;
+    if (entry.data !== undefined) {
+      compressed = typeof entry.data === 'string' ? textEncoder.encode(entry.data) : entry.data;
+      method = 0;
+      crc = crc32(compressed);
+      size = compressed.length;
+    } else {
+      ({ method, crc, compressed, size } = entry);
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local.buffer, name, compressed);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_HEADER, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, UTF8_FLAG, true);
+    header.setUint16(10, method, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, compressed.length, true);
+    header.setUint32(24, size, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header.buffer, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end.buffer]);
+}